@@ -0,0 +1,185 @@
+/**
+ * Accessibility helpers: screen reader announcements, non-blocking
+ * notices, inline field errors and keyboard navigation of data grids.
+ */
+
+import { html, setHtml } from './html.js';
+import { t } from './i18n.js';
+
+// ============================================
+// Announcements & Notices
+// ============================================
+
+/**
+ * Read a message out through the page's polite live region
+ */
+export function announce(message) {
+  const region = document.getElementById('liveRegion');
+  if (!region) return;
+  // Screen readers only speak a live region when its text changes
+  region.textContent = region.textContent === message ? `${message} ` : message;
+}
+
+/**
+ * Show a dismissible notice in place of alert(). Errors use role="alert"
+ * so they are read out straight away; other notices go through the live
+ * region.
+ */
+export function notify(message, type = 'info') {
+  const notice = document.getElementById('notice');
+  const isError = type === 'error';
+  setHtml(notice, html`
+    <div class="alert alert-${type}" ${isError ? html`role="alert"` : ''}>
+      <i class="fas ${isError ? 'fa-exclamation-circle' : 'fa-info-circle'}"></i>
+      <span>${message}</span>
+      <button type="button" class="close-btn" data-action="dismissNotice" aria-label="${t('notice.dismiss')}"><i class="fas fa-times"></i></button>
+    </div>
+  `);
+  notice.hidden = false;
+  if (!isError) announce(message);
+}
+
+export function dismissNotice() {
+  const notice = document.getElementById('notice');
+  notice.hidden = true;
+  setHtml(notice, '');
+}
+
+// ============================================
+// Form Validation
+// ============================================
+
+/**
+ * Show (or with an empty message, clear) the error under a form control.
+ * The message is tied to the control with aria-describedby and shown in
+ * the element with id `<control id>_error`, which is added when missing.
+ */
+export function setFieldError(input, message) {
+  const errorId = `${input.id}_error`;
+  let error = document.getElementById(errorId);
+  if (!error && message) {
+    error = document.createElement('span');
+    error.className = 'field-error';
+    error.id = errorId;
+    input.after(error);
+  }
+  if (error) error.textContent = message || '';
+  input.classList.toggle('invalid', Boolean(message));
+  if (message) {
+    input.setAttribute('aria-invalid', 'true');
+    input.setAttribute('aria-describedby', errorId);
+  } else {
+    input.removeAttribute('aria-invalid');
+    input.removeAttribute('aria-describedby');
+  }
+}
+
+/**
+ * Reject a control's value: show the message and move focus to the control
+ */
+export function showFieldError(input, message) {
+  setFieldError(input, message);
+  input.focus();
+}
+
+// ============================================
+// Focus Management
+// ============================================
+
+/**
+ * Focus a view's heading so screen readers announce the view. Headings
+ * are made focusable from script only (tabindex -1).
+ */
+export function focusHeading(heading) {
+  if (!heading.hasAttribute('tabindex')) heading.setAttribute('tabindex', '-1');
+  heading.focus();
+}
+
+/**
+ * Whether focus is on an element that is still shown on the page
+ */
+export function isFocusable(element) {
+  return Boolean(element && element !== document.body && element.isConnected && !element.closest('[hidden]'));
+}
+
+// ============================================
+// Grid Navigation
+// ============================================
+
+const GRID_CONTROLS = 'a[href], button, input, select';
+
+/**
+ * Keyboard stops of a grid row, left to right: the controls in a cell,
+ * or the cell itself when it has none
+ */
+function getRowItems(row) {
+  return [...row.cells].flatMap(cell => {
+    const controls = [...cell.querySelectorAll(GRID_CONTROLS)];
+    return controls.length ? controls : [cell];
+  });
+}
+
+function getCellItem(row, cellIndex) {
+  if (!row) return null;
+  const cell = row.cells[Math.min(cellIndex, row.cells.length - 1)];
+  return getRowItems(row).find(item => cell.contains(item));
+}
+
+/**
+ * Grid position ({ row, cell }) of a keyboard stop
+ */
+function getGridPosition(table, item) {
+  const cell = item.closest('td, th');
+  return { row: [...table.rows].indexOf(cell.parentElement), cell: cell.cellIndex };
+}
+
+/**
+ * Roving tabindex: take every stop in the grid out of the tab order except
+ * the one at `position`, which is returned
+ */
+export function initGrid(table, position = { row: 0, cell: 0 }) {
+  const rows = [...table.rows];
+  rows.forEach(row => getRowItems(row).forEach(item => item.setAttribute('tabindex', '-1')));
+  const item = getCellItem(rows[Math.min(position.row, rows.length - 1)], position.cell);
+  if (item) item.setAttribute('tabindex', '0');
+  return item;
+}
+
+/**
+ * Make item the grid's tab stop and return its position
+ */
+export function setGridFocus(table, item) {
+  table.querySelectorAll('[tabindex="0"]').forEach(other => other.setAttribute('tabindex', '-1'));
+  item.setAttribute('tabindex', '0');
+  return getGridPosition(table, item);
+}
+
+/**
+ * Move focus for the arrow keys, Home/End (row) and Ctrl+Home/End (grid).
+ * Returns the new position, or null when the key is not a grid key.
+ */
+export function moveGridFocus(table, event) {
+  const item = event.target;
+  const cell = item.closest('td, th');
+  if (!cell) return null;
+  const rows = [...table.rows];
+  const rowIndex = rows.indexOf(cell.parentElement);
+  const items = getRowItems(cell.parentElement);
+  const itemIndex = items.indexOf(item);
+
+  const targets = {
+    ArrowRight: () => items[itemIndex + 1],
+    ArrowLeft: () => items[itemIndex - 1],
+    ArrowDown: () => getCellItem(rows[rowIndex + 1], cell.cellIndex),
+    ArrowUp: () => getCellItem(rows[rowIndex - 1], cell.cellIndex),
+    Home: () => (event.ctrlKey ? getRowItems(rows[0])[0] : items[0]),
+    End: () => (event.ctrlKey ? getRowItems(rows[rows.length - 1]).at(-1) : items.at(-1))
+  };
+  if (!targets[event.key] || itemIndex === -1) return null;
+  event.preventDefault();
+
+  const target = targets[event.key]() || item;
+  const position = setGridFocus(table, target);
+  target.focus();
+  return position;
+}
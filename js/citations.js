@@ -0,0 +1,190 @@
+/**
+ * Literature evidence: citation links and RIS/BibTeX export.
+ */
+
+import { html, joinHtml, safeUrl } from './html.js';
+import { notify } from './a11y.js';
+import { splitListValue } from './utils.js';
+import { EXPORT_FORMATS, downloadFile } from './export.js';
+import { t } from './i18n.js';
+
+// ============================================
+// Literature Evidence & Citations
+// ============================================
+
+const PUBMED_URL = 'https://pubmed.ncbi.nlm.nih.gov/';
+const DOI_URL = 'https://doi.org/';
+const PUBMED_SUMMARY_URL = 'https://eutils.ncbi.nlm.nih.gov/entrez/eutils/esummary.fcgi';
+const PUBMED_SUMMARY_BATCH = 200;
+const PUBMED_SUMMARY_TIMEOUT_MS = 8000;
+
+export function getEvidenceBadge(level) {
+  if (!level) return '-';
+  const levelClass = `evidence-${level.toLowerCase().replace(/\s+/g, '-')}`;
+  return html`<span class="cell-badge evidence-badge ${levelClass}">${level}</span>`;
+}
+
+/**
+ * PubMed IDs or DOIs as links to PubMed / doi.org
+ */
+export function renderCitationLinks(field, value) {
+  const ids = splitListValue(value);
+  if (ids.length === 0) return '-';
+  return joinHtml(ids.map(id => (field === 'pmids'
+    ? html`<a href="${safeUrl(`${PUBMED_URL}${encodeURIComponent(id)}/`)}" target="_blank" rel="noopener" class="citation-link">PMID ${id}</a>`
+    : html`<a href="${safeUrl(`${DOI_URL}${encodeURI(id)}`)}" target="_blank" rel="noopener" class="citation-link">${id}</a>`
+  )), ' ');
+}
+
+/**
+ * One citation per distinct PMID or DOI, with the records citing it. A
+ * record's year is only attributed to a citation when it cites one source.
+ */
+export function collectCitations(rows) {
+  const citations = new Map();
+  rows.forEach(row => {
+    const sources = [
+      ...splitListValue(row.pmids).map(pmid => ({ key: `pmid:${pmid}`, pmid })),
+      ...splitListValue(row.dois).map(doi => ({ key: `doi:${doi.toLowerCase()}`, doi }))
+    ];
+    sources.forEach(source => {
+      if (!citations.has(source.key)) citations.set(source.key, { ...source, year: '', records: [] });
+      const citation = citations.get(source.key);
+      citation.records.push(row);
+      if (sources.length === 1 && row.year) citation.year = row.year;
+    });
+  });
+  return [...citations.values()];
+}
+
+/**
+ * Titles, authors and journals from PubMed. Best effort: offline or on
+ * error the citations are exported with their identifiers only.
+ */
+async function fetchPubmedSummaries(pmids) {
+  const summaries = {};
+  for (let i = 0; i < pmids.length; i += PUBMED_SUMMARY_BATCH) {
+    const ids = pmids.slice(i, i + PUBMED_SUMMARY_BATCH);
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), PUBMED_SUMMARY_TIMEOUT_MS);
+    try {
+      const response = await fetch(`${PUBMED_SUMMARY_URL}?db=pubmed&retmode=json&id=${ids.join(',')}`, { signal: controller.signal });
+      if (!response.ok) throw new Error(`PubMed summary failed with HTTP ${response.status}`);
+      const { result } = await response.json();
+      ids.forEach(id => { if (result && result[id] && !result[id].error) summaries[id] = result[id]; });
+    } catch (error) {
+      console.warn('PubMed details unavailable, exporting identifiers only:', error);
+      break;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+  return summaries;
+}
+
+/**
+ * Fill in PubMed details and fold DOI-only citations into the PubMed
+ * citation with the same DOI
+ */
+function enrichCitations(citations, summaries) {
+  const byDoi = new Map();
+  citations.forEach(citation => {
+    const summary = citation.pmid && summaries[citation.pmid];
+    if (!summary) return;
+    const doi = (summary.articleids || []).find(id => id.idtype === 'doi');
+    Object.assign(citation, {
+      title: (summary.title || '').replace(/\.$/, ''),
+      authors: (summary.authors || []).filter(a => a.authtype === 'Author').map(a => a.name),
+      journal: summary.fulljournalname || summary.source || '',
+      volume: summary.volume || '',
+      issue: summary.issue || '',
+      pages: summary.pages || '',
+      year: (summary.pubdate || '').slice(0, 4) || citation.year,
+      doi: citation.doi || (doi && doi.value) || ''
+    });
+    if (citation.doi) byDoi.set(citation.doi.toLowerCase(), citation);
+  });
+
+  return citations.filter(citation => {
+    const match = !citation.pmid && byDoi.get(citation.doi.toLowerCase());
+    if (!match) return true;
+    citation.records.forEach(row => { if (!match.records.includes(row)) match.records.push(row); });
+    return false;
+  });
+}
+
+function describeCitedRecords(citation) {
+  return t('citations.note', {
+    entries: citation.records
+      .map(row => `${row.gene_name} (${row.variant})${row.evidence_level ? ` [${row.evidence_level}]` : ''}`)
+      .join('; ')
+  });
+}
+
+/**
+ * RIS records (CRLF line endings, "TAG  - value" lines)
+ */
+export function toRis(citations) {
+  return citations.map(citation => {
+    const lines = [['TY', 'JOUR']];
+    if (citation.title) lines.push(['TI', citation.title]);
+    (citation.authors || []).forEach(author => lines.push(['AU', author]));
+    if (citation.journal) lines.push(['JO', citation.journal]);
+    if (citation.year) lines.push(['PY', citation.year]);
+    if (citation.volume) lines.push(['VL', citation.volume]);
+    if (citation.issue) lines.push(['IS', citation.issue]);
+    if (citation.pages) lines.push(['SP', citation.pages]);
+    if (citation.doi) lines.push(['DO', citation.doi]);
+    if (citation.pmid) lines.push(['AN', `PMID:${citation.pmid}`]);
+    lines.push(['UR', citation.pmid ? `${PUBMED_URL}${citation.pmid}/` : `${DOI_URL}${citation.doi}`]);
+    lines.push(['N1', describeCitedRecords(citation)]);
+    lines.push(['ER', '']);
+    return lines.map(([tag, value]) => `${tag}  - ${String(value).replace(/[\r\n]+/g, ' ')}`).join('\r\n');
+  }).join('\r\n\r\n') + '\r\n';
+}
+
+export function escapeBibtex(value) {
+  return String(value)
+    .replace(/\\/g, '\\textbackslash{}')
+    .replace(/([{}&%$#_])/g, '\\$1')
+    .replace(/[\r\n]+/g, ' ');
+}
+
+/**
+ * BibTeX entries keyed pmid<id> or doi_<id>
+ */
+export function toBibtex(citations) {
+  return citations.map(citation => {
+    const key = citation.pmid ? `pmid${citation.pmid}` : `doi_${citation.doi.replace(/[^\w]+/g, '_')}`;
+    const fields = [
+      ['title', citation.title],
+      ['author', (citation.authors || []).map(name => name.replace(/^(.+) (\S+)$/, '$1, $2')).join(' and ')],
+      ['journal', citation.journal],
+      ['year', citation.year],
+      ['volume', citation.volume],
+      ['number', citation.issue],
+      ['pages', citation.pages && citation.pages.replace('-', '--')],
+      ['doi', citation.doi],
+      ['pmid', citation.pmid],
+      ['url', citation.pmid ? `${PUBMED_URL}${citation.pmid}/` : `${DOI_URL}${citation.doi}`],
+      ['note', describeCitedRecords(citation)]
+    ].filter(([, value]) => value);
+    const body = fields.map(([name, value]) => `  ${name} = {${name === 'url' || name === 'doi' ? value : escapeBibtex(value)}}`);
+    return `@${citation.title ? 'article' : 'misc'}{${key},\n${body.join(',\n')}\n}`;
+  }).join('\n\n') + '\n';
+}
+
+/**
+ * Export the citations behind the rows as RIS or BibTeX
+ */
+export async function exportCitations(rows, format, filename) {
+  const citations = collectCitations(rows);
+  if (citations.length === 0) {
+    notify(t('citations.none'));
+    return;
+  }
+  const pmids = citations.filter(citation => citation.pmid).map(citation => citation.pmid);
+  const enriched = enrichCitations(citations, pmids.length ? await fetchPubmedSummaries(pmids) : {});
+  const spec = EXPORT_FORMATS[format];
+  downloadFile(format === 'ris' ? toRis(enriched) : toBibtex(enriched), filename, spec.mimeType);
+}
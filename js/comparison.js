@@ -0,0 +1,291 @@
+/**
+ * Side-by-side comparison of pinned records.
+ */
+
+import { state } from './state.js';
+import { RECORD_FIELDS, getFieldLabel } from './schema.js';
+import { html, setHtml, toFragment } from './html.js';
+import { focusHeading, notify } from './a11y.js';
+import { splitListValue } from './utils.js';
+import { findRecordByKey, getGeneRouteKey, getGeneSymbol } from './records.js';
+import { displayResults, focusResults } from './results.js';
+import { EXPORT_FORMATS, UTF8_BOM, downloadFile, formatDelimitedField } from './export.js';
+import { showError } from './render.js';
+import { formatDateTime, formatFileDate, t } from './i18n.js';
+
+// ============================================
+// Comparison Workspace
+// ============================================
+
+const COMPARISON_MAX = 6;
+
+// Semicolon-separated fields, compared value by value
+const COMPARISON_LIST_FIELDS = ['cell_type', 'growth_factors', 'biomaterial_suggestion'];
+
+// How widely a list value is shared; each is named by comparison.token.<status>
+const COMPARISON_TOKEN_STATUSES = ['shared', 'partial', 'unique'];
+
+export function renderPinButton(recordIndex, labelled = false) {
+  const pinned = state.pinnedRecords.includes(recordIndex);
+  const title = t(pinned ? 'comparison.unpin' : 'comparison.pin');
+  return labelled
+    ? html`<button type="button" class="action-btn secondary pin-btn ${pinned ? 'pinned' : ''}" data-pin="${recordIndex}"><i class="fas fa-thumbtack"></i> ${t(pinned ? 'comparison.pinned' : 'comparison.pin')}</button>`
+    : html`<button type="button" class="pin-btn ${pinned ? 'pinned' : ''}" data-pin="${recordIndex}" title="${title}" aria-pressed="${String(pinned)}"><i class="fas fa-thumbtack"></i></button>`;
+}
+
+export function getPinnedRows() {
+  return state.pinnedRecords.map(index => state.databaseData[index]);
+}
+
+/**
+ * Pin or unpin a record; at most COMPARISON_MAX can be pinned
+ */
+export function togglePinnedRecord(recordIndex) {
+  if (state.pinnedRecords.includes(recordIndex)) {
+    state.pinnedRecords = state.pinnedRecords.filter(index => index !== recordIndex);
+  } else if (state.pinnedRecords.length >= COMPARISON_MAX) {
+    notify(t('comparison.tooMany', { max: COMPARISON_MAX }));
+    return;
+  } else {
+    state.pinnedRecords.push(recordIndex);
+  }
+  document.querySelectorAll(`#dynamicContent [data-pin="${recordIndex}"]`).forEach(button => {
+    button.replaceWith(toFragment(renderPinButton(recordIndex)));
+  });
+  renderComparisonTray();
+}
+
+export function clearPinnedRecords() {
+  state.pinnedRecords = [];
+  renderComparisonTray();
+  if (state.filteredData.length) displayResults();
+}
+
+/**
+ * Strip above the results table listing the pinned entries
+ */
+export function renderComparisonTray() {
+  const tray = document.getElementById('comparisonTray');
+  if (state.pinnedRecords.length === 0) {
+    tray.hidden = true;
+    setHtml(tray, '');
+    return;
+  }
+  tray.hidden = false;
+  setHtml(tray, html`
+    <span class="comparison-tray-label"><i class="fas fa-thumbtack"></i> ${t('comparison.trayLabel', { count: state.pinnedRecords.length, max: COMPARISON_MAX })}</span>
+    ${getPinnedRows().map((row, i) => html`
+      <span class="feature-tag comparison-chip">
+        ${getGeneSymbol(row)}
+        <button type="button" data-pin="${state.pinnedRecords[i]}" title="${t('comparison.unpinGene', { gene: row.gene_name })}"><i class="fas fa-times"></i></button>
+      </span>
+    `)}
+    <button type="button" id="compareBtn" class="action-btn" ${state.pinnedRecords.length < 2 && html`disabled title="${t('comparison.needTwo')}"`}>
+      <i class="fas fa-columns"></i> ${t('comparison.compare')}
+    </button>
+    <button type="button" id="clearPinsBtn" class="facet-reset">${t('results.clear')}</button>
+  `);
+}
+
+/**
+ * Field-by-field comparison of records. Plain fields are the same or
+ * differ as a whole; list fields are split and each value is marked as
+ * shared by all, some, or only one of the records.
+ */
+function compareRecords(rows) {
+  return RECORD_FIELDS.map(({ field }) => {
+    const isList = COMPARISON_LIST_FIELDS.includes(field);
+    const values = rows.map(row => (isList ? splitListValue(row[field]) : [String(row[field] || '').trim()]));
+    const counts = new Map();
+    values.forEach(tokens => {
+      new Set(tokens.map(token => token.toLowerCase())).forEach(key => counts.set(key, (counts.get(key) || 0) + 1));
+    });
+
+    const cells = values.map((tokens, i) => ({
+      text: rows[i][field] || '',
+      tokens: tokens.map(value => {
+        const count = counts.get(value.toLowerCase());
+        const status = count === rows.length ? 'shared' : count === 1 ? 'unique' : 'partial';
+        return { value, status };
+      })
+    }));
+    const same = cells.every(cell => cell.tokens.every(token => token.status === 'shared')) &&
+      values.every(tokens => tokens.length === values[0].length);
+    return { field, label: getFieldLabel(field), isList, same, cells };
+  });
+}
+
+/**
+ * Route key list for #compare/<key>,<key>
+ */
+function getComparisonHash(rows) {
+  return `compare/${rows.map(row => encodeURIComponent(getGeneRouteKey(row))).join(',')}`;
+}
+
+export function openComparison() {
+  if (state.pinnedRecords.length < 2) {
+    notify(t('comparison.pinTwo'));
+    return;
+  }
+  location.hash = getComparisonHash(getPinnedRows());
+}
+
+/**
+ * Show the comparison named in the route, pinning its records
+ */
+export function showComparisonRoute(keys) {
+  if (!state.databaseData.length) return;
+  const rows = keys.split(',').map(key => findRecordByKey(decodeURIComponent(key))).filter(Boolean);
+  const unique = [...new Set(rows)].slice(0, COMPARISON_MAX);
+  if (unique.length < 2) {
+    hideComparison();
+    showError(t('comparison.invalidRoute'));
+    return;
+  }
+  state.pinnedRecords = unique.map(row => state.databaseData.indexOf(row));
+  renderComparisonTray();
+  renderComparison(unique);
+  focusHeading(document.getElementById('comparisonTitle'));
+}
+
+export function closeComparison() {
+  history.pushState('', document.title, location.pathname + location.search);
+  hideComparison();
+}
+
+export function hideComparison() {
+  const view = document.getElementById('comparisonView');
+  if (view.hidden) return;
+  const hadFocus = view.contains(document.activeElement);
+  view.hidden = true;
+  document.getElementById('resultsContainer').hidden = false;
+  if (state.filteredData.length) displayResults();
+  if (hadFocus) focusResults();
+}
+
+function renderComparisonTokens(cell, isList) {
+  if (!isList) return cell.text || '-';
+  if (cell.tokens.length === 0) return '-';
+  return cell.tokens.map(token => html`
+    <span class="comparison-token ${token.status}" title="${t(`comparison.token.${token.status}`)}">${token.value}</span>
+  `);
+}
+
+/**
+ * Render the pinned records side by side, one column per record
+ */
+function renderComparison(rows) {
+  const comparison = compareRecords(rows);
+  const differing = comparison.filter(row => !row.same).length;
+
+  document.getElementById('toolContent').hidden = true;
+  document.getElementById('resultsContainer').hidden = true;
+  document.getElementById('comparisonView').hidden = false;
+  state.activeTool = null;
+  document.getElementById('comparisonTitle').textContent = t('comparison.heading', { genes: rows.map(getGeneSymbol).join(' vs ') });
+
+  setHtml(document.getElementById('comparisonBody'), html`
+    <div class="comparison-toolbar fade-in">
+      <span class="hint">${t('comparison.differing', { count: differing, total: comparison.length })}</span>
+      <label class="page-size-control"><input type="checkbox" id="comparisonDiffOnly" /> ${t('comparison.diffOnly')}</label>
+      <div class="comparison-legend">
+        ${COMPARISON_TOKEN_STATUSES.map(status => html`<span class="comparison-token ${status}">${t(`comparison.token.${status}`)}</span>`)}
+      </div>
+      <div class="tool-actions">
+        <button type="button" class="action-btn secondary" data-comparison-export><i class="fas fa-file-csv"></i> CSV</button>
+        <button type="button" class="action-btn secondary" data-comparison-print><i class="fas fa-print"></i> ${t('comparison.print')}</button>
+      </div>
+    </div>
+    <div class="data-table-container">
+      <table class="data-table comparison-table">
+        <thead>
+          <tr>
+            <th>${t('report.field')}</th>
+            ${rows.map(row => {
+              const index = state.databaseData.indexOf(row);
+              return html`
+                <th>
+                  <button type="button" class="similar-link" data-record="${index}">${getGeneSymbol(row)}</button>
+                  <button type="button" class="pin-btn pinned" data-pin="${index}" title="${t('comparison.unpin')}"><i class="fas fa-times"></i></button>
+                  <div class="comparison-name">${row.gene_name}</div>
+                </th>
+              `;
+            })}
+          </tr>
+        </thead>
+        <tbody>
+          ${comparison.map(({ field, label, isList, same, cells }) => html`
+            <tr class="${same ? 'comparison-same' : 'comparison-differs'}">
+              <th scope="row">
+                ${label}
+                <span class="comparison-status">${t(same ? 'comparison.same' : 'comparison.differs')}</span>
+              </th>
+              ${cells.map(cell => html`<td>${renderComparisonTokens(cell, isList)}</td>`)}
+            </tr>
+          `)}
+        </tbody>
+      </table>
+    </div>
+  `);
+  document.getElementById('comparisonView').scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+/**
+ * CSV with one row per field and one column per record, plus whether the
+ * field differs
+ */
+export function exportComparison(rows) {
+  const comparison = compareRecords(rows);
+  const line = (values) => values.map(value => formatDelimitedField(value, ',')).join(',');
+  const csv = [
+    line([t('report.field'), ...rows.map(row => `${row.gene_name} (${getGeneSymbol(row)})`), t('comparison.status')]),
+    ...comparison.map(({ label, same, cells }) => line([label, ...cells.map(cell => cell.text), t(same ? 'comparison.same' : 'comparison.differs')]))
+  ].join('\r\n');
+  const symbols = rows.map(getGeneSymbol).join('_').replace(/[^\w-]+/g, '');
+  downloadFile(UTF8_BOM + csv, `TE_Alzheimers_Comparison_${symbols}_${formatFileDate()}.csv`, EXPORT_FORMATS.csv.mimeType);
+}
+
+/**
+ * Stylesheet of the printable comparison; allowed by its hash in the
+ * Content-Security-Policy like HTML_REPORT_STYLES
+ */
+export const COMPARISON_REPORT_STYLES = `
+    body { font-family: 'Inter', -apple-system, 'Segoe UI', Roboto, sans-serif; color: #1a202c; margin: 2rem; font-size: 12px; }
+    h1 { color: #1a365d; font-size: 1.5rem; margin-bottom: 0.25rem; }
+    .meta { color: #4a5568; margin-bottom: 1.5rem; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { border: 1px solid #e2e8f0; padding: 0.3rem 0.5rem; text-align: left; vertical-align: top; }
+    th { background: #f7fafc; }
+    tr.differs th { box-shadow: inset 3px 0 0 #d69e2e; }
+    .token { display: inline-block; margin: 0 0.25rem 0.25rem 0; padding: 0 0.35rem; border-radius: 3px; }
+    .shared { background: #c6f6d5; }
+    .partial { background: #fefcbf; }
+    .unique { background: #fed7d7; }
+  `;
+
+/**
+ * Standalone printable comparison, colour-coded like the on-screen view
+ */
+export function buildComparisonReport(rows) {
+  const comparison = compareRecords(rows);
+  return `<!DOCTYPE html>
+${html`<html lang="${state.locale}">
+<head>
+  <meta charset="UTF-8" />
+  <title>${t('comparison.reportTitle', { genes: rows.map(getGeneSymbol).join(' vs ') })}</title>
+  <style>`}${COMPARISON_REPORT_STYLES}</style>
+</head>
+${html`<body>
+  <h1>${t('comparison.reportTitle', { genes: rows.map(getGeneSymbol).join(' vs ') })}</h1>
+  <p class="meta">${t('report.generatedOn', { date: formatDateTime(new Date()) })} &middot;
+    ${COMPARISON_TOKEN_STATUSES.map(status => html`<span class="token ${status}">${t(`comparison.token.${status}`)}</span>`)}</p>
+  <table>
+    <tr><th>${t('report.field')}</th>${rows.map(row => html`<th>${row.gene_name}<br /><small>${row.variant}</small></th>`)}</tr>
+    ${comparison.map(({ label, isList, same, cells }) => html`
+    <tr class="${same ? 'same' : 'differs'}"><th>${label}</th>${cells.map(cell => html`<td>${isList
+      ? cell.tokens.map(token => html`<span class="token ${token.status}">${token.value}</span>`)
+      : cell.text || '-'}</td>`)}</tr>`)}
+  </table>
+</body>`}
+</html>`;
+}
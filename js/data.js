@@ -0,0 +1,144 @@
+/**
+ * Loading of the dataset and gene alias table, and the data quality report.
+ */
+
+import { state } from './state.js';
+import { html, joinHtml, setHtml } from './html.js';
+import { RECORD_FIELDS, getFieldLabel, getShortFieldLabel } from './schema.js';
+import { hashText } from './utils.js';
+import { openToolPanel } from './tools.js';
+import { validateDataset } from './validation.js';
+import { renderFacetPanel } from './facets.js';
+import { renderDatasetInfo } from './offline.js';
+import { loadLocalEntries } from './local-entries.js';
+import { buildGeneAliasIndex } from './search.js';
+import { computeStatistics, renderStatistics } from './statistics.js';
+import { showError } from './render.js';
+import { t } from './i18n.js';
+
+/**
+ * Load the JSON database
+ */
+export async function loadDatabase() {
+  loadGeneAliases();
+  try {
+    const response = await fetch('alzheimers_data.json');
+    if (!response.ok) {
+      throw new Error('Failed to load database');
+    }
+    const text = await response.text();
+    const { records, report } = validateDataset(JSON.parse(text));
+    state.datasetInfo = {
+      version: hashText(text),
+      lastModified: response.headers.get('Last-Modified'),
+      updateAvailable: false
+    };
+    renderDatasetInfo();
+    state.shippedData = records;
+    state.databaseData = records;
+    state.dataQualityReport = report;
+    console.log(`Database loaded: ${state.databaseData.length} entries`);
+    if (report.invalid.length || report.repaired.length) {
+      console.warn(`Data quality: ${report.invalid.length} invalid, ${report.repaired.length} repaired records`);
+    }
+    renderDataQualitySummary(report);
+    renderStatistics(computeStatistics(state.databaseData));
+    renderFacetPanel(state.databaseData);
+  } catch (error) {
+    console.error('Error loading database:', error);
+    if (navigator.onLine === false) {
+      showError(t('data.offlineUnavailable'),
+        html`${t('data.offlineHint')} <button class="facet-reset" data-action="reload">${t('data.retry')}</button>`);
+    } else {
+      showError(t('data.loadFailed'), html`<button class="facet-reset" data-action="reload">${t('data.retry')}</button>`);
+    }
+    return;
+  }
+  await loadLocalEntries();
+}
+
+/**
+ * One-line data quality status under the overview statistics
+ */
+export function renderDataQualitySummary(report) {
+  const summary = document.getElementById('dataQualitySummary');
+  const hasIssues = report.invalid.length || report.repaired.length || report.warnings.length;
+  const icon = report.invalid.length ? 'fa-exclamation-triangle' : hasIssues ? 'fa-wrench' : 'fa-check-circle';
+  summary.className = `data-quality-summary ${report.invalid.length ? 'has-errors' : hasIssues ? 'has-repairs' : 'clean'}`;
+  setHtml(summary, html`
+    <i class="fas ${icon}"></i>
+    <span>${t('dataQuality.summary', { valid: report.valid, total: report.total, repaired: report.repaired.length, invalid: report.invalid.length })}</span>
+    ${hasIssues ? html`<button id="dataQualityBtn" class="facet-reset">${t('dataQuality.view')}</button>` : ''}
+  `);
+}
+
+/**
+ * Show the full data quality report in the tool panel
+ */
+export function showDataQualityReport() {
+  const report = state.dataQualityReport;
+  if (!report) return;
+
+  const content = html`
+    <div class="data-quality-report">
+      <p>${t('dataQuality.checked', {
+        total: report.total, fields: RECORD_FIELDS.length, valid: report.valid,
+        repaired: report.repaired.length, invalid: report.invalid.length, warnings: report.warnings.length
+      })}</p>
+      ${report.invalid.length ? html`
+        <h4><i class="fas fa-times-circle"></i> ${t('dataQuality.invalid')}</h4>
+        <table class="data-table">
+          <thead><tr><th>#</th><th>${getShortFieldLabel('gene_name')}</th><th>${t('dataQuality.problems')}</th></tr></thead>
+          <tbody>
+            ${report.invalid.map(item => html`
+              <tr><td>${item.index + 1}</td><td>${item.gene}</td><td>${joinHtml(item.errors, html`<br>`)}</td></tr>
+            `)}
+          </tbody>
+        </table>
+      ` : ''}
+      ${report.repaired.length ? html`
+        <h4><i class="fas fa-wrench"></i> ${t('dataQuality.repaired')}</h4>
+        <table class="data-table">
+          <thead><tr>
+            <th>#</th><th>${getShortFieldLabel('gene_name')}</th><th>${t('report.field')}</th>
+            <th>${t('dataQuality.original')}</th><th>${t('dataQuality.repairedValue')}</th>
+          </tr></thead>
+          <tbody>
+            ${report.repaired.map(item => item.repairs.map(repair => html`
+              <tr>
+                <td>${item.index + 1}</td><td>${item.gene}</td><td>${getFieldLabel(repair.field)}</td>
+                <td><code>${repair.from}</code></td><td>${repair.to}</td>
+              </tr>
+            `))}
+          </tbody>
+        </table>
+      ` : ''}
+      ${report.warnings.length ? html`
+        <h4><i class="fas fa-exclamation-circle"></i> ${t('dataQuality.warnings')}</h4>
+        <ul class="data-quality-warnings">
+          ${report.warnings.map(item => html`<li><strong>${item.index + 1}. ${item.gene}:</strong> ${item.warnings.join('; ')}</li>`)}
+        </ul>
+      ` : ''}
+    </div>
+  `;
+
+  openToolPanel(t('dataQuality.title'), content);
+  state.activeTool = null;
+}
+
+/**
+ * Load the gene symbol/alias table used by the search. The search still
+ * works without it, so failures are only logged.
+ */
+async function loadGeneAliases() {
+  try {
+    const response = await fetch('gene_aliases.json');
+    if (!response.ok) {
+      throw new Error('Failed to load gene aliases');
+    }
+    state.geneAliases = await response.json();
+    state.geneAliasIndex = buildGeneAliasIndex(state.geneAliases);
+  } catch (error) {
+    console.warn('Gene aliases unavailable:', error);
+  }
+}
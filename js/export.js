@@ -0,0 +1,399 @@
+/**
+ * Export of results as CSV, TSV, JSON, Excel, Markdown, HTML and FASTA.
+ */
+
+import { state } from './state.js';
+import { FACET_FIELDS, RECORD_FIELDS, getFieldLabel } from './schema.js';
+import { formatDateTime, formatFileDate, t } from './i18n.js';
+import { html, setHtml } from './html.js';
+import { notify } from './a11y.js';
+import { escapeXml } from './utils.js';
+import { getGeneSymbol } from './records.js';
+import { getCurrentPageRows } from './results.js';
+import { SEARCHABLE_FIELDS } from './search.js';
+import { exportCitations } from './citations.js';
+
+// ============================================
+// Export
+// ============================================
+
+export const EXPORT_FORMATS = {
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv;charset=utf-8' },
+  tsv: { label: 'TSV', extension: 'tsv', mimeType: 'text/tab-separated-values;charset=utf-8' },
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json;charset=utf-8' },
+  xlsx: { label: 'Excel (XLSX)', extension: 'xlsx', mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+  markdown: { label: 'Markdown report', extension: 'md', mimeType: 'text/markdown;charset=utf-8' },
+  html: { label: 'Printable report', extension: 'html', mimeType: 'text/html;charset=utf-8' },
+  ris: { label: 'Citations (RIS)', extension: 'ris', mimeType: 'application/x-research-info-systems;charset=utf-8' },
+  bibtex: { label: 'Citations (BibTeX)', extension: 'bib', mimeType: 'application/x-bibtex;charset=utf-8' }
+};
+
+// Rows an export can cover; each is named by export.scope.<scope>
+const EXPORT_SCOPES = ['page', 'filtered', 'selected'];
+
+// Excel only detects UTF-8 (and so the Greek-letter variants) with a BOM
+export const UTF8_BOM = '\uFEFF';
+
+export function toggleExportPanel() {
+  const panel = document.getElementById('exportPanel');
+  panel.hidden = !panel.hidden;
+  renderExportScopes();
+}
+
+/**
+ * Refresh the scope options with their current row counts
+ */
+export function renderExportScopes() {
+  const select = document.getElementById('exportScope');
+  if (!select) return;
+  const current = select.value || 'filtered';
+  const counts = {
+    page: getCurrentPageRows().length,
+    filtered: state.filteredData.length,
+    selected: state.selectedRecords.size
+  };
+  setHtml(select, EXPORT_SCOPES.map(scope => html`
+    <option value="${scope}" ${scope === current ? 'selected' : ''}>${t(`export.scopeOption.${scope}`, { count: counts[scope] })}</option>
+  `));
+}
+
+/**
+ * Rows covered by an export scope
+ */
+function getExportRows(scope) {
+  if (scope === 'page') return getCurrentPageRows();
+  if (scope === 'selected') return state.databaseData.filter((row, i) => state.selectedRecords.has(i));
+  return state.filteredData;
+}
+
+/**
+ * Export the rows in scope in the requested format
+ */
+export function exportResults(format = 'csv', scope = 'filtered') {
+  const rows = getExportRows(scope);
+  if (rows.length === 0) {
+    notify(t(scope === 'selected' ? 'export.noneSelected' : 'export.noResults'));
+    return;
+  }
+
+  const spec = EXPORT_FORMATS[format];
+  const filename = `TE_Alzheimers_Search_Results_${formatFileDate()}.${spec.extension}`;
+
+  switch (format) {
+    case 'csv':
+      downloadFile(UTF8_BOM + toDelimitedText(rows, ','), filename, spec.mimeType);
+      break;
+    case 'tsv':
+      downloadFile(UTF8_BOM + toDelimitedText(rows, '\t'), filename, spec.mimeType);
+      break;
+    case 'json':
+      downloadFile(JSON.stringify(rows, SEARCHABLE_FIELDS, 2), filename, spec.mimeType);
+      break;
+    case 'xlsx':
+      downloadFile(buildXlsxWorkbook(rows), filename, spec.mimeType);
+      break;
+    case 'markdown':
+      downloadFile(buildMarkdownReport(rows, scope), filename, spec.mimeType);
+      break;
+    case 'html':
+      openPrintableReport(buildHtmlReport(rows, scope), filename);
+      break;
+    case 'ris':
+    case 'bibtex':
+      exportCitations(rows, format, filename.replace('Search_Results', 'Citations'));
+      break;
+  }
+}
+
+/**
+ * Save content as a file via a temporary download link
+ */
+export function downloadFile(content, filename, mimeType) {
+  const blob = new Blob([content], { type: mimeType });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+// First characters that make spreadsheet apps read a cell as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * CSV (RFC 4180: quote fields containing the delimiter, quotes or line
+ * breaks; CRLF rows) or TSV (tabs and line breaks inside values become spaces).
+ * The header row uses the field labels of the interface language.
+ */
+export function toDelimitedText(rows, delimiter) {
+  const formatField = (value) => formatDelimitedField(value, delimiter);
+  return [
+    RECORD_FIELDS.map(f => formatField(getFieldLabel(f.field))).join(delimiter),
+    ...rows.map(row => RECORD_FIELDS.map(f => formatField(row[f.field])).join(delimiter))
+  ].join('\r\n');
+}
+
+export function formatDelimitedField(value, delimiter) {
+  let text = value === undefined || value === null ? '' : String(value);
+  // Imported records can hold values like =HYPERLINK(...); the apostrophe
+  // makes spreadsheet apps show them as text instead of running them
+  if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+  if (delimiter === '\t') return text.replace(/[\t\r\n]+/g, ' ');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Undo the apostrophe formatDelimitedField() puts before formula-like
+ * values, so exported files import unchanged
+ */
+export function removeFormulaGuard(text) {
+  return text.startsWith("'") && FORMULA_PREFIX.test(text.slice(1)) ? text.slice(1) : text;
+}
+
+/**
+ * Spreadsheet column letters: 0 -> A, 25 -> Z, 26 -> AA
+ */
+function getColumnLetter(index) {
+  let letters = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return letters;
+}
+
+/**
+ * Build a single-sheet XLSX workbook (inline strings, bold frozen header)
+ */
+function buildXlsxWorkbook(rows) {
+  const cell = (value, rowNumber, columnIndex, style = 0) =>
+    `<c r="${getColumnLetter(columnIndex)}${rowNumber}" t="inlineStr"${style ? ` s="${style}"` : ''}><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+
+  const sheetRows = [
+    `<row r="1">${RECORD_FIELDS.map((f, i) => cell(getFieldLabel(f.field), 1, i, 1)).join('')}</row>`,
+    ...rows.map((row, r) => `<row r="${r + 2}">${RECORD_FIELDS.map((f, i) => cell(row[f.field], r + 2, i)).join('')}</row>`)
+  ];
+  const xmlHeader = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+  const mainNs = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+  const relNs = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+  const files = {
+    '[Content_Types].xml': `${xmlHeader}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+      + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+      + '<Default Extension="xml" ContentType="application/xml"/>'
+      + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+      + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+      + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+      + '</Types>',
+    '_rels/.rels': `${xmlHeader}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+      + `<Relationship Id="rId1" Type="${relNs}/officeDocument" Target="xl/workbook.xml"/>`
+      + '</Relationships>',
+    'xl/workbook.xml': `${xmlHeader}<workbook xmlns="${mainNs}" xmlns:r="${relNs}">`
+      + '<sheets><sheet name="TE Alzheimers DB" sheetId="1" r:id="rId1"/></sheets></workbook>',
+    'xl/_rels/workbook.xml.rels': `${xmlHeader}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+      + `<Relationship Id="rId1" Type="${relNs}/worksheet" Target="worksheets/sheet1.xml"/>`
+      + `<Relationship Id="rId2" Type="${relNs}/styles" Target="styles.xml"/>`
+      + '</Relationships>',
+    'xl/styles.xml': `${xmlHeader}<styleSheet xmlns="${mainNs}">`
+      + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+      + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+      + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+      + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+      + '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+      + '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>'
+      + '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>'
+      + '</styleSheet>',
+    'xl/worksheets/sheet1.xml': `${xmlHeader}<worksheet xmlns="${mainNs}">`
+      + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+      + `<cols><col min="1" max="${RECORD_FIELDS.length}" width="28" customWidth="1"/></cols>`
+      + `<sheetData>${sheetRows.join('')}</sheetData></worksheet>`
+  };
+
+  return createZipArchive(files);
+}
+
+let crc32Table = null;
+
+function crc32(bytes) {
+  if (!crc32Table) {
+    crc32Table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      crc32Table[n] = c >>> 0;
+    }
+  }
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) crc = crc32Table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Pack { path: text } into an uncompressed (stored) ZIP archive
+ */
+function createZipArchive(files) {
+  const encoder = new TextEncoder();
+  const now = new Date();
+  const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+  const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  Object.entries(files).forEach(([path, content]) => {
+    const name = encoder.encode(path);
+    const data = encoder.encode(content);
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034B50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, 0x0800, true); // UTF-8 names
+    local.setUint16(8, 0, true); // stored
+    local.setUint16(10, dosTime, true);
+    local.setUint16(12, dosDate, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014B50, true);
+    central.setUint16(4, 20, true);
+    central.setUint16(6, 20, true);
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, dosTime, true);
+    central.setUint16(14, dosDate, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+
+    localParts.push(new Uint8Array(local.buffer), name, data);
+    centralParts.push(new Uint8Array(central.buffer), name);
+    offset += 30 + name.length + data.length;
+  });
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054B50, true);
+  end.setUint16(8, Object.keys(files).length, true);
+  end.setUint16(10, Object.keys(files).length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+  const archive = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let position = 0;
+  parts.forEach(part => {
+    archive.set(part, position);
+    position += part.length;
+  });
+  return archive;
+}
+
+/**
+ * Describe the search and filters behind an export, for report headers
+ */
+function describeExportContext(rows, scope) {
+  const query = document.getElementById('geneSearch').value.trim();
+  const filters = FACET_FIELDS
+    .filter(({ field }) => state.activeFacets[field] && state.activeFacets[field].size)
+    .map(({ field }) => `${getFieldLabel(field)}: ${[...state.activeFacets[field]].join(state.facetModes[field] === 'AND' ? ' AND ' : ' OR ')}`);
+  return {
+    generated: formatDateTime(new Date()),
+    scope: t('report.scope', { count: rows.length, scope: t(`export.scope.${scope}`) }),
+    query: query || t('report.none'),
+    filters: filters.length ? filters.join('; ') : t('report.none')
+  };
+}
+
+function buildMarkdownReport(rows, scope) {
+  const context = describeExportContext(rows, scope);
+  const escapeCell = (value) => String(value || '-').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+
+  const lines = [
+    `# ${t('report.title')}`,
+    '',
+    `- **${t('report.generated')}:** ${context.generated}`,
+    `- **${t('report.entries')}:** ${context.scope}`,
+    `- **${t('report.search')}:** ${context.query}`,
+    `- **${t('report.filters')}:** ${context.filters}`,
+    ''
+  ];
+  rows.forEach(row => {
+    lines.push(`## ${row.gene_name} (${getGeneSymbol(row)})`, '', `| ${t('report.field')} | ${t('report.value')} |`, '| --- | --- |');
+    RECORD_FIELDS.forEach(({ field }) => lines.push(`| ${getFieldLabel(field)} | ${escapeCell(row[field])} |`));
+    lines.push('');
+  });
+  return lines.join('\n');
+}
+
+/**
+ * Stylesheet of the printable report. The report window inherits the
+ * page's Content-Security-Policy, which allows this block by its hash:
+ * update the hash in index.html whenever it changes.
+ */
+export const HTML_REPORT_STYLES = `
+    body { font-family: 'Inter', -apple-system, 'Segoe UI', Roboto, sans-serif; color: #1a202c; margin: 2rem; font-size: 12px; }
+    h1 { color: #1a365d; font-size: 1.5rem; margin-bottom: 0.5rem; }
+    h2 { color: #1a365d; font-size: 1.1rem; margin: 0 0 0.5rem; }
+    h2 small { color: #718096; font-weight: 400; font-size: 0.8rem; }
+    .meta { color: #4a5568; margin-bottom: 1.5rem; }
+    .meta dt { font-weight: 600; float: left; clear: left; width: 6rem; }
+    .meta dd { margin-left: 6rem; }
+    section { break-inside: avoid; margin-bottom: 1.5rem; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { border: 1px solid #e2e8f0; padding: 0.3rem 0.5rem; text-align: left; vertical-align: top; }
+    th { background: #f7fafc; width: 12rem; }
+  `;
+
+export function buildHtmlReport(rows, scope) {
+  const context = describeExportContext(rows, scope);
+
+  return `<!DOCTYPE html>
+${html`<html lang="${state.locale}">
+<head>
+  <meta charset="UTF-8" />
+  <title>${t('report.title')}</title>
+  <style>`}${HTML_REPORT_STYLES}</style>
+</head>
+${html`<body>
+  <h1>${t('report.title')}</h1>
+  <dl class="meta">
+    <dt>${t('report.generated')}</dt><dd>${context.generated}</dd>
+    <dt>${t('report.entries')}</dt><dd>${context.scope}</dd>
+    <dt>${t('report.search')}</dt><dd>${context.query}</dd>
+    <dt>${t('report.filters')}</dt><dd>${context.filters}</dd>
+  </dl>
+  ${rows.map(row => html`
+    <section>
+      <h2>${row.gene_name} <small>${getGeneSymbol(row)} &middot; ${row.variant}</small></h2>
+      <table>
+        ${RECORD_FIELDS.map(({ field }) => html`<tr><th>${getFieldLabel(field)}</th><td>${row[field] || '-'}</td></tr>`)}
+      </table>
+    </section>
+  `)}
+</body>`}
+</html>`;
+}
+
+/**
+ * Open the HTML report in a new tab and print it; download it if pop-ups
+ * are blocked
+ */
+export function openPrintableReport(report, filename) {
+  const reportWindow = window.open('', '_blank');
+  if (!reportWindow) {
+    downloadFile(report, filename, EXPORT_FORMATS.html.mimeType);
+    return;
+  }
+  reportWindow.document.open();
+  reportWindow.document.write(report);
+  reportWindow.document.close();
+  reportWindow.focus();
+  reportWindow.print();
+}
@@ -0,0 +1,114 @@
+/**
+ * Facet panel: selecting and clearing facet values.
+ */
+
+import { state } from './state.js';
+import { html, setHtml } from './html.js';
+import { FACET_FIELDS, getFieldLabel } from './schema.js';
+import { formatNumber, t } from './i18n.js';
+import { performSearch } from './results.js';
+import { countFacetValues } from './search.js';
+import { syncStatisticsSelection } from './statistics.js';
+
+// ============================================
+// Faceted Filtering
+// ============================================
+
+const FACET_COLLAPSED_LIMIT = 8;
+
+/**
+ * Check whether any facet value is selected
+ */
+export function hasActiveFacets() {
+  return Object.values(state.activeFacets).some(values => values.size > 0);
+}
+
+/**
+ * Select or deselect a single facet value and refresh the results
+ */
+export function toggleFacetValue(field, value) {
+  if (!state.activeFacets[field]) state.activeFacets[field] = new Set();
+  const selected = state.activeFacets[field];
+  if (selected.has(value)) {
+    selected.delete(value);
+  } else {
+    selected.add(value);
+  }
+  performSearch();
+}
+
+/**
+ * Remove all facet selections
+ */
+export function clearFacets() {
+  state.activeFacets = {};
+  state.facetModes = {};
+  state.expandedFacets = new Set();
+}
+
+/**
+ * Render the facet panel with per-value counts for the given rows
+ */
+export function renderFacetPanel(rows) {
+  const panel = document.getElementById('facetPanel');
+  if (!panel) return;
+
+  const groups = FACET_FIELDS.map(facet => {
+    const selected = state.activeFacets[facet.field] || new Set();
+    const counts = countFacetValues(rows, facet);
+    // Selected values stay visible even when the current search excludes them
+    selected.forEach(v => { if (!counts.has(v)) counts.set(v, 0); });
+
+    const entries = [...counts.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+    const expanded = state.expandedFacets.has(facet.field);
+    const visible = expanded ? entries : entries.filter(([value], i) => i < FACET_COLLAPSED_LIMIT || selected.has(value));
+    const mode = state.facetModes[facet.field] || 'OR';
+
+    return html`
+      <fieldset class="facet-group">
+        <legend><i class="fas ${facet.icon}"></i> ${getFieldLabel(facet.field)}</legend>
+        ${facet.multiValued ? html`
+          <div class="facet-mode-toggle">
+            <label><input type="radio" class="facet-mode" name="mode-${facet.field}" data-field="${facet.field}" value="OR" ${mode === 'OR' ? 'checked' : ''} /> ${t('facets.any')}</label>
+            <label><input type="radio" class="facet-mode" name="mode-${facet.field}" data-field="${facet.field}" value="AND" ${mode === 'AND' ? 'checked' : ''} /> ${t('facets.all')}</label>
+          </div>
+        ` : ''}
+        <ul class="facet-options">
+          ${visible.map(([value, count]) => {
+            const isSelected = selected.has(value);
+            return html`
+              <li class="facet-option ${count === 0 && !isSelected ? 'empty' : ''}">
+                <label>
+                  <input type="checkbox" data-field="${facet.field}" value="${value}" ${isSelected ? 'checked' : ''} />
+                  <span class="facet-value">${value === facet.missingValue ? t('facets.notRecorded') : value}</span>
+                  <span class="facet-count">${formatNumber(count)}</span>
+                </label>
+              </li>
+            `;
+          })}
+        </ul>
+        ${entries.length > FACET_COLLAPSED_LIMIT
+          ? html`<button class="facet-more" data-field="${facet.field}">${expanded ? t('facets.showFewer') : t('facets.showAll', { count: entries.length })}</button>`
+          : ''}
+      </fieldset>
+    `;
+  });
+
+  setHtml(panel, html`
+    <div class="facet-panel-header">
+      <span class="filter-label"><i class="fas fa-filter"></i> ${t('facets.refineBy')}</span>
+      ${hasActiveFacets() ? html`<button class="facet-reset"><i class="fas fa-times"></i> ${t('facets.reset')}</button>` : ''}
+    </div>
+    <div class="facet-groups">
+      ${groups}
+    </div>
+  `);
+
+  document.querySelectorAll('.filter-chip').forEach(chip => {
+    const teSelected = state.activeFacets.te_relevance;
+    const active = Boolean(teSelected && teSelected.has(chip.dataset.filter));
+    chip.classList.toggle('active', active);
+    chip.setAttribute('aria-pressed', active);
+  });
+  syncStatisticsSelection();
+}
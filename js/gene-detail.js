@@ -0,0 +1,180 @@
+/**
+ * Gene detail view and hash routing.
+ */
+
+import { state } from './state.js';
+import { html, setHtml } from './html.js';
+import { RECORD_FIELDS, getFieldLabel } from './schema.js';
+import { findRecordByKey, getGeneRouteKey, getGeneSymbol } from './records.js';
+import { TOOL_INPUT_IDS, showTool } from './tools.js';
+import { updateUrl } from './url-state.js';
+import { renderLocalBadge, renderLocalHistory } from './local-entries.js';
+import { getEvidenceBadge, renderCitationLinks } from './citations.js';
+import { hideComparison, renderPinButton, showComparisonRoute } from './comparison.js';
+import { getSeverityBadge, getTEBadge, showError } from './render.js';
+import { focusHeading } from './a11y.js';
+import { focusResults } from './results.js';
+import { t } from './i18n.js';
+
+// ============================================
+// Gene Detail View
+// ============================================
+
+const SIMILAR_ENTRY_FIELDS = ['cell_type', 'growth_factors', 'biomaterial_suggestion'];
+const SIMILAR_ENTRY_LIMIT = 8;
+
+/**
+ * Show the view matching location.hash
+ */
+export function handleRoute() {
+  const comparison = location.hash.match(/^#compare\/(.+)$/);
+  if (comparison) {
+    hideGeneDetail();
+    showComparisonRoute(comparison[1]);
+    return;
+  }
+  hideComparison();
+
+  const match = location.hash.match(/^#gene\/(.+)$/);
+  if (!match) {
+    hideGeneDetail();
+    return;
+  }
+  const row = findRecordByKey(decodeURIComponent(match[1]));
+  if (row) {
+    renderGeneDetail(row);
+    focusHeading(document.getElementById('geneDetailTitle'));
+  } else if (state.databaseData.length) {
+    hideGeneDetail();
+    showError(t('geneDetail.notFound', { key: decodeURIComponent(match[1]) }));
+  }
+}
+
+/**
+ * Navigate to a record's detail route
+ */
+export function openGeneDetail(row) {
+  if (!row) return;
+  location.hash = `gene/${encodeURIComponent(getGeneRouteKey(row))}`;
+}
+
+/**
+ * Leave the detail route and return to the results table
+ */
+export function closeGeneDetail() {
+  history.pushState('', document.title, location.pathname + location.search);
+  hideGeneDetail();
+}
+
+function hideGeneDetail() {
+  const detail = document.getElementById('geneDetail');
+  if (detail.hidden) return;
+  const hadFocus = detail.contains(document.activeElement);
+  detail.hidden = true;
+  document.getElementById('resultsContainer').hidden = false;
+  if (hadFocus) focusResults();
+}
+
+/**
+ * Records sharing a cell type, growth factor or biomaterial with row,
+ * most shared values first
+ */
+function findSimilarEntries(row) {
+  const tokens = (r, field) => (r[field] || '').split(';').map(v => v.trim()).filter(Boolean);
+
+  return state.databaseData
+    .filter(other => other !== row)
+    .map(other => {
+      const shared = [];
+      SIMILAR_ENTRY_FIELDS.forEach(field => {
+        const own = tokens(row, field);
+        tokens(other, field).forEach(v => { if (own.includes(v)) shared.push(v); });
+      });
+      return { row: other, shared };
+    })
+    .filter(entry => entry.shared.length > 0)
+    .sort((a, b) => b.shared.length - a.shared.length)
+    .slice(0, SIMILAR_ENTRY_LIMIT);
+}
+
+/**
+ * Render the full, untruncated record with tool links and similar entries
+ */
+export function renderGeneDetail(row) {
+  const symbol = getGeneSymbol(row);
+  const similar = findSimilarEntries(row);
+
+  document.getElementById('toolContent').hidden = true;
+  document.getElementById('resultsContainer').hidden = true;
+  document.getElementById('geneDetail').hidden = false;
+  state.activeTool = null;
+  document.getElementById('geneDetailTitle').textContent = `${row.gene_name} (${symbol})`;
+
+  setHtml(document.getElementById('geneDetailBody'), html`
+    <div class="gene-detail-summary fade-in">
+      <span class="gene-symbol">${symbol}</span>
+      <span class="gene-variant">${row.variant || '-'}</span>
+      ${getTEBadge(row.te_relevance)}
+      ${renderLocalBadge(row)}
+      ${renderPinButton(state.databaseData.indexOf(row), true)}
+      <button type="button" class="action-btn secondary" data-edit-record="${state.databaseData.indexOf(row)}"><i class="fas fa-pen"></i> ${t('geneDetail.edit')}</button>
+    </div>
+    <dl class="detail-grid">
+      ${RECORD_FIELDS.map(({ field, icon }) => {
+        const isSeverity = ['oxidative_stress', 'angiogenesis', 'neural_survival'].includes(field);
+        const value = field === 'te_relevance' ? getTEBadge(row[field])
+          : isSeverity ? getSeverityBadge(row[field])
+            : field === 'evidence_level' ? getEvidenceBadge(row[field])
+              : field === 'pmids' || field === 'dois' ? renderCitationLinks(field, row[field])
+                : (row[field] || '-');
+        return html`
+          <div class="detail-item">
+            <dt><i class="fas ${icon}"></i> ${getFieldLabel(field)}</dt>
+            <dd>${value}</dd>
+          </div>
+        `;
+      })}
+    </dl>
+    ${!(row.pmids || row.dois) && html`
+      <p class="hint evidence-missing"><i class="fas fa-exclamation-circle"></i> ${t('geneDetail.noEvidence')}</p>
+    `}
+    <div class="detail-section">
+      <h4><i class="fas fa-tools"></i> ${t('geneDetail.lookUp', { gene: symbol })}</h4>
+      <div class="tool-actions">
+        <button class="action-btn" data-tool="uniprot" data-input="gene:${symbol} AND organism_id:9606"><i class="fas fa-database"></i> UniProt</button>
+        <button class="action-btn" data-tool="kegg" data-input="${symbol}"><i class="fas fa-project-diagram"></i> KEGG</button>
+        <button class="action-btn" data-tool="chembl" data-input="${symbol}"><i class="fas fa-flask"></i> ChEMBL</button>
+      </div>
+    </div>
+    <div class="detail-section">
+      <h4><i class="fas fa-project-diagram"></i> ${t('geneDetail.similar')}</h4>
+      ${similar.length === 0 ? html`
+        <p class="hint">${t('geneDetail.noSimilar')}</p>
+      ` : html`
+        <ul class="similar-list">
+          ${similar.map(({ row: other, shared }) => html`
+            <li>
+              <button class="similar-link" data-record="${state.databaseData.indexOf(other)}">${other.gene_name}</button>
+              <span class="similar-shared">${shared.map(v => html`<span class="feature-tag">${v}</span>`)}</span>
+            </li>
+          `)}
+        </ul>
+      `}
+    </div>
+    ${renderLocalHistory(row)}
+  `);
+  document.getElementById('geneDetail').scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+/**
+ * Open a lookup tool with its input pre-filled
+ */
+export function openToolWithInput(toolName, value) {
+  showTool(toolName);
+  const input = document.getElementById(TOOL_INPUT_IDS[toolName]);
+  if (input) {
+    input.value = value;
+    input.focus();
+    updateUrl(true);
+  }
+}
@@ -0,0 +1,99 @@
+/**
+ * Safe HTML rendering. Markup is only ever built with the html`` tag,
+ * which escapes every interpolated value unless it is itself html``
+ * output, and only written to the page with setHtml.
+ */
+
+class SafeHtml {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+/**
+ * Escape text for HTML element content and quoted attribute values
+ */
+export function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function renderValue(value) {
+  if (value instanceof SafeHtml) return value.value;
+  if (Array.isArray(value)) return value.map(renderValue).join('');
+  if (value === undefined || value === null || value === false) return '';
+  return escapeHtml(value);
+}
+
+/**
+ * Tagged template: html`<td>${record.gene_name}</td>`. Strings and numbers
+ * are escaped, arrays are concatenated, and null/undefined/false render
+ * nothing, so `${cond && html`...`}` works.
+ */
+export function html(strings, ...values) {
+  return new SafeHtml(strings.reduce((out, string, i) => out + renderValue(values[i - 1]) + string));
+}
+
+/**
+ * Join values with a separator that may itself be markup (html`<br>`)
+ */
+export function joinHtml(values, separator) {
+  return new SafeHtml(values.map(renderValue).join(renderValue(separator)));
+}
+
+export function isSafeHtml(value) {
+  return value instanceof SafeHtml;
+}
+
+const SAFE_URL_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+/**
+ * URL for an href/src attribute: http(s), mailto, fragment and relative
+ * URLs pass, anything else (javascript:, data:, ...) becomes "#". The scheme
+ * is read by the URL parser, which ignores the tabs, newlines and control
+ * characters a regular expression would trip over ("java\tscript:").
+ */
+export function safeUrl(url) {
+  const text = String(url === undefined || url === null ? '' : url).trim();
+  if (!text) return '';
+  try {
+    return SAFE_URL_PROTOCOLS.includes(new URL(text, location.href).protocol) ? text : '#';
+  } catch (error) {
+    return '#';
+  }
+}
+
+/**
+ * Replace an element's content. Plain strings are inserted as text. Inline
+ * styles are not allowed by the Content-Security-Policy, so computed
+ * styles (bar widths, colours) are written as data-style and applied here.
+ */
+export function setHtml(element, content) {
+  element.innerHTML = renderValue(content);
+  applyDataStyles(element);
+}
+
+/**
+ * Parse html`` output into nodes, for append() or replaceWith()
+ */
+export function toFragment(content) {
+  const template = document.createElement('template');
+  template.innerHTML = renderValue(content);
+  applyDataStyles(template.content);
+  return template.content;
+}
+
+function applyDataStyles(root) {
+  root.querySelectorAll('[data-style]').forEach(node => {
+    node.style.cssText = node.dataset.style;
+    node.removeAttribute('data-style');
+  });
+}
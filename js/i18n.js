@@ -0,0 +1,149 @@
+/**
+ * Interface translation: message catalogs, the language switcher and
+ * locale-aware number and date formatting.
+ */
+
+import { state } from './state.js';
+import { html, setHtml } from './html.js';
+import { en } from './locales/en.js';
+import { es } from './locales/es.js';
+import { de } from './locales/de.js';
+import { zh } from './locales/zh.js';
+
+// ============================================
+// Locales & Message Lookup
+// ============================================
+
+// Interface languages, each named in its own language in the switcher.
+// en is the reference catalog: every other catalog has the same keys
+// (checked by tests/i18n.test.js) and missing messages fall back to it.
+export const LOCALES = {
+  en: { name: 'English', messages: en },
+  es: { name: 'Español', messages: es },
+  de: { name: 'Deutsch', messages: de },
+  zh: { name: '中文', messages: zh }
+};
+
+export const DEFAULT_LOCALE = 'en';
+const LOCALE_KEY = 'teAlzheimersDb.locale';
+
+// Attributes translated from data-i18n-<attribute> in index.html
+const TRANSLATED_ATTRIBUTES = ['title', 'placeholder', 'aria-label', 'alt'];
+
+/**
+ * Saved interface language, else the first of the browser's languages
+ * that has a catalog, else English
+ */
+export function loadLocale() {
+  try {
+    const saved = localStorage.getItem(LOCALE_KEY);
+    if (LOCALES[saved]) return saved;
+  } catch (error) {
+    console.warn('Ignoring saved language:', error);
+  }
+  const preferred = (navigator.languages || [navigator.language])
+    .map(tag => String(tag || '').split('-')[0].toLowerCase())
+    .find(language => LOCALES[language]);
+  return preferred || DEFAULT_LOCALE;
+}
+
+/**
+ * Switch the interface language, remember it and translate the static page.
+ * Views rendered from script are refreshed by the caller (see main.js).
+ */
+export function setLocale(locale) {
+  state.locale = LOCALES[locale] ? locale : DEFAULT_LOCALE;
+  try {
+    localStorage.setItem(LOCALE_KEY, state.locale);
+  } catch (error) {
+    console.warn('Could not save language:', error);
+  }
+  translatePage();
+}
+
+/**
+ * Message for key in the current language with {name} placeholders filled
+ * from params. Plural messages are { one, other, ... } objects chosen by
+ * params.count; numbers are formatted for the locale.
+ */
+export function t(key, params = {}) {
+  const message = LOCALES[state.locale].messages[key] ?? en[key];
+  if (message === undefined) {
+    console.warn(`Missing message "${key}"`);
+    return key;
+  }
+  const text = typeof message === 'string'
+    ? message
+    : message[new Intl.PluralRules(state.locale).select(params.count)] ?? message.other;
+  return text.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    if (!(name in params)) return placeholder;
+    return typeof params[name] === 'number' ? formatNumber(params[name]) : String(params[name]);
+  });
+}
+
+export function hasMessage(key) {
+  return key in en;
+}
+
+/**
+ * A message in every language, e.g. to recognise translated column
+ * headers in imported files
+ */
+export function getAllTranslations(key) {
+  return Object.values(LOCALES).map(({ messages }) => messages[key] ?? en[key]).filter(Boolean);
+}
+
+// ============================================
+// Number & Date Formatting
+// ============================================
+
+export function formatNumber(value, options = {}) {
+  return new Intl.NumberFormat(state.locale, options).format(value);
+}
+
+export function formatDate(date, options = { dateStyle: 'medium' }) {
+  return new Intl.DateTimeFormat(state.locale, options).format(date);
+}
+
+export function formatDateTime(date) {
+  return formatDate(date, { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+/**
+ * Date for file names: the locale's day, month and year order joined with
+ * dashes, as separators such as "/" cannot appear in file names
+ */
+export function formatFileDate(date = new Date()) {
+  return new Intl.DateTimeFormat(state.locale, { year: 'numeric', month: '2-digit', day: '2-digit' })
+    .formatToParts(date)
+    .filter(part => part.type !== 'literal')
+    .map(part => part.value)
+    .join('-');
+}
+
+// ============================================
+// Static Page & Language Switcher
+// ============================================
+
+/**
+ * Translate the elements of index.html marked with data-i18n (text) and
+ * data-i18n-<attribute>
+ */
+export function translatePage(root = document) {
+  document.documentElement.lang = state.locale;
+  document.title = t('app.title');
+  root.querySelectorAll('[data-i18n]').forEach(element => {
+    element.textContent = t(element.dataset.i18n);
+  });
+  TRANSLATED_ATTRIBUTES.forEach(attribute => {
+    root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+      element.setAttribute(attribute, t(element.getAttribute(`data-i18n-${attribute}`)));
+    });
+  });
+}
+
+export function renderLanguageSwitcher() {
+  setHtml(document.getElementById('languageSelect'), Object.entries(LOCALES).map(([locale, { name }]) => html`
+    <option value="${locale}" lang="${locale}" ${locale === state.locale ? 'selected' : ''}>${name}</option>
+  `));
+}
@@ -0,0 +1,559 @@
+/**
+ * Local entries and edits stored in IndexedDB, and CSV/JSON import.
+ */
+
+import { state } from './state.js';
+import { DATASET_SCHEMA, LIST_FIELDS, RECORD_FIELDS, getFieldLabel, getShortFieldLabel } from './schema.js';
+import { html, setHtml } from './html.js';
+import { getGeneRouteKey, getRecordKey } from './records.js';
+import { validateRecord } from './validation.js';
+import { removeFormulaGuard } from './export.js';
+import { getPageSize } from './table-config.js';
+import { closeTool, openToolPanel } from './tools.js';
+import { notify, setFieldError } from './a11y.js';
+import { hasActiveFacets, renderFacetPanel } from './facets.js';
+import { displayResults, performSearch } from './results.js';
+import { computeStatistics, renderStatistics } from './statistics.js';
+import { closeGeneDetail, openGeneDetail, renderGeneDetail } from './gene-detail.js';
+import { renderComparisonTray } from './comparison.js';
+import { formatDateTime, getAllTranslations, t } from './i18n.js';
+
+// ============================================
+// Local Entries
+// ============================================
+
+//
+// Entries added, edited or imported in this browser are stored in
+// IndexedDB and layered over the shipped dataset: an edited shipped
+// record is replaced in place (matched by its original gene and variant),
+// new entries are appended. Every stored entry keeps all of its versions.
+
+const LOCAL_DB_NAME = 'teAlzheimersDb';
+const LOCAL_DB_VERSION = 1;
+const LOCAL_STORE = 'localEntries';
+
+// Stored entries: { id, baseKey, history: [{ record, action, savedAt }] },
+// the last version being the current one. Actions (shipped, created,
+// edited, imported, reverted) are named by local.action.<action>.
+let localEntries = [];
+let localDbPromise = null;
+
+// Record open in the entry form (null when adding) and the parsed import
+// awaiting confirmation
+let entryFormRow = null;
+let pendingImport = null;
+
+function openLocalDb() {
+  if (!localDbPromise) {
+    localDbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('IndexedDB is not available in this browser'));
+        return;
+      }
+      const request = indexedDB.open(LOCAL_DB_NAME, LOCAL_DB_VERSION);
+      request.onupgradeneeded = () => request.result.createObjectStore(LOCAL_STORE, { keyPath: 'id' });
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return localDbPromise;
+}
+
+/**
+ * Run one request against the local store
+ */
+async function localStoreRequest(mode, makeRequest) {
+  const db = await openLocalDb();
+  return new Promise((resolve, reject) => {
+    const request = makeRequest(db.transaction(LOCAL_STORE, mode).objectStore(LOCAL_STORE));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Read stored entries and layer them over the shipped data. Without
+ * IndexedDB the shipped data is used alone.
+ */
+export async function loadLocalEntries() {
+  try {
+    localEntries = await localStoreRequest('readonly', store => store.getAll());
+  } catch (error) {
+    console.warn('Local entries unavailable:', error);
+    localEntries = [];
+  }
+  applyLocalEntries();
+}
+
+async function saveLocalEntries(entries) {
+  for (const entry of entries) {
+    await localStoreRequest('readwrite', store => store.put(entry));
+  }
+}
+
+/**
+ * Shipped records with local versions in place of the ones they edit,
+ * followed by new local records
+ */
+function mergeLocalEntries(shipped, entries) {
+  const byBaseKey = new Map(entries.filter(entry => entry.baseKey).map(entry => [entry.baseKey, entry]));
+  const entryByRow = new Map();
+  const current = (entry) => entry.history[entry.history.length - 1].record;
+
+  const rows = shipped.map(row => {
+    const entry = byBaseKey.get(getRecordKey(row));
+    if (!entry) return row;
+    const local = { ...current(entry) };
+    entryByRow.set(local, entry);
+    return local;
+  });
+  entries.filter(entry => !entry.baseKey).forEach(entry => {
+    const local = { ...current(entry) };
+    entryByRow.set(local, entry);
+    rows.push(local);
+  });
+  return { rows, entryByRow };
+}
+
+/**
+ * Rebuild databaseData from the shipped data and local entries and
+ * refresh everything derived from it
+ */
+function applyLocalEntries() {
+  const { rows, entryByRow } = mergeLocalEntries(state.shippedData, localEntries);
+  state.databaseData = rows;
+  state.localEntryByRow = entryByRow;
+
+  // Row indices past the shipped data can change, so drop those selections
+  state.selectedRecords = new Set([...state.selectedRecords].filter(index => index < state.shippedData.length));
+  state.pinnedRecords = state.pinnedRecords.filter(index => index < state.shippedData.length);
+  renderComparisonTray();
+
+  renderStatistics(computeStatistics(state.databaseData));
+  if (state.filteredData.length || hasActiveFacets() || document.getElementById('geneSearch').value.trim()) {
+    const page = state.currentPage;
+    performSearch();
+    state.currentPage = Math.min(page, Math.max(1, Math.ceil(state.filteredData.length / getPageSize())));
+    if (state.filteredData.length) displayResults();
+  } else {
+    renderFacetPanel(state.databaseData);
+  }
+}
+
+export function renderLocalBadge(row) {
+  const entry = state.localEntryByRow.get(row);
+  if (!entry) return '';
+  return entry.baseKey
+    ? html`<span class="local-badge" title="${t('local.editedHint')}">${t('local.edited')}</span>`
+    : html`<span class="local-badge" title="${t('local.addedHint')}">${t('local.added')}</span>`;
+}
+
+/**
+ * Version list with revert buttons, shown in the detail view of local records
+ */
+export function renderLocalHistory(row) {
+  const entry = state.localEntryByRow.get(row);
+  if (!entry) return '';
+  const recordIndex = state.databaseData.indexOf(row);
+  const latest = entry.history.length - 1;
+
+  return html`
+    <div class="detail-section">
+      <h4><i class="fas fa-history"></i> ${t('local.history')}</h4>
+      <p class="hint">${t(entry.baseKey ? 'local.storedEdit' : 'local.storedEntry')}</p>
+      <ol class="local-history">
+        ${entry.history.map((version, i) => {
+          const previous = i > 0 ? entry.history[i - 1].record : null;
+          const changed = previous ? RECORD_FIELDS.filter(({ field }) => previous[field] !== version.record[field]) : [];
+          return html`
+            <li>
+              <strong>${t(`local.action.${version.action}`)}</strong>
+              <span class="hint">${version.savedAt ? formatDateTime(new Date(version.savedAt)) : ''}</span>
+              ${changed.length > 0 && html`<span class="hint">&middot; ${changed.map(f => getFieldLabel(f.field)).join(', ')}</span>`}
+              ${i === latest ? html`<span class="feature-tag">${t('local.current')}</span>`
+                : html`<button type="button" class="facet-reset" data-revert-version="${recordIndex}:${i}">${t('local.revert')}</button>`}
+            </li>
+          `;
+        }).reverse()}
+      </ol>
+      <button type="button" class="action-btn secondary" data-discard-record="${recordIndex}">
+        <i class="fas fa-trash-alt"></i> ${t(entry.baseKey ? 'local.discard' : 'local.delete')}
+      </button>
+    </div>
+  `;
+}
+
+/**
+ * Store a new version of a record. Edits of shipped records start a
+ * history whose first version is the shipped one.
+ */
+function addRecordVersion(row, record, action) {
+  const savedAt = new Date().toISOString();
+  const entry = row && state.localEntryByRow.get(row);
+  if (entry) {
+    entry.history.push({ record, action, savedAt });
+    return entry;
+  }
+  if (row) {
+    const base = { ...row };
+    return {
+      id: `edit:${getRecordKey(base)}`,
+      baseKey: getRecordKey(base),
+      history: [{ record: base, action: 'shipped', savedAt: null }, { record, action, savedAt }]
+    };
+  }
+  return {
+    id: `local:${Date.now().toString(36)}:${Math.random().toString(36).slice(2, 8)}`,
+    baseKey: null,
+    history: [{ record, action, savedAt }]
+  };
+}
+
+/**
+ * Save entries, re-layer the data and show the given record
+ */
+async function commitLocalEntries(entries, showKey) {
+  try {
+    await saveLocalEntries(entries);
+  } catch (error) {
+    console.error('Saving local entries failed:', error);
+    notify(t('local.saveFailed'), 'error');
+    return false;
+  }
+  entries.forEach(entry => {
+    if (!localEntries.includes(entry)) localEntries.push(entry);
+  });
+  applyLocalEntries();
+  const row = showKey && state.databaseData.find(r => getRecordKey(r) === showKey);
+  if (row) {
+    if (!document.getElementById('toolContent').hidden) closeTool();
+    // Re-render directly when the route is unchanged, as no hashchange follows
+    if (location.hash === `#gene/${encodeURIComponent(getGeneRouteKey(row))}`) {
+      renderGeneDetail(row);
+    } else {
+      openGeneDetail(row);
+    }
+  }
+  return true;
+}
+
+export async function revertLocalEntry(row, version) {
+  const entry = state.localEntryByRow.get(row);
+  if (!entry || !entry.history[version]) return;
+  entry.history.push({ record: { ...entry.history[version].record }, action: 'reverted', savedAt: new Date().toISOString() });
+  await commitLocalEntries([entry], getRecordKey(entry.history[version].record));
+}
+
+export async function discardLocalEntry(row) {
+  const entry = state.localEntryByRow.get(row);
+  if (!entry) return;
+  if (!confirm(t(entry.baseKey ? 'local.confirmDiscard' : 'local.confirmDelete', { gene: row.gene_name }))) return;
+  try {
+    await localStoreRequest('readwrite', store => store.delete(entry.id));
+  } catch (error) {
+    console.error('Deleting local entry failed:', error);
+    notify(t('local.updateFailed'), 'error');
+    return;
+  }
+  localEntries = localEntries.filter(other => other !== entry);
+  applyLocalEntries();
+  if (entry.baseKey) {
+    const shipped = state.databaseData.find(r => getRecordKey(r) === entry.baseKey);
+    renderGeneDetail(shipped);
+  } else {
+    closeGeneDetail();
+  }
+}
+
+/**
+ * Another record with the same gene and variant, if any
+ */
+function findDuplicateRecord(record, ignoreRow) {
+  const key = getRecordKey(record);
+  return state.databaseData.find(row => row !== ignoreRow && getRecordKey(row) === key);
+}
+
+/**
+ * Add/edit form for one record, shown in the tool panel
+ */
+export function showEntryForm(row = null) {
+  entryFormRow = row;
+  const values = row || {};
+  const input = ({ field }) => {
+    const allowed = DATASET_SCHEMA.enums[field];
+    const required = DATASET_SCHEMA.required.includes(field);
+    const control = allowed
+      ? html`<select id="entry_${field}" data-entry-field="${field}" aria-required="${String(required)}">
+          <option value="">${t('entry.choose')}</option>
+          ${allowed.map(value => html`<option ${values[field] === value ? 'selected' : ''}>${value}</option>`)}
+        </select>`
+      : html`<input type="text" id="entry_${field}" data-entry-field="${field}" value="${values[field] || ''}" aria-required="${String(required)}"
+          placeholder="${LIST_FIELDS.includes(field) ? t('entry.listPlaceholder')
+            : DATASET_SCHEMA.formats[field] ? t('entry.examplePlaceholder', { example: DATASET_SCHEMA.formats[field].example }) : ''}" />`;
+    // The error sits outside the label so it is not read as part of the field name
+    return html`
+      <div class="entry-field">
+        <label for="entry_${field}">${getFieldLabel(field)}${required ? ' *' : ''}</label>
+        ${control}
+        <span class="field-error" id="entry_${field}_error"></span>
+      </div>
+    `;
+  };
+
+  openToolPanel(row ? t('entry.editTitle', { gene: row.gene_name }) : t('entry.addTitle'), html`
+    <form class="tool-form" id="entryForm" novalidate>
+      <p class="sequence-info">
+        ${t(row && !state.localEntryByRow.has(row) ? 'entry.editHint' : 'entry.addHint')}
+      </p>
+      <div id="entryFormErrors"></div>
+      <div class="settings-grid entry-grid">${RECORD_FIELDS.map(input)}</div>
+      <div class="tool-actions">
+        <button type="submit" class="action-btn"><i class="fas fa-save"></i> ${t('entry.save')}</button>
+        <button type="button" class="action-btn secondary" data-action="closeTool"><i class="fas fa-times"></i> ${t('entry.cancel')}</button>
+      </div>
+    </form>
+  `);
+  document.getElementById('entryForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+    saveEntryForm();
+  });
+  state.activeTool = null;
+  document.getElementById('entry_gene_name').focus();
+}
+
+/**
+ * Validate the form against the dataset schema and store the record
+ */
+async function saveEntryForm() {
+  const raw = {};
+  document.querySelectorAll('[data-entry-field]').forEach(input => {
+    raw[input.dataset.entryField] = input.value;
+  });
+  const { record, errors, fieldErrors } = validateRecord(raw);
+  const duplicate = !errors.length && findDuplicateRecord(record, entryFormRow);
+  if (duplicate) {
+    fieldErrors.variant = t('entry.duplicate', { gene: duplicate.gene_name, variant: duplicate.variant });
+  }
+
+  RECORD_FIELDS.forEach(({ field }) => {
+    setFieldError(document.getElementById(`entry_${field}`), fieldErrors[field]);
+  });
+  const messages = Object.values(fieldErrors);
+  setHtml(document.getElementById('entryFormErrors'), messages.length > 0 && html`
+    <div class="alert alert-error" role="alert">
+      <i class="fas fa-exclamation-circle"></i>
+      ${t('entry.fixProblems', { count: messages.length })}
+    </div>
+  `);
+  if (messages.length) {
+    const firstInvalid = RECORD_FIELDS.find(({ field }) => fieldErrors[field]);
+    document.getElementById(`entry_${firstInvalid.field}`).focus();
+    return;
+  }
+
+  const entry = addRecordVersion(entryFormRow, record, entryFormRow ? 'edited' : 'created');
+  await commitLocalEntries([entry], getRecordKey(record));
+}
+
+// ============================================
+// Import
+// ============================================
+
+/**
+ * Parse CSV (RFC 4180) or, when the header has tabs and no commas, TSV
+ */
+function parseDelimitedText(text) {
+  const firstLine = text.slice(0, text.search(/\r?\n|$/));
+  const delimiter = firstLine.includes('\t') && !firstLine.includes(',') ? '\t' : ',';
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(cell => cell.trim()));
+}
+
+/**
+ * Records from an imported file: a JSON array (or { records: [...] }) or a
+ * CSV/TSV whose header uses field names or column labels
+ */
+function parseImportFile(text, filename) {
+  const content = text.replace(/^\uFEFF/, '');
+  if (/\.json$/i.test(filename) || /^\s*[[{]/.test(content)) {
+    const data = JSON.parse(content);
+    const records = Array.isArray(data) ? data : data && data.records;
+    if (!Array.isArray(records)) throw new Error(t('import.notArray'));
+    return records;
+  }
+
+  const [header, ...rows] = parseDelimitedText(content);
+  if (!header) throw new Error(t('import.empty'));
+  const fields = header.map(name => {
+    const normalized = name.trim().toLowerCase();
+    const match = RECORD_FIELDS.find(({ field }) => field === normalized ||
+      getAllTranslations(`field.${field}`).some(label => label.toLowerCase() === normalized));
+    return match ? match.field : name.trim();
+  });
+  if (!fields.includes('gene_name')) throw new Error(t('import.noGeneColumn', { label: getFieldLabel('gene_name') }));
+  return rows.map(cells => Object.fromEntries(fields.map((field, i) => [field, cells[i] === undefined ? '' : removeFormulaGuard(cells[i])])));
+}
+
+export async function readImportFile(file) {
+  let records;
+  try {
+    records = parseImportFile(await file.text(), file.name);
+  } catch (error) {
+    notify(t('import.readFailed', { file: file.name, message: error.message }), 'error');
+    return;
+  }
+  pendingImport = { filename: file.name, items: prepareImport(records) };
+  renderImportPreview();
+}
+
+/**
+ * Validate imported records and find those that clash with an existing
+ * record (or an earlier one in the same file) on gene and variant
+ */
+function prepareImport(records) {
+  const seen = new Set();
+  return records.map((raw, index) => {
+    const { record, errors, warnings } = validateRecord(raw);
+    const item = { index, record, errors, warnings, status: 'new', resolution: 'import', existing: null };
+    if (errors.length) {
+      item.status = 'invalid';
+      item.resolution = 'skip';
+      return item;
+    }
+    const key = getRecordKey(record);
+    if (seen.has(key)) {
+      item.status = 'repeat';
+      item.resolution = 'skip';
+      return item;
+    }
+    seen.add(key);
+    item.existing = findDuplicateRecord(record, null) || null;
+    if (item.existing) {
+      item.status = 'conflict';
+      item.resolution = 'skip';
+    }
+    return item;
+  });
+}
+
+/**
+ * Change how one conflicting record (or, with index null, all of them)
+ * is imported: 'skip' keeps the existing record, 'replace' overwrites it
+ */
+export function setImportResolution(index, resolution) {
+  if (!pendingImport) return;
+  pendingImport.items
+    .filter(item => item.status === 'conflict' && (index === null || item.index === index))
+    .forEach(item => { item.resolution = resolution; });
+  renderImportPreview();
+}
+
+function renderImportPreview() {
+  const { filename, items } = pendingImport;
+  const count = (status) => items.filter(item => item.status === status).length;
+  const toImport = items.filter(item => item.resolution !== 'skip').length;
+  const conflicts = count('conflict');
+  const statusLabel = {
+    new: html`<span class="import-status new">${t('import.status.new')}</span>`,
+    conflict: html`<span class="import-status conflict">${t('import.status.conflict')}</span>`,
+    repeat: html`<span class="import-status invalid">${t('import.status.repeat')}</span>`,
+    invalid: html`<span class="import-status invalid">${t('import.status.invalid')}</span>`
+  };
+
+  openToolPanel(t('import.title', { file: filename }), html`
+    <div class="tool-form">
+      <p class="sequence-info">${t('import.summary', {
+        count: items.length, new: count('new'), conflicts, skipped: count('invalid') + count('repeat')
+      })}</p>
+      ${conflicts > 0 && html`
+        <div class="tool-actions">
+          <span class="hint">${t('import.forExisting')}</span>
+          <button type="button" class="facet-reset" data-import-all="skip">${t('import.keepAll')}</button>
+          <button type="button" class="facet-reset" data-import-all="replace">${t('import.replaceAll')}</button>
+        </div>
+      `}
+      <div class="data-table-container">
+        <table class="data-table import-preview">
+          <thead><tr><th>#</th><th>${getShortFieldLabel('gene_name')}</th><th>${getFieldLabel('variant')}</th><th>${t('comparison.status')}</th><th>${t('import.action')}</th></tr></thead>
+          <tbody>
+            ${items.map(item => html`
+              <tr class="${item.resolution === 'skip' ? 'import-skipped' : ''}">
+                <td>${item.index + 1}</td>
+                <td>${(item.record && item.record.gene_name) || '-'}</td>
+                <td>${(item.record && item.record.variant) || '-'}</td>
+                <td>
+                  ${statusLabel[item.status]}
+                  ${item.errors.length > 0 && html`<div class="hint">${item.errors.join('; ')}</div>`}
+                  ${item.existing && html`<div class="hint">${t(state.localEntryByRow.has(item.existing) ? 'import.localDiffers' : 'import.shippedDiffers', {
+                    count: RECORD_FIELDS.filter(({ field }) => item.existing[field] !== item.record[field]).length
+                  })}</div>`}
+                </td>
+                <td>
+                  ${item.status === 'conflict' ? html`
+                    <select data-import-resolution="${item.index}" aria-label="${t('import.actionFor', { number: item.index + 1 })}">
+                      <option value="skip" ${item.resolution === 'skip' ? 'selected' : ''}>${t('import.keep')}</option>
+                      <option value="replace" ${item.resolution === 'replace' ? 'selected' : ''}>${t('import.replace')}</option>
+                    </select>
+                  ` : t(item.resolution === 'skip' ? 'import.skip' : 'import.add')}
+                </td>
+              </tr>
+            `)}
+          </tbody>
+        </table>
+      </div>
+      <div class="tool-actions">
+        <button type="button" class="action-btn" data-action="confirmImport" ${toImport ? '' : 'disabled'}>
+          <i class="fas fa-file-import"></i> ${t('import.confirm', { count: toImport })}
+        </button>
+        <button type="button" class="action-btn secondary" data-action="closeTool"><i class="fas fa-times"></i> ${t('entry.cancel')}</button>
+      </div>
+    </div>
+  `);
+  state.activeTool = null;
+}
+
+export async function confirmImport() {
+  if (!pendingImport) return;
+  const entries = pendingImport.items
+    .filter(item => item.resolution !== 'skip')
+    .map(item => addRecordVersion(item.resolution === 'replace' ? item.existing : null, item.record, 'imported'));
+  if (await commitLocalEntries(entries)) {
+    pendingImport = null;
+    closeTool();
+    notify(t('import.done', { count: entries.length }));
+  }
+}
@@ -0,0 +1,667 @@
+/**
+ * German interface messages. Keys, placeholders and plural
+ * messages follow the English catalog (locales/en.js).
+ */
+
+export const de = {
+  // Page (index.html)
+  'app.title': 'Alzheimer-Gendatenbank auf Basis des Tissue Engineering',
+  'app.subtitle': 'Genomdaten verknüpft mit Strategien der regenerativen Medizin',
+  'page.skipLink': 'Zur Datenbank springen',
+  'page.toolsAside': 'Werkzeuge und Datenbankübersicht',
+  'page.resourcesAside': 'Bilder und weiterführende Ressourcen',
+  'nav.label': 'Hauptnavigation',
+  'nav.home': 'Start',
+  'nav.database': 'Datenbank',
+  'nav.tools': 'Werkzeuge',
+  'nav.about': 'Über',
+  'language.label': 'Sprache',
+  'hero.title': 'Alzheimer-Forschung durch Tissue Engineering voranbringen',
+  'hero.text': 'Eine umfassende Datenbank, die Gene der Alzheimer-Krankheit mit Interventionen des Tissue Engineering, Gerüststrategien und regenerativen Ergebnissen verknüpft.',
+  'hero.entries': 'Geneinträge',
+  'hero.fields': 'Datenfelder',
+  'hero.categories': 'TE-Kategorien',
+  'hero.explore': 'Datenbank erkunden',
+  'toolsMenu.label': 'Bioinformatik-Werkzeuge',
+  'toolsMenu.title': 'Bioinformatik-Werkzeuge',
+  'toolsMenu.primer': 'Primerdesign',
+  'toolsMenu.translate': 'Transkription & Translation',
+  'toolsMenu.complement': 'Komplement-Werkzeug',
+  'toolsMenu.analysis': 'Sequenzanalyse',
+  'toolsMenu.recommend': 'TE-Empfehlungen',
+  'toolsMenu.network': 'Beziehungsnetzwerk',
+  'overview.title': 'Datenbankübersicht',
+  'info.title': 'Tissue Engineering bei der Alzheimer-Krankheit',
+  'info.disease': 'Die Alzheimer-Krankheit (AD) ist eine fortschreitende neurodegenerative Erkrankung, gekennzeichnet durch Amyloid-β-Ablagerungen, Tau-Hyperphosphorylierung und Neuronenverlust. Ansätze des Tissue Engineering bieten vielversprechende therapeutische Strategien durch Biomaterial-Gerüste, Stammzelltransplantation und gezielte Wirkstofffreisetzung.',
+  'info.database': 'Diese Datenbank verbindet genomische Informationen mit Interventionen des Tissue Engineering und bietet Forschenden umfassende Daten zu Genvarianten, Krankheitsmechanismen, Gerüststrategien, Zelltypen, Wachstumsfaktoren, Biomaterialien und Regenerationsergebnissen.',
+  'info.scaffolds': 'Gerüststrategien',
+  'info.cellTherapies': 'Zelltherapien',
+  'info.growthFactors': 'Freisetzung von Wachstumsfaktoren',
+  'info.biomaterials': 'Auswahl von Biomaterialien',
+  'info.learnMore': 'Mehr beim NIH National Institute on Aging',
+  'search.title': 'Datenbank durchsuchen',
+  'search.label': 'Datenbank durchsuchen',
+  'search.placeholder': 'Nach Genname, Variante, Funktion oder TE-Relevanz suchen...',
+  'search.button': 'Suchen',
+  'search.advanced': 'Erweitert:',
+  'search.quickFilters': 'Schnellfilter:',
+  'gallery.title': 'Bildmaterial',
+  'gallery.scaffold': '3D-Biomaterial-Gerüststruktur',
+  'gallery.scaffoldAlt': 'Gerüst für das Tissue Engineering',
+  'gallery.network': 'Integration neuronaler Netzwerke',
+  'gallery.networkAlt': 'Neuronales Netzwerk im Gehirn',
+  'gallery.cells': 'Neurale Stammzellen auf einem Gerüst',
+  'gallery.cellsAlt': 'Neurale Zellen auf einem Gerüst',
+  'gallery.mechanisms': 'AD-Mechanismen und TE-Lösungen',
+  'gallery.mechanismsAlt': 'AD-Mechanismen',
+  'resources.title': 'Weiterführende Ressourcen',
+  'resources.ncbiGene': 'NCBI-Gene-Datenbank',
+  'resources.uniprot': 'UniProt-Proteindatenbank',
+  'resources.pubmed': 'PubMed-Literatur',
+  'about.title': 'Über diese Datenbank',
+  'about.dataTitle': 'Umfassende Daten',
+  'about.dataText': 'Geneinträge mit ausführlichen Angaben zu Varianten, Funktionen, Krankheitsmechanismen und Anwendungen im Tissue Engineering.',
+  'about.integrationTitle': 'TE-Integration',
+  'about.integrationText': 'Verknüpft Genomdaten mit Gerüststrategien, Zelltypen, Wachstumsfaktoren und Biomaterialvorschlägen.',
+  'about.researchTitle': 'Forschungsschwerpunkt',
+  'about.researchText': 'Unterstützt Forschende bei der Entwicklung gezielter Tissue-Engineering-Interventionen gegen die Alzheimer-Krankheit.',
+  'about.openTitle': 'Offener Zugang',
+  'about.openText': 'Frei zugängliche Ressource, mit der die Wissenschaft die Alzheimer-Forschung voranbringen kann.',
+  'footer.quickLinks': 'Schnellzugriff',
+  'footer.resources': 'Ressourcen',
+  'footer.rights': 'Alzheimer-Gendatenbank auf Basis des Tissue Engineering. Alle Rechte vorbehalten.',
+  'view.back': 'Zurück zu den Ergebnissen',
+
+  // Record fields (schema.js); .short labels head the results table columns
+  'field.gene_name': 'Genname',
+  'field.gene_name.short': 'Gen',
+  'field.variant': 'Variante',
+  'field.disease': 'Erkrankung',
+  'field.function': 'Funktion',
+  'field.ad_mechanism': 'AD-Mechanismus',
+  'field.oxidative_stress': 'Oxidativer Stress',
+  'field.angiogenesis': 'Angiogenese',
+  'field.neural_survival': 'Neuronales Überleben',
+  'field.te_relevance': 'TE-Relevanz',
+  'field.scaffold_strategy': 'Gerüststrategie',
+  'field.cell_type': 'Zelltyp',
+  'field.growth_factors': 'Wachstumsfaktoren',
+  'field.biomaterial_suggestion': 'Biomaterialvorschlag',
+  'field.biomaterial_suggestion.short': 'Biomaterial',
+  'field.regeneration_outcome': 'Regenerationsergebnis',
+  'field.regeneration_outcome.short': 'Ergebnis',
+  'field.evidence_level': 'Evidenzgrad',
+  'field.evidence_level.short': 'Evidenz',
+  'field.pmids': 'PubMed-IDs',
+  'field.pmids.short': 'PMIDs',
+  'field.dois': 'DOIs',
+  'field.year': 'Jahr der Evidenz',
+  'field.year.short': 'Jahr',
+
+  // Short names of the TE categories (quick filter chips, statistics)
+  'category.neural': 'Neurales TE',
+  'category.neuroimmune': 'Neuroimmun',
+  'category.neurovascular': 'Neurovaskulär',
+  'category.metabolic': 'Metabolisches TE',
+
+  // Results table and pagination (results.js)
+  'search.invalid': 'Ungültige Suche: {message}',
+  'search.example': 'Beispiel: {query}',
+  'results.title': 'Suchergebnisse',
+  'results.rows': 'Zeilen',
+  'results.columns': 'Spalten',
+  'results.export': 'Exportieren',
+  'results.addEntry': 'Eintrag hinzufügen',
+  'results.import': 'Importieren',
+  'results.importTitle': 'Einträge aus CSV oder JSON importieren',
+  'results.clear': 'Leeren',
+  'results.emptyTitle': 'Geben Sie einen Suchbegriff ein, um die Datenbank zu erkunden',
+  'results.emptyHint': 'Suchen Sie z. B. nach „APOE“, „APP“ oder „Neural tissue engineering“',
+  'results.noResults': 'Keine Ergebnisse gefunden',
+  'results.noResultsHint': 'Versuchen Sie einen anderen Suchbegriff',
+  'results.summary': {
+    one: '{start}-{end} von {count} Ergebnis{order}',
+    other: '{start}-{end} von {count} Ergebnissen{order}'
+  },
+  'results.sortedAscending': ', sortiert nach {field} (aufsteigend)',
+  'results.sortedDescending': ', sortiert nach {field} (absteigend)',
+  'results.rankedByRelevance': ', nach Relevanz sortiert',
+  'results.sortBy': 'Nach {field} sortieren',
+  'results.viewRecord': 'Vollständigen Eintrag anzeigen',
+  'results.selectForExport': 'Für den Export auswählen',
+  'results.selectRow': '{gene} {variant} für den Export auswählen',
+  'results.selectPage': 'Alle Zeilen dieser Seite auswählen',
+  'results.matched': 'Entspricht Ihrer Suche',
+  'results.selectedCount': '{count} ausgewählt',
+  'results.clearSelection': 'Auswahl aufheben',
+  'pagination.label': 'Ergebnisseiten',
+  'pagination.page': 'Seite {page}',
+  'pagination.previous': 'Vorherige Seite',
+  'pagination.next': 'Nächste Seite',
+
+  // Facets, table settings and statistics (facets.js, table-config.js, statistics.js)
+  'facets.refineBy': 'Eingrenzen nach',
+  'facets.reset': 'Filter zurücksetzen',
+  'facets.any': 'Beliebig',
+  'facets.all': 'Alle',
+  'facets.notRecorded': 'Nicht erfasst',
+  'facets.showFewer': 'Weniger anzeigen',
+  'facets.showAll': 'Alle {count} anzeigen',
+  'table.allRows': 'Alle',
+  'table.columnsHint': 'Spalten ein-/ausblenden und anordnen',
+  'table.reset': 'Tabelle zurücksetzen',
+  'table.moveUp': '{field} nach oben',
+  'table.moveDown': '{field} nach unten',
+  'statistics.categories': {
+    one: 'TE-Kategorie ({count} Eintrag)',
+    other: 'TE-Kategorie ({count} Einträge)'
+  },
+  'statistics.barTitle': {
+    one: '{value}: {count} Eintrag ({percent})',
+    other: '{value}: {count} Einträge ({percent})'
+  },
+  'statistics.crosstab': 'Oxidativer Stress × Angiogenese',
+  'statistics.crosstabCorner': 'Oxidativer Stress nach Angiogenese',
+  'statistics.crosstabCell': {
+    one: 'Oxidativer Stress {stress}, Angiogenese {angiogenesis}: {count} Eintrag',
+    other: 'Oxidativer Stress {stress}, Angiogenese {angiogenesis}: {count} Einträge'
+  },
+  'statistics.crosstabAxis': 'Zeilen: oxidativer Stress · Spalten: Angiogenese',
+  'statistics.topGrowthFactors': 'Häufigste Wachstumsfaktoren',
+  'statistics.topBiomaterials': 'Häufigste Biomaterialien',
+
+  // Export and reports (export.js); report text is in the interface language
+  'export.xlsx': 'Excel (XLSX)',
+  'export.markdown': 'Markdown-Bericht',
+  'export.html': 'Druckbarer Bericht',
+  'export.ris': 'Zitate (RIS)',
+  'export.bibtex': 'Zitate (BibTeX)',
+  'export.citationsTitle': 'Zitate zu den exportierten Einträgen',
+  'export.scope.page': 'aktuelle Seite',
+  'export.scope.filtered': 'alle Ergebnisse',
+  'export.scope.selected': 'ausgewählte Zeilen',
+  'export.scopeOption.page': 'Aktuelle Seite ({count})',
+  'export.scopeOption.filtered': 'Alle Ergebnisse ({count})',
+  'export.scopeOption.selected': 'Ausgewählte Zeilen ({count})',
+  'export.noneSelected': 'Keine Zeilen ausgewählt. Markieren Sie zuerst Zeilen in der Ergebnistabelle.',
+  'export.noResults': 'Keine Ergebnisse zum Exportieren. Führen Sie zuerst eine Suche aus.',
+  'report.title': 'Bericht der Alzheimer-Gendatenbank auf Basis des Tissue Engineering',
+  'report.generated': 'Erstellt',
+  'report.entries': 'Einträge',
+  'report.search': 'Suche',
+  'report.filters': 'Filter',
+  'report.field': 'Feld',
+  'report.value': 'Wert',
+  'report.none': 'keine',
+  'report.scope': {
+    one: '{count} Eintrag ({scope})',
+    other: '{count} Einträge ({scope})'
+  },
+
+  'report.generatedOn': 'Erstellt am {date}',
+
+  // Comparison workspace (comparison.js)
+  'comparison.pin': 'Zum Vergleich anheften',
+  'comparison.pinned': 'Angeheftet',
+  'comparison.unpin': 'Aus dem Vergleich entfernen',
+  'comparison.unpinGene': '{gene} lösen',
+  'comparison.tooMany': 'Es können höchstens {max} Einträge verglichen werden. Lösen Sie zuerst einen.',
+  'comparison.trayLabel': 'Angeheftet ({count}/{max})',
+  'comparison.needTwo': 'Heften Sie mindestens zwei Einträge an',
+  'comparison.pinTwo': 'Heften Sie mindestens zwei Einträge an, um sie zu vergleichen.',
+  'comparison.compare': 'Vergleichen',
+  'comparison.invalidRoute': 'Ein Vergleich braucht mindestens zwei Einträge aus der Datenbank.',
+  'comparison.heading': 'Vergleich von {genes}',
+  'comparison.reportTitle': 'Vergleich der Einträge: {genes}',
+  'comparison.differing': '{count} von {total} Feldern unterscheiden sich',
+  'comparison.diffOnly': 'Nur Unterschiede anzeigen',
+  'comparison.print': 'Drucken',
+  'comparison.same': 'Gleich',
+  'comparison.differs': 'Verschieden',
+  'comparison.status': 'Status',
+  'comparison.token.shared': 'In allen angehefteten Einträgen',
+  'comparison.token.partial': 'In einigen angehefteten Einträgen',
+  'comparison.token.unique': 'Nur in diesem Eintrag',
+
+
+  // Gene detail view (gene-detail.js)
+  'geneDetail.notFound': 'Kein Eintrag für „{key}“ gefunden.',
+  'geneDetail.edit': 'Bearbeiten',
+  'geneDetail.noEvidence': 'Für diesen Eintrag ist keine Literatur erfasst. Fügen Sie über „Bearbeiten“ PubMed-IDs oder DOIs hinzu, um ihn zitierbar zu machen.',
+  'geneDetail.lookUp': '{gene} nachschlagen',
+  'geneDetail.similar': 'Ähnliche Einträge',
+  'geneDetail.noSimilar': 'Kein anderer Eintrag teilt einen Zelltyp, Wachstumsfaktor oder ein Biomaterial.',
+
+
+  // Record validation (validation.js)
+  'validation.notObject': 'Der Datensatz ist kein Objekt',
+  'validation.missing': '{field} fehlt',
+  'validation.notText': '{field} muss Text sein, ist aber {type}',
+  'validation.notAllowed': '{field} „{value}“ ist keiner der Werte: {allowed}',
+  'validation.invalidFormat': '{field} „{value}“ ist ungültig (erwartet z. B. {example})',
+  'validation.unknownField': 'Unbekanntes Feld „{key}“ ignoriert',
+  'validation.notArray': 'Der Datensatz muss ein JSON-Array von Einträgen sein',
+  'validation.record': 'Eintrag {number}',
+  'validation.duplicate': 'Duplikat von Eintrag {number} (gleiches Gen und gleiche Variante)',
+
+
+  // Local entries, the entry form and import (local-entries.js)
+  'local.edited': 'Lokal bearbeitet',
+  'local.editedHint': 'In diesem Browser bearbeitet',
+  'local.added': 'Lokal',
+  'local.addedHint': 'In diesem Browser hinzugefügt',
+  'local.history': 'Lokaler Verlauf',
+  'local.storedEntry': 'Dieser Eintrag ist nur in diesem Browser gespeichert.',
+  'local.storedEdit': 'Dieser Eintrag ist nur in diesem Browser gespeichert und ersetzt den ursprünglichen Eintrag.',
+  'local.action.shipped': 'Originalversion',
+  'local.action.created': 'Erstellt',
+  'local.action.edited': 'Bearbeitet',
+  'local.action.imported': 'Importiert',
+  'local.action.reverted': 'Wiederhergestellt',
+  'local.current': 'Aktuell',
+  'local.revert': 'Auf diese Version zurücksetzen',
+  'local.discard': 'Lokale Änderungen verwerfen',
+  'local.delete': 'Lokalen Eintrag löschen',
+  'local.confirmDiscard': 'Alle lokalen Änderungen an {gene} verwerfen und den ursprünglichen Eintrag wiederherstellen?',
+  'local.confirmDelete': 'Lokalen Eintrag {gene} löschen? Sein Verlauf wird ebenfalls entfernt.',
+  'local.saveFailed': 'Der lokale Speicher dieses Browsers konnte nicht beschrieben werden. Ihre Änderungen wurden nicht gespeichert.',
+  'local.updateFailed': 'Der lokale Speicher dieses Browsers konnte nicht aktualisiert werden.',
+  'entry.addTitle': 'Eintrag hinzufügen',
+  'entry.editTitle': 'Eintrag bearbeiten: {gene}',
+  'entry.addHint': 'Einträge werden nur in diesem Browser gespeichert und als lokal gekennzeichnet.',
+  'entry.editHint': 'Ihre Änderungen werden in diesem Browser als lokale Bearbeitung gespeichert; der ursprüngliche Eintrag bleibt erhalten und kann wiederhergestellt werden.',
+  'entry.choose': 'Auswählen…',
+  'entry.listPlaceholder': 'Werte mit ; trennen',
+  'entry.examplePlaceholder': 'z. B. {example}',
+  'entry.save': 'Eintrag speichern',
+  'entry.cancel': 'Abbrechen',
+  'entry.duplicate': '{gene} hat bereits die Variante „{variant}“',
+  'entry.fixProblems': {
+    one: 'Beheben Sie vor dem Speichern {count} Problem.',
+    other: 'Beheben Sie vor dem Speichern {count} Probleme.'
+  },
+  'import.notArray': 'JSON muss ein Array von Einträgen sein',
+  'import.empty': 'Die Datei ist leer',
+  'import.noGeneColumn': 'Keine Spalte „gene_name“ (oder „{label}“) gefunden',
+  'import.readFailed': '{file} konnte nicht gelesen werden: {message}',
+  'import.title': 'Einträge importieren: {file}',
+  'import.summary': {
+    one: '{count} Eintrag gelesen: {new} neu, {conflicts} bereits in der Datenbank, {skipped} als ungültig oder doppelt übersprungen. Importierte Einträge werden in diesem Browser als lokale Einträge gespeichert.',
+    other: '{count} Einträge gelesen: {new} neu, {conflicts} bereits in der Datenbank, {skipped} als ungültig oder doppelt übersprungen. Importierte Einträge werden in diesem Browser als lokale Einträge gespeichert.'
+  },
+  'import.forExisting': 'Für bereits vorhandene Einträge:',
+  'import.keepAll': 'Alle vorhandenen behalten',
+  'import.replaceAll': 'Alle durch importierte ersetzen',
+  'import.action': 'Aktion',
+  'import.actionFor': 'Aktion für Eintrag {number}',
+  'import.status.new': 'Neu',
+  'import.status.conflict': 'Bereits vorhanden',
+  'import.status.repeat': 'In der Datei wiederholt',
+  'import.status.invalid': 'Ungültig',
+  'import.localDiffers': {
+    one: 'Lokaler Eintrag: {count} Feld unterscheidet sich',
+    other: 'Lokaler Eintrag: {count} Felder unterscheiden sich'
+  },
+  'import.shippedDiffers': {
+    one: 'Ursprünglicher Eintrag: {count} Feld unterscheidet sich',
+    other: 'Ursprünglicher Eintrag: {count} Felder unterscheiden sich'
+  },
+  'import.keep': 'Vorhandenen behalten',
+  'import.replace': 'Durch importierten ersetzen',
+  'import.skip': 'Überspringen',
+  'import.add': 'Hinzufügen',
+  'import.confirm': {
+    one: '{count} Eintrag importieren',
+    other: '{count} Einträge importieren'
+  },
+  'import.done': {
+    one: '{count} Eintrag importiert.',
+    other: '{count} Einträge importiert.'
+  },
+
+
+  // Dataset loading, data quality and offline status (data.js, offline.js)
+  'data.offlineUnavailable': 'Die Datenbank ist offline noch nicht verfügbar.',
+  'data.offlineHint': 'Öffnen Sie diese Seite einmal mit Internetverbindung, damit sie für die Offline-Nutzung gespeichert wird.',
+  'data.loadFailed': 'Die Datenbank konnte nicht geladen werden.',
+  'data.retry': 'Erneut versuchen',
+  'dataQuality.summary': '{valid}/{total} gültig · {repaired} repariert · {invalid} ungültig',
+  'dataQuality.view': 'Bericht anzeigen',
+  'dataQuality.title': 'Datenqualitätsbericht',
+  'dataQuality.checked': '{total} Einträge anhand des Schemas mit {fields} Feldern geprüft: {valid} geladen, {repaired} repariert, {invalid} abgelehnt, {warnings} mit Warnungen.',
+  'dataQuality.invalid': 'Ungültige Einträge (nicht geladen)',
+  'dataQuality.problems': 'Probleme',
+  'dataQuality.repaired': 'Reparierte Einträge',
+  'dataQuality.original': 'Original',
+  'dataQuality.repairedValue': 'Repariert',
+  'dataQuality.warnings': 'Warnungen',
+  'dataset.version': 'Datensatz {version}',
+  'dataset.versionHint': 'Version des Datensatzes (Inhalts-Hash)',
+  'dataset.updated': 'Aktualisiert am {date}',
+  'dataset.offline': 'Offline · gespeicherte Daten',
+  'dataset.updateAvailable': 'Neuerer Datensatz verfügbar · Neu laden',
+  'dataset.install': 'App installieren',
+  'offline.needsConnection': '{service} braucht eine Internetverbindung. Die Datenbank und die Sequenzwerkzeuge funktionieren weiterhin offline.',
+
+
+  // Query syntax errors (search.js)
+  'query.atCharacter': '{message} (bei Zeichen {position})',
+  'query.unknownField': 'Unbekanntes Feld „{name}“',
+  'query.unterminatedPhrase': 'Nicht abgeschlossene Phrase in Anführungszeichen',
+  'query.emptyPhrase': 'Leere Phrase in Anführungszeichen',
+  'query.missingValue': 'Fehlender Wert nach „{word}“',
+  'query.missingField': 'Fehlender Feldname vor „{word}“',
+  'query.orBetween': 'OR muss zwischen zwei Begriffen stehen',
+  'query.orFollowed': 'Auf OR muss ein Begriff folgen',
+  'query.notFollowed': 'Auf „-“ muss ein Begriff folgen',
+  'query.emptyParentheses': 'Leere Klammern',
+  'query.missingParenthesis': 'Schließende Klammer fehlt',
+  'query.unexpectedParenthesis': 'Unerwartete „)“',
+
+  // Sequence input (sequence-input.js)
+  'sequence.enter': 'Bitte geben Sie eine Sequenz ein.',
+  'sequence.empty': 'enthält keine Sequenz',
+  'sequence.needsDna': 'sieht wie eine Proteinsequenz aus; dieses Werkzeug braucht DNA',
+  'sequence.alphabet.dna': 'DNA',
+  'sequence.alphabet.rna': 'RNA',
+  'sequence.alphabet.protein': 'Protein',
+  'sequence.invalid': {
+    one: '{count} ungültiges {alphabet}-Zeichen',
+    other: '{count} ungültige {alphabet}-Zeichen'
+  },
+  'sequence.at': 'bei {position}',
+  'sequence.more': 'und {count} weitere',
+  'sequence.unusable': 'Die eingegebene Sequenz ist nicht verwendbar:',
+  'sequence.downloadFasta': {
+    one: 'FASTA herunterladen ({count} Eintrag)',
+    other: 'FASTA herunterladen ({count} Einträge)'
+  },
+  'sequence.loadFile': 'Datei laden',
+  'sequence.dropHint': 'oder eine FASTA-/GenBank-Datei in das Feld oben ziehen',
+  'sequence.readFailed': '{file} konnte nicht gelesen werden.',
+
+
+  // Citation export (citations.js)
+  'citations.note': 'Evidenz für Einträge der TE Alzheimer\'s DB: {entries}',
+  'citations.none': 'Keiner dieser Einträge hat erfasste PubMed-IDs oder DOIs, daher gibt es keine Zitate zu exportieren.',
+
+
+  // Relationship network (network.js)
+  'network.type.gene': 'Gene',
+  'network.type.mechanism': 'AD-Mechanismen',
+  'network.type.growth': 'Wachstumsfaktoren',
+  'network.type.cell': 'Zelltypen',
+  'network.type.biomaterial': 'Biomaterialien',
+  'network.noNodes': 'Keine Knoten anzuzeigen – wählen Sie mindestens einen Knotentyp.',
+  'network.nodeTitle': {
+    one: '{value} ({count} Eintrag)',
+    other: '{value} ({count} Einträge)'
+  },
+  'network.label': 'Beziehungsnetzwerk mit {count} Knoten',
+  'network.summary': '{nodes} Knoten, {links} Verbindungen.',
+  'network.selected': 'Ausgewählt:',
+  'network.neighbors': 'Nachbarn:',
+  'network.sharedNeighbors': 'Gemeinsame Nachbarn:',
+  'network.filter': 'Tabelle nach Auswahl filtern',
+  'network.pngUnsupported': 'Dieser Browser unterstützt keinen PNG-Export – versuchen Sie SVG.',
+
+
+  // Pathway map (pathway.js)
+  'pathway.title': 'Alzheimer-Signalweg (hsa05010)',
+  'pathway.overlay': 'Überlagerung',
+  'pathway.overlayNone': 'Keine',
+  'pathway.loading': 'Signalwegkarte wird geladen...',
+  'pathway.unavailable': 'Die Signalwegkarte konnte nicht geladen werden.',
+  'pathway.label': {
+    one: 'Karte des Alzheimer-Signalwegs mit {count} hervorgehobenen Datenbank-Gen',
+    other: 'Karte des Alzheimer-Signalwegs mit {count} hervorgehobenen Datenbank-Genen'
+  },
+  'pathway.notInDatabase': 'Nicht in der Datenbank',
+  'pathway.geneTitle': {
+    one: '{symbol}: {count} Eintrag, {category}',
+    other: '{symbol}: {count} Einträge, {category}'
+  },
+  'pathway.severityLegend': '{field} (schwerster Eintrag):',
+  'pathway.help': 'Eine vereinfachte Offline-Kopie der KEGG-Karte. Gene aus der Datenbank sind nach TE-Kategorie eingefärbt; klicken Sie auf ein Gen oder seine Schaltfläche unten, um seine Einträge anzuzeigen.',
+  'pathway.databaseGenes': 'Datenbank-Gene auf dieser Karte ({count})',
+
+
+  // TE recommender results (recommender.js)
+  'recommend.category.biomaterials': 'Biomaterialien',
+  'recommend.category.cellTypes': 'Zelltypen',
+  'recommend.category.growthFactorCombos': 'Kombinationen von Wachstumsfaktoren',
+  'recommend.noMatch': 'Keine Datenbankeinträge passen zu: {terms}',
+  'recommend.enterCriteria': 'Geben Sie Gene oder Mechanismus-Stichwörter ein oder wählen Sie ein Pathologieprofil.',
+  'recommend.notInDatabase': 'Nicht in der Datenbank: {terms}',
+  'recommend.noRows': 'Keine Einträge erfüllen diese Kriterien.',
+  'recommend.support': '{count} von {total} Einträgen',
+  'recommend.genes': {
+    one: '{count} Gen',
+    other: '{count} Gene'
+  },
+  'recommend.more': '{count} weitere mit weniger Belegen',
+  'recommend.basis': {
+    one: 'Basierend auf {count} passendem Eintrag aus {genes}. Klappen Sie einen Vorschlag auf, um die zugrunde liegenden Einträge zu sehen.',
+    other: 'Basierend auf {count} passenden Einträgen aus {genes}. Klappen Sie einen Vorschlag auf, um die zugrunde liegenden Einträge zu sehen.'
+  },
+
+
+  // Tool panel forms, results and messages (tools.js); sequence data and alignments stay in English
+  'tool.close': 'Werkzeug schließen',
+  'tool.opensOnline': '{service} öffnet sich in einem neuen Tab und braucht eine Internetverbindung.',
+  'tool.notRedirected': 'Klicken Sie hier, falls Sie nicht weitergeleitet werden',
+  'tool.input.any': 'DNA-/Proteinsequenz eingeben (Rohtext, FASTA oder GenBank):',
+  'tool.input.dna': 'DNA-Sequenz eingeben (Rohtext, FASTA oder GenBank):',
+  'tool.input.target': 'Ziel-DNA-Sequenz eingeben (Rohtext, FASTA oder GenBank):',
+  'tool.input.analysis': 'DNA- oder Proteinsequenz eingeben (Rohtext, FASTA oder GenBank):',
+  'tool.blast.title': 'BLAST-Werkzeug',
+  'tool.blast.alignment': 'Alignment',
+  'tool.blast.local': 'Lokal (Smith-Waterman)',
+  'tool.blast.global': 'Global (gesamte Anfrage, semiglobal)',
+  'tool.blast.maxHits': 'Maximale Treffer',
+  'tool.blast.evalue': 'E-Wert-Schwelle',
+  'tool.blast.run': 'AD-Gen-Referenzen durchsuchen',
+  'tool.blast.openNcbi': 'In NCBI BLAST öffnen',
+  'tool.blast.note': 'Durchsucht im Browser die mitgelieferten RefSeq-Sequenzen der Datenbankgene; NCBI BLAST durchsucht online ganz GenBank.',
+  'tool.blast.tooLong': 'Die lokale Suche ist auf {max} Reste pro Sequenz begrenzt – verwenden Sie NCBI BLAST für längere Anfragen.',
+  'tool.blast.searching': 'Referenzsequenzen werden durchsucht...',
+  'tool.blast.referencesUnavailable': 'Die lokalen Referenzsequenzen konnten nicht geladen werden, daher ist die Suche offline nicht möglich.',
+  'tool.blast.useNcbi': 'Stattdessen mit NCBI BLAST suchen',
+  'tool.blast.opening': 'NCBI BLAST wird mit Ihrer Sequenz geöffnet...',
+  'tool.blast.tooLongForLink': 'Ihre Sequenz ist zu lang für einen Link – fügen Sie sie in das NCBI-BLAST-Formular ein.',
+  'tool.blast.noHits': 'Keine Treffer',
+  'tool.blast.noHitsLocal': 'Keine Referenz teilt genug k-mere mit der Anfrage oder erfüllt E ≤ {evalue}.',
+  'tool.blast.noHitsGlobal': 'Keine Referenz teilt genug k-mere mit der Anfrage oder lässt sich mit positivem Score alignieren.',
+  'tool.blast.hits': {
+    one: '{count} Treffer',
+    other: '{count} Treffer'
+  },
+  'tool.blast.summary.local': 'Smith-Waterman, {references} · E-Werte sind Karlin-Altschul-Schätzungen für diese kleine Datenbank',
+  'tool.blast.summary.global': 'Semiglobal, {references} · die gesamte Anfrage wird aligniert; E-Werte gelten nur für lokale Alignments',
+  'tool.blast.references.nucleotide': 'Nukleotidreferenzen',
+  'tool.blast.references.protein': 'Proteinreferenzen',
+  'tool.blast.column.reference': 'Referenz',
+  'tool.blast.column.score': 'Punktzahl',
+  'tool.blast.column.bits': 'Bits',
+  'tool.blast.column.evalue': 'E-Wert',
+  'tool.blast.column.identity': 'Identität',
+  'tool.blast.column.queryCover': 'Anfrageabdeckung',
+  'tool.blast.column.strand': 'Strang',
+  'tool.blast.strand.plus': 'Plus',
+  'tool.blast.strand.minus': 'Minus',
+  'tool.blast.scoreLocal': 'Punktzahl {score} ({bits} Bits), E = {evalue}',
+  'tool.blast.scoreGlobal': 'Punktzahl {score}',
+  'tool.blast.identities': 'Identitäten {matches}/{length} ({percent} %)',
+  'tool.blast.positives': 'Positive {positives}/{length}',
+  'tool.blast.gaps': 'Lücken {gaps}/{length}',
+  'tool.kegg.title': 'KEGG-Pathway-Werkzeug',
+  'tool.kegg.label': 'KEGG-ID eingeben:',
+  'tool.kegg.placeholder': 'z. B. hsa:10458 oder map05010',
+  'tool.kegg.open': 'KEGG öffnen',
+  'tool.kegg.enter': 'Bitte geben Sie eine KEGG-ID ein.',
+  'tool.kegg.opening': 'KEGG-Datenbank wird geöffnet...',
+  'tool.kegg.view': 'In KEGG anzeigen',
+  'tool.kegg.lookup': 'Andere KEGG-Einträge online nachschlagen',
+  'tool.primer.title': 'Primerdesign-Werkzeug',
+  'tool.primer.settings': 'Designparameter',
+  'tool.primer.length': 'Primerlänge (min. / opt. / max.)',
+  'tool.primer.tm': 'Tm °C (min. / opt. / max.)',
+  'tool.primer.gc': 'GC % (min. / max.)',
+  'tool.primer.product': 'Produktgröße in bp (min. / max.)',
+  'tool.primer.salts': 'Na⁺ / Mg²⁺ / dNTP (mM)',
+  'tool.primer.concentration': 'Primerkonz. (nM) / max. ΔTm (°C)',
+  'tool.primer.pairs': 'Anzahl Primerpaare',
+  'tool.primer.gcClamp': '3′-GC-Klammer verlangen',
+  'tool.primer.design': 'Primer entwerfen',
+  'tool.primer.error.lengthRange': 'Die minimale Primerlänge ist größer als die maximale.',
+  'tool.primer.error.tmRange': 'Die minimale Tm ist größer als die maximale.',
+  'tool.primer.error.gcRange': 'Der minimale GC-Gehalt ist größer als der maximale.',
+  'tool.primer.error.productRange': 'Die minimale Produktgröße ist größer als die maximale.',
+  'tool.primer.error.productTooShort': 'Die minimale Produktgröße muss beide Primer aufnehmen.',
+  'tool.primer.error.salt': 'Die Salzkonzentration (Na⁺ oder Mg²⁺) muss größer als null sein.',
+  'tool.primer.error.primerConcentration': 'Die Primerkonzentration muss größer als null sein.',
+  'tool.primer.rejected.ambiguous': 'Enthält mehrdeutige Basen',
+  'tool.primer.rejected.gc': 'GC-Gehalt außerhalb des Bereichs',
+  'tool.primer.rejected.clamp': 'Keine 3′-GC-Klammer / zu viele G+C am 3′-Ende',
+  'tool.primer.rejected.repeat': 'Mono- oder Dinukleotid-Wiederholung',
+  'tool.primer.rejected.tm': 'Tm außerhalb des Bereichs',
+  'tool.primer.rejected.endStability': '3′-Ende zu stabil',
+  'tool.primer.rejected.hairpin': 'Haarnadel',
+  'tool.primer.rejected.selfDimer': 'Selbstdimer',
+  'tool.primer.rejected.productSize': 'Produktgröße außerhalb des Bereichs',
+  'tool.primer.rejected.tmDiff': 'Tm-Unterschied zu groß',
+  'tool.primer.rejected.crossDimer': 'Kreuzdimer',
+  'tool.primer.tooShort': 'Die Sequenz hat {length} Basen; sie sollte mindestens so lang wie die minimale Produktgröße sein.',
+  'tool.primer.noPairs': 'Kein Primerpaar erfüllt die Vorgaben',
+  'tool.primer.noPairsChecked': '{forward} Vorwärts- und {reverse} Rückwärtsprimer bestanden; {pairs} Paare wurden geprüft. Kandidaten verworfen wegen:',
+  'tool.primer.widen': 'Erweitern Sie die Bereiche für Tm, GC oder Produktgröße.',
+  'tool.primer.ranked': {
+    one: '{count} bewertetes Primerpaar',
+    other: '{count} bewertete Primerpaare'
+  },
+  'tool.primer.scanned': '{forward} Vorwärts- und {reverse} Rückwärtsprimer bestehen die Einzelprüfungen; {pairs} Paare geprüft. Niedrigere Strafpunkte sind besser.',
+  'tool.primer.pairProduct': 'Produkt: {size} bp',
+  'tool.primer.pairTmDiff': 'ΔTm: {difference} °C',
+  'tool.primer.pairCrossDimer': 'Kreuzdimer-ΔG: {deltaG} (3′: {endDeltaG})',
+  'tool.primer.pairPenalty': 'Strafpunkte {penalty}',
+  'tool.primer.forwardPrimer': 'Vorwärtsprimer',
+  'tool.primer.reversePrimer': 'Rückwärtsprimer',
+  'tool.primer.cardTm': 'Tm: {tm} °C',
+  'tool.primer.cardInfo': 'Länge: {length} bp | GC: {gc} % | 3′-ΔG: {endStability} | Haarnadel-ΔG: {hairpin} | Selbstdimer-ΔG: {selfDimer} (3′: {selfDimerEnd}) kcal/mol',
+  'tool.primer.amplicon': 'Amplikon Nr. {number} auf der Zielsequenz',
+  'tool.primer.legend.forward': 'Vorwärts',
+  'tool.primer.legend.amplicon': 'Amplikon',
+  'tool.primer.legend.reverse': 'rückwärts',
+  'tool.primer.selectPair': 'Klicken Sie auf ein Paar, um sein Amplikon zu zeigen.',
+  'tool.translate.title': 'Transkriptions- und Translationswerkzeug',
+  'tool.translate.geneticCode': 'Genetischer Code',
+  'tool.translate.orfMinLength': 'Minimale ORF-Länge (AS)',
+  'tool.translate.altStarts': 'Alternative Startcodons zulassen',
+  'tool.translate.transcribe': 'In RNA transkribieren',
+  'tool.translate.sixFrame': 'Translation in sechs Leserastern',
+  'tool.translate.findOrfs': 'ORFs finden',
+  'tool.translate.rna': 'Transkribierte RNA-Sequenz',
+  'tool.translate.rnaLength': 'Länge: {length} Nukleotide',
+  'tool.translate.framesInfo': 'Genetischer Code: {code} · Länge: {length} nt',
+  'tool.translate.frame': 'Leseraster {frame}',
+  'tool.translate.legend': '* Stopp · B = D/N, Z = E/Q, J = I/L, X = nicht aufgelöste Mehrdeutigkeit',
+  'tool.translate.noOrfs': 'Keine ORFs gefunden',
+  'tool.translate.noOrfsInfo': 'Keine offenen Leseraster mit mindestens {length} Aminosäuren in sechs Leserastern ({code}).',
+  'tool.translate.orfs': {
+    one: '{count} offenes Leseraster',
+    other: '{count} offene Leseraster'
+  },
+  'tool.translate.orfsInfo': 'Genetischer Code: {code} · mindestens {length} aa · Koordinaten 1-basiert auf dem eingegebenen Strang, vom Start- bis einschließlich Stoppcodon',
+  'tool.translate.partial': 'unvollständig',
+  'tool.translate.partialTitle': 'Kein Stoppcodon vor dem Ende der Sequenz',
+  'tool.translate.column.frame': 'Raster',
+  'tool.translate.column.start': 'Beginn',
+  'tool.translate.column.end': 'Ende',
+  'tool.translate.column.length': 'Länge (aa)',
+  'tool.translate.column.protein': 'Protein',
+  'tool.complement.title': 'Komplement- und Revers-Komplement-Werkzeug',
+  'tool.complement.complement': 'Komplement',
+  'tool.complement.reverse': 'Revers-Komplement',
+  'tool.complement.complementResult': 'Komplementäre Sequenz',
+  'tool.recommend.title': 'Tissue-Engineering-Empfehlungen',
+  'tool.recommend.genes': 'Gene (Symbole, Namen oder Aliase; kommagetrenntes Panel):',
+  'tool.recommend.mechanisms': 'AD-Mechanismus-Stichwörter (kommagetrennt, auf Englisch):',
+  'tool.recommend.note': 'Verwendet werden Einträge, die zu einem der Gene oder Mechanismen passen; das Profil unten schränkt sie ein. Ohne Gene oder Mechanismen wählt das Profil allein die Einträge aus.',
+  'tool.recommend.any': 'Beliebig',
+  'tool.recommend.orWorse': '{value} oder schlechter',
+  'tool.recommend.run': 'Empfehlen',
+  'tool.network.title': 'Beziehungsnetzwerk',
+  'tool.network.scope': 'Nur Einträge der aktuellen Suchergebnisse',
+  'tool.network.zoomIn': 'Vergrößern',
+  'tool.network.zoomOut': 'Verkleinern',
+  'tool.network.resetView': 'Ansicht zurücksetzen',
+  'tool.network.help': 'Scrollen zum Zoomen, Ziehen zum Verschieben. Klicken Sie auf einen Knoten, um seine Nachbarn hervorzuheben; Umschalt+Klick fügt Knoten hinzu und hebt gemeinsame Nachbarn hervor. Ein Doppelklick filtert die Ergebnistabelle.',
+  'tool.network.exportSvg': 'SVG exportieren',
+  'tool.network.exportPng': 'PNG exportieren',
+  'tool.analysis.title': 'Sequenzanalyse-Werkzeuge',
+  'tool.analysis.enzymes': 'Restriktionsenzyme',
+  'tool.analysis.cutters': 'Schneidende Enzyme',
+  'tool.analysis.unique': 'Nur Einzelschneider',
+  'tool.analysis.allEnzymes': 'Alle Enzyme, auch nicht schneidende',
+  'tool.analysis.hydropathyWindow': 'Hydropathie-Fenster (Reste)',
+  'tool.analysis.restrictionMap': 'Restriktionskarte',
+  'tool.analysis.composition': 'Zusammensetzung & CpG-Inseln',
+  'tool.analysis.protein': 'Proteineigenschaften',
+  'tool.analysis.notProtein': '{id} sieht wie eine Nukleotidsequenz aus. Übersetzen Sie sie zuerst mit dem Transkriptions- und Translationswerkzeug.',
+  'tool.analysis.analyzeOutput': 'Analysieren',
+  'tool.analysis.restrictionInfo': '{length} bp, linear · {cutting} von {total} Enzymen schneiden · Schnittpositionen liegen hinter der angegebenen Base des oberen Strangs',
+  'tool.analysis.restrictionMapLabel': 'Lineare Restriktionskarte',
+  'tool.analysis.cutsAfter': '{enzyme} schneidet nach {position}',
+  'tool.analysis.noEnzymes': 'Kein Enzym passt zu diesem Filter.',
+  'tool.analysis.nucleotideComposition': 'Nukleotidzusammensetzung',
+  'tool.analysis.compositionInfo': 'Länge {length} · GC {gc} % · GC-Skew {gcSkew} · AT-Skew {atSkew}',
+  'tool.analysis.ambiguousBases': {
+    one: '{count} mehrdeutige Base nicht gezählt',
+    other: '{count} mehrdeutige Basen nicht gezählt'
+  },
+  'tool.analysis.observedExpected': 'Beobachtet/erwartet {ratio}',
+  'tool.analysis.dinucleotideNote': 'Dinukleotidanzahlen mit dem Verhältnis beobachtet/erwartet in Klammern.',
+  'tool.analysis.cpgIslands': 'CpG-Inseln',
+  'tool.analysis.cpgCriteria': 'Kriterien nach Gardiner-Garden & Frommer: ≥{length} bp, GC > {gc} %, CpG beobachtet/erwartet > {ratio}',
+  'tool.analysis.noCpgIslands': 'Keine CpG-Inseln gefunden.',
+  'tool.analysis.property.length': 'Länge',
+  'tool.analysis.property.molecularWeight': 'Molekulargewicht',
+  'tool.analysis.property.isoelectricPoint': 'Isoelektrischer Punkt',
+  'tool.analysis.property.extinctionReduced': 'Extinktionskoeff. (reduziert)',
+  'tool.analysis.property.extinctionCystines': 'Extinktionskoeff. (Cystine)',
+  'tool.analysis.property.absorbance': 'Abs 0,1 % (reduziert)',
+  'tool.analysis.property.charged': 'Geladene Reste (D+E / K+R)',
+  'tool.analysis.proteinMethods': 'Mittlere Isotopenmassen; pI aus den pKa-Werten von EMBOSS; Extinktion bei 280 nm in Wasser (Pace et al.)',
+  'tool.analysis.excludedResidues': {
+    one: '{count} mehrdeutiger Rest oder Stopp nicht gezählt',
+    other: '{count} mehrdeutige Reste oder Stopps nicht gezählt'
+  },
+  'tool.analysis.hydropathy': 'Hydropathie nach Kyte-Doolittle (Fenster {window})',
+  'tool.analysis.hydropathyPlot': 'Hydropathie-Diagramm',
+  'tool.analysis.shorterThanWindow': 'Die Sequenz ist kürzer als das Fenster.',
+  'tool.analysis.aminoAcidComposition': 'Aminosäurezusammensetzung',
+  'tool.analysis.column.enzyme': 'Enzym',
+  'tool.analysis.column.site': 'Erkennungsstelle',
+  'tool.analysis.column.cuts': 'Schnitte',
+  'tool.analysis.column.positions': 'Positionen',
+  'tool.analysis.column.fragments': 'Fragmente (bp)',
+  'tool.analysis.column.base': 'Nukleotid',
+  'tool.analysis.column.count': 'Anzahl',
+  'tool.analysis.column.start': 'Beginn',
+  'tool.analysis.column.end': 'Ende',
+  'tool.analysis.column.length': 'Länge',
+  'tool.analysis.column.residue': 'Rest',
+  'tool.uniprot.title': 'UniProt-Suche',
+  'tool.uniprot.label': 'UniProt-ID oder Proteinname eingeben:',
+  'tool.uniprot.placeholder': 'z. B. P05067 (APP) oder Tau',
+  'tool.uniprot.search': 'UniProt durchsuchen',
+  'tool.uniprot.enter': 'Bitte geben Sie eine UniProt-ID oder einen Proteinnamen ein.',
+  'tool.chembl.title': 'ChEMBL-Datenbank',
+  'tool.chembl.label': 'ChEMBL-ID oder Substanzname eingeben:',
+  'tool.chembl.placeholder': 'z. B. CHEMBL25 oder Donepezil',
+  'tool.chembl.search': 'ChEMBL durchsuchen',
+  'tool.chembl.enter': 'Bitte geben Sie eine ChEMBL-ID oder einen Substanznamen ein.',
+
+  // Notices (a11y.js)
+  'notice.dismiss': 'Hinweis schließen'
+};
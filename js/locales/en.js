@@ -0,0 +1,668 @@
+/**
+ * English interface messages: the reference catalog the other locales
+ * are checked against. {name} is a placeholder; plural messages are
+ * keyed by Intl.PluralRules category.
+ */
+
+export const en = {
+  // Page (index.html)
+  'app.title': 'Tissue Engineering–Based Alzheimer\'s Gene Database',
+  'app.subtitle': 'Integrating Genomic Data with Regenerative Medicine Strategies',
+  'page.skipLink': 'Skip to the database',
+  'page.toolsAside': 'Tools and database overview',
+  'page.resourcesAside': 'Visual and related resources',
+  'nav.label': 'Main',
+  'nav.home': 'Home',
+  'nav.database': 'Database',
+  'nav.tools': 'Tools',
+  'nav.about': 'About',
+  'language.label': 'Language',
+  'hero.title': 'Advancing Alzheimer\'s Research Through Tissue Engineering',
+  'hero.text': 'A comprehensive database connecting Alzheimer\'s disease genes with tissue engineering interventions, scaffold strategies, and regenerative outcomes.',
+  'hero.entries': 'Gene Entries',
+  'hero.fields': 'Data Fields',
+  'hero.categories': 'TE Categories',
+  'hero.explore': 'Explore Database',
+  'toolsMenu.label': 'Bioinformatics tools',
+  'toolsMenu.title': 'Bioinformatics Tools',
+  'toolsMenu.primer': 'Primer Design',
+  'toolsMenu.translate': 'Transcription & Translation',
+  'toolsMenu.complement': 'Complement Tool',
+  'toolsMenu.analysis': 'Sequence Analysis',
+  'toolsMenu.recommend': 'TE Recommender',
+  'toolsMenu.network': 'Relationship Network',
+  'overview.title': 'Database Overview',
+  'info.title': 'Tissue Engineering for Alzheimer\'s Disease',
+  'info.disease': 'Alzheimer\'s disease (AD) is a progressive neurodegenerative disorder characterized by amyloid-β accumulation, tau hyperphosphorylation, and neuronal loss. Tissue engineering approaches offer promising therapeutic strategies through biomaterial scaffolds, stem cell transplantation, and targeted drug delivery systems.',
+  'info.database': 'This database integrates genomic information with tissue engineering interventions, providing researchers with comprehensive data on gene variants, disease mechanisms, scaffold strategies, cell types, growth factors, biomaterials, and regeneration outcomes.',
+  'info.scaffolds': 'Scaffold Strategies',
+  'info.cellTherapies': 'Cell-Based Therapies',
+  'info.growthFactors': 'Growth Factor Delivery',
+  'info.biomaterials': 'Biomaterial Selection',
+  'info.learnMore': 'Learn more from NIH National Institute on Aging',
+  'search.title': 'Search Database',
+  'search.label': 'Search the database',
+  'search.placeholder': 'Search by Gene Name, Variant, Function, or TE Relevance...',
+  'search.button': 'Search',
+  'search.advanced': 'Advanced:',
+  'search.quickFilters': 'Quick Filters:',
+  'gallery.title': 'Visual Resources',
+  'gallery.scaffold': '3D Biomaterial Scaffold Structure',
+  'gallery.scaffoldAlt': 'Tissue Engineering Scaffold',
+  'gallery.network': 'Neural Network Integration',
+  'gallery.networkAlt': 'Brain Neural Network',
+  'gallery.cells': 'Neural Stem Cells on Scaffold',
+  'gallery.cellsAlt': 'Neural Cells on Scaffold',
+  'gallery.mechanisms': 'AD Mechanisms & TE Solutions',
+  'gallery.mechanismsAlt': 'AD Mechanisms',
+  'resources.title': 'Related Resources',
+  'resources.ncbiGene': 'NCBI Gene Database',
+  'resources.uniprot': 'UniProt Protein DB',
+  'resources.pubmed': 'PubMed Literature',
+  'about.title': 'About This Database',
+  'about.dataTitle': 'Comprehensive Data',
+  'about.dataText': 'gene entries with detailed information on variants, functions, disease mechanisms, and tissue engineering applications.',
+  'about.integrationTitle': 'TE Integration',
+  'about.integrationText': 'Connects genomic data with scaffold strategies, cell types, growth factors, and biomaterial suggestions.',
+  'about.researchTitle': 'Research Focus',
+  'about.researchText': 'Supports researchers in developing targeted tissue engineering interventions for Alzheimer\'s disease.',
+  'about.openTitle': 'Open Access',
+  'about.openText': 'Freely accessible resource for the scientific community to advance Alzheimer\'s research.',
+  'footer.quickLinks': 'Quick Links',
+  'footer.resources': 'Resources',
+  'footer.rights': 'Tissue Engineering–Based Alzheimer\'s Gene Database. All rights reserved.',
+  'view.back': 'Back to results',
+
+  // Record fields (schema.js); .short labels head the results table columns
+  'field.gene_name': 'Gene Name',
+  'field.gene_name.short': 'Gene',
+  'field.variant': 'Variant',
+  'field.disease': 'Disease',
+  'field.function': 'Function',
+  'field.ad_mechanism': 'AD Mechanism',
+  'field.oxidative_stress': 'Oxidative Stress',
+  'field.angiogenesis': 'Angiogenesis',
+  'field.neural_survival': 'Neural Survival',
+  'field.te_relevance': 'TE Relevance',
+  'field.scaffold_strategy': 'Scaffold Strategy',
+  'field.cell_type': 'Cell Type',
+  'field.growth_factors': 'Growth Factors',
+  'field.biomaterial_suggestion': 'Biomaterial Suggestion',
+  'field.biomaterial_suggestion.short': 'Biomaterial',
+  'field.regeneration_outcome': 'Regeneration Outcome',
+  'field.regeneration_outcome.short': 'Outcome',
+  'field.evidence_level': 'Evidence Level',
+  'field.evidence_level.short': 'Evidence',
+  'field.pmids': 'PubMed IDs',
+  'field.pmids.short': 'PMIDs',
+  'field.dois': 'DOIs',
+  'field.year': 'Evidence Year',
+  'field.year.short': 'Year',
+
+  // Short names of the TE categories (quick filter chips, statistics)
+  'category.neural': 'Neural TE',
+  'category.neuroimmune': 'Neuroimmune',
+  'category.neurovascular': 'Neurovascular',
+  'category.metabolic': 'Metabolic TE',
+
+  // Results table and pagination (results.js)
+  'search.invalid': 'Invalid search: {message}',
+  'search.example': 'Example: {query}',
+  'results.title': 'Search Results',
+  'results.rows': 'Rows',
+  'results.columns': 'Columns',
+  'results.export': 'Export',
+  'results.addEntry': 'Add entry',
+  'results.import': 'Import',
+  'results.importTitle': 'Import entries from CSV or JSON',
+  'results.clear': 'Clear',
+  'results.emptyTitle': 'Enter a search term to explore the database',
+  'results.emptyHint': 'Try searching for "APOE", "APP", or "Neural tissue engineering"',
+  'results.noResults': 'No results found',
+  'results.noResultsHint': 'Try a different search term',
+  'results.summary': {
+    one: 'Showing {start}-{end} of {count} result{order}',
+    other: 'Showing {start}-{end} of {count} results{order}'
+  },
+  'results.sortedAscending': ', sorted by {field} (ascending)',
+  'results.sortedDescending': ', sorted by {field} (descending)',
+  'results.rankedByRelevance': ', ranked by relevance',
+  'results.sortBy': 'Sort by {field}',
+  'results.viewRecord': 'View full record',
+  'results.selectForExport': 'Select for export',
+  'results.selectRow': 'Select {gene} {variant} for export',
+  'results.selectPage': 'Select all rows on this page',
+  'results.matched': 'Matched your search',
+  'results.selectedCount': '{count} selected',
+  'results.clearSelection': 'Clear selection',
+  'pagination.label': 'Results pages',
+  'pagination.page': 'Page {page}',
+  'pagination.previous': 'Previous page',
+  'pagination.next': 'Next page',
+
+  // Facets, table settings and statistics (facets.js, table-config.js, statistics.js)
+  'facets.refineBy': 'Refine by',
+  'facets.reset': 'Reset filters',
+  'facets.any': 'Any',
+  'facets.all': 'All',
+  'facets.notRecorded': 'Not recorded',
+  'facets.showFewer': 'Show fewer',
+  'facets.showAll': 'Show all {count}',
+  'table.allRows': 'All',
+  'table.columnsHint': 'Show, hide and reorder columns',
+  'table.reset': 'Reset table',
+  'table.moveUp': 'Move {field} up',
+  'table.moveDown': 'Move {field} down',
+  'statistics.categories': {
+    one: 'TE Category ({count} entry)',
+    other: 'TE Category ({count} entries)'
+  },
+  'statistics.barTitle': {
+    one: '{value}: {count} entry ({percent})',
+    other: '{value}: {count} entries ({percent})'
+  },
+  'statistics.crosstab': 'Oxidative Stress × Angiogenesis',
+  'statistics.crosstabCorner': 'Oxidative stress by angiogenesis',
+  'statistics.crosstabCell': {
+    one: '{stress} oxidative stress, {angiogenesis} angiogenesis: {count} entry',
+    other: '{stress} oxidative stress, {angiogenesis} angiogenesis: {count} entries'
+  },
+  'statistics.crosstabAxis': 'rows: oxidative stress · columns: angiogenesis',
+  'statistics.topGrowthFactors': 'Top Growth Factors',
+  'statistics.topBiomaterials': 'Top Biomaterials',
+
+  // Export and reports (export.js); report text is in the interface language
+  'export.xlsx': 'Excel (XLSX)',
+  'export.markdown': 'Markdown report',
+  'export.html': 'Printable report',
+  'export.ris': 'Citations (RIS)',
+  'export.bibtex': 'Citations (BibTeX)',
+  'export.citationsTitle': 'Citations behind the exported entries',
+  'export.scope.page': 'current page',
+  'export.scope.filtered': 'all results',
+  'export.scope.selected': 'selected rows',
+  'export.scopeOption.page': 'Current page ({count})',
+  'export.scopeOption.filtered': 'All results ({count})',
+  'export.scopeOption.selected': 'Selected rows ({count})',
+  'export.noneSelected': 'No rows selected. Tick rows in the results table first.',
+  'export.noResults': 'No results to export. Please perform a search first.',
+  'report.title': 'Tissue Engineering–Based Alzheimer\'s Gene Database Report',
+  'report.generated': 'Generated',
+  'report.entries': 'Entries',
+  'report.search': 'Search',
+  'report.filters': 'Filters',
+  'report.field': 'Field',
+  'report.value': 'Value',
+  'report.none': 'none',
+  'report.scope': {
+    one: '{count} entry ({scope})',
+    other: '{count} entries ({scope})'
+  },
+
+  'report.generatedOn': 'Generated {date}',
+
+  // Comparison workspace (comparison.js)
+  'comparison.pin': 'Pin for comparison',
+  'comparison.pinned': 'Pinned',
+  'comparison.unpin': 'Remove from comparison',
+  'comparison.unpinGene': 'Unpin {gene}',
+  'comparison.tooMany': 'At most {max} entries can be compared. Unpin one first.',
+  'comparison.trayLabel': 'Pinned ({count}/{max})',
+  'comparison.needTwo': 'Pin at least two entries',
+  'comparison.pinTwo': 'Pin at least two entries to compare.',
+  'comparison.compare': 'Compare',
+  'comparison.invalidRoute': 'A comparison needs at least two database entries.',
+  'comparison.heading': 'Comparing {genes}',
+  'comparison.reportTitle': 'Entry Comparison: {genes}',
+  'comparison.differing': '{count} of {total} fields differ',
+  'comparison.diffOnly': 'Show differences only',
+  'comparison.print': 'Print',
+  'comparison.same': 'Same',
+  'comparison.differs': 'Differs',
+  'comparison.status': 'Status',
+  'comparison.token.shared': 'In every pinned entry',
+  'comparison.token.partial': 'In some pinned entries',
+  'comparison.token.unique': 'Only in this entry',
+
+
+  // Gene detail view (gene-detail.js)
+  'geneDetail.notFound': 'No database entry found for "{key}".',
+  'geneDetail.edit': 'Edit',
+  'geneDetail.noEvidence': 'No literature evidence is recorded for this entry. Add PubMed IDs or DOIs with Edit to make it citable.',
+  'geneDetail.lookUp': 'Look up {gene}',
+  'geneDetail.similar': 'Similar Entries',
+  'geneDetail.noSimilar': 'No other entries share a cell type, growth factor or biomaterial.',
+
+
+  // Record validation (validation.js)
+  'validation.notObject': 'Record is not an object',
+  'validation.missing': 'Missing {field}',
+  'validation.notText': '{field} must be text, got {type}',
+  'validation.notAllowed': '{field} "{value}" is not one of: {allowed}',
+  'validation.invalidFormat': '{field} "{value}" not valid (expected e.g. {example})',
+  'validation.unknownField': 'Unknown field "{key}" ignored',
+  'validation.notArray': 'Dataset must be a JSON array of records',
+  'validation.record': 'Record {number}',
+  'validation.duplicate': 'Duplicate of record {number} (same gene and variant)',
+
+
+  // Local entries, the entry form and import (local-entries.js)
+  'local.edited': 'Local edit',
+  'local.editedHint': 'Edited in this browser',
+  'local.added': 'Local',
+  'local.addedHint': 'Added in this browser',
+  'local.history': 'Local History',
+  'local.storedEntry': 'This entry is stored in this browser only.',
+  'local.storedEdit': 'This entry is stored in this browser only and replaces the shipped record.',
+  'local.action.shipped': 'Shipped version',
+  'local.action.created': 'Created',
+  'local.action.edited': 'Edited',
+  'local.action.imported': 'Imported',
+  'local.action.reverted': 'Reverted',
+  'local.current': 'Current',
+  'local.revert': 'Revert to this version',
+  'local.discard': 'Discard local changes',
+  'local.delete': 'Delete local entry',
+  'local.confirmDiscard': 'Discard all local changes to {gene} and restore the shipped record?',
+  'local.confirmDelete': 'Delete the local entry {gene}? Its history is deleted too.',
+  'local.saveFailed': 'Could not save to local storage in this browser. Your changes were not kept.',
+  'local.updateFailed': 'Could not update local storage in this browser.',
+  'entry.addTitle': 'Add Entry',
+  'entry.editTitle': 'Edit Entry: {gene}',
+  'entry.addHint': 'Entries are saved in this browser only and are marked as local.',
+  'entry.editHint': 'Your changes are saved in this browser as a local edit; the shipped record is kept and can be restored.',
+  'entry.choose': 'Choose…',
+  'entry.listPlaceholder': 'Separate values with ;',
+  'entry.examplePlaceholder': 'e.g. {example}',
+  'entry.save': 'Save entry',
+  'entry.cancel': 'Cancel',
+  'entry.duplicate': '{gene} already has the variant "{variant}"',
+  'entry.fixProblems': {
+    one: 'Please fix {count} problem before saving.',
+    other: 'Please fix {count} problems before saving.'
+  },
+  'import.notArray': 'JSON must be an array of records',
+  'import.empty': 'The file is empty',
+  'import.noGeneColumn': 'No "gene_name" (or "{label}") column found',
+  'import.readFailed': 'Could not read {file}: {message}',
+  'import.title': 'Import Entries: {file}',
+  'import.summary': {
+    one: '{count} record read: {new} new, {conflicts} already in the database, {skipped} skipped as invalid or repeated. Imported entries are stored in this browser as local entries.',
+    other: '{count} records read: {new} new, {conflicts} already in the database, {skipped} skipped as invalid or repeated. Imported entries are stored in this browser as local entries.'
+  },
+  'import.forExisting': 'For records that already exist:',
+  'import.keepAll': 'Keep all existing',
+  'import.replaceAll': 'Replace all with imported',
+  'import.action': 'Action',
+  'import.actionFor': 'Action for record {number}',
+  'import.status.new': 'New',
+  'import.status.conflict': 'Already exists',
+  'import.status.repeat': 'Repeated in file',
+  'import.status.invalid': 'Invalid',
+  'import.localDiffers': {
+    one: 'Local record {count} field differs',
+    other: 'Local record {count} fields differ'
+  },
+  'import.shippedDiffers': {
+    one: 'Shipped record {count} field differs',
+    other: 'Shipped record {count} fields differ'
+  },
+  'import.keep': 'Keep existing',
+  'import.replace': 'Replace with imported',
+  'import.skip': 'Skip',
+  'import.add': 'Add',
+  'import.confirm': {
+    one: 'Import {count} entry',
+    other: 'Import {count} entries'
+  },
+  'import.done': {
+    one: 'Imported {count} entry.',
+    other: 'Imported {count} entries.'
+  },
+
+
+  // Dataset loading, data quality and offline status (data.js, offline.js)
+  'data.offlineUnavailable': 'The database is not available offline yet.',
+  'data.offlineHint': 'Open this page once while connected so it can be saved for offline use.',
+  'data.loadFailed': 'Failed to load database.',
+  'data.retry': 'Retry',
+  'dataQuality.summary': '{valid}/{total} valid · {repaired} repaired · {invalid} invalid',
+  'dataQuality.view': 'View report',
+  'dataQuality.title': 'Data Quality Report',
+  'dataQuality.checked': '{total} records checked against the {fields}-field schema: {valid} loaded, {repaired} repaired, {invalid} rejected, {warnings} with warnings.',
+  'dataQuality.invalid': 'Invalid records (not loaded)',
+  'dataQuality.problems': 'Problems',
+  'dataQuality.repaired': 'Repaired records',
+  'dataQuality.original': 'Original',
+  'dataQuality.repairedValue': 'Repaired',
+  'dataQuality.warnings': 'Warnings',
+  'dataset.version': 'Dataset {version}',
+  'dataset.versionHint': 'Dataset version (content hash)',
+  'dataset.updated': 'Updated {date}',
+  'dataset.offline': 'Offline · using saved data',
+  'dataset.updateAvailable': 'Newer dataset available · Reload',
+  'dataset.install': 'Install app',
+  'offline.needsConnection': '{service} needs an internet connection. The database and the sequence tools keep working offline.',
+
+
+  // Query syntax errors (search.js)
+  'query.atCharacter': '{message} (at character {position})',
+  'query.unknownField': 'Unknown field "{name}"',
+  'query.unterminatedPhrase': 'Unterminated quoted phrase',
+  'query.emptyPhrase': 'Empty quoted phrase',
+  'query.missingValue': 'Missing value after "{word}"',
+  'query.missingField': 'Missing field name before "{word}"',
+  'query.orBetween': 'OR must appear between two terms',
+  'query.orFollowed': 'OR must be followed by a term',
+  'query.notFollowed': '"-" must be followed by a term',
+  'query.emptyParentheses': 'Empty parentheses',
+  'query.missingParenthesis': 'Missing closing parenthesis',
+  'query.unexpectedParenthesis': 'Unexpected ")"',
+
+  // Sequence input (sequence-input.js)
+  'sequence.enter': 'Please enter a sequence.',
+  'sequence.empty': 'contains no sequence',
+  'sequence.needsDna': 'looks like a protein sequence; this tool needs DNA',
+  'sequence.alphabet.dna': 'DNA',
+  'sequence.alphabet.rna': 'RNA',
+  'sequence.alphabet.protein': 'protein',
+  'sequence.invalid': {
+    one: '{count} invalid {alphabet} character',
+    other: '{count} invalid {alphabet} characters'
+  },
+  'sequence.at': 'at {position}',
+  'sequence.more': 'and {count} more',
+  'sequence.unusable': 'The sequence input could not be used:',
+  'sequence.downloadFasta': {
+    one: 'Download FASTA ({count} record)',
+    other: 'Download FASTA ({count} records)'
+  },
+  'sequence.loadFile': 'Load file',
+  'sequence.dropHint': 'or drop a FASTA / GenBank file on the box above',
+  'sequence.readFailed': 'Could not read {file}.',
+
+
+  // Citation export (citations.js)
+  'citations.note': 'Evidence for TE Alzheimer\'s DB entries: {entries}',
+  'citations.none': 'None of these entries has PubMed IDs or DOIs recorded, so there are no citations to export.',
+
+
+  // Relationship network (network.js)
+  'network.type.gene': 'Genes',
+  'network.type.mechanism': 'AD mechanisms',
+  'network.type.growth': 'Growth factors',
+  'network.type.cell': 'Cell types',
+  'network.type.biomaterial': 'Biomaterials',
+  'network.noNodes': 'No nodes to show; choose at least one node type.',
+  'network.nodeTitle': {
+    one: '{value} ({count} entry)',
+    other: '{value} ({count} entries)'
+  },
+  'network.label': 'Relationship network of {count} nodes',
+  'network.summary': '{nodes} nodes, {links} links.',
+  'network.selected': 'Selected:',
+  'network.neighbors': 'Neighbors:',
+  'network.sharedNeighbors': 'Shared neighbors:',
+  'network.filter': 'Filter table by selection',
+  'network.pngUnsupported': 'PNG export is not supported in this browser; try SVG.',
+
+
+  // Pathway map (pathway.js)
+  'pathway.title': "Alzheimer's disease pathway (hsa05010)",
+  'pathway.overlay': 'Overlay',
+  'pathway.overlayNone': 'None',
+  'pathway.loading': 'Loading the pathway map...',
+  'pathway.unavailable': 'The pathway map could not be loaded.',
+  'pathway.label': {
+    one: "Alzheimer's disease pathway map with {count} database gene highlighted",
+    other: "Alzheimer's disease pathway map with {count} database genes highlighted"
+  },
+  'pathway.notInDatabase': 'Not in the database',
+  'pathway.geneTitle': {
+    one: '{symbol}: {count} entry, {category}',
+    other: '{symbol}: {count} entries, {category}'
+  },
+  'pathway.severityLegend': '{field} (most severe entry):',
+  'pathway.help': 'A simplified offline copy of the KEGG map. Genes in the database are coloured by TE category; click one, or its button below, to show its entries.',
+  'pathway.databaseGenes': 'Database genes on this map ({count})',
+
+
+  // TE recommender results (recommender.js)
+  'recommend.category.biomaterials': 'Biomaterials',
+  'recommend.category.cellTypes': 'Cell Types',
+  'recommend.category.growthFactorCombos': 'Growth-Factor Combinations',
+  'recommend.noMatch': 'No database entries match: {terms}',
+  'recommend.enterCriteria': 'Please enter genes, mechanism keywords or choose a pathology profile.',
+  'recommend.notInDatabase': 'Not in the database: {terms}',
+  'recommend.noRows': 'No entries match these criteria.',
+  'recommend.support': '{count} of {total} entries',
+  'recommend.genes': {
+    one: '{count} gene',
+    other: '{count} genes'
+  },
+  'recommend.more': '{count} more with less support',
+  'recommend.basis': {
+    one: 'Based on {count} matching entry across {genes}. Expand a suggestion to see the entries backing it.',
+    other: 'Based on {count} matching entries across {genes}. Expand a suggestion to see the entries backing it.'
+  },
+
+
+  // Tool panel forms, results and messages (tools.js); sequence data and alignments stay in English
+  'tool.close': 'Close tool',
+  'tool.opensOnline': '{service} opens in a new tab and needs a connection.',
+  'tool.notRedirected': 'Click here if not redirected',
+  'tool.input.any': 'Enter DNA/Protein Sequence (plain, FASTA or GenBank):',
+  'tool.input.dna': 'Enter DNA Sequence (plain, FASTA or GenBank):',
+  'tool.input.target': 'Enter Target DNA Sequence (plain, FASTA or GenBank):',
+  'tool.input.analysis': 'Enter DNA or Protein Sequence (plain, FASTA or GenBank):',
+  'tool.blast.title': 'BLAST Tool',
+  'tool.blast.alignment': 'Alignment',
+  'tool.blast.local': 'Local (Smith-Waterman)',
+  'tool.blast.global': 'Global (whole query, semi-global)',
+  'tool.blast.maxHits': 'Maximum hits',
+  'tool.blast.evalue': 'E-value threshold',
+  'tool.blast.run': 'Search AD Gene References',
+  'tool.blast.openNcbi': 'Open in NCBI BLAST',
+  'tool.blast.note': 'Searches the bundled RefSeq sequences of the database genes in your browser; NCBI BLAST searches all of GenBank online.',
+  'tool.blast.tooLong': 'Local search is limited to {max} residues per sequence; use NCBI BLAST for longer queries.',
+  'tool.blast.searching': 'Searching reference sequences...',
+  'tool.blast.referencesUnavailable': 'The local reference sequences could not be loaded, so the search cannot run offline.',
+  'tool.blast.useNcbi': 'Search with NCBI BLAST instead',
+  'tool.blast.opening': 'Opening NCBI BLAST with your sequence...',
+  'tool.blast.tooLongForLink': 'Your sequence is too long to send in a link; paste it into the NCBI BLAST form.',
+  'tool.blast.noHits': 'No Hits',
+  'tool.blast.noHitsLocal': 'No reference shares enough k-mers with the query or passes E ≤ {evalue}.',
+  'tool.blast.noHitsGlobal': 'No reference shares enough k-mers with the query or aligns with a positive score.',
+  'tool.blast.hits': {
+    one: '{count} Hit',
+    other: '{count} Hits'
+  },
+  'tool.blast.summary.local': 'Smith-Waterman, {references} · E-values are Karlin-Altschul estimates for this small database',
+  'tool.blast.summary.global': 'Semi-global, {references} · the whole query is aligned; E-values only apply to local alignments',
+  'tool.blast.references.nucleotide': 'nucleotide references',
+  'tool.blast.references.protein': 'protein references',
+  'tool.blast.column.reference': 'Reference',
+  'tool.blast.column.score': 'Score',
+  'tool.blast.column.bits': 'Bits',
+  'tool.blast.column.evalue': 'E-value',
+  'tool.blast.column.identity': 'Identity',
+  'tool.blast.column.queryCover': 'Query cover',
+  'tool.blast.column.strand': 'Strand',
+  'tool.blast.strand.plus': 'Plus',
+  'tool.blast.strand.minus': 'Minus',
+  'tool.blast.scoreLocal': 'Score {score} ({bits} bits), E = {evalue}',
+  'tool.blast.scoreGlobal': 'Score {score}',
+  'tool.blast.identities': 'Identities {matches}/{length} ({percent}%)',
+  'tool.blast.positives': 'Positives {positives}/{length}',
+  'tool.blast.gaps': 'Gaps {gaps}/{length}',
+  'tool.kegg.title': 'KEGG Pathway Tool',
+  'tool.kegg.label': 'Enter KEGG ID:',
+  'tool.kegg.placeholder': 'e.g., hsa:10458 or map05010',
+  'tool.kegg.open': 'Open KEGG',
+  'tool.kegg.enter': 'Please enter a KEGG ID.',
+  'tool.kegg.opening': 'Opening KEGG database...',
+  'tool.kegg.view': 'View on KEGG',
+  'tool.kegg.lookup': 'Look up other KEGG entries online',
+  'tool.primer.title': 'Primer Designing Tool',
+  'tool.primer.settings': 'Design settings',
+  'tool.primer.length': 'Primer length (min / opt / max)',
+  'tool.primer.tm': 'Tm °C (min / opt / max)',
+  'tool.primer.gc': 'GC % (min / max)',
+  'tool.primer.product': 'Product size bp (min / max)',
+  'tool.primer.salts': 'Na⁺ / Mg²⁺ / dNTP (mM)',
+  'tool.primer.concentration': 'Primer conc. (nM) / max ΔTm (°C)',
+  'tool.primer.pairs': 'Pairs to return',
+  'tool.primer.gcClamp': 'Require 3′ GC clamp',
+  'tool.primer.design': 'Design Primers',
+  'tool.primer.error.lengthRange': 'Minimum primer length is larger than the maximum.',
+  'tool.primer.error.tmRange': 'Minimum Tm is larger than the maximum.',
+  'tool.primer.error.gcRange': 'Minimum GC content is larger than the maximum.',
+  'tool.primer.error.productRange': 'Minimum product size is larger than the maximum.',
+  'tool.primer.error.productTooShort': 'Minimum product size must fit both primers.',
+  'tool.primer.error.salt': 'Salt concentration (Na⁺ or Mg²⁺) must be above zero.',
+  'tool.primer.error.primerConcentration': 'Primer concentration must be above zero.',
+  'tool.primer.rejected.ambiguous': 'Contains ambiguous bases',
+  'tool.primer.rejected.gc': 'GC content out of range',
+  'tool.primer.rejected.clamp': 'No 3′ GC clamp / too many 3′ G+C',
+  'tool.primer.rejected.repeat': 'Mononucleotide or dinucleotide run',
+  'tool.primer.rejected.tm': 'Tm out of range',
+  'tool.primer.rejected.endStability': '3′ end too stable',
+  'tool.primer.rejected.hairpin': 'Hairpin',
+  'tool.primer.rejected.selfDimer': 'Self-dimer',
+  'tool.primer.rejected.productSize': 'Product size out of range',
+  'tool.primer.rejected.tmDiff': 'Tm difference too large',
+  'tool.primer.rejected.crossDimer': 'Cross-dimer',
+  'tool.primer.tooShort': 'Sequence is {length} bases; it should be at least the minimum product size.',
+  'tool.primer.noPairs': 'No primer pairs meet the constraints',
+  'tool.primer.noPairsChecked': '{forward} forward and {reverse} reverse primers passed; {pairs} pairs were checked. Candidates rejected by:',
+  'tool.primer.widen': 'Try widening the Tm, GC or product size ranges.',
+  'tool.primer.ranked': {
+    one: '{count} Ranked Primer Pair',
+    other: '{count} Ranked Primer Pairs'
+  },
+  'tool.primer.scanned': 'Scanned {forward} forward and {reverse} reverse primers that pass the single-primer checks; {pairs} pairs checked. Lower penalty is better.',
+  'tool.primer.pairProduct': 'Product: {size} bp',
+  'tool.primer.pairTmDiff': 'ΔTm: {difference}°C',
+  'tool.primer.pairCrossDimer': 'Cross-dimer ΔG: {deltaG} (3′: {endDeltaG})',
+  'tool.primer.pairPenalty': 'Penalty {penalty}',
+  'tool.primer.forwardPrimer': 'Forward Primer',
+  'tool.primer.reversePrimer': 'Reverse Primer',
+  'tool.primer.cardTm': 'Tm: {tm}°C',
+  'tool.primer.cardInfo': 'Length: {length} bp | GC: {gc}% | 3′ ΔG: {endStability} | Hairpin ΔG: {hairpin} | Self-dimer ΔG: {selfDimer} (3′: {selfDimerEnd}) kcal/mol',
+  'tool.primer.amplicon': 'Amplicon #{number} on Target',
+  'tool.primer.legend.forward': 'Forward',
+  'tool.primer.legend.amplicon': 'amplicon',
+  'tool.primer.legend.reverse': 'reverse',
+  'tool.primer.selectPair': 'Click a pair to show its amplicon.',
+  'tool.translate.title': 'Transcription & Translation Tool',
+  'tool.translate.geneticCode': 'Genetic code',
+  'tool.translate.orfMinLength': 'Minimum ORF length (aa)',
+  'tool.translate.altStarts': 'Allow alternative start codons',
+  'tool.translate.transcribe': 'Transcribe to RNA',
+  'tool.translate.sixFrame': 'Six-Frame Translation',
+  'tool.translate.findOrfs': 'Find ORFs',
+  'tool.translate.rna': 'Transcribed RNA Sequence',
+  'tool.translate.rnaLength': 'Length: {length} nucleotides',
+  'tool.translate.framesInfo': 'Genetic code: {code} · Length: {length} nt',
+  'tool.translate.frame': 'Frame {frame}',
+  'tool.translate.legend': '* stop · B = D/N, Z = E/Q, J = I/L, X = unresolved ambiguity',
+  'tool.translate.noOrfs': 'No ORFs Found',
+  'tool.translate.noOrfsInfo': 'No open reading frames of at least {length} amino acids in six frames ({code}).',
+  'tool.translate.orfs': {
+    one: '{count} Open Reading Frame',
+    other: '{count} Open Reading Frames'
+  },
+  'tool.translate.orfsInfo': 'Genetic code: {code} · minimum {length} aa · coordinates are 1-based on the input strand, start to stop codon inclusive',
+  'tool.translate.partial': 'partial',
+  'tool.translate.partialTitle': 'No stop codon before the end of the sequence',
+  'tool.translate.column.frame': 'Frame',
+  'tool.translate.column.start': 'Start',
+  'tool.translate.column.end': 'End',
+  'tool.translate.column.length': 'Length (aa)',
+  'tool.translate.column.protein': 'Protein',
+  'tool.complement.title': 'Complement & Reverse Complement Tool',
+  'tool.complement.complement': 'Complement',
+  'tool.complement.reverse': 'Reverse Complement',
+  'tool.complement.complementResult': 'Complement Sequence',
+  'tool.recommend.title': 'Tissue Engineering Recommender',
+  'tool.recommend.genes': 'Genes (symbols, names or aliases; comma-separated panel):',
+  'tool.recommend.mechanisms': 'AD mechanism keywords (comma-separated):',
+  'tool.recommend.note': 'Entries matching any listed gene or mechanism are used; the profile below narrows them. With no genes or mechanisms, the profile alone selects entries.',
+  'tool.recommend.any': 'Any',
+  'tool.recommend.orWorse': '{value} or worse',
+  'tool.recommend.run': 'Recommend',
+  'tool.network.title': 'Relationship Network',
+  'tool.network.scope': 'Only entries in current results',
+  'tool.network.zoomIn': 'Zoom in',
+  'tool.network.zoomOut': 'Zoom out',
+  'tool.network.resetView': 'Reset view',
+  'tool.network.help': 'Scroll to zoom, drag to pan. Click a node to highlight its neighbors; Shift-click to add nodes and highlight the neighbors they share. Double-click filters the results table.',
+  'tool.network.exportSvg': 'Export SVG',
+  'tool.network.exportPng': 'Export PNG',
+  'tool.analysis.title': 'Sequence Analysis Toolkit',
+  'tool.analysis.enzymes': 'Restriction enzymes',
+  'tool.analysis.cutters': 'Enzymes that cut',
+  'tool.analysis.unique': 'Single cutters only',
+  'tool.analysis.allEnzymes': 'All enzymes, including non-cutters',
+  'tool.analysis.hydropathyWindow': 'Hydropathy window (residues)',
+  'tool.analysis.restrictionMap': 'Restriction Map',
+  'tool.analysis.composition': 'Composition & CpG Islands',
+  'tool.analysis.protein': 'Protein Properties',
+  'tool.analysis.notProtein': '{id} looks like a nucleotide sequence. Translate it first with the Transcription & Translation tool.',
+  'tool.analysis.analyzeOutput': 'Analyze',
+  'tool.analysis.restrictionInfo': '{length} bp, linear · {cutting} of {total} enzymes cut · cut positions are after the given base on the top strand',
+  'tool.analysis.restrictionMapLabel': 'Linear restriction map',
+  'tool.analysis.cutsAfter': '{enzyme} cuts after {position}',
+  'tool.analysis.noEnzymes': 'No enzymes match this filter.',
+  'tool.analysis.nucleotideComposition': 'Nucleotide Composition',
+  'tool.analysis.compositionInfo': 'Length {length} · GC {gc}% · GC skew {gcSkew} · AT skew {atSkew}',
+  'tool.analysis.ambiguousBases': {
+    one: '{count} ambiguous base not counted',
+    other: '{count} ambiguous bases not counted'
+  },
+  'tool.analysis.observedExpected': 'Observed/expected {ratio}',
+  'tool.analysis.dinucleotideNote': 'Dinucleotide counts with observed/expected ratio in brackets.',
+  'tool.analysis.cpgIslands': 'CpG Islands',
+  'tool.analysis.cpgCriteria': 'Gardiner-Garden & Frommer criteria: ≥{length} bp, GC > {gc}%, CpG observed/expected > {ratio}',
+  'tool.analysis.noCpgIslands': 'No CpG islands found.',
+  'tool.analysis.property.length': 'Length',
+  'tool.analysis.property.molecularWeight': 'Molecular weight',
+  'tool.analysis.property.isoelectricPoint': 'Isoelectric point',
+  'tool.analysis.property.extinctionReduced': 'Ext. coefficient (reduced)',
+  'tool.analysis.property.extinctionCystines': 'Ext. coefficient (cystines)',
+  'tool.analysis.property.absorbance': 'Abs 0.1% (reduced)',
+  'tool.analysis.property.charged': 'Charged residues (D+E / K+R)',
+  'tool.analysis.proteinMethods': 'Average isotopic masses; pI from EMBOSS pKa values; extinction at 280 nm in water (Pace et al.)',
+  'tool.analysis.excludedResidues': {
+    one: '{count} ambiguous or stop residue not counted',
+    other: '{count} ambiguous or stop residues not counted'
+  },
+  'tool.analysis.hydropathy': 'Kyte-Doolittle Hydropathy (window {window})',
+  'tool.analysis.hydropathyPlot': 'Hydropathy plot',
+  'tool.analysis.shorterThanWindow': 'Sequence is shorter than the window.',
+  'tool.analysis.aminoAcidComposition': 'Amino Acid Composition',
+  'tool.analysis.column.enzyme': 'Enzyme',
+  'tool.analysis.column.site': 'Site',
+  'tool.analysis.column.cuts': 'Cuts',
+  'tool.analysis.column.positions': 'Positions',
+  'tool.analysis.column.fragments': 'Fragments (bp)',
+  'tool.analysis.column.base': 'Base',
+  'tool.analysis.column.count': 'Count',
+  'tool.analysis.column.start': 'Start',
+  'tool.analysis.column.end': 'End',
+  'tool.analysis.column.length': 'Length',
+  'tool.analysis.column.residue': 'Residue',
+  'tool.uniprot.title': 'UniProt Search',
+  'tool.uniprot.label': 'Enter UniProt ID or Protein Name:',
+  'tool.uniprot.placeholder': 'e.g., P05067 (APP) or Tau',
+  'tool.uniprot.search': 'Search UniProt',
+  'tool.uniprot.enter': 'Please enter a UniProt ID or protein name.',
+  'tool.chembl.title': 'ChEMBL Database',
+  'tool.chembl.label': 'Enter ChEMBL ID or Compound Name:',
+  'tool.chembl.placeholder': 'e.g., CHEMBL25 or Donepezil',
+  'tool.chembl.search': 'Search ChEMBL',
+  'tool.chembl.enter': 'Please enter a ChEMBL ID or compound name.',
+
+  // Notices (a11y.js)
+  'notice.dismiss': 'Dismiss message'
+};
@@ -0,0 +1,667 @@
+/**
+ * Spanish interface messages. Keys, placeholders and plural
+ * messages follow the English catalog (locales/en.js).
+ */
+
+export const es = {
+  // Page (index.html)
+  'app.title': 'Base de datos de genes del Alzheimer basada en ingeniería de tejidos',
+  'app.subtitle': 'Integración de datos genómicos con estrategias de medicina regenerativa',
+  'page.skipLink': 'Saltar a la base de datos',
+  'page.toolsAside': 'Herramientas y resumen de la base de datos',
+  'page.resourcesAside': 'Recursos visuales y relacionados',
+  'nav.label': 'Principal',
+  'nav.home': 'Inicio',
+  'nav.database': 'Base de datos',
+  'nav.tools': 'Herramientas',
+  'nav.about': 'Acerca de',
+  'language.label': 'Idioma',
+  'hero.title': 'Impulsando la investigación del Alzheimer mediante la ingeniería de tejidos',
+  'hero.text': 'Una base de datos integral que relaciona los genes de la enfermedad de Alzheimer con intervenciones de ingeniería de tejidos, estrategias de andamiaje y resultados regenerativos.',
+  'hero.entries': 'Entradas de genes',
+  'hero.fields': 'Campos de datos',
+  'hero.categories': 'Categorías de IT',
+  'hero.explore': 'Explorar la base de datos',
+  'toolsMenu.label': 'Herramientas bioinformáticas',
+  'toolsMenu.title': 'Herramientas bioinformáticas',
+  'toolsMenu.primer': 'Diseño de cebadores',
+  'toolsMenu.translate': 'Transcripción y traducción',
+  'toolsMenu.complement': 'Herramienta de complemento',
+  'toolsMenu.analysis': 'Análisis de secuencias',
+  'toolsMenu.recommend': 'Recomendador de IT',
+  'toolsMenu.network': 'Red de relaciones',
+  'overview.title': 'Resumen de la base de datos',
+  'info.title': 'Ingeniería de tejidos para la enfermedad de Alzheimer',
+  'info.disease': 'La enfermedad de Alzheimer (EA) es un trastorno neurodegenerativo progresivo caracterizado por la acumulación de amiloide-β, la hiperfosforilación de tau y la pérdida neuronal. Los enfoques de ingeniería de tejidos ofrecen estrategias terapéuticas prometedoras mediante andamios de biomateriales, el trasplante de células madre y sistemas de administración dirigida de fármacos.',
+  'info.database': 'Esta base de datos integra información genómica con intervenciones de ingeniería de tejidos y ofrece a los investigadores datos completos sobre variantes génicas, mecanismos de la enfermedad, estrategias de andamiaje, tipos celulares, factores de crecimiento, biomateriales y resultados de regeneración.',
+  'info.scaffolds': 'Estrategias de andamiaje',
+  'info.cellTherapies': 'Terapias celulares',
+  'info.growthFactors': 'Administración de factores de crecimiento',
+  'info.biomaterials': 'Selección de biomateriales',
+  'info.learnMore': 'Más información en el NIH National Institute on Aging',
+  'search.title': 'Buscar en la base de datos',
+  'search.label': 'Buscar en la base de datos',
+  'search.placeholder': 'Buscar por nombre de gen, variante, función o relevancia para IT...',
+  'search.button': 'Buscar',
+  'search.advanced': 'Avanzada:',
+  'search.quickFilters': 'Filtros rápidos:',
+  'gallery.title': 'Recursos visuales',
+  'gallery.scaffold': 'Estructura de andamio de biomaterial 3D',
+  'gallery.scaffoldAlt': 'Andamio de ingeniería de tejidos',
+  'gallery.network': 'Integración de redes neuronales',
+  'gallery.networkAlt': 'Red neuronal cerebral',
+  'gallery.cells': 'Células madre neurales sobre un andamio',
+  'gallery.cellsAlt': 'Células neurales sobre un andamio',
+  'gallery.mechanisms': 'Mecanismos de la EA y soluciones de IT',
+  'gallery.mechanismsAlt': 'Mecanismos de la EA',
+  'resources.title': 'Recursos relacionados',
+  'resources.ncbiGene': 'Base de datos NCBI Gene',
+  'resources.uniprot': 'Base de datos de proteínas UniProt',
+  'resources.pubmed': 'Literatura en PubMed',
+  'about.title': 'Acerca de esta base de datos',
+  'about.dataTitle': 'Datos completos',
+  'about.dataText': 'entradas de genes con información detallada sobre variantes, funciones, mecanismos de la enfermedad y aplicaciones de ingeniería de tejidos.',
+  'about.integrationTitle': 'Integración con la IT',
+  'about.integrationText': 'Relaciona los datos genómicos con estrategias de andamiaje, tipos celulares, factores de crecimiento y biomateriales sugeridos.',
+  'about.researchTitle': 'Enfoque de investigación',
+  'about.researchText': 'Ayuda a los investigadores a desarrollar intervenciones de ingeniería de tejidos dirigidas a la enfermedad de Alzheimer.',
+  'about.openTitle': 'Acceso abierto',
+  'about.openText': 'Recurso de libre acceso para que la comunidad científica haga avanzar la investigación del Alzheimer.',
+  'footer.quickLinks': 'Enlaces rápidos',
+  'footer.resources': 'Recursos',
+  'footer.rights': 'Base de datos de genes del Alzheimer basada en ingeniería de tejidos. Todos los derechos reservados.',
+  'view.back': 'Volver a los resultados',
+
+  // Record fields (schema.js); .short labels head the results table columns
+  'field.gene_name': 'Nombre del gen',
+  'field.gene_name.short': 'Gen',
+  'field.variant': 'Variante',
+  'field.disease': 'Enfermedad',
+  'field.function': 'Función',
+  'field.ad_mechanism': 'Mecanismo de la EA',
+  'field.oxidative_stress': 'Estrés oxidativo',
+  'field.angiogenesis': 'Angiogénesis',
+  'field.neural_survival': 'Supervivencia neural',
+  'field.te_relevance': 'Relevancia para IT',
+  'field.scaffold_strategy': 'Estrategia de andamiaje',
+  'field.cell_type': 'Tipo celular',
+  'field.growth_factors': 'Factores de crecimiento',
+  'field.biomaterial_suggestion': 'Biomaterial sugerido',
+  'field.biomaterial_suggestion.short': 'Biomaterial',
+  'field.regeneration_outcome': 'Resultado de regeneración',
+  'field.regeneration_outcome.short': 'Resultado',
+  'field.evidence_level': 'Nivel de evidencia',
+  'field.evidence_level.short': 'Evidencia',
+  'field.pmids': 'ID de PubMed',
+  'field.pmids.short': 'PMID',
+  'field.dois': 'DOI',
+  'field.year': 'Año de la evidencia',
+  'field.year.short': 'Año',
+
+  // Short names of the TE categories (quick filter chips, statistics)
+  'category.neural': 'IT neural',
+  'category.neuroimmune': 'Neuroinmune',
+  'category.neurovascular': 'Neurovascular',
+  'category.metabolic': 'IT metabólica',
+
+  // Results table and pagination (results.js)
+  'search.invalid': 'Búsqueda no válida: {message}',
+  'search.example': 'Ejemplo: {query}',
+  'results.title': 'Resultados de la búsqueda',
+  'results.rows': 'Filas',
+  'results.columns': 'Columnas',
+  'results.export': 'Exportar',
+  'results.addEntry': 'Añadir entrada',
+  'results.import': 'Importar',
+  'results.importTitle': 'Importar entradas desde CSV o JSON',
+  'results.clear': 'Borrar',
+  'results.emptyTitle': 'Introduzca un término de búsqueda para explorar la base de datos',
+  'results.emptyHint': 'Pruebe a buscar "APOE", "APP" o "Neural tissue engineering"',
+  'results.noResults': 'No se encontraron resultados',
+  'results.noResultsHint': 'Pruebe con otro término de búsqueda',
+  'results.summary': {
+    one: 'Mostrando {start}-{end} de {count} resultado{order}',
+    other: 'Mostrando {start}-{end} de {count} resultados{order}'
+  },
+  'results.sortedAscending': ', ordenados por {field} (ascendente)',
+  'results.sortedDescending': ', ordenados por {field} (descendente)',
+  'results.rankedByRelevance': ', ordenados por relevancia',
+  'results.sortBy': 'Ordenar por {field}',
+  'results.viewRecord': 'Ver el registro completo',
+  'results.selectForExport': 'Seleccionar para exportar',
+  'results.selectRow': 'Seleccionar {gene} {variant} para exportar',
+  'results.selectPage': 'Seleccionar todas las filas de esta página',
+  'results.matched': 'Coincide con su búsqueda',
+  'results.selectedCount': '{count} seleccionadas',
+  'results.clearSelection': 'Borrar la selección',
+  'pagination.label': 'Páginas de resultados',
+  'pagination.page': 'Página {page}',
+  'pagination.previous': 'Página anterior',
+  'pagination.next': 'Página siguiente',
+
+  // Facets, table settings and statistics (facets.js, table-config.js, statistics.js)
+  'facets.refineBy': 'Refinar por',
+  'facets.reset': 'Restablecer filtros',
+  'facets.any': 'Cualquiera',
+  'facets.all': 'Todos',
+  'facets.notRecorded': 'Sin registrar',
+  'facets.showFewer': 'Mostrar menos',
+  'facets.showAll': 'Mostrar los {count}',
+  'table.allRows': 'Todas',
+  'table.columnsHint': 'Mostrar, ocultar y reordenar columnas',
+  'table.reset': 'Restablecer la tabla',
+  'table.moveUp': 'Subir {field}',
+  'table.moveDown': 'Bajar {field}',
+  'statistics.categories': {
+    one: 'Categoría de IT ({count} entrada)',
+    other: 'Categoría de IT ({count} entradas)'
+  },
+  'statistics.barTitle': {
+    one: '{value}: {count} entrada ({percent})',
+    other: '{value}: {count} entradas ({percent})'
+  },
+  'statistics.crosstab': 'Estrés oxidativo × angiogénesis',
+  'statistics.crosstabCorner': 'Estrés oxidativo según angiogénesis',
+  'statistics.crosstabCell': {
+    one: 'Estrés oxidativo {stress}, angiogénesis {angiogenesis}: {count} entrada',
+    other: 'Estrés oxidativo {stress}, angiogénesis {angiogenesis}: {count} entradas'
+  },
+  'statistics.crosstabAxis': 'filas: estrés oxidativo · columnas: angiogénesis',
+  'statistics.topGrowthFactors': 'Factores de crecimiento principales',
+  'statistics.topBiomaterials': 'Biomateriales principales',
+
+  // Export and reports (export.js); report text is in the interface language
+  'export.xlsx': 'Excel (XLSX)',
+  'export.markdown': 'Informe en Markdown',
+  'export.html': 'Informe imprimible',
+  'export.ris': 'Citas (RIS)',
+  'export.bibtex': 'Citas (BibTeX)',
+  'export.citationsTitle': 'Citas que respaldan las entradas exportadas',
+  'export.scope.page': 'página actual',
+  'export.scope.filtered': 'todos los resultados',
+  'export.scope.selected': 'filas seleccionadas',
+  'export.scopeOption.page': 'Página actual ({count})',
+  'export.scopeOption.filtered': 'Todos los resultados ({count})',
+  'export.scopeOption.selected': 'Filas seleccionadas ({count})',
+  'export.noneSelected': 'No hay filas seleccionadas. Marque primero filas en la tabla de resultados.',
+  'export.noResults': 'No hay resultados para exportar. Realice primero una búsqueda.',
+  'report.title': 'Informe de la base de datos de genes del Alzheimer basada en ingeniería de tejidos',
+  'report.generated': 'Generado',
+  'report.entries': 'Entradas',
+  'report.search': 'Búsqueda',
+  'report.filters': 'Filtros',
+  'report.field': 'Campo',
+  'report.value': 'Valor',
+  'report.none': 'ninguno',
+  'report.scope': {
+    one: '{count} entrada ({scope})',
+    other: '{count} entradas ({scope})'
+  },
+
+  'report.generatedOn': 'Generado el {date}',
+
+  // Comparison workspace (comparison.js)
+  'comparison.pin': 'Fijar para comparar',
+  'comparison.pinned': 'Fijada',
+  'comparison.unpin': 'Quitar de la comparación',
+  'comparison.unpinGene': 'Dejar de fijar {gene}',
+  'comparison.tooMany': 'Se pueden comparar como máximo {max} entradas. Deje de fijar una primero.',
+  'comparison.trayLabel': 'Fijadas ({count}/{max})',
+  'comparison.needTwo': 'Fije al menos dos entradas',
+  'comparison.pinTwo': 'Fije al menos dos entradas para compararlas.',
+  'comparison.compare': 'Comparar',
+  'comparison.invalidRoute': 'Una comparación necesita al menos dos entradas de la base de datos.',
+  'comparison.heading': 'Comparación de {genes}',
+  'comparison.reportTitle': 'Comparación de entradas: {genes}',
+  'comparison.differing': '{count} de {total} campos difieren',
+  'comparison.diffOnly': 'Mostrar solo las diferencias',
+  'comparison.print': 'Imprimir',
+  'comparison.same': 'Igual',
+  'comparison.differs': 'Difiere',
+  'comparison.status': 'Estado',
+  'comparison.token.shared': 'En todas las entradas fijadas',
+  'comparison.token.partial': 'En algunas entradas fijadas',
+  'comparison.token.unique': 'Solo en esta entrada',
+
+
+  // Gene detail view (gene-detail.js)
+  'geneDetail.notFound': 'No se encontró ninguna entrada para "{key}".',
+  'geneDetail.edit': 'Editar',
+  'geneDetail.noEvidence': 'No hay evidencia bibliográfica registrada para esta entrada. Añada ID de PubMed o DOI con Editar para que sea citable.',
+  'geneDetail.lookUp': 'Buscar {gene}',
+  'geneDetail.similar': 'Entradas similares',
+  'geneDetail.noSimilar': 'Ninguna otra entrada comparte un tipo celular, un factor de crecimiento o un biomaterial.',
+
+
+  // Record validation (validation.js)
+  'validation.notObject': 'El registro no es un objeto',
+  'validation.missing': 'Falta {field}',
+  'validation.notText': '{field} debe ser texto, pero es {type}',
+  'validation.notAllowed': '{field} "{value}" no es uno de: {allowed}',
+  'validation.invalidFormat': '{field} "{value}" no es válido (se esperaba p. ej. {example})',
+  'validation.unknownField': 'Se ignoró el campo desconocido "{key}"',
+  'validation.notArray': 'El conjunto de datos debe ser una matriz JSON de registros',
+  'validation.record': 'Registro {number}',
+  'validation.duplicate': 'Duplicado del registro {number} (mismo gen y variante)',
+
+
+  // Local entries, the entry form and import (local-entries.js)
+  'local.edited': 'Edición local',
+  'local.editedHint': 'Editada en este navegador',
+  'local.added': 'Local',
+  'local.addedHint': 'Añadida en este navegador',
+  'local.history': 'Historial local',
+  'local.storedEntry': 'Esta entrada solo se guarda en este navegador.',
+  'local.storedEdit': 'Esta entrada solo se guarda en este navegador y sustituye al registro original.',
+  'local.action.shipped': 'Versión original',
+  'local.action.created': 'Creada',
+  'local.action.edited': 'Editada',
+  'local.action.imported': 'Importada',
+  'local.action.reverted': 'Restaurada',
+  'local.current': 'Actual',
+  'local.revert': 'Volver a esta versión',
+  'local.discard': 'Descartar los cambios locales',
+  'local.delete': 'Eliminar la entrada local',
+  'local.confirmDiscard': '¿Descartar todos los cambios locales de {gene} y restaurar el registro original?',
+  'local.confirmDelete': '¿Eliminar la entrada local {gene}? También se elimina su historial.',
+  'local.saveFailed': 'No se pudo guardar en el almacenamiento local de este navegador. Sus cambios no se conservaron.',
+  'local.updateFailed': 'No se pudo actualizar el almacenamiento local de este navegador.',
+  'entry.addTitle': 'Añadir entrada',
+  'entry.editTitle': 'Editar entrada: {gene}',
+  'entry.addHint': 'Las entradas solo se guardan en este navegador y se marcan como locales.',
+  'entry.editHint': 'Sus cambios se guardan en este navegador como edición local; el registro original se conserva y puede restaurarse.',
+  'entry.choose': 'Elija…',
+  'entry.listPlaceholder': 'Separe los valores con ;',
+  'entry.examplePlaceholder': 'p. ej. {example}',
+  'entry.save': 'Guardar entrada',
+  'entry.cancel': 'Cancelar',
+  'entry.duplicate': '{gene} ya tiene la variante "{variant}"',
+  'entry.fixProblems': {
+    one: 'Corrija {count} problema antes de guardar.',
+    other: 'Corrija {count} problemas antes de guardar.'
+  },
+  'import.notArray': 'El JSON debe ser una matriz de registros',
+  'import.empty': 'El archivo está vacío',
+  'import.noGeneColumn': 'No se encontró ninguna columna "gene_name" (o "{label}")',
+  'import.readFailed': 'No se pudo leer {file}: {message}',
+  'import.title': 'Importar entradas: {file}',
+  'import.summary': {
+    one: '{count} registro leído: {new} nuevos, {conflicts} ya en la base de datos, {skipped} omitidos por no válidos o repetidos. Las entradas importadas se guardan en este navegador como entradas locales.',
+    other: '{count} registros leídos: {new} nuevos, {conflicts} ya en la base de datos, {skipped} omitidos por no válidos o repetidos. Las entradas importadas se guardan en este navegador como entradas locales.'
+  },
+  'import.forExisting': 'Para los registros que ya existen:',
+  'import.keepAll': 'Conservar todos los existentes',
+  'import.replaceAll': 'Sustituir todos por los importados',
+  'import.action': 'Acción',
+  'import.actionFor': 'Acción para el registro {number}',
+  'import.status.new': 'Nuevo',
+  'import.status.conflict': 'Ya existe',
+  'import.status.repeat': 'Repetido en el archivo',
+  'import.status.invalid': 'No válido',
+  'import.localDiffers': {
+    one: 'Registro local: difiere {count} campo',
+    other: 'Registro local: difieren {count} campos'
+  },
+  'import.shippedDiffers': {
+    one: 'Registro original: difiere {count} campo',
+    other: 'Registro original: difieren {count} campos'
+  },
+  'import.keep': 'Conservar el existente',
+  'import.replace': 'Sustituir por el importado',
+  'import.skip': 'Omitir',
+  'import.add': 'Añadir',
+  'import.confirm': {
+    one: 'Importar {count} entrada',
+    other: 'Importar {count} entradas'
+  },
+  'import.done': {
+    one: 'Se importó {count} entrada.',
+    other: 'Se importaron {count} entradas.'
+  },
+
+
+  // Dataset loading, data quality and offline status (data.js, offline.js)
+  'data.offlineUnavailable': 'La base de datos aún no está disponible sin conexión.',
+  'data.offlineHint': 'Abra esta página una vez con conexión para que se guarde para su uso sin conexión.',
+  'data.loadFailed': 'No se pudo cargar la base de datos.',
+  'data.retry': 'Reintentar',
+  'dataQuality.summary': '{valid}/{total} válidos · {repaired} reparados · {invalid} no válidos',
+  'dataQuality.view': 'Ver el informe',
+  'dataQuality.title': 'Informe de calidad de los datos',
+  'dataQuality.checked': '{total} registros comprobados con el esquema de {fields} campos: {valid} cargados, {repaired} reparados, {invalid} rechazados, {warnings} con advertencias.',
+  'dataQuality.invalid': 'Registros no válidos (no cargados)',
+  'dataQuality.problems': 'Problemas',
+  'dataQuality.repaired': 'Registros reparados',
+  'dataQuality.original': 'Original',
+  'dataQuality.repairedValue': 'Reparado',
+  'dataQuality.warnings': 'Advertencias',
+  'dataset.version': 'Conjunto de datos {version}',
+  'dataset.versionHint': 'Versión del conjunto de datos (hash del contenido)',
+  'dataset.updated': 'Actualizado el {date}',
+  'dataset.offline': 'Sin conexión · usando datos guardados',
+  'dataset.updateAvailable': 'Hay un conjunto de datos más reciente · Recargar',
+  'dataset.install': 'Instalar la aplicación',
+  'offline.needsConnection': '{service} necesita conexión a internet. La base de datos y las herramientas de secuencias siguen funcionando sin conexión.',
+
+
+  // Query syntax errors (search.js)
+  'query.atCharacter': '{message} (en el carácter {position})',
+  'query.unknownField': 'Campo desconocido "{name}"',
+  'query.unterminatedPhrase': 'Frase entre comillas sin cerrar',
+  'query.emptyPhrase': 'Frase entre comillas vacía',
+  'query.missingValue': 'Falta un valor después de "{word}"',
+  'query.missingField': 'Falta el nombre del campo antes de "{word}"',
+  'query.orBetween': 'OR debe aparecer entre dos términos',
+  'query.orFollowed': 'OR debe ir seguido de un término',
+  'query.notFollowed': '"-" debe ir seguido de un término',
+  'query.emptyParentheses': 'Paréntesis vacíos',
+  'query.missingParenthesis': 'Falta el paréntesis de cierre',
+  'query.unexpectedParenthesis': '")" inesperado',
+
+  // Sequence input (sequence-input.js)
+  'sequence.enter': 'Introduzca una secuencia.',
+  'sequence.empty': 'no contiene ninguna secuencia',
+  'sequence.needsDna': 'parece una secuencia de proteína; esta herramienta necesita ADN',
+  'sequence.alphabet.dna': 'ADN',
+  'sequence.alphabet.rna': 'ARN',
+  'sequence.alphabet.protein': 'proteína',
+  'sequence.invalid': {
+    one: '{count} carácter de {alphabet} no válido',
+    other: '{count} caracteres de {alphabet} no válidos'
+  },
+  'sequence.at': 'en {position}',
+  'sequence.more': 'y {count} más',
+  'sequence.unusable': 'No se pudo usar la secuencia introducida:',
+  'sequence.downloadFasta': {
+    one: 'Descargar FASTA ({count} registro)',
+    other: 'Descargar FASTA ({count} registros)'
+  },
+  'sequence.loadFile': 'Cargar archivo',
+  'sequence.dropHint': 'o suelte un archivo FASTA / GenBank en el cuadro de arriba',
+  'sequence.readFailed': 'No se pudo leer {file}.',
+
+
+  // Citation export (citations.js)
+  'citations.note': 'Evidencia de las entradas de TE Alzheimer\'s DB: {entries}',
+  'citations.none': 'Ninguna de estas entradas tiene ID de PubMed o DOI registrados, así que no hay citas que exportar.',
+
+
+  // Relationship network (network.js)
+  'network.type.gene': 'Genes',
+  'network.type.mechanism': 'Mecanismos de la EA',
+  'network.type.growth': 'Factores de crecimiento',
+  'network.type.cell': 'Tipos celulares',
+  'network.type.biomaterial': 'Biomateriales',
+  'network.noNodes': 'No hay nodos que mostrar; elija al menos un tipo de nodo.',
+  'network.nodeTitle': {
+    one: '{value} ({count} entrada)',
+    other: '{value} ({count} entradas)'
+  },
+  'network.label': 'Red de relaciones de {count} nodos',
+  'network.summary': '{nodes} nodos, {links} enlaces.',
+  'network.selected': 'Seleccionados:',
+  'network.neighbors': 'Vecinos:',
+  'network.sharedNeighbors': 'Vecinos compartidos:',
+  'network.filter': 'Filtrar la tabla por la selección',
+  'network.pngUnsupported': 'Este navegador no admite la exportación a PNG; pruebe con SVG.',
+
+
+  // Pathway map (pathway.js)
+  'pathway.title': 'Vía de la enfermedad de Alzheimer (hsa05010)',
+  'pathway.overlay': 'Superposición',
+  'pathway.overlayNone': 'Ninguna',
+  'pathway.loading': 'Cargando el mapa de la vía...',
+  'pathway.unavailable': 'No se pudo cargar el mapa de la vía.',
+  'pathway.label': {
+    one: 'Mapa de la vía de la enfermedad de Alzheimer con {count} gen de la base de datos resaltado',
+    other: 'Mapa de la vía de la enfermedad de Alzheimer con {count} genes de la base de datos resaltados'
+  },
+  'pathway.notInDatabase': 'No está en la base de datos',
+  'pathway.geneTitle': {
+    one: '{symbol}: {count} entrada, {category}',
+    other: '{symbol}: {count} entradas, {category}'
+  },
+  'pathway.severityLegend': '{field} (entrada más grave):',
+  'pathway.help': 'Copia simplificada sin conexión del mapa de KEGG. Los genes de la base de datos se colorean según la categoría de IT; haga clic en uno, o en su botón de abajo, para ver sus entradas.',
+  'pathway.databaseGenes': 'Genes de la base de datos en este mapa ({count})',
+
+
+  // TE recommender results (recommender.js)
+  'recommend.category.biomaterials': 'Biomateriales',
+  'recommend.category.cellTypes': 'Tipos celulares',
+  'recommend.category.growthFactorCombos': 'Combinaciones de factores de crecimiento',
+  'recommend.noMatch': 'Ninguna entrada de la base de datos coincide con: {terms}',
+  'recommend.enterCriteria': 'Introduzca genes o palabras clave de mecanismos, o elija un perfil patológico.',
+  'recommend.notInDatabase': 'No están en la base de datos: {terms}',
+  'recommend.noRows': 'Ninguna entrada cumple estos criterios.',
+  'recommend.support': '{count} de {total} entradas',
+  'recommend.genes': {
+    one: '{count} gen',
+    other: '{count} genes'
+  },
+  'recommend.more': '{count} más con menos respaldo',
+  'recommend.basis': {
+    one: 'Basado en {count} entrada coincidente de {genes}. Despliegue una sugerencia para ver las entradas que la respaldan.',
+    other: 'Basado en {count} entradas coincidentes de {genes}. Despliegue una sugerencia para ver las entradas que la respaldan.'
+  },
+
+
+  // Tool panel forms, results and messages (tools.js); sequence data and alignments stay in English
+  'tool.close': 'Cerrar la herramienta',
+  'tool.opensOnline': '{service} se abre en una pestaña nueva y necesita conexión.',
+  'tool.notRedirected': 'Haga clic aquí si no se le redirige',
+  'tool.input.any': 'Introduzca una secuencia de ADN/proteína (texto, FASTA o GenBank):',
+  'tool.input.dna': 'Introduzca una secuencia de ADN (texto, FASTA o GenBank):',
+  'tool.input.target': 'Introduzca la secuencia de ADN diana (texto, FASTA o GenBank):',
+  'tool.input.analysis': 'Introduzca una secuencia de ADN o de proteína (texto, FASTA o GenBank):',
+  'tool.blast.title': 'Herramienta BLAST',
+  'tool.blast.alignment': 'Alineamiento',
+  'tool.blast.local': 'Local (Smith-Waterman)',
+  'tool.blast.global': 'Global (consulta completa, semiglobal)',
+  'tool.blast.maxHits': 'Número máximo de resultados',
+  'tool.blast.evalue': 'Umbral de E-value',
+  'tool.blast.run': 'Buscar en las referencias de genes de la EA',
+  'tool.blast.openNcbi': 'Abrir en NCBI BLAST',
+  'tool.blast.note': 'Busca en su navegador en las secuencias RefSeq incluidas de los genes de la base de datos; NCBI BLAST busca en línea en todo GenBank.',
+  'tool.blast.tooLong': 'La búsqueda local se limita a {max} residuos por secuencia; use NCBI BLAST para consultas más largas.',
+  'tool.blast.searching': 'Buscando en las secuencias de referencia...',
+  'tool.blast.referencesUnavailable': 'No se pudieron cargar las secuencias de referencia locales, así que la búsqueda no puede ejecutarse sin conexión.',
+  'tool.blast.useNcbi': 'Buscar con NCBI BLAST en su lugar',
+  'tool.blast.opening': 'Abriendo NCBI BLAST con su secuencia...',
+  'tool.blast.tooLongForLink': 'Su secuencia es demasiado larga para enviarla en un enlace; péguela en el formulario de NCBI BLAST.',
+  'tool.blast.noHits': 'Sin resultados',
+  'tool.blast.noHitsLocal': 'Ninguna referencia comparte suficientes k-meros con la consulta o cumple E ≤ {evalue}.',
+  'tool.blast.noHitsGlobal': 'Ninguna referencia comparte suficientes k-meros con la consulta o se alinea con una puntuación positiva.',
+  'tool.blast.hits': {
+    one: '{count} resultado',
+    other: '{count} resultados'
+  },
+  'tool.blast.summary.local': 'Smith-Waterman, {references} · los E-valores son estimaciones de Karlin-Altschul para esta pequeña base de datos',
+  'tool.blast.summary.global': 'Semiglobal, {references} · se alinea la consulta completa; los E-valores solo se aplican a alineamientos locales',
+  'tool.blast.references.nucleotide': 'referencias de nucleótidos',
+  'tool.blast.references.protein': 'referencias de proteínas',
+  'tool.blast.column.reference': 'Referencia',
+  'tool.blast.column.score': 'Puntuación',
+  'tool.blast.column.bits': 'Bits',
+  'tool.blast.column.evalue': 'E-valor',
+  'tool.blast.column.identity': 'Identidad',
+  'tool.blast.column.queryCover': 'Cobertura de la consulta',
+  'tool.blast.column.strand': 'Hebra',
+  'tool.blast.strand.plus': 'Directa',
+  'tool.blast.strand.minus': 'Complementaria',
+  'tool.blast.scoreLocal': 'Puntuación {score} ({bits} bits), E = {evalue}',
+  'tool.blast.scoreGlobal': 'Puntuación {score}',
+  'tool.blast.identities': 'Identidades {matches}/{length} ({percent}%)',
+  'tool.blast.positives': 'Positivos {positives}/{length}',
+  'tool.blast.gaps': 'Huecos {gaps}/{length}',
+  'tool.kegg.title': 'Herramienta de rutas KEGG',
+  'tool.kegg.label': 'Introduzca un ID de KEGG:',
+  'tool.kegg.placeholder': 'p. ej., hsa:10458 o map05010',
+  'tool.kegg.open': 'Abrir KEGG',
+  'tool.kegg.enter': 'Introduzca un ID de KEGG.',
+  'tool.kegg.opening': 'Abriendo la base de datos KEGG...',
+  'tool.kegg.view': 'Ver en KEGG',
+  'tool.kegg.lookup': 'Buscar otras entradas de KEGG en línea',
+  'tool.primer.title': 'Herramienta de diseño de cebadores',
+  'tool.primer.settings': 'Parámetros de diseño',
+  'tool.primer.length': 'Longitud del cebador (mín. / ópt. / máx.)',
+  'tool.primer.tm': 'Tm °C (mín. / ópt. / máx.)',
+  'tool.primer.gc': 'GC % (mín. / máx.)',
+  'tool.primer.product': 'Tamaño del producto en pb (mín. / máx.)',
+  'tool.primer.salts': 'Na⁺ / Mg²⁺ / dNTP (mM)',
+  'tool.primer.concentration': 'Conc. del cebador (nM) / ΔTm máx. (°C)',
+  'tool.primer.pairs': 'Pares que devolver',
+  'tool.primer.gcClamp': 'Exigir pinza GC en 3′',
+  'tool.primer.design': 'Diseñar cebadores',
+  'tool.primer.error.lengthRange': 'La longitud mínima del cebador es mayor que la máxima.',
+  'tool.primer.error.tmRange': 'La Tm mínima es mayor que la máxima.',
+  'tool.primer.error.gcRange': 'El contenido mínimo de GC es mayor que el máximo.',
+  'tool.primer.error.productRange': 'El tamaño mínimo del producto es mayor que el máximo.',
+  'tool.primer.error.productTooShort': 'El tamaño mínimo del producto debe dar cabida a ambos cebadores.',
+  'tool.primer.error.salt': 'La concentración de sal (Na⁺ o Mg²⁺) debe ser mayor que cero.',
+  'tool.primer.error.primerConcentration': 'La concentración del cebador debe ser mayor que cero.',
+  'tool.primer.rejected.ambiguous': 'Contiene bases ambiguas',
+  'tool.primer.rejected.gc': 'Contenido de GC fuera de rango',
+  'tool.primer.rejected.clamp': 'Sin pinza GC en 3′ / demasiadas G+C en 3′',
+  'tool.primer.rejected.repeat': 'Repetición de mononucleótidos o dinucleótidos',
+  'tool.primer.rejected.tm': 'Tm fuera de rango',
+  'tool.primer.rejected.endStability': 'Extremo 3′ demasiado estable',
+  'tool.primer.rejected.hairpin': 'Horquilla',
+  'tool.primer.rejected.selfDimer': 'Autodímero',
+  'tool.primer.rejected.productSize': 'Tamaño del producto fuera de rango',
+  'tool.primer.rejected.tmDiff': 'Diferencia de Tm demasiado grande',
+  'tool.primer.rejected.crossDimer': 'Dímero cruzado',
+  'tool.primer.tooShort': 'La secuencia tiene {length} bases; debería tener al menos el tamaño mínimo del producto.',
+  'tool.primer.noPairs': 'Ningún par de cebadores cumple las restricciones',
+  'tool.primer.noPairsChecked': 'Pasaron {forward} cebadores directos y {reverse} inversos; se comprobaron {pairs} pares. Candidatos rechazados por:',
+  'tool.primer.widen': 'Pruebe a ampliar los rangos de Tm, GC o tamaño del producto.',
+  'tool.primer.ranked': {
+    one: '{count} par de cebadores clasificado',
+    other: '{count} pares de cebadores clasificados'
+  },
+  'tool.primer.scanned': 'Se analizaron {forward} cebadores directos y {reverse} inversos que superan las comprobaciones individuales; se comprobaron {pairs} pares. Cuanto menor la penalización, mejor.',
+  'tool.primer.pairProduct': 'Producto: {size} pb',
+  'tool.primer.pairTmDiff': 'ΔTm: {difference} °C',
+  'tool.primer.pairCrossDimer': 'ΔG del dímero cruzado: {deltaG} (3′: {endDeltaG})',
+  'tool.primer.pairPenalty': 'Penalización {penalty}',
+  'tool.primer.forwardPrimer': 'Cebador directo',
+  'tool.primer.reversePrimer': 'Cebador inverso',
+  'tool.primer.cardTm': 'Tm: {tm} °C',
+  'tool.primer.cardInfo': 'Longitud: {length} pb | GC: {gc}% | ΔG 3′: {endStability} | ΔG de horquilla: {hairpin} | ΔG de autodímero: {selfDimer} (3′: {selfDimerEnd}) kcal/mol',
+  'tool.primer.amplicon': 'Amplicón n.º {number} en la diana',
+  'tool.primer.legend.forward': 'Directo',
+  'tool.primer.legend.amplicon': 'amplicón',
+  'tool.primer.legend.reverse': 'inverso',
+  'tool.primer.selectPair': 'Haga clic en un par para ver su amplicón.',
+  'tool.translate.title': 'Herramienta de transcripción y traducción',
+  'tool.translate.geneticCode': 'Código genético',
+  'tool.translate.orfMinLength': 'Longitud mínima del ORF (aa)',
+  'tool.translate.altStarts': 'Permitir codones de inicio alternativos',
+  'tool.translate.transcribe': 'Transcribir a ARN',
+  'tool.translate.sixFrame': 'Traducción en seis marcos',
+  'tool.translate.findOrfs': 'Buscar ORF',
+  'tool.translate.rna': 'Secuencia de ARN transcrita',
+  'tool.translate.rnaLength': 'Longitud: {length} nucleótidos',
+  'tool.translate.framesInfo': 'Código genético: {code} · Longitud: {length} nt',
+  'tool.translate.frame': 'Marco {frame}',
+  'tool.translate.legend': '* parada · B = D/N, Z = E/Q, J = I/L, X = ambigüedad sin resolver',
+  'tool.translate.noOrfs': 'No se encontraron ORF',
+  'tool.translate.noOrfsInfo': 'No hay marcos abiertos de lectura de al menos {length} aminoácidos en los seis marcos ({code}).',
+  'tool.translate.orfs': {
+    one: '{count} marco abierto de lectura',
+    other: '{count} marcos abiertos de lectura'
+  },
+  'tool.translate.orfsInfo': 'Código genético: {code} · mínimo {length} aa · coordenadas en base 1 sobre la hebra introducida, del codón de inicio al de parada inclusive',
+  'tool.translate.partial': 'parcial',
+  'tool.translate.partialTitle': 'No hay codón de parada antes del final de la secuencia',
+  'tool.translate.column.frame': 'Marco',
+  'tool.translate.column.start': 'Inicio',
+  'tool.translate.column.end': 'Fin',
+  'tool.translate.column.length': 'Longitud (aa)',
+  'tool.translate.column.protein': 'Proteína',
+  'tool.complement.title': 'Herramienta de complemento y complemento inverso',
+  'tool.complement.complement': 'Complemento',
+  'tool.complement.reverse': 'Complemento inverso',
+  'tool.complement.complementResult': 'Secuencia complementaria',
+  'tool.recommend.title': 'Recomendador de ingeniería de tejidos',
+  'tool.recommend.genes': 'Genes (símbolos, nombres o alias; panel separado por comas):',
+  'tool.recommend.mechanisms': 'Palabras clave de mecanismos de la EA (separadas por comas, en inglés):',
+  'tool.recommend.note': 'Se usan las entradas que coinciden con algún gen o mecanismo indicado; el perfil de abajo las restringe. Sin genes ni mecanismos, el perfil por sí solo selecciona las entradas.',
+  'tool.recommend.any': 'Cualquiera',
+  'tool.recommend.orWorse': '{value} o peor',
+  'tool.recommend.run': 'Recomendar',
+  'tool.network.title': 'Red de relaciones',
+  'tool.network.scope': 'Solo entradas de los resultados actuales',
+  'tool.network.zoomIn': 'Acercar',
+  'tool.network.zoomOut': 'Alejar',
+  'tool.network.resetView': 'Restablecer la vista',
+  'tool.network.help': 'Desplácese para hacer zoom y arrastre para mover. Haga clic en un nodo para resaltar sus vecinos; Mayús+clic añade nodos y resalta los vecinos que comparten. El doble clic filtra la tabla de resultados.',
+  'tool.network.exportSvg': 'Exportar SVG',
+  'tool.network.exportPng': 'Exportar PNG',
+  'tool.analysis.title': 'Herramientas de análisis de secuencias',
+  'tool.analysis.enzymes': 'Enzimas de restricción',
+  'tool.analysis.cutters': 'Enzimas que cortan',
+  'tool.analysis.unique': 'Solo enzimas de corte único',
+  'tool.analysis.allEnzymes': 'Todas las enzimas, incluidas las que no cortan',
+  'tool.analysis.hydropathyWindow': 'Ventana de hidropatía (residuos)',
+  'tool.analysis.restrictionMap': 'Mapa de restricción',
+  'tool.analysis.composition': 'Composición e islas CpG',
+  'tool.analysis.protein': 'Propiedades de la proteína',
+  'tool.analysis.notProtein': '{id} parece una secuencia de nucleótidos. Tradúzcala primero con la herramienta de transcripción y traducción.',
+  'tool.analysis.analyzeOutput': 'Analizar',
+  'tool.analysis.restrictionInfo': '{length} pb, lineal · cortan {cutting} de {total} enzimas · las posiciones de corte son posteriores a la base indicada en la hebra superior',
+  'tool.analysis.restrictionMapLabel': 'Mapa de restricción lineal',
+  'tool.analysis.cutsAfter': '{enzyme} corta después de {position}',
+  'tool.analysis.noEnzymes': 'Ninguna enzima coincide con este filtro.',
+  'tool.analysis.nucleotideComposition': 'Composición de nucleótidos',
+  'tool.analysis.compositionInfo': 'Longitud {length} · GC {gc}% · sesgo GC {gcSkew} · sesgo AT {atSkew}',
+  'tool.analysis.ambiguousBases': {
+    one: '{count} base ambigua sin contar',
+    other: '{count} bases ambiguas sin contar'
+  },
+  'tool.analysis.observedExpected': 'Observado/esperado {ratio}',
+  'tool.analysis.dinucleotideNote': 'Recuentos de dinucleótidos con la razón observado/esperado entre paréntesis.',
+  'tool.analysis.cpgIslands': 'Islas CpG',
+  'tool.analysis.cpgCriteria': 'Criterios de Gardiner-Garden y Frommer: ≥{length} pb, GC > {gc}%, CpG observado/esperado > {ratio}',
+  'tool.analysis.noCpgIslands': 'No se encontraron islas CpG.',
+  'tool.analysis.property.length': 'Longitud',
+  'tool.analysis.property.molecularWeight': 'Peso molecular',
+  'tool.analysis.property.isoelectricPoint': 'Punto isoeléctrico',
+  'tool.analysis.property.extinctionReduced': 'Coef. de extinción (reducida)',
+  'tool.analysis.property.extinctionCystines': 'Coef. de extinción (cistinas)',
+  'tool.analysis.property.absorbance': 'Abs 0,1 % (reducida)',
+  'tool.analysis.property.charged': 'Residuos cargados (D+E / K+R)',
+  'tool.analysis.proteinMethods': 'Masas isotópicas medias; pI con los valores de pKa de EMBOSS; extinción a 280 nm en agua (Pace et al.)',
+  'tool.analysis.excludedResidues': {
+    one: '{count} residuo ambiguo o de parada sin contar',
+    other: '{count} residuos ambiguos o de parada sin contar'
+  },
+  'tool.analysis.hydropathy': 'Hidropatía de Kyte-Doolittle (ventana {window})',
+  'tool.analysis.hydropathyPlot': 'Gráfico de hidropatía',
+  'tool.analysis.shorterThanWindow': 'La secuencia es más corta que la ventana.',
+  'tool.analysis.aminoAcidComposition': 'Composición de aminoácidos',
+  'tool.analysis.column.enzyme': 'Enzima',
+  'tool.analysis.column.site': 'Sitio',
+  'tool.analysis.column.cuts': 'Cortes',
+  'tool.analysis.column.positions': 'Posiciones',
+  'tool.analysis.column.fragments': 'Fragmentos (pb)',
+  'tool.analysis.column.base': 'Base',
+  'tool.analysis.column.count': 'Recuento',
+  'tool.analysis.column.start': 'Inicio',
+  'tool.analysis.column.end': 'Fin',
+  'tool.analysis.column.length': 'Longitud',
+  'tool.analysis.column.residue': 'Residuo',
+  'tool.uniprot.title': 'Búsqueda en UniProt',
+  'tool.uniprot.label': 'Introduzca un ID de UniProt o el nombre de una proteína:',
+  'tool.uniprot.placeholder': 'p. ej., P05067 (APP) o Tau',
+  'tool.uniprot.search': 'Buscar en UniProt',
+  'tool.uniprot.enter': 'Introduzca un ID de UniProt o el nombre de una proteína.',
+  'tool.chembl.title': 'Base de datos ChEMBL',
+  'tool.chembl.label': 'Introduzca un ID de ChEMBL o el nombre de un compuesto:',
+  'tool.chembl.placeholder': 'p. ej., CHEMBL25 o Donepezilo',
+  'tool.chembl.search': 'Buscar en ChEMBL',
+  'tool.chembl.enter': 'Introduzca un ID de ChEMBL o el nombre de un compuesto.',
+
+  // Notices (a11y.js)
+  'notice.dismiss': 'Cerrar el mensaje'
+};
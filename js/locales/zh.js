@@ -0,0 +1,644 @@
+/**
+ * Chinese interface messages. Keys, placeholders and plural
+ * messages follow the English catalog (locales/en.js).
+ */
+
+export const zh = {
+  // Page (index.html)
+  'app.title': '基于组织工程的阿尔茨海默病基因数据库',
+  'app.subtitle': '整合基因组数据与再生医学策略',
+  'page.skipLink': '跳转到数据库',
+  'page.toolsAside': '工具与数据库概览',
+  'page.resourcesAside': '图像与相关资源',
+  'nav.label': '主导航',
+  'nav.home': '首页',
+  'nav.database': '数据库',
+  'nav.tools': '工具',
+  'nav.about': '关于',
+  'language.label': '语言',
+  'hero.title': '以组织工程推进阿尔茨海默病研究',
+  'hero.text': '一个将阿尔茨海默病基因与组织工程干预、支架策略和再生结果相关联的综合数据库。',
+  'hero.entries': '基因条目',
+  'hero.fields': '数据字段',
+  'hero.categories': '组织工程类别',
+  'hero.explore': '浏览数据库',
+  'toolsMenu.label': '生物信息学工具',
+  'toolsMenu.title': '生物信息学工具',
+  'toolsMenu.primer': '引物设计',
+  'toolsMenu.translate': '转录与翻译',
+  'toolsMenu.complement': '互补序列工具',
+  'toolsMenu.analysis': '序列分析',
+  'toolsMenu.recommend': '组织工程推荐',
+  'toolsMenu.network': '关系网络',
+  'overview.title': '数据库概览',
+  'info.title': '阿尔茨海默病的组织工程',
+  'info.disease': '阿尔茨海默病（AD）是一种进行性神经退行性疾病，其特征为β-淀粉样蛋白沉积、tau 蛋白过度磷酸化和神经元丢失。组织工程方法通过生物材料支架、干细胞移植和靶向药物递送系统提供了有前景的治疗策略。',
+  'info.database': '本数据库将基因组信息与组织工程干预相结合，为研究人员提供有关基因变异、疾病机制、支架策略、细胞类型、生长因子、生物材料和再生结果的全面数据。',
+  'info.scaffolds': '支架策略',
+  'info.cellTherapies': '细胞疗法',
+  'info.growthFactors': '生长因子递送',
+  'info.biomaterials': '生物材料选择',
+  'info.learnMore': '在 NIH 国家老龄化研究所了解更多',
+  'search.title': '搜索数据库',
+  'search.label': '搜索数据库',
+  'search.placeholder': '按基因名称、变异、功能或组织工程相关性搜索...',
+  'search.button': '搜索',
+  'search.advanced': '高级：',
+  'search.quickFilters': '快速筛选：',
+  'gallery.title': '图像资源',
+  'gallery.scaffold': '三维生物材料支架结构',
+  'gallery.scaffoldAlt': '组织工程支架',
+  'gallery.network': '神经网络整合',
+  'gallery.networkAlt': '大脑神经网络',
+  'gallery.cells': '支架上的神经干细胞',
+  'gallery.cellsAlt': '支架上的神经细胞',
+  'gallery.mechanisms': 'AD 机制与组织工程方案',
+  'gallery.mechanismsAlt': 'AD 机制',
+  'resources.title': '相关资源',
+  'resources.ncbiGene': 'NCBI Gene 数据库',
+  'resources.uniprot': 'UniProt 蛋白质数据库',
+  'resources.pubmed': 'PubMed 文献',
+  'about.title': '关于本数据库',
+  'about.dataTitle': '全面的数据',
+  'about.dataText': '个基因条目，包含变异、功能、疾病机制和组织工程应用的详细信息。',
+  'about.integrationTitle': '组织工程整合',
+  'about.integrationText': '将基因组数据与支架策略、细胞类型、生长因子和生物材料建议相关联。',
+  'about.researchTitle': '研究重点',
+  'about.researchText': '支持研究人员开发针对阿尔茨海默病的组织工程干预措施。',
+  'about.openTitle': '开放获取',
+  'about.openText': '免费开放的资源，助力科学界推进阿尔茨海默病研究。',
+  'footer.quickLinks': '快速链接',
+  'footer.resources': '资源',
+  'footer.rights': '基于组织工程的阿尔茨海默病基因数据库。保留所有权利。',
+  'view.back': '返回结果',
+
+  // Record fields (schema.js); .short labels head the results table columns
+  'field.gene_name': '基因名称',
+  'field.gene_name.short': '基因',
+  'field.variant': '变异',
+  'field.disease': '疾病',
+  'field.function': '功能',
+  'field.ad_mechanism': 'AD 机制',
+  'field.oxidative_stress': '氧化应激',
+  'field.angiogenesis': '血管生成',
+  'field.neural_survival': '神经存活',
+  'field.te_relevance': '组织工程相关性',
+  'field.scaffold_strategy': '支架策略',
+  'field.cell_type': '细胞类型',
+  'field.growth_factors': '生长因子',
+  'field.biomaterial_suggestion': '建议的生物材料',
+  'field.biomaterial_suggestion.short': '生物材料',
+  'field.regeneration_outcome': '再生结果',
+  'field.regeneration_outcome.short': '结果',
+  'field.evidence_level': '证据等级',
+  'field.evidence_level.short': '证据',
+  'field.pmids': 'PubMed ID',
+  'field.pmids.short': 'PMID',
+  'field.dois': 'DOI',
+  'field.year': '证据年份',
+  'field.year.short': '年份',
+
+  // Short names of the TE categories (quick filter chips, statistics)
+  'category.neural': '神经组织工程',
+  'category.neuroimmune': '神经免疫',
+  'category.neurovascular': '神经血管',
+  'category.metabolic': '代谢组织工程',
+
+  // Results table and pagination (results.js)
+  'search.invalid': '无效的搜索：{message}',
+  'search.example': '示例：{query}',
+  'results.title': '搜索结果',
+  'results.rows': '行数',
+  'results.columns': '列',
+  'results.export': '导出',
+  'results.addEntry': '添加条目',
+  'results.import': '导入',
+  'results.importTitle': '从 CSV 或 JSON 导入条目',
+  'results.clear': '清除',
+  'results.emptyTitle': '输入搜索词以浏览数据库',
+  'results.emptyHint': '试试搜索“APOE”“APP”或“Neural tissue engineering”',
+  'results.noResults': '未找到结果',
+  'results.noResultsHint': '请尝试其他搜索词',
+  'results.summary': {
+    other: '显示第 {start}-{end} 条，共 {count} 条结果{order}'
+  },
+  'results.sortedAscending': '，按{field}升序排列',
+  'results.sortedDescending': '，按{field}降序排列',
+  'results.rankedByRelevance': '，按相关性排序',
+  'results.sortBy': '按{field}排序',
+  'results.viewRecord': '查看完整记录',
+  'results.selectForExport': '选择以导出',
+  'results.selectRow': '选择 {gene} {variant} 以导出',
+  'results.selectPage': '选择本页所有行',
+  'results.matched': '与您的搜索匹配',
+  'results.selectedCount': '已选 {count} 项',
+  'results.clearSelection': '清除选择',
+  'pagination.label': '结果页',
+  'pagination.page': '第 {page} 页',
+  'pagination.previous': '上一页',
+  'pagination.next': '下一页',
+
+  // Facets, table settings and statistics (facets.js, table-config.js, statistics.js)
+  'facets.refineBy': '筛选条件',
+  'facets.reset': '重置筛选',
+  'facets.any': '任意',
+  'facets.all': '全部',
+  'facets.notRecorded': '未记录',
+  'facets.showFewer': '收起',
+  'facets.showAll': '显示全部 {count} 项',
+  'table.allRows': '全部',
+  'table.columnsHint': '显示、隐藏和排列列',
+  'table.reset': '重置表格',
+  'table.moveUp': '上移{field}',
+  'table.moveDown': '下移{field}',
+  'statistics.categories': {
+    other: '组织工程类别（{count} 个条目）'
+  },
+  'statistics.barTitle': {
+    other: '{value}：{count} 个条目（{percent}）'
+  },
+  'statistics.crosstab': '氧化应激 × 血管生成',
+  'statistics.crosstabCorner': '氧化应激与血管生成交叉表',
+  'statistics.crosstabCell': {
+    other: '氧化应激{stress}、血管生成{angiogenesis}：{count} 个条目'
+  },
+  'statistics.crosstabAxis': '行：氧化应激 · 列：血管生成',
+  'statistics.topGrowthFactors': '常见生长因子',
+  'statistics.topBiomaterials': '常见生物材料',
+
+  // Export and reports (export.js); report text is in the interface language
+  'export.xlsx': 'Excel（XLSX）',
+  'export.markdown': 'Markdown 报告',
+  'export.html': '可打印报告',
+  'export.ris': '引文（RIS）',
+  'export.bibtex': '引文（BibTeX）',
+  'export.citationsTitle': '导出条目的支持引文',
+  'export.scope.page': '当前页',
+  'export.scope.filtered': '全部结果',
+  'export.scope.selected': '所选行',
+  'export.scopeOption.page': '当前页（{count}）',
+  'export.scopeOption.filtered': '全部结果（{count}）',
+  'export.scopeOption.selected': '所选行（{count}）',
+  'export.noneSelected': '未选择任何行。请先在结果表中勾选行。',
+  'export.noResults': '没有可导出的结果。请先进行搜索。',
+  'report.title': '基于组织工程的阿尔茨海默病基因数据库报告',
+  'report.generated': '生成时间',
+  'report.entries': '条目',
+  'report.search': '搜索',
+  'report.filters': '筛选',
+  'report.field': '字段',
+  'report.value': '值',
+  'report.none': '无',
+  'report.scope': {
+    other: '{count} 个条目（{scope}）'
+  },
+
+  'report.generatedOn': '生成于 {date}',
+
+  // Comparison workspace (comparison.js)
+  'comparison.pin': '固定以比较',
+  'comparison.pinned': '已固定',
+  'comparison.unpin': '从比较中移除',
+  'comparison.unpinGene': '取消固定 {gene}',
+  'comparison.tooMany': '最多可比较 {max} 个条目。请先取消固定一个。',
+  'comparison.trayLabel': '已固定（{count}/{max}）',
+  'comparison.needTwo': '请至少固定两个条目',
+  'comparison.pinTwo': '请至少固定两个条目以进行比较。',
+  'comparison.compare': '比较',
+  'comparison.invalidRoute': '比较需要至少两个数据库条目。',
+  'comparison.heading': '比较 {genes}',
+  'comparison.reportTitle': '条目比较：{genes}',
+  'comparison.differing': '{total} 个字段中有 {count} 个不同',
+  'comparison.diffOnly': '仅显示差异',
+  'comparison.print': '打印',
+  'comparison.same': '相同',
+  'comparison.differs': '不同',
+  'comparison.status': '状态',
+  'comparison.token.shared': '所有固定条目中都有',
+  'comparison.token.partial': '部分固定条目中有',
+  'comparison.token.unique': '仅此条目中有',
+
+
+  // Gene detail view (gene-detail.js)
+  'geneDetail.notFound': '未找到“{key}”的条目。',
+  'geneDetail.edit': '编辑',
+  'geneDetail.noEvidence': '此条目未记录文献证据。通过“编辑”添加 PubMed ID 或 DOI 即可引用。',
+  'geneDetail.lookUp': '查询 {gene}',
+  'geneDetail.similar': '相似条目',
+  'geneDetail.noSimilar': '没有其他条目具有相同的细胞类型、生长因子或生物材料。',
+
+
+  // Record validation (validation.js)
+  'validation.notObject': '记录不是对象',
+  'validation.missing': '缺少{field}',
+  'validation.notText': '{field}必须是文本，但实际为 {type}',
+  'validation.notAllowed': '{field}“{value}”不在允许值中：{allowed}',
+  'validation.invalidFormat': '{field}“{value}”无效（应类似 {example}）',
+  'validation.unknownField': '已忽略未知字段“{key}”',
+  'validation.notArray': '数据集必须是记录组成的 JSON 数组',
+  'validation.record': '记录 {number}',
+  'validation.duplicate': '与记录 {number} 重复（基因和变异相同）',
+
+
+  // Local entries, the entry form and import (local-entries.js)
+  'local.edited': '本地编辑',
+  'local.editedHint': '在此浏览器中编辑',
+  'local.added': '本地',
+  'local.addedHint': '在此浏览器中添加',
+  'local.history': '本地历史',
+  'local.storedEntry': '此条目仅保存在此浏览器中。',
+  'local.storedEdit': '此条目仅保存在此浏览器中，并替换原始记录。',
+  'local.action.shipped': '原始版本',
+  'local.action.created': '已创建',
+  'local.action.edited': '已编辑',
+  'local.action.imported': '已导入',
+  'local.action.reverted': '已恢复',
+  'local.current': '当前',
+  'local.revert': '恢复到此版本',
+  'local.discard': '放弃本地更改',
+  'local.delete': '删除本地条目',
+  'local.confirmDiscard': '放弃对 {gene} 的所有本地更改并恢复原始记录？',
+  'local.confirmDelete': '删除本地条目 {gene}？其历史记录也将被删除。',
+  'local.saveFailed': '无法写入此浏览器的本地存储。您的更改未被保存。',
+  'local.updateFailed': '无法更新此浏览器的本地存储。',
+  'entry.addTitle': '添加条目',
+  'entry.editTitle': '编辑条目：{gene}',
+  'entry.addHint': '条目仅保存在此浏览器中，并标记为本地条目。',
+  'entry.editHint': '您的更改将作为本地编辑保存在此浏览器中；原始记录会保留，可随时恢复。',
+  'entry.choose': '请选择…',
+  'entry.listPlaceholder': '用 ; 分隔多个值',
+  'entry.examplePlaceholder': '例如 {example}',
+  'entry.save': '保存条目',
+  'entry.cancel': '取消',
+  'entry.duplicate': '{gene} 已有变异“{variant}”',
+  'entry.fixProblems': {
+    other: '保存前请修正 {count} 个问题。'
+  },
+  'import.notArray': 'JSON 必须是记录数组',
+  'import.empty': '文件为空',
+  'import.noGeneColumn': '未找到“gene_name”（或“{label}”）列',
+  'import.readFailed': '无法读取 {file}：{message}',
+  'import.title': '导入条目：{file}',
+  'import.summary': {
+    other: '已读取 {count} 条记录：{new} 条新记录，{conflicts} 条已在数据库中，{skipped} 条因无效或重复被跳过。导入的条目将作为本地条目保存在此浏览器中。'
+  },
+  'import.forExisting': '对于已存在的记录：',
+  'import.keepAll': '全部保留现有记录',
+  'import.replaceAll': '全部替换为导入记录',
+  'import.action': '操作',
+  'import.actionFor': '记录 {number} 的操作',
+  'import.status.new': '新记录',
+  'import.status.conflict': '已存在',
+  'import.status.repeat': '文件中重复',
+  'import.status.invalid': '无效',
+  'import.localDiffers': {
+    other: '本地记录：{count} 个字段不同'
+  },
+  'import.shippedDiffers': {
+    other: '原始记录：{count} 个字段不同'
+  },
+  'import.keep': '保留现有记录',
+  'import.replace': '替换为导入记录',
+  'import.skip': '跳过',
+  'import.add': '添加',
+  'import.confirm': {
+    other: '导入 {count} 个条目'
+  },
+  'import.done': {
+    other: '已导入 {count} 个条目。'
+  },
+
+
+  // Dataset loading, data quality and offline status (data.js, offline.js)
+  'data.offlineUnavailable': '数据库尚不可离线使用。',
+  'data.offlineHint': '请在联网状态下打开此页面一次，以便保存供离线使用。',
+  'data.loadFailed': '无法加载数据库。',
+  'data.retry': '重试',
+  'dataQuality.summary': '{valid}/{total} 有效 · {repaired} 已修复 · {invalid} 无效',
+  'dataQuality.view': '查看报告',
+  'dataQuality.title': '数据质量报告',
+  'dataQuality.checked': '已按 {fields} 个字段的模式检查 {total} 条记录：{valid} 条已加载，{repaired} 条已修复，{invalid} 条被拒绝，{warnings} 条有警告。',
+  'dataQuality.invalid': '无效记录（未加载）',
+  'dataQuality.problems': '问题',
+  'dataQuality.repaired': '已修复的记录',
+  'dataQuality.original': '原始值',
+  'dataQuality.repairedValue': '修复后',
+  'dataQuality.warnings': '警告',
+  'dataset.version': '数据集 {version}',
+  'dataset.versionHint': '数据集版本（内容哈希）',
+  'dataset.updated': '更新于 {date}',
+  'dataset.offline': '离线 · 使用已保存的数据',
+  'dataset.updateAvailable': '有更新的数据集 · 重新加载',
+  'dataset.install': '安装应用',
+  'offline.needsConnection': '{service} 需要联网。数据库和序列工具仍可离线使用。',
+
+
+  // Query syntax errors (search.js)
+  'query.atCharacter': '{message}（位于第 {position} 个字符）',
+  'query.unknownField': '未知字段“{name}”',
+  'query.unterminatedPhrase': '引号短语未闭合',
+  'query.emptyPhrase': '引号短语为空',
+  'query.missingValue': '“{word}”后缺少值',
+  'query.missingField': '“{word}”前缺少字段名',
+  'query.orBetween': 'OR 必须位于两个词之间',
+  'query.orFollowed': 'OR 后面必须跟一个词',
+  'query.notFollowed': '“-”后面必须跟一个词',
+  'query.emptyParentheses': '括号为空',
+  'query.missingParenthesis': '缺少右括号',
+  'query.unexpectedParenthesis': '意外的“)”',
+
+  // Sequence input (sequence-input.js)
+  'sequence.enter': '请输入序列。',
+  'sequence.empty': '不含任何序列',
+  'sequence.needsDna': '看起来是蛋白质序列；此工具需要 DNA',
+  'sequence.alphabet.dna': 'DNA',
+  'sequence.alphabet.rna': 'RNA',
+  'sequence.alphabet.protein': '蛋白质',
+  'sequence.invalid': {
+    other: '{count} 个无效的{alphabet}字符'
+  },
+  'sequence.at': '位于 {position}',
+  'sequence.more': '另有 {count} 处',
+  'sequence.unusable': '无法使用输入的序列：',
+  'sequence.downloadFasta': {
+    other: '下载 FASTA（{count} 条记录）'
+  },
+  'sequence.loadFile': '加载文件',
+  'sequence.dropHint': '或将 FASTA / GenBank 文件拖放到上方文本框',
+  'sequence.readFailed': '无法读取 {file}。',
+
+
+  // Citation export (citations.js)
+  'citations.note': 'TE Alzheimer\'s DB 条目的证据：{entries}',
+  'citations.none': '这些条目均未记录 PubMed ID 或 DOI，因此没有可导出的引文。',
+
+
+  // Relationship network (network.js)
+  'network.type.gene': '基因',
+  'network.type.mechanism': 'AD 机制',
+  'network.type.growth': '生长因子',
+  'network.type.cell': '细胞类型',
+  'network.type.biomaterial': '生物材料',
+  'network.noNodes': '没有可显示的节点——请至少选择一种节点类型。',
+  'network.nodeTitle': {
+    other: '{value}（{count} 个条目）'
+  },
+  'network.label': '包含 {count} 个节点的关系网络',
+  'network.summary': '{nodes} 个节点，{links} 条连接。',
+  'network.selected': '已选择：',
+  'network.neighbors': '相邻节点：',
+  'network.sharedNeighbors': '共同相邻节点：',
+  'network.filter': '按所选节点筛选表格',
+  'network.pngUnsupported': '此浏览器不支持导出 PNG——请尝试 SVG。',
+
+
+  // Pathway map (pathway.js)
+  'pathway.title': '阿尔茨海默病通路 (hsa05010)',
+  'pathway.overlay': '叠加',
+  'pathway.overlayNone': '无',
+  'pathway.loading': '正在加载通路图...',
+  'pathway.unavailable': '无法加载通路图。',
+  'pathway.label': {
+    other: '阿尔茨海默病通路图，已突出显示 {count} 个数据库基因'
+  },
+  'pathway.notInDatabase': '不在数据库中',
+  'pathway.geneTitle': {
+    other: '{symbol}：{count} 个条目，{category}'
+  },
+  'pathway.severityLegend': '{field}（最严重的条目）：',
+  'pathway.help': 'KEGG 通路图的简化离线副本。数据库中的基因按组织工程类别着色；点击基因或下方对应的按钮即可显示其条目。',
+  'pathway.databaseGenes': '此图中的数据库基因 ({count})',
+
+
+  // TE recommender results (recommender.js)
+  'recommend.category.biomaterials': '生物材料',
+  'recommend.category.cellTypes': '细胞类型',
+  'recommend.category.growthFactorCombos': '生长因子组合',
+  'recommend.noMatch': '没有数据库条目匹配：{terms}',
+  'recommend.enterCriteria': '请输入基因或机制关键词，或选择一个病理特征。',
+  'recommend.notInDatabase': '不在数据库中：{terms}',
+  'recommend.noRows': '没有条目符合这些条件。',
+  'recommend.support': '{total} 个条目中的 {count} 个',
+  'recommend.genes': {
+    other: '{count} 个基因'
+  },
+  'recommend.more': '另有 {count} 项支持较少',
+  'recommend.basis': {
+    other: '基于来自 {genes} 的 {count} 个匹配条目。展开建议可查看支持它的条目。'
+  },
+
+
+  // Tool panel forms, results and messages (tools.js); sequence data and alignments stay in English
+  'tool.close': '关闭工具',
+  'tool.opensOnline': '{service} 将在新标签页中打开，需要联网。',
+  'tool.notRedirected': '如未自动跳转，请点击此处',
+  'tool.input.any': '输入 DNA/蛋白质序列（纯文本、FASTA 或 GenBank）：',
+  'tool.input.dna': '输入 DNA 序列（纯文本、FASTA 或 GenBank）：',
+  'tool.input.target': '输入目标 DNA 序列（纯文本、FASTA 或 GenBank）：',
+  'tool.input.analysis': '输入 DNA 或蛋白质序列（纯文本、FASTA 或 GenBank）：',
+  'tool.blast.title': 'BLAST 工具',
+  'tool.blast.alignment': '比对方式',
+  'tool.blast.local': '局部（Smith-Waterman）',
+  'tool.blast.global': '全局（完整查询，半全局）',
+  'tool.blast.maxHits': '最大命中数',
+  'tool.blast.evalue': 'E 值阈值',
+  'tool.blast.run': '搜索 AD 基因参考序列',
+  'tool.blast.openNcbi': '在 NCBI BLAST 中打开',
+  'tool.blast.note': '在浏览器中搜索随附的数据库基因 RefSeq 序列；NCBI BLAST 则在线搜索整个 GenBank。',
+  'tool.blast.tooLong': '本地搜索每条序列限 {max} 个残基——更长的查询请使用 NCBI BLAST。',
+  'tool.blast.searching': '正在搜索参考序列...',
+  'tool.blast.referencesUnavailable': '无法加载本地参考序列，因此无法离线搜索。',
+  'tool.blast.useNcbi': '改用 NCBI BLAST 搜索',
+  'tool.blast.opening': '正在用您的序列打开 NCBI BLAST...',
+  'tool.blast.tooLongForLink': '序列太长，无法通过链接发送——请将其粘贴到 NCBI BLAST 表单中。',
+  'tool.blast.noHits': '无匹配',
+  'tool.blast.noHitsLocal': '没有参考序列与查询共享足够的 k-mer 或满足 E ≤ {evalue}。',
+  'tool.blast.noHitsGlobal': '没有参考序列与查询共享足够的 k-mer 或能以正分比对。',
+  'tool.blast.hits': {
+    other: '{count} 个匹配'
+  },
+  'tool.blast.summary.local': 'Smith-Waterman，{references} · E 值是针对这个小型数据库的 Karlin-Altschul 估计',
+  'tool.blast.summary.global': '半全局，{references} · 比对整个查询序列；E 值仅适用于局部比对',
+  'tool.blast.references.nucleotide': '核酸参考序列',
+  'tool.blast.references.protein': '蛋白质参考序列',
+  'tool.blast.column.reference': '参考序列',
+  'tool.blast.column.score': '得分',
+  'tool.blast.column.bits': '比特',
+  'tool.blast.column.evalue': 'E 值',
+  'tool.blast.column.identity': '一致性',
+  'tool.blast.column.queryCover': '查询覆盖率',
+  'tool.blast.column.strand': '链',
+  'tool.blast.strand.plus': '正链',
+  'tool.blast.strand.minus': '负链',
+  'tool.blast.scoreLocal': '得分 {score}（{bits} 比特），E = {evalue}',
+  'tool.blast.scoreGlobal': '得分 {score}',
+  'tool.blast.identities': '一致 {matches}/{length}（{percent}%）',
+  'tool.blast.positives': '相似 {positives}/{length}',
+  'tool.blast.gaps': '空位 {gaps}/{length}',
+  'tool.kegg.title': 'KEGG 通路工具',
+  'tool.kegg.label': '输入 KEGG ID：',
+  'tool.kegg.placeholder': '例如 hsa:10458 或 map05010',
+  'tool.kegg.open': '打开 KEGG',
+  'tool.kegg.enter': '请输入 KEGG ID。',
+  'tool.kegg.opening': '正在打开 KEGG 数据库...',
+  'tool.kegg.view': '在 KEGG 中查看',
+  'tool.kegg.lookup': '在线查询其他 KEGG 条目',
+  'tool.primer.title': '引物设计工具',
+  'tool.primer.settings': '设计参数',
+  'tool.primer.length': '引物长度（最小 / 最佳 / 最大）',
+  'tool.primer.tm': 'Tm °C（最小 / 最佳 / 最大）',
+  'tool.primer.gc': 'GC %（最小 / 最大）',
+  'tool.primer.product': '产物大小 bp（最小 / 最大）',
+  'tool.primer.salts': 'Na⁺ / Mg²⁺ / dNTP（mM）',
+  'tool.primer.concentration': '引物浓度（nM）/ 最大 ΔTm（°C）',
+  'tool.primer.pairs': '返回的引物对数',
+  'tool.primer.gcClamp': '要求 3′ 端 GC 夹',
+  'tool.primer.design': '设计引物',
+  'tool.primer.error.lengthRange': '最小引物长度大于最大值。',
+  'tool.primer.error.tmRange': '最小 Tm 大于最大值。',
+  'tool.primer.error.gcRange': '最小 GC 含量大于最大值。',
+  'tool.primer.error.productRange': '最小产物大小大于最大值。',
+  'tool.primer.error.productTooShort': '最小产物大小必须能容纳两条引物。',
+  'tool.primer.error.salt': '盐浓度（Na⁺ 或 Mg²⁺）必须大于零。',
+  'tool.primer.error.primerConcentration': '引物浓度必须大于零。',
+  'tool.primer.rejected.ambiguous': '含有简并碱基',
+  'tool.primer.rejected.gc': 'GC 含量超出范围',
+  'tool.primer.rejected.clamp': '无 3′ GC 夹 / 3′ 端 G+C 过多',
+  'tool.primer.rejected.repeat': '单核苷酸或二核苷酸重复',
+  'tool.primer.rejected.tm': 'Tm 超出范围',
+  'tool.primer.rejected.endStability': '3′ 端过于稳定',
+  'tool.primer.rejected.hairpin': '发夹结构',
+  'tool.primer.rejected.selfDimer': '自身二聚体',
+  'tool.primer.rejected.productSize': '产物大小超出范围',
+  'tool.primer.rejected.tmDiff': 'Tm 差异过大',
+  'tool.primer.rejected.crossDimer': '交叉二聚体',
+  'tool.primer.tooShort': '序列长 {length} 个碱基；至少应达到最小产物大小。',
+  'tool.primer.noPairs': '没有满足约束条件的引物对',
+  'tool.primer.noPairsChecked': '{forward} 条正向引物和 {reverse} 条反向引物通过；检查了 {pairs} 对。候选引物被拒绝的原因：',
+  'tool.primer.widen': '请尝试放宽 Tm、GC 或产物大小范围。',
+  'tool.primer.ranked': {
+    other: '{count} 对排序后的引物'
+  },
+  'tool.primer.scanned': '扫描了通过单引物检查的 {forward} 条正向引物和 {reverse} 条反向引物；检查了 {pairs} 对。罚分越低越好。',
+  'tool.primer.pairProduct': '产物：{size} bp',
+  'tool.primer.pairTmDiff': 'ΔTm：{difference}°C',
+  'tool.primer.pairCrossDimer': '交叉二聚体 ΔG：{deltaG}（3′：{endDeltaG}）',
+  'tool.primer.pairPenalty': '罚分 {penalty}',
+  'tool.primer.forwardPrimer': '正向引物',
+  'tool.primer.reversePrimer': '反向引物',
+  'tool.primer.cardTm': 'Tm：{tm}°C',
+  'tool.primer.cardInfo': '长度：{length} bp | GC：{gc}% | 3′ ΔG：{endStability} | 发夹 ΔG：{hairpin} | 自身二聚体 ΔG：{selfDimer}（3′：{selfDimerEnd}）kcal/mol',
+  'tool.primer.amplicon': '目标序列上的第 {number} 号扩增子',
+  'tool.primer.legend.forward': '正向',
+  'tool.primer.legend.amplicon': '扩增子',
+  'tool.primer.legend.reverse': '反向',
+  'tool.primer.selectPair': '点击引物对以显示其扩增子。',
+  'tool.translate.title': '转录与翻译工具',
+  'tool.translate.geneticCode': '遗传密码',
+  'tool.translate.orfMinLength': '最小 ORF 长度（aa）',
+  'tool.translate.altStarts': '允许替代起始密码子',
+  'tool.translate.transcribe': '转录为 RNA',
+  'tool.translate.sixFrame': '六框翻译',
+  'tool.translate.findOrfs': '查找 ORF',
+  'tool.translate.rna': '转录得到的 RNA 序列',
+  'tool.translate.rnaLength': '长度：{length} 个核苷酸',
+  'tool.translate.framesInfo': '遗传密码：{code} · 长度：{length} nt',
+  'tool.translate.frame': '阅读框 {frame}',
+  'tool.translate.legend': '* 终止 · B = D/N，Z = E/Q，J = I/L，X = 无法确定的简并',
+  'tool.translate.noOrfs': '未找到 ORF',
+  'tool.translate.noOrfsInfo': '六个阅读框中没有至少 {length} 个氨基酸的开放阅读框（{code}）。',
+  'tool.translate.orfs': {
+    other: '{count} 个开放阅读框'
+  },
+  'tool.translate.orfsInfo': '遗传密码：{code} · 最少 {length} aa · 坐标从 1 开始，基于输入链，从起始密码子到终止密码子（含）',
+  'tool.translate.partial': '不完整',
+  'tool.translate.partialTitle': '序列结束前没有终止密码子',
+  'tool.translate.column.frame': '阅读框',
+  'tool.translate.column.start': '起点',
+  'tool.translate.column.end': '终点',
+  'tool.translate.column.length': '长度（aa）',
+  'tool.translate.column.protein': '蛋白质',
+  'tool.complement.title': '互补与反向互补工具',
+  'tool.complement.complement': '互补序列',
+  'tool.complement.reverse': '反向互补序列',
+  'tool.complement.complementResult': '互补序列',
+  'tool.recommend.title': '组织工程推荐',
+  'tool.recommend.genes': '基因（符号、名称或别名；以逗号分隔）：',
+  'tool.recommend.mechanisms': 'AD 机制关键词（以逗号分隔，使用英文）：',
+  'tool.recommend.note': '使用与任一给定基因或机制匹配的条目，下方的特征会进一步缩小范围。若未输入基因或机制，则仅按特征选择条目。',
+  'tool.recommend.any': '任意',
+  'tool.recommend.orWorse': '{value}或更差',
+  'tool.recommend.run': '推荐',
+  'tool.network.title': '关系网络',
+  'tool.network.scope': '仅当前搜索结果中的条目',
+  'tool.network.zoomIn': '放大',
+  'tool.network.zoomOut': '缩小',
+  'tool.network.resetView': '重置视图',
+  'tool.network.help': '滚动缩放，拖动平移。点击节点可高亮其相邻节点；Shift+点击可添加节点并高亮共同相邻节点。双击可筛选结果表。',
+  'tool.network.exportSvg': '导出 SVG',
+  'tool.network.exportPng': '导出 PNG',
+  'tool.analysis.title': '序列分析工具',
+  'tool.analysis.enzymes': '限制性内切酶',
+  'tool.analysis.cutters': '切割酶',
+  'tool.analysis.unique': '仅单切点酶',
+  'tool.analysis.allEnzymes': '所有酶，包括不切割的',
+  'tool.analysis.hydropathyWindow': '亲疏水性窗口（残基）',
+  'tool.analysis.restrictionMap': '限制性酶切图谱',
+  'tool.analysis.composition': '组成与 CpG 岛',
+  'tool.analysis.protein': '蛋白质性质',
+  'tool.analysis.notProtein': '{id} 看起来是核苷酸序列。请先用转录与翻译工具进行翻译。',
+  'tool.analysis.analyzeOutput': '分析',
+  'tool.analysis.restrictionInfo': '{length} bp，线性 · {total} 种酶中有 {cutting} 种切割 · 切割位置位于上链所示碱基之后',
+  'tool.analysis.restrictionMapLabel': '线性限制性酶切图谱',
+  'tool.analysis.cutsAfter': '{enzyme} 在 {position} 之后切割',
+  'tool.analysis.noEnzymes': '没有符合此筛选条件的酶。',
+  'tool.analysis.nucleotideComposition': '核苷酸组成',
+  'tool.analysis.compositionInfo': '长度 {length} · GC {gc}% · GC 偏斜 {gcSkew} · AT 偏斜 {atSkew}',
+  'tool.analysis.ambiguousBases': {
+    other: '{count} 个简并碱基未计入'
+  },
+  'tool.analysis.observedExpected': '观测/期望 {ratio}',
+  'tool.analysis.dinucleotideNote': '二核苷酸计数，括号内为观测/期望比。',
+  'tool.analysis.cpgIslands': 'CpG 岛',
+  'tool.analysis.cpgCriteria': 'Gardiner-Garden 和 Frommer 标准：≥{length} bp，GC > {gc}%，CpG 观测/期望 > {ratio}',
+  'tool.analysis.noCpgIslands': '未找到 CpG 岛。',
+  'tool.analysis.property.length': '长度',
+  'tool.analysis.property.molecularWeight': '分子量',
+  'tool.analysis.property.isoelectricPoint': '等电点',
+  'tool.analysis.property.extinctionReduced': '消光系数（还原）',
+  'tool.analysis.property.extinctionCystines': '消光系数（胱氨酸）',
+  'tool.analysis.property.absorbance': 'Abs 0.1%（还原）',
+  'tool.analysis.property.charged': '带电残基（D+E / K+R）',
+  'tool.analysis.proteinMethods': '平均同位素质量；pI 采用 EMBOSS pKa 值；280 nm 水溶液中的消光（Pace 等）',
+  'tool.analysis.excludedResidues': {
+    other: '{count} 个简并或终止残基未计入'
+  },
+  'tool.analysis.hydropathy': 'Kyte-Doolittle 亲疏水性（窗口 {window}）',
+  'tool.analysis.hydropathyPlot': '亲疏水性图',
+  'tool.analysis.shorterThanWindow': '序列短于窗口。',
+  'tool.analysis.aminoAcidComposition': '氨基酸组成',
+  'tool.analysis.column.enzyme': '酶',
+  'tool.analysis.column.site': '识别位点',
+  'tool.analysis.column.cuts': '切割数',
+  'tool.analysis.column.positions': '位置',
+  'tool.analysis.column.fragments': '片段（bp）',
+  'tool.analysis.column.base': '碱基',
+  'tool.analysis.column.count': '计数',
+  'tool.analysis.column.start': '起点',
+  'tool.analysis.column.end': '终点',
+  'tool.analysis.column.length': '长度',
+  'tool.analysis.column.residue': '残基',
+  'tool.uniprot.title': 'UniProt 搜索',
+  'tool.uniprot.label': '输入 UniProt ID 或蛋白质名称：',
+  'tool.uniprot.placeholder': '例如 P05067（APP）或 Tau',
+  'tool.uniprot.search': '搜索 UniProt',
+  'tool.uniprot.enter': '请输入 UniProt ID 或蛋白质名称。',
+  'tool.chembl.title': 'ChEMBL 数据库',
+  'tool.chembl.label': '输入 ChEMBL ID 或化合物名称：',
+  'tool.chembl.placeholder': '例如 CHEMBL25 或多奈哌齐',
+  'tool.chembl.search': '搜索 ChEMBL',
+  'tool.chembl.enter': '请输入 ChEMBL ID 或化合物名称。',
+
+  // Notices (a11y.js)
+  'notice.dismiss': '关闭提示'
+};
@@ -0,0 +1,444 @@
+/**
+ * Entry point: loads the database, restores the URL state and wires
+ * up the page's event listeners.
+ */
+
+import { state } from './state.js';
+import { toFragment } from './html.js';
+import { dismissNotice, setFieldError } from './a11y.js';
+import {
+  loadTableConfig, moveColumn, renderTableControls, resetTableConfig, setColumnVisible, setPageSize,
+  toggleColumnConfig, toggleSort
+} from './table-config.js';
+import {
+  TOOL_INPUT_IDS, analyzeComposition, analyzeProtein, analyzeRestrictionSites, closeTool,
+  complementDNA, designPrimers, findORFs, openChEMBL, openKEGG, openNcbiBlast, openUniProt,
+  renderPrimerResults, reverseComplementDNA, runBLAST, showTool, transcribeDNA, translateDNA
+} from './tools.js';
+import { downloadSequenceOutput, loadSequenceFile, sequenceOutputs } from './sequence-input.js';
+import { restoreUrlState, updateUrl } from './url-state.js';
+import { clearFacets, toggleFacetValue } from './facets.js';
+import { loadDatabase, renderDataQualitySummary, showDataQualityReport } from './data.js';
+import {
+  installApp, registerServiceWorker, renderDatasetInfo, updateConnectionStatus
+} from './offline.js';
+import {
+  confirmImport, discardLocalEntry, readImportFile, revertLocalEntry, setImportResolution, showEntryForm
+} from './local-entries.js';
+import {
+  changePage, clearResults, displayResults, getCurrentPageRows, handleResultsFocus, handleResultsKeydown,
+  performSearch, setRecordSelected
+} from './results.js';
+import { applyStatisticFilter, computeStatistics, renderStatistics } from './statistics.js';
+import { exportResults, openPrintableReport, toggleExportPanel } from './export.js';
+import { closeGeneDetail, handleRoute, openGeneDetail, openToolWithInput } from './gene-detail.js';
+import {
+  buildComparisonReport, clearPinnedRecords, closeComparison, exportComparison, getPinnedRows,
+  openComparison, renderComparisonTray, renderPinButton, togglePinnedRecord
+} from './comparison.js';
+import { runRecommender } from './recommender.js';
+import { attachNetworkListeners, renderNetworkTool } from './network.js';
+import { drawPathwayMap, filterByPathwayGene } from './pathway.js';
+import { toFasta } from './sequence/sequence-parser.js';
+import { loadLocale, renderLanguageSwitcher, setLocale, translatePage } from './i18n.js';
+
+document.addEventListener('DOMContentLoaded', () => {
+  state.locale = loadLocale();
+  translatePage();
+  renderLanguageSwitcher();
+  state.tableConfig = loadTableConfig();
+  loadDatabase().then(() => {
+    if (state.databaseData.length) restoreUrlState();
+    handleRoute();
+  });
+  attachEventListeners();
+  registerServiceWorker();
+  updateConnectionStatus();
+});
+
+/**
+ * Attach all event listeners
+ */
+function attachEventListeners() {
+  document.getElementById('languageSelect').addEventListener('change', (e) => changeLanguage(e.target.value));
+
+  // Search functionality
+  document.getElementById('searchButton').addEventListener('click', performSearch);
+  document.getElementById('geneSearch').addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') performSearch();
+  });
+
+  // Filter chips select the matching TE relevance facet (aria-pressed is synced in renderFacetPanel)
+  document.querySelectorAll('.filter-chip').forEach(chip => {
+    chip.addEventListener('click', () => {
+      toggleFacetValue('te_relevance', chip.dataset.filter);
+    });
+  });
+
+  // Facet panel (rendered dynamically, so delegate)
+  const facetPanel = document.getElementById('facetPanel');
+  facetPanel.addEventListener('change', (e) => {
+    const input = e.target;
+    if (input.matches('.facet-option input')) {
+      toggleFacetValue(input.dataset.field, input.value);
+    } else if (input.matches('.facet-mode')) {
+      state.facetModes[input.dataset.field] = input.value;
+      performSearch();
+    }
+  });
+  facetPanel.addEventListener('click', (e) => {
+    const toggle = e.target.closest('.facet-more');
+    if (toggle) {
+      const field = toggle.dataset.field;
+      if (state.expandedFacets.has(field)) {
+        state.expandedFacets.delete(field);
+      } else {
+        state.expandedFacets.add(field);
+      }
+      performSearch();
+    } else if (e.target.closest('.facet-reset')) {
+      clearFacets();
+      performSearch();
+    }
+  });
+
+  // Action buttons
+  document.getElementById('exportBtn').addEventListener('click', toggleExportPanel);
+  document.getElementById('exportPanel').addEventListener('click', (e) => {
+    const button = e.target.closest('[data-export]');
+    if (button) exportResults(button.dataset.export, document.getElementById('exportScope').value);
+  });
+  document.getElementById('clearBtn').addEventListener('click', clearResults);
+  document.getElementById('addEntryBtn').addEventListener('click', () => showEntryForm());
+  document.getElementById('importEntriesBtn').addEventListener('click', () => document.getElementById('importFileInput').click());
+  document.getElementById('importFileInput').addEventListener('change', (e) => {
+    if (e.target.files[0]) readImportFile(e.target.files[0]);
+    e.target.value = '';
+  });
+  document.getElementById('closeToolBtn').addEventListener('click', closeTool);
+  document.getElementById('closeGeneDetailBtn').addEventListener('click', closeGeneDetail);
+
+  // Escape closes the open panel or view, except while typing in a field
+  const escapeHandlers = { toolContent: closeTool, geneDetail: closeGeneDetail, comparisonView: closeComparison };
+  Object.entries(escapeHandlers).forEach(([id, close]) => {
+    document.getElementById(id).addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && !e.target.matches('input, textarea, select')) close();
+    });
+  });
+
+  // A field marked invalid is cleared as soon as it is edited
+  document.addEventListener('input', (e) => {
+    if (e.target.getAttribute('aria-invalid') === 'true') setFieldError(e.target, '');
+  });
+
+  document.getElementById('dataQualitySummary').addEventListener('click', (e) => {
+    if (e.target.closest('#dataQualityBtn')) showDataQualityReport();
+  });
+  document.getElementById('datasetInfo').addEventListener('click', (e) => {
+    if (e.target.closest('#reloadDatasetBtn')) location.reload();
+    if (e.target.closest('#installAppBtn')) installApp();
+  });
+  window.addEventListener('online', updateConnectionStatus);
+  window.addEventListener('offline', updateConnectionStatus);
+  window.addEventListener('beforeinstallprompt', (e) => {
+    e.preventDefault();
+    state.installPrompt = e;
+    renderDatasetInfo();
+  });
+
+  // Statistics bars and cross-tab cells filter the results table
+  document.getElementById('statsContent').addEventListener('click', (e) => {
+    const target = e.target.closest('[data-field]');
+    if (!target) return;
+    const filters = [[target.dataset.field, target.dataset.value]];
+    if (target.dataset.field2) filters.push([target.dataset.field2, target.dataset.value2]);
+    applyStatisticFilter(filters);
+  });
+
+  // Column headers sort; table rows and similar-entry links open the gene detail view
+  document.getElementById('dynamicContent').addEventListener('click', (e) => {
+    if (e.target.matches('.row-select')) {
+      setRecordSelected(e.target.dataset.record, e.target.checked);
+      return;
+    }
+    if (e.target.matches('.page-select')) {
+      getCurrentPageRows().forEach(row => setRecordSelected(state.databaseData.indexOf(row), e.target.checked));
+      displayResults();
+      return;
+    }
+    if (e.target.closest('.clear-selection')) {
+      state.selectedRecords = new Set();
+      displayResults();
+      return;
+    }
+    const pin = e.target.closest('[data-pin]');
+    if (pin) {
+      togglePinnedRecord(Number(pin.dataset.pin));
+      return;
+    }
+    if (e.target.closest('.select-cell')) return;
+    const header = e.target.closest('th[data-sort]');
+    if (header) {
+      toggleSort(header.dataset.sort);
+      return;
+    }
+    const row = e.target.closest('tr[data-record]');
+    if (row) openGeneDetail(state.databaseData[row.dataset.record]);
+  });
+  // The results table is a grid: arrow keys move between cells
+  document.getElementById('dynamicContent').addEventListener('keydown', handleResultsKeydown);
+  document.getElementById('dynamicContent').addEventListener('focusin', handleResultsFocus);
+
+  // Table configuration
+  document.getElementById('columnsBtn').addEventListener('click', toggleColumnConfig);
+  document.getElementById('pageSizeSelect').addEventListener('change', (e) => {
+    setPageSize(e.target.value);
+  });
+  document.getElementById('columnConfig').addEventListener('change', (e) => {
+    if (e.target.matches('input[data-column]')) setColumnVisible(e.target.dataset.column, e.target.checked);
+  });
+  document.getElementById('columnConfig').addEventListener('click', (e) => {
+    const move = e.target.closest('[data-move]');
+    if (move) moveColumn(move.dataset.column, Number(move.dataset.move));
+    if (e.target.closest('#resetColumnsBtn')) resetTableConfig();
+  });
+  renderTableControls();
+  document.getElementById('comparisonTray').addEventListener('click', (e) => {
+    const unpin = e.target.closest('[data-pin]');
+    if (unpin) togglePinnedRecord(Number(unpin.dataset.pin));
+    if (e.target.closest('#compareBtn')) openComparison();
+    if (e.target.closest('#clearPinsBtn')) clearPinnedRecords();
+  });
+  document.getElementById('comparisonBody').addEventListener('click', (e) => {
+    const unpin = e.target.closest('[data-pin]');
+    if (unpin) {
+      togglePinnedRecord(Number(unpin.dataset.pin));
+      if (state.pinnedRecords.length >= 2) {
+        openComparison();
+      } else {
+        closeComparison();
+      }
+      return;
+    }
+    const link = e.target.closest('[data-record]');
+    if (link) openGeneDetail(state.databaseData[link.dataset.record]);
+    if (e.target.closest('[data-comparison-export]')) exportComparison(getPinnedRows());
+    if (e.target.closest('[data-comparison-print]')) {
+      openPrintableReport(buildComparisonReport(getPinnedRows()), 'TE_Alzheimers_Comparison.html');
+    }
+  });
+  document.getElementById('comparisonBody').addEventListener('change', (e) => {
+    if (e.target.matches('#comparisonDiffOnly')) {
+      document.querySelector('.comparison-table').classList.toggle('differences-only', e.target.checked);
+    }
+  });
+  document.getElementById('closeComparisonBtn').addEventListener('click', closeComparison);
+  document.getElementById('geneDetailBody').addEventListener('click', (e) => {
+    const edit = e.target.closest('[data-edit-record]');
+    if (edit) {
+      showEntryForm(state.databaseData[edit.dataset.editRecord]);
+      return;
+    }
+    const revert = e.target.closest('[data-revert-version]');
+    if (revert) {
+      const [recordIndex, version] = revert.dataset.revertVersion.split(':').map(Number);
+      revertLocalEntry(state.databaseData[recordIndex], version);
+      return;
+    }
+    const discard = e.target.closest('[data-discard-record]');
+    if (discard) {
+      discardLocalEntry(state.databaseData[discard.dataset.discardRecord]);
+      return;
+    }
+    const pin = e.target.closest('[data-pin]');
+    if (pin) {
+      togglePinnedRecord(Number(pin.dataset.pin));
+      pin.replaceWith(toFragment(renderPinButton(Number(pin.dataset.pin), true)));
+      return;
+    }
+    const link = e.target.closest('[data-record]');
+    if (link) openGeneDetail(state.databaseData[link.dataset.record]);
+    const toolLink = e.target.closest('[data-tool]');
+    if (toolLink) openToolWithInput(toolLink.dataset.tool, toolLink.dataset.input);
+  });
+  window.addEventListener('hashchange', handleRoute);
+  window.addEventListener('popstate', () => {
+    if (state.databaseData.length) restoreUrlState();
+  });
+
+  attachNetworkListeners(document.getElementById('toolBody'));
+
+  document.getElementById('toolBody').addEventListener('click', (e) => {
+    const resolution = e.target.closest('[data-import-all]');
+    if (resolution) {
+      setImportResolution(null, resolution.dataset.importAll);
+      return;
+    }
+
+    // Entries backing a recommendation open in the gene detail view
+    const recordLink = e.target.closest('[data-record]');
+    if (recordLink) {
+      openGeneDetail(state.databaseData[recordLink.dataset.record]);
+      return;
+    }
+
+    // Selecting a designed primer pair shows its amplicon on the target
+    const pair = e.target.closest('[data-primer-pair]');
+    if (pair) {
+      const [recordIndex, pairIndex] = pair.dataset.primerPair.split(':').map(Number);
+      state.primerDesignResults[recordIndex].selected = pairIndex;
+      renderPrimerResults(state.primerDesignResults);
+      return;
+    }
+
+    // Database genes on the pathway map filter the results to their entries
+    const pathwayGene = e.target.closest('[data-pathway-gene]');
+    if (pathwayGene) {
+      filterByPathwayGene(pathwayGene.dataset.pathwayGene);
+      return;
+    }
+
+    const download = e.target.closest('[data-download-fasta]');
+    if (download) downloadSequenceOutput(download.dataset.downloadFasta);
+
+    if (e.target.closest('[data-ncbi-blast]')) {
+      e.preventDefault();
+      openNcbiBlast();
+    }
+
+    // Translated frames and ORFs can be sent to the protein properties tool
+    const analyze = e.target.closest('[data-analyze-output]');
+    if (analyze) {
+      const [resultsId, index] = analyze.dataset.analyzeOutput.split(':');
+      const record = sequenceOutputs[resultsId] && sequenceOutputs[resultsId].records[Number(index)];
+      if (record) {
+        openToolWithInput('analysis', toFasta([record]));
+        analyzeProtein();
+      }
+    }
+  });
+
+  // Keep the open tool's input in the URL so it can be shared
+  document.getElementById('toolBody').addEventListener('change', (e) => {
+    if (e.target.matches('[data-network-type], #networkScope')) {
+      renderNetworkTool();
+      return;
+    }
+    if (e.target.matches('#pathwayOverlay')) {
+      drawPathwayMap();
+      return;
+    }
+    if (e.target.matches('[data-import-resolution]')) {
+      setImportResolution(Number(e.target.dataset.importResolution), e.target.value);
+      return;
+    }
+    if (e.target.closest('#entryForm')) return;
+    if (e.target.matches('[data-sequence-file]') && e.target.files.length) {
+      loadSequenceFile(e.target.files[0], e.target.dataset.sequenceFile);
+      e.target.value = '';
+      return;
+    }
+    if (state.activeTool && e.target.id === TOOL_INPUT_IDS[state.activeTool]) updateUrl(true);
+  });
+
+  // Sequence files can be dropped straight onto a sequence textarea
+  document.getElementById('toolBody').addEventListener('dragover', (e) => {
+    const target = e.target.closest('.sequence-input');
+    if (!target) return;
+    e.preventDefault();
+    target.classList.add('drag-over');
+  });
+  document.getElementById('toolBody').addEventListener('dragleave', (e) => {
+    const target = e.target.closest('.sequence-input');
+    if (target) target.classList.remove('drag-over');
+  });
+  document.getElementById('toolBody').addEventListener('drop', (e) => {
+    const target = e.target.closest('.sequence-input');
+    if (!target) return;
+    e.preventDefault();
+    target.classList.remove('drag-over');
+    if (e.dataTransfer.files.length) loadSequenceFile(e.dataTransfer.files[0], target.id);
+  });
+
+  // Tool menu buttons
+  const toolButtons = {
+    'blastMenuBtn': () => showTool('blast'),
+    'keggMenuBtn': () => showTool('kegg'),
+    'primerMenuBtn': () => showTool('primer'),
+    'translateMenuBtn': () => showTool('translate'),
+    'complementMenuBtn': () => showTool('complement'),
+    'analysisMenuBtn': () => showTool('analysis'),
+    'recommendMenuBtn': () => showTool('recommend'),
+    'networkMenuBtn': () => showTool('network'),
+    'uniprotMenuBtn': () => showTool('uniprot'),
+    'chemblMenuBtn': () => showTool('chembl')
+  };
+
+  Object.entries(toolButtons).forEach(([id, handler]) => {
+    const btn = document.getElementById(id);
+    if (btn) btn.addEventListener('click', handler);
+  });
+
+  // Buttons rendered into tool panels, pagination and messages name their
+  // handler in data-action
+  const actions = {
+    runBLAST, openNcbiBlast, openKEGG, designPrimers, transcribeDNA, translateDNA, findORFs,
+    complementDNA, reverseComplementDNA, runRecommender, analyzeRestrictionSites,
+    analyzeComposition, analyzeProtein, openUniProt, openChEMBL, closeTool, confirmImport, dismissNotice,
+    changePage: (button) => changePage(Number(button.dataset.page)),
+    reload: () => location.reload()
+  };
+  document.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-action]');
+    if (button && !button.disabled && actions[button.dataset.action]) actions[button.dataset.action](button);
+  });
+
+  // Navigation smooth scroll
+  document.querySelectorAll('.nav-link').forEach(link => {
+    link.addEventListener('click', (e) => {
+      e.preventDefault();
+      const target = document.querySelector(link.getAttribute('href'));
+      if (target) {
+        target.scrollIntoView({ behavior: 'smooth' });
+        document.querySelectorAll('.nav-link').forEach(l => l.classList.remove('active'));
+        link.classList.add('active');
+      }
+    });
+  });
+}
+
+/**
+ * Switch the interface language and re-render everything drawn from
+ * script: the results keep their page, and an open tool or view is
+ * rebuilt in place
+ */
+function changeLanguage(locale) {
+  setLocale(locale);
+  renderLanguageSwitcher();
+  renderTableControls();
+  renderDatasetInfo();
+  renderComparisonTray();
+  if (!state.databaseData.length) return;
+
+  renderStatistics(computeStatistics(state.databaseData));
+  renderDataQualitySummary(state.dataQualityReport);
+  // The query, filters and page are unchanged, so the URL is left alone
+  state.restoringUrlState = true;
+  try {
+    const page = state.currentPage;
+    performSearch();
+    state.currentPage = page;
+    if (state.filteredData.length) displayResults();
+
+    if (state.activeTool) {
+      const input = document.getElementById(TOOL_INPUT_IDS[state.activeTool]);
+      const value = input && input.value;
+      showTool(state.activeTool);
+      if (input) document.getElementById(TOOL_INPUT_IDS[state.activeTool]).value = value;
+    }
+  } finally {
+    state.restoringUrlState = false;
+  }
+  if (!document.getElementById('geneDetail').hidden || !document.getElementById('comparisonView').hidden) handleRoute();
+  document.getElementById('languageSelect').focus();
+}
@@ -0,0 +1,436 @@
+/**
+ * Relationship network of genes, mechanisms, growth factors, cell types
+ * and biomaterials.
+ */
+
+import { state } from './state.js';
+import { FACET_FIELDS } from './schema.js';
+import { html, setHtml } from './html.js';
+import { notify } from './a11y.js';
+import { truncateText } from './utils.js';
+import { getGeneSymbol } from './records.js';
+import { closeTool } from './tools.js';
+import { clearFacets } from './facets.js';
+import { performSearch } from './results.js';
+import { getFacetValues } from './search.js';
+import { downloadFile } from './export.js';
+import { t } from './i18n.js';
+
+// ============================================
+// Relationship Network
+// ============================================
+
+// Each type is named by the network.type.<type> message
+export const NETWORK_NODE_TYPES = [
+  { type: 'gene', color: '#2b6cb0', field: 'gene_name', multiValued: false },
+  { type: 'mechanism', color: '#c53030', field: 'ad_mechanism', multiValued: false },
+  { type: 'growth', color: '#38a169', field: 'growth_factors', multiValued: true },
+  { type: 'cell', color: '#d69e2e', field: 'cell_type', multiValued: true },
+  { type: 'biomaterial', color: '#805ad5', field: 'biomaterial_suggestion', multiValued: true }
+];
+
+const NETWORK_SIZE = { width: 900, height: 600 };
+const NETWORK_LAYOUT_ITERATIONS = 250;
+// Nodes backed by at least this many entries are always labelled
+const NETWORK_LABEL_MIN_RECORDS = 4;
+
+// Current graph, layout, selection and zoom/pan of the network tool
+let networkState = null;
+
+/**
+ * Co-occurrence graph: one node per distinct value of each node type, and
+ * an edge between every two nodes that appear in the same record,
+ * weighted by the number of such records
+ */
+function buildNetworkGraph(rows, types = NETWORK_NODE_TYPES) {
+  const nodes = [];
+  const nodeIndex = new Map();
+  const edgeWeights = new Map();
+
+  rows.forEach(row => {
+    const recordNodes = new Set();
+    types.forEach(type => {
+      getFacetValues(row, type).forEach(value => {
+        const id = `${type.type}:${value}`;
+        if (!nodeIndex.has(id)) {
+          nodeIndex.set(id, nodes.length);
+          nodes.push({
+            id,
+            type: type.type,
+            field: type.field,
+            value,
+            label: type.type === 'gene' ? getGeneSymbol(row) : value,
+            records: []
+          });
+        }
+        const index = nodeIndex.get(id);
+        if (!recordNodes.has(index)) nodes[index].records.push(row);
+        recordNodes.add(index);
+      });
+    });
+
+    const members = [...recordNodes].sort((a, b) => a - b);
+    members.forEach((source, i) => {
+      members.slice(i + 1).forEach(target => {
+        const key = `${source}-${target}`;
+        edgeWeights.set(key, (edgeWeights.get(key) || 0) + 1);
+      });
+    });
+  });
+
+  const edges = [...edgeWeights.entries()].map(([key, weight]) => {
+    const [source, target] = key.split('-').map(Number);
+    return { source, target, weight };
+  });
+  const neighbors = nodes.map(() => new Set());
+  edges.forEach(({ source, target }) => {
+    neighbors[source].add(target);
+    neighbors[target].add(source);
+  });
+  return { nodes, edges, neighbors };
+}
+
+/**
+ * Fruchterman-Reingold layout, run to completion up front. Nodes start on
+ * a deterministic spiral so the same data always gives the same picture.
+ */
+function layoutNetwork(graph, { width, height } = NETWORK_SIZE, iterations = NETWORK_LAYOUT_ITERATIONS) {
+  const count = graph.nodes.length;
+  if (count === 0) return [];
+  const k = Math.sqrt((width * height) / count) * 0.6;
+  const positions = graph.nodes.map((node, i) => {
+    const angle = i * 2.39996;
+    const radius = Math.sqrt((i + 0.5) / count) * Math.min(width, height) * 0.45;
+    return { x: width / 2 + radius * Math.cos(angle), y: height / 2 + radius * Math.sin(angle) };
+  });
+
+  let temperature = width / 10;
+  const cooling = temperature / (iterations + 1);
+  for (let step = 0; step < iterations; step++) {
+    const dx = new Float64Array(count);
+    const dy = new Float64Array(count);
+
+    for (let i = 0; i < count; i++) {
+      for (let j = i + 1; j < count; j++) {
+        const x = positions[i].x - positions[j].x;
+        const y = positions[i].y - positions[j].y;
+        const distance = Math.max(Math.sqrt(x * x + y * y), 0.01);
+        const force = (k * k) / distance;
+        dx[i] += (x / distance) * force;
+        dy[i] += (y / distance) * force;
+        dx[j] -= (x / distance) * force;
+        dy[j] -= (y / distance) * force;
+      }
+    }
+
+    graph.edges.forEach(({ source, target, weight }) => {
+      const x = positions[source].x - positions[target].x;
+      const y = positions[source].y - positions[target].y;
+      const distance = Math.max(Math.sqrt(x * x + y * y), 0.01);
+      const force = ((distance * distance) / k) * Math.min(weight, 3) * 0.3;
+      dx[source] -= (x / distance) * force;
+      dy[source] -= (y / distance) * force;
+      dx[target] += (x / distance) * force;
+      dy[target] += (y / distance) * force;
+    });
+
+    for (let i = 0; i < count; i++) {
+      // Gentle pull to the centre keeps disconnected pieces on screen
+      dx[i] += (width / 2 - positions[i].x) * 0.02 * k;
+      dy[i] += (height / 2 - positions[i].y) * 0.02 * k;
+      const length = Math.max(Math.sqrt(dx[i] * dx[i] + dy[i] * dy[i]), 0.01);
+      const move = Math.min(length, temperature);
+      positions[i].x = Math.min(width - 10, Math.max(10, positions[i].x + (dx[i] / length) * move));
+      positions[i].y = Math.min(height - 10, Math.max(10, positions[i].y + (dy[i] / length) * move));
+    }
+    temperature -= cooling;
+  }
+  return positions;
+}
+
+/**
+ * Nodes adjacent to every selected node
+ */
+function findSharedNeighbors(graph, selected) {
+  const [first, ...rest] = [...selected];
+  if (first === undefined) return new Set();
+  return new Set([...graph.neighbors[first]].filter(index => (
+    !selected.has(index) && rest.every(other => graph.neighbors[other].has(index))
+  )));
+}
+
+/**
+ * Rebuild the graph from the chosen node types and scope, lay it out and draw it
+ */
+export function renderNetworkTool() {
+  const hiddenTypes = new Set([...document.querySelectorAll('[data-network-type]')]
+    .filter(input => !input.checked)
+    .map(input => input.dataset.networkType));
+  const onlyResults = document.getElementById('networkScope').checked && state.filteredData.length > 0;
+  const rows = onlyResults ? state.filteredData : state.databaseData;
+  const graph = buildNetworkGraph(rows, NETWORK_NODE_TYPES.filter(type => !hiddenTypes.has(type.type)));
+
+  networkState = {
+    graph,
+    positions: layoutNetwork(graph),
+    selected: new Set(),
+    view: { x: 0, y: 0, k: 1 },
+    drag: null
+  };
+  drawNetwork();
+}
+
+function drawNetwork() {
+  const container = document.getElementById('networkGraph');
+  if (!container || !networkState) return;
+  const { graph, positions, selected, view } = networkState;
+  const shared = findSharedNeighbors(graph, selected);
+  const focus = selected.size > 0;
+  const isLit = (index) => !focus || selected.has(index) || shared.has(index);
+  const colors = Object.fromEntries(NETWORK_NODE_TYPES.map(type => [type.type, type.color]));
+
+  if (graph.nodes.length === 0) {
+    setHtml(container, html`<p class="sequence-info">${t('network.noNodes')}</p>`);
+    renderNetworkSelection(shared);
+    return;
+  }
+
+  const edges = graph.edges.map(({ source, target, weight }) => {
+    const lit = focus && (selected.has(source) || selected.has(target)) && isLit(source) && isLit(target);
+    const opacity = focus ? (lit ? 0.7 : 0.04) : 0.15;
+    const a = positions[source];
+    const b = positions[target];
+    return html`<line x1="${a.x.toFixed(1)}" y1="${a.y.toFixed(1)}" x2="${b.x.toFixed(1)}" y2="${b.y.toFixed(1)}"
+      stroke="${lit ? '#2d3748' : '#a0aec0'}" stroke-opacity="${opacity}" stroke-width="${Math.min(weight, 4) * 0.6}" />`;
+  });
+
+  const nodes = graph.nodes.map((node, i) => {
+    const { x, y } = positions[i];
+    const radius = 3 + Math.sqrt(node.records.length) * 2;
+    const showLabel = focus ? isLit(i) : node.records.length >= NETWORK_LABEL_MIN_RECORDS;
+    return html`
+      <g data-network-node="${i}" class="network-node" opacity="${isLit(i) ? 1 : 0.15}">
+        <circle cx="${x.toFixed(1)}" cy="${y.toFixed(1)}" r="${radius.toFixed(1)}" fill="${colors[node.type]}"
+          stroke="${selected.has(i) ? '#1a202c' : '#ffffff'}" stroke-width="${selected.has(i) ? 3 : 1}" />
+        ${showLabel && html`<text x="${(x + radius + 2).toFixed(1)}" y="${(y + 3).toFixed(1)}" font-size="10" fill="#2d3748"
+          font-family="Inter, sans-serif">${truncateText(node.label, 28)}</text>`}
+        <title>${t('network.nodeTitle', { value: node.value, count: node.records.length })}</title>
+      </g>
+    `;
+  });
+
+  setHtml(container, html`
+    <svg class="network-graph" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${NETWORK_SIZE.width} ${NETWORK_SIZE.height}"
+      role="img" aria-label="${t('network.label', { count: graph.nodes.length })}">
+      <rect width="100%" height="100%" fill="#ffffff" />
+      <g id="networkViewport" transform="translate(${view.x} ${view.y}) scale(${view.k})">${edges}${nodes}</g>
+    </svg>
+  `);
+  renderNetworkSelection(shared);
+}
+
+function renderNetworkSelection(shared) {
+  const panel = document.getElementById('networkSelection');
+  const { graph, selected } = networkState;
+  if (selected.size === 0) {
+    setHtml(panel, html`<p class="sequence-info">${t('network.summary', { nodes: graph.nodes.length, links: graph.edges.length })}</p>`);
+    return;
+  }
+
+  const chips = (indices) => [...indices].map(i => {
+    const node = graph.nodes[i];
+    const color = NETWORK_NODE_TYPES.find(type => type.type === node.type).color;
+    return html`<button type="button" class="network-chip" data-network-node="${i}" data-style="border-color: ${color}">${node.label}</button>`;
+  });
+  const sharedByType = NETWORK_NODE_TYPES
+    .map(type => ({ type, nodes: [...shared].filter(i => graph.nodes[i].type === type.type) }))
+    .filter(group => group.nodes.length);
+
+  setHtml(panel, html`
+    <div class="network-selection">
+      <div><strong>${t('network.selected')}</strong> ${chips(selected)}</div>
+      <div><strong>${t(selected.size > 1 ? 'network.sharedNeighbors' : 'network.neighbors')}</strong> ${shared.size || t('report.none')}</div>
+      ${sharedByType.map(group => html`<div class="network-group"><span>${t(`network.type.${group.type.type}`)}</span> ${chips(group.nodes)}</div>`)}
+      <div class="tool-actions">
+        <button type="button" class="action-btn" data-network-filter><i class="fas fa-filter"></i> ${t('network.filter')}</button>
+        <button type="button" class="action-btn secondary" data-network-clear><i class="fas fa-times"></i> ${t('results.clearSelection')}</button>
+      </div>
+    </div>
+  `);
+}
+
+function selectNetworkNode(index, additive) {
+  const { selected } = networkState;
+  if (additive) {
+    if (selected.has(index)) selected.delete(index);
+    else selected.add(index);
+  } else if (selected.size === 1 && selected.has(index)) {
+    selected.clear();
+  } else {
+    selected.clear();
+    selected.add(index);
+  }
+  drawNetwork();
+}
+
+/**
+ * Show the entries containing all selected nodes: list-valued fields
+ * become AND facets, genes and mechanisms become search terms
+ */
+function applyNetworkFilter() {
+  const nodes = [...networkState.selected].map(i => networkState.graph.nodes[i]);
+  const quote = (value) => `"${value.replace(/"/g, '')}"`;
+  const terms = [];
+  const genes = nodes.filter(node => node.type === 'gene').map(node => `name:${quote(node.value)}`);
+  if (genes.length) terms.push(genes.length > 1 ? `(${genes.join(' OR ')})` : genes[0]);
+  nodes.filter(node => node.type === 'mechanism').forEach(node => terms.push(`mechanism:${quote(node.value)}`));
+
+  clearFacets();
+  nodes.filter(node => FACET_FIELDS.some(facet => facet.field === node.field)).forEach(node => {
+    if (!state.activeFacets[node.field]) state.activeFacets[node.field] = new Set();
+    state.activeFacets[node.field].add(node.value);
+    if (state.activeFacets[node.field].size > 1) state.facetModes[node.field] = 'AND';
+  });
+  document.getElementById('geneSearch').value = terms.join(' ');
+
+  closeTool();
+  performSearch();
+  document.getElementById('resultsContainer').scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+function zoomNetwork(factor, centerX = NETWORK_SIZE.width / 2, centerY = NETWORK_SIZE.height / 2) {
+  const { view } = networkState;
+  const k = Math.min(8, Math.max(0.25, view.k * factor));
+  view.x = centerX - ((centerX - view.x) * k) / view.k;
+  view.y = centerY - ((centerY - view.y) * k) / view.k;
+  view.k = k;
+  applyNetworkView();
+}
+
+function applyNetworkView() {
+  const viewport = document.getElementById('networkViewport');
+  const { view } = networkState;
+  if (viewport) viewport.setAttribute('transform', `translate(${view.x} ${view.y}) scale(${view.k})`);
+}
+
+/**
+ * Pointer position in SVG viewBox units
+ */
+function getNetworkPoint(svg, event) {
+  const rect = svg.getBoundingClientRect();
+  return {
+    x: ((event.clientX - rect.left) / (rect.width || 1)) * NETWORK_SIZE.width,
+    y: ((event.clientY - rect.top) / (rect.height || 1)) * NETWORK_SIZE.height
+  };
+}
+
+/**
+ * Zoom, pan, selection, filtering and export, delegated from the tool body
+ */
+export function attachNetworkListeners(toolBody) {
+  toolBody.addEventListener('wheel', (e) => {
+    const svg = e.target.closest('.network-graph');
+    if (!svg || !networkState) return;
+    e.preventDefault();
+    const point = getNetworkPoint(svg, e);
+    zoomNetwork(e.deltaY < 0 ? 1.2 : 1 / 1.2, point.x, point.y);
+  }, { passive: false });
+
+  toolBody.addEventListener('pointerdown', (e) => {
+    const svg = e.target.closest('.network-graph');
+    if (!svg || !networkState) return;
+    networkState.drag = { svg, start: getNetworkPoint(svg, e), view: { ...networkState.view }, moved: false };
+  });
+  toolBody.addEventListener('pointermove', (e) => {
+    const drag = networkState && networkState.drag;
+    if (!drag) return;
+    const point = getNetworkPoint(drag.svg, e);
+    const dx = point.x - drag.start.x;
+    const dy = point.y - drag.start.y;
+    if (Math.abs(dx) + Math.abs(dy) > 3) drag.moved = true;
+    networkState.view.x = drag.view.x + dx;
+    networkState.view.y = drag.view.y + dy;
+    applyNetworkView();
+  });
+  document.addEventListener('pointerup', () => {
+    if (!networkState || !networkState.drag) return;
+    // Keep the flag until the click that follows a drag has been ignored
+    const moved = networkState.drag.moved;
+    networkState.drag = null;
+    networkState.justPanned = moved;
+  });
+
+  toolBody.addEventListener('click', (e) => {
+    if (!networkState) return;
+    if (networkState.justPanned) {
+      networkState.justPanned = false;
+      return;
+    }
+    const node = e.target.closest('[data-network-node]');
+    if (node) {
+      selectNetworkNode(Number(node.dataset.networkNode), e.shiftKey || e.ctrlKey || e.metaKey);
+      return;
+    }
+    const zoom = e.target.closest('[data-network-zoom]');
+    if (zoom) {
+      if (zoom.dataset.networkZoom === 'reset') {
+        networkState.view = { x: 0, y: 0, k: 1 };
+        applyNetworkView();
+      } else {
+        zoomNetwork(zoom.dataset.networkZoom === 'in' ? 1.4 : 1 / 1.4);
+      }
+      return;
+    }
+    if (e.target.closest('[data-network-filter]')) applyNetworkFilter();
+    if (e.target.closest('[data-network-clear]')) {
+      networkState.selected.clear();
+      drawNetwork();
+    }
+    const exportButton = e.target.closest('[data-network-export]');
+    if (exportButton) exportNetwork(exportButton.dataset.networkExport);
+  });
+
+  toolBody.addEventListener('dblclick', (e) => {
+    const node = e.target.closest('.network-graph [data-network-node]');
+    if (!node || !networkState) return;
+    networkState.selected.add(Number(node.dataset.networkNode));
+    applyNetworkFilter();
+  });
+}
+
+/**
+ * Download the graph as drawn (current zoom and highlighting) with a legend
+ */
+function exportNetwork(format) {
+  const svg = document.querySelector('#networkGraph .network-graph');
+  if (!svg) return;
+  const clone = svg.cloneNode(true);
+  const legend = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+  setHtml(legend, NETWORK_NODE_TYPES.map((type, i) => html`
+    <g transform="translate(12 ${16 + i * 16})">
+      <circle r="5" cx="5" cy="-4" fill="${type.color}" />
+      <text x="15" y="0" font-size="11" font-family="Inter, sans-serif" fill="#2d3748">${t(`network.type.${type.type}`)}</text>
+    </g>
+  `));
+  clone.appendChild(legend);
+  const source = `<?xml version="1.0" encoding="UTF-8"?>\n${new XMLSerializer().serializeToString(clone)}`;
+
+  if (format === 'svg') {
+    downloadFile(source, 'te_alzheimers_network.svg', 'image/svg+xml;charset=utf-8');
+    return;
+  }
+
+  const image = new Image();
+  image.onload = () => {
+    const scale = 2;
+    const canvas = document.createElement('canvas');
+    canvas.width = NETWORK_SIZE.width * scale;
+    canvas.height = NETWORK_SIZE.height * scale;
+    const context = canvas.getContext('2d');
+    context.scale(scale, scale);
+    context.drawImage(image, 0, 0, NETWORK_SIZE.width, NETWORK_SIZE.height);
+    canvas.toBlob(blob => downloadFile(blob, 'te_alzheimers_network.png', 'image/png'), 'image/png');
+  };
+  image.onerror = () => notify(t('network.pngUnsupported'), 'error');
+  image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(source)}`;
+}
@@ -0,0 +1,85 @@
+/**
+ * Service worker registration, dataset version display and connection status.
+ */
+
+import { state } from './state.js';
+import { html, setHtml } from './html.js';
+import { notify } from './a11y.js';
+import { formatDateTime, t } from './i18n.js';
+
+// ============================================
+// Offline Support & Dataset Version
+// ============================================
+
+export function registerServiceWorker() {
+  if (!('serviceWorker' in navigator) || !location.protocol.startsWith('http')) return;
+  navigator.serviceWorker.register('sw.js').catch(error => {
+    console.warn('Offline support unavailable:', error);
+  });
+  navigator.serviceWorker.addEventListener('message', (e) => {
+    if (e.data && e.data.type === 'dataset-updated' && state.datasetInfo) {
+      state.datasetInfo.updateAvailable = true;
+      renderDatasetInfo();
+    }
+  });
+}
+
+/**
+ * Dataset version, last update, connection state and install button
+ */
+export function renderDatasetInfo() {
+  const info = document.getElementById('datasetInfo');
+  if (!info || !state.datasetInfo) return;
+  const updated = state.datasetInfo.lastModified ? new Date(state.datasetInfo.lastModified) : null;
+  const offline = navigator.onLine === false;
+
+  setHtml(info, html`
+    <span title="${t('dataset.versionHint')}"><i class="fas fa-tag"></i> ${t('dataset.version', { version: state.datasetInfo.version })}</span>
+    ${updated && !isNaN(updated) && html`<span><i class="fas fa-clock"></i> ${t('dataset.updated', { date: formatDateTime(updated) })}</span>`}
+    ${offline && html`<span class="offline-status"><i class="fas fa-plane"></i> ${t('dataset.offline')}</span>`}
+    ${state.datasetInfo.updateAvailable && html`<button id="reloadDatasetBtn" class="facet-reset"><i class="fas fa-sync-alt"></i> ${t('dataset.updateAvailable')}</button>`}
+    ${state.installPrompt && html`<button id="installAppBtn" class="facet-reset"><i class="fas fa-download"></i> ${t('dataset.install')}</button>`}
+  `);
+}
+
+export async function installApp() {
+  if (!state.installPrompt) return;
+  state.installPrompt.prompt();
+  await state.installPrompt.userChoice;
+  state.installPrompt = null;
+  renderDatasetInfo();
+}
+
+/**
+ * Reflect the connection state: tools that only link out to other
+ * services are disabled while offline
+ */
+export function updateConnectionStatus() {
+  const offline = navigator.onLine === false;
+  document.body.classList.toggle('offline', offline);
+  document.querySelectorAll('[data-requires-network]').forEach(button => {
+    button.disabled = offline;
+  });
+  renderDatasetInfo();
+}
+
+/**
+ * Guard for tools that need another site: explain instead of opening a
+ * page that cannot load
+ */
+export function requireConnection(service, resultsId) {
+  if (navigator.onLine !== false) return true;
+  const text = t('offline.needsConnection', { service });
+  const results = resultsId && document.getElementById(resultsId);
+  if (results) {
+    setHtml(results, html`
+      <div class="alert alert-info">
+        <i class="fas fa-plane"></i>
+        ${text}
+      </div>
+    `);
+  } else {
+    notify(text);
+  }
+  return false;
+}
@@ -0,0 +1,297 @@
+/**
+ * Offline map of the KEGG Alzheimer's disease pathway (hsa05010) with the
+ * database genes highlighted.
+ */
+
+import { state } from './state.js';
+import { ORDINAL_FIELD_VALUES, TE_CATEGORIES, TE_CATEGORY_KEYS, getFieldLabel } from './schema.js';
+import { html, setHtml } from './html.js';
+import { getGeneSymbol } from './records.js';
+import { closeTool } from './tools.js';
+import { clearFacets } from './facets.js';
+import { performSearch } from './results.js';
+import { t } from './i18n.js';
+
+// ============================================
+// Pathway Map
+// ============================================
+
+// Nodes, edges and compartments in viewBox units; see alzheimers_pathway.json
+const PATHWAY_FILE = 'alzheimers_pathway.json';
+
+// Severity fields that can be overlaid on the database genes
+export const PATHWAY_OVERLAY_FIELDS = ['oxidative_stress', 'angiogenesis'];
+
+// Box of a gene or process node (process width can be set per node) and
+// the radius of a compound
+const PATHWAY_NODE_SIZES = {
+  gene: { width: 60, height: 22 },
+  process: { width: 120, height: 26 },
+  compound: { radius: 6 }
+};
+// Space around the members of a group box, with room for its label on top
+const PATHWAY_GROUP_PADDING = 6;
+const PATHWAY_GROUP_LABEL_HEIGHT = 10;
+
+let pathwayPromise = null;
+
+// Pathway once loaded, so the map is drawn straight away on later visits
+let pathway = null;
+
+/**
+ * Fetch the bundled pathway once; a failed load is retried next time
+ */
+export function loadPathway() {
+  if (!pathwayPromise) {
+    pathwayPromise = fetch(PATHWAY_FILE)
+      .then(response => {
+        if (!response.ok) throw new Error(`Failed to load ${PATHWAY_FILE}`);
+        return response.json();
+      })
+      .then(data => {
+        pathway = data;
+        return data;
+      })
+      .catch(error => {
+        pathwayPromise = null;
+        throw error;
+      });
+  }
+  return pathwayPromise;
+}
+
+/**
+ * Database rows behind each gene node, by gene symbol, with the most
+ * common TE category among them (ties go to the first in TE_CATEGORIES)
+ */
+export function matchPathwayGenes(nodes, rows) {
+  const matches = new Map();
+  const symbols = new Set(nodes.filter(node => node.type === 'gene').map(node => node.symbol));
+  rows.forEach(row => {
+    const symbol = getGeneSymbol(row);
+    if (!symbols.has(symbol)) return;
+    if (!matches.has(symbol)) matches.set(symbol, { records: [] });
+    matches.get(symbol).records.push(row);
+  });
+  matches.forEach(match => {
+    const counts = TE_CATEGORIES.map(category => match.records.filter(row => row.te_relevance === category).length);
+    match.category = TE_CATEGORIES[counts.indexOf(Math.max(...counts))];
+  });
+  return matches;
+}
+
+/**
+ * Most severe value of an ordinal field among the rows, with its rank
+ * (1 = least severe), or null when none of them has one
+ */
+export function getHighestSeverity(rows, field) {
+  const levels = ORDINAL_FIELD_VALUES[field];
+  const rank = Math.max(...rows.map(row => levels.indexOf(row[field])));
+  return rank >= 0 ? { value: levels[rank], rank: rank + 1 } : null;
+}
+
+function getPathwayGeneTitle(symbol, match) {
+  const category = t(`category.${TE_CATEGORY_KEYS[match.category]}`);
+  return t('pathway.geneTitle', { symbol, count: match.records.length, category });
+}
+
+/**
+ * Show the map in the KEGG tool, loading the pathway first if needed
+ */
+export async function renderPathwayMap() {
+  if (!pathway) {
+    setHtml(document.getElementById('pathwayMap'), html`<p class="sequence-info">${t('pathway.loading')}</p>`);
+    try {
+      await loadPathway();
+    } catch (error) {
+      console.warn('Pathway map unavailable:', error);
+      const container = document.getElementById('pathwayMap');
+      if (container) setHtml(container, html`<div class="alert alert-error">${t('pathway.unavailable')}</div>`);
+      return;
+    }
+  }
+  drawPathwayMap();
+}
+
+/**
+ * Bounding box of a node, or of a group's members plus padding
+ */
+function getPathwayBox(id) {
+  const node = pathway.nodes.find(n => n.id === id);
+  if (node) {
+    if (node.type === 'compound') {
+      const { radius } = PATHWAY_NODE_SIZES.compound;
+      return { x: node.x, y: node.y, halfWidth: radius, halfHeight: radius, round: true };
+    }
+    const size = PATHWAY_NODE_SIZES[node.type];
+    return { x: node.x, y: node.y, halfWidth: (node.width || size.width) / 2, halfHeight: size.height / 2 };
+  }
+  const group = pathway.groups.find(g => g.id === id);
+  const boxes = group.nodes.map(getPathwayBox);
+  const left = Math.min(...boxes.map(box => box.x - box.halfWidth)) - PATHWAY_GROUP_PADDING;
+  const right = Math.max(...boxes.map(box => box.x + box.halfWidth)) + PATHWAY_GROUP_PADDING;
+  const top = Math.min(...boxes.map(box => box.y - box.halfHeight)) - PATHWAY_GROUP_PADDING - PATHWAY_GROUP_LABEL_HEIGHT;
+  const bottom = Math.max(...boxes.map(box => box.y + box.halfHeight)) + PATHWAY_GROUP_PADDING;
+  return { x: (left + right) / 2, y: (top + bottom) / 2, halfWidth: (right - left) / 2, halfHeight: (bottom - top) / 2 };
+}
+
+/**
+ * Point where the line from the centre of box towards (x, y) leaves it,
+ * plus a small gap so arrowheads stay clear of the border
+ */
+function getBoxExit(box, x, y, gap = 2) {
+  const dx = x - box.x;
+  const dy = y - box.y;
+  const length = Math.max(Math.sqrt(dx * dx + dy * dy), 0.01);
+  const scale = box.round
+    ? box.halfWidth / length
+    : Math.min(dx ? box.halfWidth / Math.abs(dx) : Infinity, dy ? box.halfHeight / Math.abs(dy) : Infinity);
+  return { x: box.x + dx * scale + (dx / length) * gap, y: box.y + dy * scale + (dy / length) * gap };
+}
+
+function renderPathwayEdge(edge) {
+  const from = getPathwayBox(edge.from);
+  const to = getPathwayBox(edge.to);
+  const start = getBoxExit(from, to.x, to.y);
+  const end = getBoxExit(to, from.x, from.y, edge.type === 'binding' ? 2 : 4);
+  const marker = { binding: '', inhibition: 'url(#pathwayBar)' }[edge.type] ?? 'url(#pathwayArrow)';
+  return html`<line class="pathway-edge ${edge.type}" x1="${start.x.toFixed(1)}" y1="${start.y.toFixed(1)}"
+    x2="${end.x.toFixed(1)}" y2="${end.y.toFixed(1)}" ${marker ? html`marker-end="${marker}"` : ''} />`;
+}
+
+function renderPathwayNode(node, matches, overlay) {
+  if (node.type === 'compound') {
+    return html`
+      <g class="pathway-compound">
+        <circle cx="${node.x}" cy="${node.y}" r="${PATHWAY_NODE_SIZES.compound.radius}" />
+        <text x="${node.x}" y="${node.y + 17}" text-anchor="middle">${node.label}</text>
+      </g>
+    `;
+  }
+  const { x, y, halfWidth, halfHeight } = getPathwayBox(node.id);
+  const box = html`<rect x="${x - halfWidth}" y="${y - halfHeight}" width="${halfWidth * 2}" height="${halfHeight * 2}" rx="${node.type === 'process' ? 13 : 3}" />`;
+  if (node.type === 'process') {
+    return html`<g class="pathway-process">${box}<text x="${x}" y="${y + 4}" text-anchor="middle">${node.label}</text></g>`;
+  }
+
+  const match = matches.get(node.symbol);
+  if (!match) {
+    return html`
+      <g class="pathway-gene">
+        ${box}<text x="${x}" y="${y + 4}" text-anchor="middle">${node.symbol}</text>
+        <title>${node.symbol}: ${t('pathway.notInDatabase')}</title>
+      </g>
+    `;
+  }
+  const severity = overlay && getHighestSeverity(match.records, overlay);
+  return html`
+    <g class="pathway-gene in-database ${TE_CATEGORY_KEYS[match.category]}" data-pathway-gene="${node.symbol}">
+      ${severity && html`<rect class="pathway-severity severity-${severity.rank}" x="${x - halfWidth - 4}" y="${y - halfHeight - 4}"
+        width="${halfWidth * 2 + 8}" height="${halfHeight * 2 + 8}" rx="6" />`}
+      ${box}<text x="${x}" y="${y + 4}" text-anchor="middle">${node.symbol}</text>
+      <title>${getPathwayGeneTitle(node.symbol, match)}${severity ? ` · ${getFieldLabel(overlay)}: ${severity.value}` : ''}</title>
+    </g>
+  `;
+}
+
+/**
+ * Draw the map, legend and gene buttons for the current data and overlay
+ */
+export function drawPathwayMap() {
+  const container = document.getElementById('pathwayMap');
+  if (!container || !pathway) return;
+  const overlay = document.getElementById('pathwayOverlay').value;
+  const matches = matchPathwayGenes(pathway.nodes, state.databaseData);
+
+  setHtml(container, html`
+    <svg class="pathway-map" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${pathway.width} ${pathway.height}"
+      role="img" aria-label="${t('pathway.label', { count: matches.size })}">
+      <defs>
+        <marker id="pathwayArrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="7" markerHeight="7" orient="auto">
+          <path d="M0,0 L10,5 L0,10 z" />
+        </marker>
+        <marker id="pathwayBar" viewBox="0 0 4 12" refX="2" refY="6" markerWidth="4" markerHeight="10" orient="auto">
+          <rect width="3" height="12" />
+        </marker>
+      </defs>
+      ${pathway.compartments.map(compartment => html`
+        <g class="pathway-compartment ${compartment.id}">
+          <rect x="${compartment.x}" y="${compartment.y}" width="${compartment.width}" height="${compartment.height}" rx="8" />
+          <text x="${compartment.x + 6}" y="${compartment.y + 14}">${compartment.label}</text>
+        </g>
+      `)}
+      ${pathway.groups.map(group => {
+        const { x, y, halfWidth, halfHeight } = getPathwayBox(group.id);
+        return html`
+          <g class="pathway-group">
+            <rect x="${x - halfWidth}" y="${y - halfHeight}" width="${halfWidth * 2}" height="${halfHeight * 2}" rx="4" />
+            <text x="${x - halfWidth + 4}" y="${y - halfHeight + 9}">${group.label}</text>
+          </g>
+        `;
+      })}
+      ${pathway.edges.map(renderPathwayEdge)}
+      ${pathway.nodes.map(node => renderPathwayNode(node, matches, overlay))}
+    </svg>
+  `);
+  renderPathwayLegend(overlay);
+  renderPathwayGenes(matches, overlay);
+}
+
+function renderPathwayLegend(overlay) {
+  const categories = TE_CATEGORIES.map(category => html`
+    <span class="pathway-key"><span class="pathway-swatch ${TE_CATEGORY_KEYS[category]}"></span> ${t(`category.${TE_CATEGORY_KEYS[category]}`)}</span>
+  `);
+  const severities = overlay && html`
+    <div class="pathway-legend-row">
+      <strong>${t('pathway.severityLegend', { field: getFieldLabel(overlay) })}</strong>
+      ${ORDINAL_FIELD_VALUES[overlay].map((value, i) => html`
+        <span class="pathway-key"><span class="pathway-swatch ring severity-${i + 1}"></span> ${value}</span>
+      `)}
+    </div>
+  `;
+  setHtml(document.getElementById('pathwayLegend'), html`
+    <div class="pathway-legend-row">
+      ${categories}
+      <span class="pathway-key"><span class="pathway-swatch"></span> ${t('pathway.notInDatabase')}</span>
+    </div>
+    ${severities}
+  `);
+}
+
+/**
+ * The highlighted genes as buttons: the keyboard and screen reader route
+ * to what clicking a node on the map does
+ */
+function renderPathwayGenes(matches, overlay) {
+  const genes = pathway.nodes.filter(node => node.type === 'gene' && matches.has(node.symbol));
+  setHtml(document.getElementById('pathwayGenes'), html`
+    <p class="pathway-genes-heading"><strong>${t('pathway.databaseGenes', { count: genes.length })}</strong></p>
+    <div class="pathway-genes">
+      ${genes.map(node => {
+        const match = matches.get(node.symbol);
+        const severity = overlay && getHighestSeverity(match.records, overlay);
+        return html`
+          <button type="button" class="pathway-chip ${TE_CATEGORY_KEYS[match.category]}" data-pathway-gene="${node.symbol}"
+            title="${getPathwayGeneTitle(node.symbol, match)}">
+            ${node.symbol}${severity ? html` <span class="pathway-chip-severity">· ${severity.value}</span>` : ''}
+          </button>
+        `;
+      })}
+    </div>
+  `);
+}
+
+/**
+ * Show the entries of a highlighted gene in the results table
+ */
+export function filterByPathwayGene(symbol) {
+  const match = matchPathwayGenes(pathway.nodes, state.databaseData).get(symbol);
+  if (!match) return;
+  const names = [...new Set(match.records.map(row => row.gene_name))].map(name => `name:"${name.replace(/"/g, '')}"`);
+
+  clearFacets();
+  document.getElementById('geneSearch').value = names.length > 1 ? `(${names.join(' OR ')})` : names[0];
+  closeTool();
+  performSearch();
+  document.getElementById('resultsContainer').scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
@@ -0,0 +1,174 @@
+/**
+ * Biomaterial and growth factor recommendations for a gene panel.
+ */
+
+import { state } from './state.js';
+import { ORDINAL_FIELD_VALUES } from './schema.js';
+import { html, setHtml } from './html.js';
+import { showFieldError } from './a11y.js';
+import { splitListValue } from './utils.js';
+import { getGeneSymbol } from './records.js';
+import { normalizeSearchText } from './search.js';
+import { t } from './i18n.js';
+
+// ============================================
+// Recommendation Engine
+// ============================================
+
+// Severity fields offered as "at least this severe" pathology filters
+export const RECOMMENDER_PROFILE_FIELDS = ['oxidative_stress', 'angiogenesis', 'neural_survival'];
+
+// What the recommender tallies; combinations keep a record's factors
+// together. Each is headed by the recommend.category.<key> message.
+const RECOMMENDATION_CATEGORIES = [
+  { key: 'biomaterials', icon: 'fa-cube', field: 'biomaterial_suggestion', split: true },
+  { key: 'cellTypes', icon: 'fa-microscope', field: 'cell_type', split: true },
+  { key: 'growthFactorCombos', icon: 'fa-vial', field: 'growth_factors', split: false }
+];
+
+const RECOMMENDATIONS_SHOWN = 10;
+
+/**
+ * Resolve a comma-separated gene panel to gene names; terms that match no
+ * record are returned separately
+ */
+function resolveGenePanel(text, rows = state.databaseData) {
+  const genes = new Set();
+  const unmatched = [];
+  text.split(/[,;\n]+/).map(term => term.trim()).filter(Boolean).forEach(term => {
+    const normalized = normalizeSearchText(term);
+    const aliasGenes = state.geneAliasIndex.get(normalized);
+    const matches = rows.filter(row => (
+      normalizeSearchText(getGeneSymbol(row)) === normalized ||
+      normalizeSearchText(row.gene_name) === normalized ||
+      normalizeSearchText(row.variant) === normalized ||
+      (aliasGenes && aliasGenes.has(row.gene_name))
+    ));
+    if (matches.length) {
+      matches.forEach(row => genes.add(row.gene_name));
+    } else {
+      unmatched.push(term);
+    }
+  });
+  return { genes, unmatched };
+}
+
+/**
+ * Records selected by the criteria: any listed gene or mechanism keyword,
+ * and every profile level (at least as severe as the one chosen)
+ */
+function matchRecommendationRows(rows, criteria) {
+  const keywords = criteria.mechanisms.map(normalizeSearchText).filter(Boolean);
+  const hasSelection = criteria.genes.size > 0 || keywords.length > 0;
+
+  return rows.filter(row => {
+    if (hasSelection) {
+      const geneMatch = criteria.genes.has(row.gene_name);
+      const mechanism = normalizeSearchText(row.ad_mechanism);
+      const mechanismMatch = keywords.some(keyword => mechanism.includes(keyword));
+      if (!geneMatch && !mechanismMatch) return false;
+    }
+    return Object.entries(criteria.profile).every(([field, minimum]) => {
+      if (!minimum) return true;
+      if (field === 'te_relevance') return row.te_relevance === minimum;
+      const levels = ORDINAL_FIELD_VALUES[field];
+      return levels.indexOf(row[field]) >= levels.indexOf(minimum);
+    });
+  });
+}
+
+/**
+ * Tally biomaterials, cell types and growth-factor combinations across the
+ * matched rows. Each suggestion keeps the rows backing it; ranking is by
+ * supporting entries, then by distinct genes.
+ */
+function aggregateRecommendations(rows) {
+  const result = {};
+  RECOMMENDATION_CATEGORIES.forEach(category => {
+    const tally = new Map();
+    rows.forEach(row => {
+      const values = category.split
+        ? splitListValue(row[category.field])
+        : [splitListValue(row[category.field]).sort((a, b) => a.localeCompare(b)).join(' + ')];
+      new Set(values).forEach(value => {
+        if (!value) return;
+        if (!tally.has(value)) tally.set(value, { value, rows: [], genes: new Set() });
+        const entry = tally.get(value);
+        entry.rows.push(row);
+        entry.genes.add(row.gene_name);
+      });
+    });
+    result[category.key] = [...tally.values()]
+      .map(entry => ({ ...entry, count: entry.rows.length, share: entry.rows.length / rows.length }))
+      .sort((a, b) => b.count - a.count || b.genes.size - a.genes.size || a.value.localeCompare(b.value));
+  });
+  return result;
+}
+
+export function runRecommender() {
+  const { genes, unmatched } = resolveGenePanel(document.getElementById('recommendGenes').value);
+  const mechanisms = document.getElementById('recommendMechanisms').value.split(',').map(v => v.trim()).filter(Boolean);
+  const profile = {};
+  [...RECOMMENDER_PROFILE_FIELDS, 'te_relevance'].forEach(field => {
+    profile[field] = document.getElementById(`recommend_${field}`).value;
+  });
+
+  if (genes.size === 0 && mechanisms.length === 0 && !Object.values(profile).some(Boolean)) {
+    showFieldError(document.getElementById('recommendGenes'), unmatched.length
+      ? t('recommend.noMatch', { terms: unmatched.join(', ') })
+      : t('recommend.enterCriteria'));
+    return;
+  }
+
+  const rows = matchRecommendationRows(state.databaseData, { genes, mechanisms, profile });
+  setHtml(document.getElementById('recommendResults'), renderRecommendations(rows, unmatched));
+}
+
+function renderRecommendations(rows, unmatched) {
+  const warning = unmatched.length > 0 &&
+    html`<div class="alert alert-info"><i class="fas fa-info-circle"></i> ${t('recommend.notInDatabase', { terms: unmatched.join(', ') })}</div>`;
+  if (rows.length === 0) {
+    return html`${warning}<p class="sequence-info">${t('recommend.noRows')}</p>`;
+  }
+
+  const recommendations = aggregateRecommendations(rows);
+  const sections = RECOMMENDATION_CATEGORIES.map(category => {
+    const items = recommendations[category.key].slice(0, RECOMMENDATIONS_SHOWN).map((entry, i) => html`
+      <li class="recommendation">
+        <details>
+          <summary>
+            <span class="recommendation-rank">${i + 1}</span>
+            <span class="recommendation-value">${entry.value}</span>
+            <span class="recommendation-support">${t('recommend.support', { count: entry.count, total: rows.length })} &middot;
+              ${t('recommend.genes', { count: entry.genes.size })}</span>
+            <span class="recommendation-bar"><span data-style="width: ${(entry.share * 100).toFixed(0)}%"></span></span>
+          </summary>
+          <ul class="similar-list">
+            ${entry.rows.map(row => html`
+              <li>
+                <button class="similar-link" data-record="${state.databaseData.indexOf(row)}">${row.gene_name}</button>
+                <span class="feature-tag">${row.variant}</span>
+                <span class="recommendation-mechanism">${row.ad_mechanism}</span>
+              </li>
+            `)}
+          </ul>
+        </details>
+      </li>
+    `);
+    const more = recommendations[category.key].length - RECOMMENDATIONS_SHOWN;
+    return html`
+      <div class="recommendation-section">
+        <h4><i class="fas ${category.icon}"></i> ${t(`recommend.category.${category.key}`)}</h4>
+        <ol class="recommendation-list">${items}</ol>
+        ${more > 0 && html`<p class="sequence-info">${t('recommend.more', { count: more })}</p>`}
+      </div>
+    `;
+  });
+
+  const genes = new Set(rows.map(row => row.gene_name));
+  return html`
+    ${warning}
+    <div class="sequence-info">${t('recommend.basis', { count: rows.length, genes: t('recommend.genes', { count: genes.size }) })}</div>
+    ${sections}
+  `;
+}
@@ -0,0 +1,45 @@
+/**
+ * Record identity: record keys, gene symbols and route keys.
+ */
+
+import { state } from './state.js';
+import { normalizeSearchText } from './search.js';
+
+/**
+ * Identity of a record: gene name and variant, case-insensitive
+ */
+export function getRecordKey(record) {
+  return `${record.gene_name}|${record.variant}`.toLowerCase();
+}
+
+/**
+ * Gene symbol for a record, from the alias table or the variant prefix
+ */
+export function getGeneSymbol(row) {
+  const entry = state.geneAliases.find(a => a.gene_name === row.gene_name);
+  if (entry) return entry.symbol;
+  return (row.variant || '').split(/\s/)[0] || row.gene_name;
+}
+
+/**
+ * Key used in #gene/<key> routes: the symbol, unless several records
+ * share it (e.g. GRN, or a local entry adding a variant), in which case
+ * "gene name|variant"
+ */
+export function getGeneRouteKey(row) {
+  const symbol = getGeneSymbol(row);
+  const shared = state.databaseData.filter(r => getGeneSymbol(r) === symbol).length > 1;
+  return shared ? `${row.gene_name}|${row.variant}` : symbol;
+}
+
+/**
+ * Find the record a route key refers to (route key, record key, symbol,
+ * name or alias); a bare gene name shared by several records finds the first
+ */
+export function findRecordByKey(key) {
+  const exact = state.databaseData.find(row => getRecordKey(row) === key.toLowerCase())
+    || state.databaseData.find(row => getGeneRouteKey(row) === key || row.gene_name === key);
+  if (exact) return exact;
+  const genes = state.geneAliasIndex.get(normalizeSearchText(key));
+  return genes ? state.databaseData.find(row => genes.has(row.gene_name)) : undefined;
+}
@@ -0,0 +1,63 @@
+/**
+ * Shared rendering helpers: badges and error messages.
+ */
+
+import { html, setHtml } from './html.js';
+import { announce } from './a11y.js';
+
+// ============================================
+// Helper Functions
+// ============================================
+
+/**
+ * Get TE relevance badge
+ */
+export function getTEBadge(teRelevance) {
+  if (!teRelevance) return '-';
+  
+  let badgeClass = '';
+  if (teRelevance.includes('Neural tissue engineering')) {
+    badgeClass = 'badge-neural';
+  } else if (teRelevance.includes('Neuroimmune')) {
+    badgeClass = 'badge-neuroimmune';
+  } else if (teRelevance.includes('Neurovascular')) {
+    badgeClass = 'badge-neurovascular';
+  } else if (teRelevance.includes('Metabolic')) {
+    badgeClass = 'badge-metabolic';
+  }
+  
+  return html`<span class="cell-badge ${badgeClass}">${teRelevance}</span>`;
+}
+
+/**
+ * Get severity badge for oxidative stress, angiogenesis and neural survival
+ */
+export function getSeverityBadge(value) {
+  if (!value) return '-';
+
+  const badgeClasses = {
+    'Very high': 'badge-very-high',
+    'High': 'badge-high',
+    'Moderate': 'badge-moderate',
+    'Severely impaired': 'badge-severe',
+    'Severely reduced': 'badge-severe',
+    'Impaired': 'badge-impaired',
+    'Reduced': 'badge-reduced'
+  };
+
+  return html`<span class="cell-badge ${badgeClasses[value] || ''}">${value}</span>`;
+}
+
+/**
+ * Show error message; the hint may be text or html`` markup
+ */
+export function showError(message, hint = '') {
+  setHtml(document.getElementById('dynamicContent'), html`
+    <div class="empty-state">
+      <i class="fas fa-exclamation-circle error-icon"></i>
+      <p>${message}</p>
+      ${hint ? html`<span class="hint">${hint}</span>` : ''}
+    </div>
+  `);
+  announce(message);
+}
@@ -0,0 +1,306 @@
+/**
+ * Search, results table and pagination.
+ */
+
+import { state } from './state.js';
+import { html, setHtml } from './html.js';
+import { announce, focusHeading, initGrid, moveGridFocus, setGridFocus } from './a11y.js';
+import { getFieldLabel, getShortFieldLabel } from './schema.js';
+import { t } from './i18n.js';
+import { getPageSize, getVisibleColumns, renderTableCell, sortRows } from './table-config.js';
+import { updateUrl } from './url-state.js';
+import { clearFacets, hasActiveFacets, renderFacetPanel } from './facets.js';
+import { renderLocalBadge } from './local-entries.js';
+import { QuerySyntaxError, matchesFacets, searchRecords } from './search.js';
+import { renderExportScopes } from './export.js';
+import { renderPinButton } from './comparison.js';
+import { showError } from './render.js';
+
+// ============================================
+// Search & Display Functions
+// ============================================
+
+// Keyboard position in the results grid, kept across re-renders
+let gridPosition = { row: 0, cell: 0 };
+
+/**
+ * Perform search on the database, then narrow by the selected facets
+ */
+export function performSearch() {
+  const searchTerm = document.getElementById('geneSearch').value.trim();
+  state.currentPage = 1;
+  updateUrl();
+
+  // Filter data based on the parsed query, best matches first
+  let searchMatches;
+  try {
+    const { matches, scores } = searchRecords(state.databaseData, searchTerm);
+    searchMatches = matches;
+    state.searchScores = scores;
+  } catch (error) {
+    if (!(error instanceof QuerySyntaxError)) throw error;
+    state.filteredData = [];
+    showError(t('search.invalid', { message: error.message }), t('search.example', { query: 'gene:APOE growth:BDNF -te:Neuroimmune' }));
+    setHtml(document.getElementById('pagination'), '');
+    return;
+  }
+
+  state.filteredData = sortRows(searchMatches.filter(row => matchesFacets(row)));
+  renderFacetPanel(searchMatches);
+
+  if (!searchTerm && !hasActiveFacets()) {
+    state.filteredData = [];
+    showEmptyState();
+    return;
+  }
+
+  state.currentPage = 1;
+  displayResults();
+}
+
+/**
+ * Display search results in a professional table
+ */
+export function displayResults() {
+  const container = document.getElementById('dynamicContent');
+  
+  if (state.filteredData.length === 0) {
+    setHtml(container, html`
+      <div class="empty-state">
+        <i class="fas fa-search"></i>
+        <p>${t('results.noResults')}</p>
+        <span class="hint">${t('results.noResultsHint')}</span>
+      </div>
+    `);
+    setHtml(document.getElementById('pagination'), '');
+    announce(t('results.noResults'));
+    return;
+  }
+
+  // Calculate pagination
+  const pageSize = getPageSize();
+  const totalPages = Math.ceil(state.filteredData.length / pageSize);
+  const startIndex = (state.currentPage - 1) * pageSize;
+  const paginatedData = getCurrentPageRows();
+  const pageSelected = paginatedData.every(row => state.selectedRecords.has(state.databaseData.indexOf(row)));
+  const columns = getVisibleColumns();
+  const sort = state.tableConfig.sort;
+  const orderNote = sort ? t(sort.direction === 'asc' ? 'results.sortedAscending' : 'results.sortedDescending', { field: getFieldLabel(sort.field) })
+    : state.searchScores.size ? t('results.rankedByRelevance') : '';
+  const summary = t('results.summary', {
+    start: startIndex + 1,
+    end: Math.min(startIndex + pageSize, state.filteredData.length),
+    count: state.filteredData.length,
+    order: orderNote
+  });
+
+  const headers = columns.map(column => {
+    const sorted = sort && sort.field === column.field;
+    const sortIcon = sorted ? (sort.direction === 'asc' ? 'fa-sort-up' : 'fa-sort-down') : 'fa-sort';
+    const ariaSort = sorted ? (sort.direction === 'asc' ? 'ascending' : 'descending') : 'none';
+    return html`
+            <th scope="col" class="sortable ${sorted ? 'sorted' : ''}" data-sort="${column.field}" aria-sort="${ariaSort}" title="${t('results.sortBy', { field: getFieldLabel(column.field) })}">
+              <i class="fas ${column.icon}"></i> ${getShortFieldLabel(column.field)}
+              <i class="fas ${sortIcon} sort-indicator"></i>
+            </th>
+    `;
+  });
+
+  const rows = paginatedData.map((row, i) => {
+    const match = state.searchScores.get(row);
+    const recordIndex = state.databaseData.indexOf(row);
+    const selected = state.selectedRecords.has(recordIndex);
+    return html`
+      <tr class="clickable-row ${selected ? 'selected' : ''} ${state.localEntryByRow.has(row) ? 'local-row' : ''}" data-record="${recordIndex}" aria-rowindex="${startIndex + i + 2}" aria-selected="${String(selected)}" title="${t('results.viewRecord')}">
+        <td class="select-cell">
+          <input type="checkbox" class="row-select" data-record="${recordIndex}" title="${t('results.selectForExport')}"
+            aria-label="${t('results.selectRow', { gene: row.gene_name, variant: row.variant || '' })}" ${selected ? 'checked' : ''} />
+          ${renderPinButton(recordIndex)}
+          ${renderLocalBadge(row)}
+        </td>
+        ${columns.map(({ field }) => {
+          const matched = match && match.fields.has(field);
+          return html`<td${matched ? html` class="cell-match" title="${t('results.matched')}"` : ''}>${renderTableCell(field, row[field])}</td>`;
+        })}
+      </tr>
+    `;
+  });
+
+  // Build the table; focus stays on the same grid cell when it is re-rendered
+  const hadFocus = container.contains(document.activeElement);
+  setHtml(container, html`
+    <div class="data-table-container fade-in">
+      <div class="results-summary">
+        <i class="fas fa-info-circle"></i> ${summary}
+        ${state.selectedRecords.size ? html`&middot; ${t('results.selectedCount', { count: state.selectedRecords.size })}
+          <button class="clear-selection facet-reset">${t('results.clearSelection')}</button>` : ''}
+      </div>
+      <table class="data-table" role="grid" aria-label="${t('results.title')}" aria-rowcount="${state.filteredData.length + 1}">
+        <thead>
+          <tr aria-rowindex="1">
+            <th scope="col" class="select-cell"><input type="checkbox" class="page-select" title="${t('results.selectPage')}" aria-label="${t('results.selectPage')}" ${pageSelected ? 'checked' : ''} /></th>
+            ${headers}
+          </tr>
+        </thead>
+        <tbody>
+          ${rows}
+        </tbody>
+      </table>
+    </div>
+  `);
+  const focusItem = initGrid(container.querySelector('.data-table'), gridPosition);
+  if (hadFocus && focusItem) focusItem.focus();
+  renderPagination(totalPages);
+  renderExportScopes();
+  announce(summary);
+}
+
+/**
+ * Arrow-key navigation in the results grid. Enter on a cell opens its
+ * record (or sorts by a header), Space selects the row.
+ */
+export function handleResultsKeydown(e) {
+  const table = e.target.closest('.data-table');
+  if (!table) return;
+  const position = moveGridFocus(table, e);
+  if (position) {
+    gridPosition = position;
+    return;
+  }
+  if (!e.target.matches('td, th')) return;
+  if (e.key === 'Enter' || (e.key === ' ' && e.target.matches('th'))) {
+    e.preventDefault();
+    e.target.click();
+  } else if (e.key === ' ') {
+    e.preventDefault();
+    e.target.parentElement.querySelector('.row-select').click();
+  }
+}
+
+/**
+ * Move focus back to the results: the grid's tab stop when a table is
+ * shown, otherwise the results heading
+ */
+export function focusResults() {
+  const item = document.querySelector('#dynamicContent .data-table [tabindex="0"]');
+  if (item) {
+    item.focus();
+  } else {
+    focusHeading(document.getElementById('resultsHeading'));
+  }
+}
+
+/**
+ * Clicking or tabbing into the grid moves its tab stop there
+ */
+export function handleResultsFocus(e) {
+  const table = e.target.closest('.data-table');
+  if (table && e.target.getAttribute('tabindex') === '-1') gridPosition = setGridFocus(table, e.target);
+}
+
+/**
+ * Render pagination controls
+ */
+function renderPagination(totalPages) {
+  const pagination = document.getElementById('pagination');
+  
+  if (totalPages <= 1) {
+    setHtml(pagination, '');
+    return;
+  }
+
+  // Page numbers
+  const pages = [];
+  for (let i = 1; i <= totalPages; i++) {
+    if (i === 1 || i === totalPages || (i >= state.currentPage - 1 && i <= state.currentPage + 1)) {
+      const current = i === state.currentPage;
+      pages.push(html`
+        <button class="page-btn ${current ? 'active' : ''}" data-action="changePage" data-page="${i}" aria-label="${t('pagination.page', { page: i })}" ${current ? html`aria-current="page"` : ''}>
+          ${i}
+        </button>
+      `);
+    } else if (i === state.currentPage - 2 || i === state.currentPage + 2) {
+      pages.push(html`<span class="page-gap" aria-hidden="true">...</span>`);
+    }
+  }
+
+  setHtml(pagination, html`
+    <button class="page-btn" ${state.currentPage === 1 ? 'disabled' : ''} data-action="changePage" data-page="${state.currentPage - 1}" aria-label="${t('pagination.previous')}">
+      <i class="fas fa-chevron-left"></i>
+    </button>
+    ${pages}
+    <button class="page-btn" ${state.currentPage === totalPages ? 'disabled' : ''} data-action="changePage" data-page="${state.currentPage + 1}" aria-label="${t('pagination.next')}">
+      <i class="fas fa-chevron-right"></i>
+    </button>
+  `);
+}
+
+/**
+ * Change page
+ */
+export function changePage(page) {
+  const pagination = document.getElementById('pagination');
+  const fromPagination = pagination.contains(document.activeElement);
+  state.currentPage = page;
+  updateUrl();
+  displayResults();
+  document.getElementById('dynamicContent').scrollIntoView({ behavior: 'smooth', block: 'start' });
+  // The clicked button was re-rendered; keep keyboard users in the pagination
+  if (fromPagination) pagination.querySelector('[aria-current="page"]').focus();
+}
+
+/**
+ * Show empty state
+ */
+function showEmptyState() {
+  setHtml(document.getElementById('dynamicContent'), html`
+    <div class="empty-state">
+      <i class="fas fa-database"></i>
+      <p>${t('results.emptyTitle')}</p>
+      <span class="hint">${t('results.emptyHint')}</span>
+    </div>
+  `);
+  setHtml(document.getElementById('pagination'), '');
+}
+
+/**
+ * Clear results
+ */
+export function clearResults() {
+  document.getElementById('geneSearch').value = '';
+  state.filteredData = [];
+  state.searchScores = new Map();
+  state.selectedRecords = new Set();
+  state.currentPage = 1;
+  clearFacets();
+  renderFacetPanel(state.databaseData);
+  showEmptyState();
+  updateUrl();
+}
+
+/**
+ * Rows shown on the current results page
+ */
+export function getCurrentPageRows() {
+  const pageSize = getPageSize();
+  const startIndex = (state.currentPage - 1) * pageSize;
+  return state.filteredData.slice(startIndex, startIndex + pageSize);
+}
+
+/**
+ * Tick or untick a results row for export
+ */
+export function setRecordSelected(recordIndex, selected) {
+  const index = Number(recordIndex);
+  if (selected) {
+    state.selectedRecords.add(index);
+  } else {
+    state.selectedRecords.delete(index);
+  }
+  const row = document.querySelector(`tr[data-record="${index}"]`);
+  if (row) {
+    row.classList.toggle('selected', selected);
+    row.setAttribute('aria-selected', selected);
+  }
+  renderExportScopes();
+}
@@ -0,0 +1,111 @@
+/**
+ * Record fields, the dataset schema and facet configuration.
+ */
+
+import { hasMessage, t } from './i18n.js';
+
+// The fields of a database record, in display order: 14 core fields
+// followed by the optional literature evidence behind the record. Labels
+// are the field.<name> messages (field.<name>.short in the results table).
+export const RECORD_FIELDS = [
+  { field: 'gene_name', icon: 'fa-dna' },
+  { field: 'variant', icon: 'fa-code-branch' },
+  { field: 'disease', icon: 'fa-notes-medical' },
+  { field: 'function', icon: 'fa-cog' },
+  { field: 'ad_mechanism', icon: 'fa-exclamation-triangle' },
+  { field: 'oxidative_stress', icon: 'fa-fire' },
+  { field: 'angiogenesis', icon: 'fa-tint' },
+  { field: 'neural_survival', icon: 'fa-brain' },
+  { field: 'te_relevance', icon: 'fa-flask' },
+  { field: 'scaffold_strategy', icon: 'fa-layer-group' },
+  { field: 'cell_type', icon: 'fa-microscope' },
+  { field: 'growth_factors', icon: 'fa-vial' },
+  { field: 'biomaterial_suggestion', icon: 'fa-cube' },
+  { field: 'regeneration_outcome', icon: 'fa-heartbeat' },
+  { field: 'evidence_level', icon: 'fa-balance-scale', optional: true },
+  { field: 'pmids', icon: 'fa-book-medical', optional: true },
+  { field: 'dois', icon: 'fa-link', optional: true },
+  { field: 'year', icon: 'fa-calendar-alt', optional: true }
+];
+
+// Severity fields sort by rank rather than alphabetically
+export const ORDINAL_FIELD_VALUES = {
+  oxidative_stress: ['Moderate', 'High', 'Very high'],
+  angiogenesis: ['Reduced', 'Impaired', 'Severely impaired'],
+  neural_survival: ['Reduced', 'Severely reduced']
+};
+
+export const TE_CATEGORIES = [
+  'Neural tissue engineering',
+  'Neuroimmune engineering',
+  'Neurovascular engineering',
+  'Metabolic tissue engineering'
+];
+
+// Short name of each TE category, used for its category.<key> label and
+// its colour class (progress bars, pathway map)
+export const TE_CATEGORY_KEYS = {
+  'Neural tissue engineering': 'neural',
+  'Neuroimmune engineering': 'neuroimmune',
+  'Neurovascular engineering': 'neurovascular',
+  'Metabolic tissue engineering': 'metabolic'
+};
+
+// Strongest kind of study behind a record, weakest first
+const EVIDENCE_LEVELS = ['In vitro', 'Animal', 'Clinical'];
+
+// Schema every dataset record is validated against on load
+export const DATASET_SCHEMA = {
+  required: RECORD_FIELDS.filter(f => !f.optional).map(f => f.field),
+  enums: {
+    ...ORDINAL_FIELD_VALUES,
+    te_relevance: TE_CATEGORIES,
+    evidence_level: EVIDENCE_LEVELS
+  },
+  // Identifier fields: how lists are split, common pasted prefixes that are
+  // stripped, and what a valid value looks like
+  formats: {
+    pmids: {
+      separator: /[\s,;]+/,
+      clean: value => value.replace(/^PMID:?/i, ''),
+      isValid: value => /^\d{1,8}$/.test(value),
+      example: '31474234'
+    },
+    dois: {
+      separator: /[\s;]+/,
+      clean: value => value.replace(/^(https?:\/\/(dx\.)?doi\.org\/|doi:)/i, ''),
+      isValid: value => /^10\.\d{4,9}\/\S+$/.test(value),
+      example: '10.1016/j.neuron.2019.01.010'
+    },
+    year: {
+      isValid: value => /^\d{4}$/.test(value) && value >= 1900 && value <= new Date().getFullYear(),
+      example: '2019'
+    }
+  }
+};
+
+// Facet configuration: multi-valued fields are stored as "A; B" strings
+export const FACET_FIELDS = [
+  { field: 'te_relevance', icon: 'fa-flask' },
+  { field: 'oxidative_stress', icon: 'fa-fire' },
+  { field: 'angiogenesis', icon: 'fa-tint' },
+  { field: 'neural_survival', icon: 'fa-brain' },
+  { field: 'cell_type', icon: 'fa-microscope', multiValued: true },
+  { field: 'growth_factors', icon: 'fa-vial', multiValued: true },
+  { field: 'biomaterial_suggestion', icon: 'fa-cube', multiValued: true },
+  { field: 'evidence_level', icon: 'fa-balance-scale', missingValue: 'Not recorded' }
+];
+
+// Fields entered as semicolon-separated lists
+export const LIST_FIELDS = ['cell_type', 'growth_factors', 'biomaterial_suggestion'];
+
+export function getFieldLabel(field) {
+  return RECORD_FIELDS.some(f => f.field === field) ? t(`field.${field}`) : field;
+}
+
+/**
+ * Column heading: the short label where a field has one
+ */
+export function getShortFieldLabel(field) {
+  return hasMessage(`field.${field}.short`) ? t(`field.${field}.short`) : getFieldLabel(field);
+}
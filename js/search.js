@@ -0,0 +1,502 @@
+/**
+ * Query language, relevance ranking, facet matching and sorting.
+ * DOM-free: reads only the shared state.
+ */
+
+import { state } from './state.js';
+import { FACET_FIELDS, ORDINAL_FIELD_VALUES, RECORD_FIELDS } from './schema.js';
+import { t } from './i18n.js';
+
+// ============================================
+// Query Language
+// ============================================
+
+//
+// The search box accepts space-separated terms that must all match:
+//   APOE                      whole-word match in any field
+//   gene:APOE                 match within a field (see SEARCH_FIELD_ALIASES)
+//   biomaterial:"PLGA nanofibers"   quoted phrase
+//   -te:Neuroimmune           negation
+//   growth:NGF OR growth:GDNF (gene:APP OR gene:PSEN*)   alternatives and groups
+//   growth:*GF, variant:rs?   wildcards: * any run of characters, ? one character
+
+export const SEARCHABLE_FIELDS = RECORD_FIELDS.map(f => f.field);
+
+const SEARCH_FIELD_ALIASES = {
+  gene: ['gene_name', 'variant'],
+  name: ['gene_name'],
+  mechanism: ['ad_mechanism'],
+  oxidative: ['oxidative_stress'],
+  stress: ['oxidative_stress'],
+  survival: ['neural_survival'],
+  te: ['te_relevance'],
+  relevance: ['te_relevance'],
+  scaffold: ['scaffold_strategy'],
+  cell: ['cell_type'],
+  growth: ['growth_factors'],
+  factor: ['growth_factors'],
+  biomaterial: ['biomaterial_suggestion'],
+  material: ['biomaterial_suggestion'],
+  outcome: ['regeneration_outcome'],
+  evidence: ['evidence_level'],
+  pmid: ['pmids'],
+  doi: ['dois'],
+  year: ['year']
+};
+
+/**
+ * Raised for malformed queries; the message is shown to the user
+ */
+export class QuerySyntaxError extends Error {
+  constructor(message, position) {
+    super(position === undefined ? message : t('query.atCharacter', { message, position: position + 1 }));
+    this.name = 'QuerySyntaxError';
+    this.position = position;
+  }
+}
+
+/**
+ * Resolve a field prefix such as "growth" to the dataset fields it searches
+ */
+function resolveSearchField(name, position) {
+  const key = name.toLowerCase();
+  if (SEARCH_FIELD_ALIASES[key]) return SEARCH_FIELD_ALIASES[key];
+  if (SEARCHABLE_FIELDS.includes(key)) return [key];
+  throw new QuerySyntaxError(t('query.unknownField', { name }), position);
+}
+
+/**
+ * Split a query string into parenthesis, NOT, OR and term tokens
+ */
+export function tokenizeQuery(input) {
+  const tokens = [];
+  let i = 0;
+
+  const readPhrase = () => {
+    const start = i;
+    const end = input.indexOf('"', i + 1);
+    if (end === -1) throw new QuerySyntaxError(t('query.unterminatedPhrase'), start);
+    i = end + 1;
+    const phrase = input.slice(start + 1, end).trim();
+    if (!phrase) throw new QuerySyntaxError(t('query.emptyPhrase'), start);
+    return phrase;
+  };
+
+  while (i < input.length) {
+    const ch = input[i];
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (ch === '(' || ch === ')') {
+      tokens.push({ type: ch === '(' ? 'lparen' : 'rparen', position: i });
+      i++;
+    } else if (ch === '-' && i + 1 < input.length && !/[\s)]/.test(input[i + 1])) {
+      tokens.push({ type: 'not', position: i });
+      i++;
+    } else if (ch === '"') {
+      const position = i;
+      tokens.push({ type: 'term', fields: null, value: readPhrase(), position });
+    } else {
+      const position = i;
+      while (i < input.length && !/[\s()"]/.test(input[i])) i++;
+      const word = input.slice(position, i);
+      const colon = word.indexOf(':');
+
+      if (word === 'OR') {
+        tokens.push({ type: 'or', position });
+      } else if (colon > 0) {
+        const fields = resolveSearchField(word.slice(0, colon), position);
+        let value = word.slice(colon + 1);
+        if (!value && input[i] === '"') value = readPhrase();
+        if (!value) throw new QuerySyntaxError(t('query.missingValue', { word }), position);
+        tokens.push({ type: 'term', fields, value, position });
+      } else if (colon === 0) {
+        throw new QuerySyntaxError(t('query.missingField', { word }), position);
+      } else {
+        tokens.push({ type: 'term', fields: null, value: word, position });
+      }
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse a query into an expression tree; returns null for an empty query
+ */
+export function parseQuery(input) {
+  // A whole query that names a gene ("ApoE e4") is looked up as one alias
+  // rather than split into separate terms
+  const aliasGenes = state.geneAliasIndex.get(normalizeSearchText(input));
+  if (aliasGenes && !/[:"()*?]|(^|\s)-|\sOR\s/.test(input)) {
+    return createTermNode(null, input.trim());
+  }
+
+  const tokens = tokenizeQuery(input);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const startsOperand = (token) => token && (token.type === 'term' || token.type === 'lparen' || token.type === 'not');
+
+  function parseAnd() {
+    const children = [];
+    while (peek() && peek().type !== 'rparen') {
+      if (peek().type === 'or') {
+        throw new QuerySyntaxError(t('query.orBetween'), peek().position);
+      }
+      children.push(parseOr());
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  }
+
+  function parseOr() {
+    const children = [parseUnary()];
+    while (peek() && peek().type === 'or') {
+      const orToken = tokens[index++];
+      if (!startsOperand(peek())) {
+        throw new QuerySyntaxError(t('query.orFollowed'), orToken.position);
+      }
+      children.push(parseUnary());
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  }
+
+  function parseUnary() {
+    const token = tokens[index++];
+    if (token.type === 'not') {
+      if (!startsOperand(peek())) {
+        throw new QuerySyntaxError(t('query.notFollowed'), token.position);
+      }
+      return { type: 'not', child: parseUnary() };
+    }
+    if (token.type === 'lparen') {
+      if (peek() && peek().type === 'rparen') {
+        throw new QuerySyntaxError(t('query.emptyParentheses'), token.position);
+      }
+      const group = parseAnd();
+      if (!peek()) throw new QuerySyntaxError(t('query.missingParenthesis'), token.position);
+      index++;
+      return group;
+    }
+    return createTermNode(token.fields, token.value);
+  }
+
+  if (tokens.length === 0) return null;
+  const tree = parseAnd();
+  if (peek()) throw new QuerySyntaxError(t('query.unexpectedParenthesis'), peek().position);
+  return tree;
+}
+
+/**
+ * Build a query term node with its exact, normalized and alias forms
+ */
+function createTermNode(fields, value) {
+  const normalized = normalizeSearchText(value);
+  return {
+    type: 'term',
+    fields,
+    value,
+    pattern: buildTermPattern(value),
+    wildcard: /[*?]/.test(value),
+    normalized,
+    aliasGenes: state.geneAliasIndex.get(normalized) || null,
+    allowFuzzy: false
+  };
+}
+
+/**
+ * Compile a term into a case-insensitive whole-word pattern, so that
+ * "NGF" does not match "BDNF". Supports * and ? wildcards.
+ */
+function buildTermPattern(value) {
+  const body = value
+    .split('')
+    .map(ch => {
+      if (ch === '*') return '[^\\s;,]*';
+      if (ch === '?') return '[^\\s;,]';
+      return ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`(?<![\\p{L}\\p{N}])${body}(?![\\p{L}\\p{N}])`, 'iu');
+}
+
+// ============================================
+// Relevance Ranking, Fuzzy & Synonym Matching
+// ============================================
+
+// Matches in identifying fields rank above matches in descriptive prose
+const SEARCH_FIELD_WEIGHTS = {
+  gene_name: 10,
+  variant: 9,
+  te_relevance: 4,
+  ad_mechanism: 4,
+  function: 3,
+  growth_factors: 3,
+  biomaterial_suggestion: 3,
+  cell_type: 3,
+  scaffold_strategy: 2,
+  regeneration_outcome: 2
+};
+
+// Match quality multipliers, from exact text down to a two-edit typo
+const MATCH_QUALITY = {
+  exact: 1,
+  alias: 1,
+  normalized: 0.9,
+  fuzzy: [0, 0.6, 0.45]
+};
+
+const GREEK_LETTERS = {
+  'α': 'a', 'β': 'b', 'γ': 'g', 'δ': 'd', 'ε': 'e', 'κ': 'k', 'μ': 'm', 'τ': 't'
+};
+
+/**
+ * Normalize text for comparison: lowercase, strip accents and punctuation,
+ * and fold Greek letters and their names ("TNF-α", "TNF alpha" -> "tnfa")
+ */
+export function normalizeSearchText(text) {
+  return String(text || '')
+    .replace(/[αβγδεκμτ]/gi, ch => GREEK_LETTERS[ch.toLowerCase()] || ch)
+    .replace(/(?<![a-z])(alpha|beta|gamma|delta|epsilon|kappa)(?![a-z])/gi, name => name[0])
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Map every normalized symbol, alias and full name to its gene_name(s)
+ */
+export function buildGeneAliasIndex(aliases) {
+  const index = new Map();
+  const add = (key, geneName) => {
+    const normalized = normalizeSearchText(key);
+    if (!normalized) return;
+    if (!index.has(normalized)) index.set(normalized, new Set());
+    index.get(normalized).add(geneName);
+  };
+  aliases.forEach(entry => {
+    add(entry.gene_name, entry.gene_name);
+    add(entry.symbol, entry.gene_name);
+    (entry.aliases || []).forEach(alias => add(alias, entry.gene_name));
+  });
+  return index;
+}
+
+/**
+ * Levenshtein distance, giving up once it exceeds maxDistance
+ */
+function editDistance(a, b, maxDistance) {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > maxDistance) return maxDistance + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Normalized word runs of a field value, e.g. "Presenilin 1" yields
+ * "presenilin", "1" and "presenilin1", so "presenilin-1" matches
+ */
+function getSearchCandidates(value) {
+  const candidates = new Set();
+  value.split(';').forEach(segment => {
+    const words = segment.split(/[\s\-/,()]+/).map(normalizeSearchText).filter(Boolean);
+    for (let i = 0; i < words.length; i++) {
+      let joined = '';
+      for (let j = i; j < Math.min(words.length, i + 4); j++) {
+        joined += words[j];
+        candidates.add(joined);
+      }
+    }
+  });
+  return candidates;
+}
+
+/**
+ * Rate how well a normalized term matches a field value (0 = no match)
+ */
+function scoreNormalizedMatch(term, value, allowFuzzy) {
+  if (!term) return 0;
+  const candidates = getSearchCandidates(value);
+  if (candidates.has(term)) return MATCH_QUALITY.normalized;
+  if (!allowFuzzy || term.length < 4) return 0;
+
+  const maxDistance = term.length >= 8 ? 2 : 1;
+  let best = 0;
+  candidates.forEach(candidate => {
+    const distance = editDistance(term, candidate, maxDistance);
+    if (distance <= maxDistance) best = Math.max(best, MATCH_QUALITY.fuzzy[distance]);
+  });
+  return best;
+}
+
+/**
+ * Only fall back to typo tolerance for terms that match nothing exactly,
+ * so a valid "BDNF" never pulls in "GDNF" rows
+ */
+export function prepareQueryTerms(node, rows) {
+  if (node.type !== 'term') {
+    (node.children || [node.child]).forEach(child => prepareQueryTerms(child, rows));
+    return;
+  }
+  node.allowFuzzy = false;
+  if (node.wildcard) return;
+  node.allowFuzzy = !rows.some(row => scoreTerm(node, row, false));
+}
+
+/**
+ * Score one term against a row. Strict matching (used under negation)
+ * skips normalized and fuzzy comparison.
+ */
+function scoreTerm(node, row, strict) {
+  let score = 0;
+  const fields = new Set();
+  const consider = (field, quality) => {
+    if (quality <= 0) return;
+    fields.add(field);
+    score = Math.max(score, (SEARCH_FIELD_WEIGHTS[field] || 1) * quality);
+  };
+
+  (node.fields || SEARCHABLE_FIELDS).forEach(field => {
+    const value = row[field];
+    if (typeof value !== 'string') return;
+    if (node.pattern.test(value)) {
+      consider(field, MATCH_QUALITY.exact);
+    } else if (!strict && !node.wildcard) {
+      consider(field, scoreNormalizedMatch(node.normalized, value, node.allowFuzzy));
+    }
+  });
+
+  const searchesName = !node.fields || node.fields.includes('gene_name');
+  if (searchesName && node.aliasGenes && node.aliasGenes.has(row.gene_name)) {
+    consider('gene_name', MATCH_QUALITY.alias);
+  }
+
+  return score > 0 ? { score, fields } : null;
+}
+
+/**
+ * Score a row against a parsed query; returns null when it does not match,
+ * otherwise the relevance score and the fields that matched
+ */
+export function scoreQuery(node, row, strict = false) {
+  switch (node.type) {
+    case 'and': {
+      let score = 0;
+      const fields = new Set();
+      for (const child of node.children) {
+        const result = scoreQuery(child, row, strict);
+        if (!result) return null;
+        score += result.score;
+        result.fields.forEach(f => fields.add(f));
+      }
+      return { score, fields };
+    }
+    case 'or': {
+      let best = null;
+      const fields = new Set();
+      node.children.forEach(child => {
+        const result = scoreQuery(child, row, strict);
+        if (!result) return;
+        result.fields.forEach(f => fields.add(f));
+        if (!best || result.score > best.score) best = result;
+      });
+      return best ? { score: best.score, fields } : null;
+    }
+    case 'not':
+      return scoreQuery(node.child, row, true) ? null : { score: 0, fields: new Set() };
+    default:
+      return scoreTerm(node, row, strict);
+  }
+}
+
+/**
+ * Records matching a search string, best matches first, with the score of
+ * each match; all rows when the query is empty. Throws QuerySyntaxError.
+ */
+export function searchRecords(rows, input) {
+  const query = parseQuery(input);
+  const scores = new Map();
+  if (!query) return { matches: rows, scores };
+
+  prepareQueryTerms(query, rows);
+  rows.forEach(row => {
+    const result = scoreQuery(query, row);
+    if (result) scores.set(row, result);
+  });
+  const matches = rows
+    .filter(row => scores.has(row))
+    .sort((a, b) => scores.get(b).score - scores.get(a).score);
+  return { matches, scores };
+}
+
+// ============================================
+// Faceted Filtering
+// ============================================
+
+/**
+ * Split a field into its facet values ("VEGF; BDNF" -> ["VEGF", "BDNF"])
+ */
+export function getFacetValues(row, facet) {
+  const value = row[facet.field];
+  if (!value) return facet.missingValue ? [facet.missingValue] : [];
+  if (!facet.multiValued) return [value.trim()];
+  return value.split(';').map(v => v.trim()).filter(Boolean);
+}
+
+/**
+ * Test a row against every selected facet. Facets always combine with AND;
+ * values within a multi-valued facet combine with OR or AND per facetModes.
+ */
+export function matchesFacets(row, skipField = null) {
+  return FACET_FIELDS.every(facet => {
+    const selected = state.activeFacets[facet.field];
+    if (facet.field === skipField || !selected || selected.size === 0) return true;
+
+    const values = getFacetValues(row, facet);
+    const selectedValues = [...selected];
+    if (facet.multiValued && state.facetModes[facet.field] === 'AND') {
+      return selectedValues.every(v => values.includes(v));
+    }
+    return selectedValues.some(v => values.includes(v));
+  });
+}
+
+/**
+ * Count facet values among rows, honouring every other selected facet
+ */
+export function countFacetValues(rows, facet) {
+  const counts = new Map();
+  rows.forEach(row => {
+    getFacetValues(row, facet).forEach(v => counts.set(v, 0));
+  });
+  rows.filter(row => matchesFacets(row, facet.field)).forEach(row => {
+    getFacetValues(row, facet).forEach(v => counts.set(v, counts.get(v) + 1));
+  });
+  return counts;
+}
+
+// ============================================
+// Sorting
+// ============================================
+
+/**
+ * Compare two values of a field; severity fields use their ordinal rank
+ */
+export function compareFieldValues(field, a, b) {
+  const ranks = ORDINAL_FIELD_VALUES[field];
+  if (ranks) {
+    const rank = v => (ranks.includes(v) ? ranks.indexOf(v) : -1);
+    return rank(a) - rank(b);
+  }
+  return (a || '').localeCompare(b || '', undefined, { sensitivity: 'base', numeric: true });
+}
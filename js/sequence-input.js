@@ -0,0 +1,139 @@
+/**
+ * Sequence input controls, validation messages and FASTA output.
+ */
+
+import { state } from './state.js';
+import { html, joinHtml, setHtml, toFragment } from './html.js';
+import { showFieldError } from './a11y.js';
+import { TOOL_INPUT_IDS } from './tools.js';
+import { updateUrl } from './url-state.js';
+import { downloadFile } from './export.js';
+import { t } from './i18n.js';
+import {
+  detectAlphabet, findInvalidCharacters, parseSequenceInput, toFasta
+} from './sequence/sequence-parser.js';
+
+// ============================================
+// Sequence Input
+// ============================================
+
+// FASTA output of the last run of each sequence tool, by results container id
+export const sequenceOutputs = {};
+
+const SEQUENCE_FILE_TYPES = '.fa,.fasta,.fas,.fna,.ffn,.faa,.gb,.gbk,.genbank,.txt,.seq';
+const INVALID_POSITIONS_SHOWN = 10;
+
+/**
+ * Parse and validate a tool's sequence input. `alphabet` is 'dna',
+ * 'nucleotide' (DNA or RNA), 'protein' or 'any' (detected per record). Problems are shown in the
+ * tool's results container and null is returned.
+ */
+export function readSequenceRecords(inputId, resultsId, { alphabet }) {
+  const { records } = parseSequenceInput(document.getElementById(inputId).value);
+  delete sequenceOutputs[resultsId];
+
+  if (records.length === 0) {
+    showFieldError(document.getElementById(inputId), t('sequence.enter'));
+    return null;
+  }
+
+  const problems = [];
+  records.forEach(record => {
+    const detected = detectAlphabet(record.sequence);
+    if (alphabet === 'any') {
+      record.alphabet = detected;
+    } else if (alphabet === 'nucleotide') {
+      record.alphabet = detected === 'rna' ? 'rna' : 'dna';
+    } else {
+      record.alphabet = alphabet;
+    }
+
+    if (!record.sequence) {
+      problems.push({ record, message: t('sequence.empty') });
+    } else if ((alphabet === 'dna' || alphabet === 'nucleotide') && detected === 'protein') {
+      problems.push({ record, message: t('sequence.needsDna') });
+    } else {
+      const invalid = findInvalidCharacters(record.sequence, record.alphabet);
+      if (invalid.length) problems.push({ record, invalid });
+    }
+  });
+
+  if (problems.length) {
+    setHtml(document.getElementById(resultsId), renderSequenceProblems(problems, records.length));
+    return null;
+  }
+  return records;
+}
+
+function renderSequenceProblems(problems, recordCount) {
+  const items = problems.map(({ record, message, invalid }) => {
+    const name = recordCount > 1 && html`<strong>${record.id}</strong>: `;
+    if (message) return html`<li>${name}${message}</li>`;
+
+    const shown = joinHtml(invalid.slice(0, INVALID_POSITIONS_SHOWN)
+      .map(({ char, position }) => html`<code>${char}</code> ${t('sequence.at', { position })}`), ', ');
+    const more = invalid.length > INVALID_POSITIONS_SHOWN ? ` ${t('sequence.more', { count: invalid.length - INVALID_POSITIONS_SHOWN })}` : '';
+    const alphabet = t(`sequence.alphabet.${record.alphabet}`);
+    return html`<li>${name}${t('sequence.invalid', { count: invalid.length, alphabet })}: ${shown}${more}</li>`;
+  });
+
+  return html`
+    <div class="alert alert-error">
+      <i class="fas fa-exclamation-circle"></i>
+      ${t('sequence.unusable')}
+      <ul class="sequence-problems">${items}</ul>
+    </div>
+  `;
+}
+
+/**
+ * Remember a tool run's output and append a FASTA download button
+ */
+export function setSequenceOutput(resultsId, records, filename) {
+  if (records.length === 0) return;
+  sequenceOutputs[resultsId] = { records, filename };
+  appendFastaDownload(resultsId);
+}
+
+export function appendFastaDownload(resultsId) {
+  const { records } = sequenceOutputs[resultsId];
+  document.getElementById(resultsId).append(toFragment(html`
+    <div class="tool-actions">
+      <button type="button" class="action-btn secondary" data-download-fasta="${resultsId}">
+        <i class="fas fa-download"></i> ${t('sequence.downloadFasta', { count: records.length })}
+      </button>
+    </div>
+  `));
+}
+
+export function downloadSequenceOutput(resultsId) {
+  const output = sequenceOutputs[resultsId];
+  if (output) downloadFile(toFasta(output.records), output.filename, 'text/x-fasta;charset=utf-8');
+}
+
+/**
+ * File picker and drop hint shown under each sequence textarea
+ */
+export function renderSequenceInputControls(inputId) {
+  return html`
+    <div class="sequence-input-actions">
+      <label class="file-upload-btn">
+        <i class="fas fa-file-upload"></i> ${t('sequence.loadFile')}
+        <input type="file" data-sequence-file="${inputId}" accept="${SEQUENCE_FILE_TYPES}" />
+      </label>
+      <span>${t('sequence.dropHint')}</span>
+    </div>
+  `;
+}
+
+export function loadSequenceFile(file, inputId) {
+  file.text().then(text => {
+    const input = document.getElementById(inputId);
+    if (!input) return;
+    input.value = text;
+    if (state.activeTool && inputId === TOOL_INPUT_IDS[state.activeTool]) updateUrl(true);
+  }).catch(() => {
+    const input = document.getElementById(inputId);
+    if (input) showFieldError(input, t('sequence.readFailed', { file: file.name }));
+  });
+}
@@ -0,0 +1,375 @@
+/**
+ * Offline similarity search against the reference sequences.
+ */
+
+import { getReverseComplement } from './sequence-utils.js';
+import { parseFasta } from './sequence-parser.js';
+
+// ============================================
+// Sequence Similarity Search
+// ============================================
+
+const REFERENCE_SEQUENCE_FILES = {
+  nucleotide: 'reference_sequences.fasta',
+  protein: 'reference_proteins.fasta'
+};
+
+export const SIMILARITY_SEARCH_DEFAULTS = {
+  mode: 'local',
+  maxHits: 10,
+  evalue: 10,
+  maxQueryLength: 5000,
+  // References aligned after the k-mer prefilter
+  maxCandidates: 20
+};
+
+export const NCBI_BLAST_MAX_QUERY_LENGTH = 6000;
+
+// Scoring and Karlin-Altschul parameters as used by BLAST for these settings
+const ALIGNMENT_SCORING = {
+  nucleotide: { match: 2, mismatch: -3, gapOpen: 5, gapExtend: 2, kmer: 11, lambda: 0.625, K: 0.41 },
+  protein: { matrix: 'BLOSUM62', gapOpen: 11, gapExtend: 1, kmer: 3, lambda: 0.267, K: 0.041 }
+};
+
+// Diagonals searched either side of those the k-mer seeds fall on
+const ALIGNMENT_BAND_PADDING = 64;
+
+const BLOSUM62_ORDER = 'ARNDCQEGHILKMFPSTWYVBZX*';
+const BLOSUM62_ROWS = [
+  '4 -1 -2 -2 0 -1 -1 0 -2 -1 -1 -1 -1 -2 -1 1 0 -3 -2 0 -2 -1 0 -4',
+  '-1 5 0 -2 -3 1 0 -2 0 -3 -2 2 -1 -3 -2 -1 -1 -3 -2 -3 -1 0 -1 -4',
+  '-2 0 6 1 -3 0 0 0 1 -3 -3 0 -2 -3 -2 1 0 -4 -2 -3 3 0 -1 -4',
+  '-2 -2 1 6 -3 0 2 -1 -1 -3 -4 -1 -3 -3 -1 0 -1 -4 -3 -3 4 1 -1 -4',
+  '0 -3 -3 -3 9 -3 -4 -3 -3 -1 -1 -3 -1 -2 -3 -1 -1 -2 -2 -1 -3 -3 -2 -4',
+  '-1 1 0 0 -3 5 2 -2 0 -3 -2 1 0 -3 -1 0 -1 -2 -1 -2 0 3 -1 -4',
+  '-1 0 0 2 -4 2 5 -2 0 -3 -3 1 -2 -3 -1 0 -1 -3 -2 -2 1 4 -1 -4',
+  '0 -2 0 -1 -3 -2 -2 6 -2 -4 -4 -2 -3 -3 -2 0 -2 -2 -3 -3 -1 -2 -1 -4',
+  '-2 0 1 -1 -3 0 0 -2 8 -3 -3 -1 -2 -1 -2 -1 -2 -2 2 -3 0 0 -1 -4',
+  '-1 -3 -3 -3 -1 -3 -3 -4 -3 4 2 -3 1 0 -3 -2 -1 -3 -1 3 -3 -3 -1 -4',
+  '-1 -2 -3 -4 -1 -2 -3 -4 -3 2 4 -2 2 0 -3 -2 -1 -2 -1 1 -4 -3 -1 -4',
+  '-1 2 0 -1 -3 1 1 -2 -1 -3 -2 5 -1 -3 -1 0 -1 -3 -2 -2 0 1 -1 -4',
+  '-1 -1 -2 -3 -1 0 -2 -3 -2 1 2 -1 5 0 -2 -1 -1 -1 -1 1 -3 -1 -1 -4',
+  '-2 -3 -3 -3 -2 -3 -3 -3 -1 0 0 -3 0 6 -4 -2 -2 1 3 -1 -3 -3 -1 -4',
+  '-1 -2 -2 -1 -3 -1 -1 -2 -2 -3 -3 -1 -2 -4 7 -1 -1 -4 -3 -2 -2 -1 -2 -4',
+  '1 -1 1 0 -1 0 0 0 -1 -2 -2 0 -1 -2 -1 4 1 -3 -2 -2 0 0 0 -4',
+  '0 -1 0 -1 -1 -1 -1 -2 -2 -1 -1 -1 -1 -2 -1 1 5 -2 -2 0 -1 -1 0 -4',
+  '-3 -3 -4 -4 -2 -2 -3 -2 -2 -3 -2 -3 -1 1 -4 -3 -2 11 2 -3 -4 -3 -2 -4',
+  '-2 -2 -2 -3 -2 -1 -2 -3 2 -1 -1 -2 -1 3 -3 -2 -2 2 7 -1 -3 -2 -1 -4',
+  '0 -3 -3 -3 -1 -2 -2 -3 -3 3 1 -2 1 -1 -2 -2 0 -3 -1 4 -3 -2 -1 -4',
+  '-2 -1 3 4 -3 0 1 -1 0 -3 -4 0 -3 -3 -2 0 -1 -4 -3 -3 4 1 -1 -4',
+  '-1 0 0 1 -3 3 4 -2 0 -3 -3 1 -1 -3 -1 0 -1 -3 -2 -2 1 4 -1 -4',
+  '0 -1 -1 -1 -2 -1 -1 -1 -1 -1 -1 -1 -1 -1 -2 0 0 -2 -1 -1 -1 -1 -1 -4',
+  '-4 -4 -4 -4 -4 -4 -4 -4 -4 -4 -4 -4 -4 -4 -4 -4 -4 -4 -4 -4 -4 -4 -4 1'
+];
+const BLOSUM62 = Object.fromEntries(BLOSUM62_ROWS.flatMap((row, i) =>
+  row.split(' ').map((score, j) => [BLOSUM62_ORDER[i] + BLOSUM62_ORDER[j], Number(score)])
+));
+
+let referenceSequencesPromise = null;
+
+/**
+ * Fetch and parse both reference FASTA files once; a missing file leaves
+ * that sequence type empty, but both missing is an error
+ */
+export function loadReferenceSequences() {
+  if (!referenceSequencesPromise) {
+    const load = (file) => fetch(file)
+      .then(response => (response.ok ? response.text() : ''))
+      .catch(() => '')
+      .then(text => parseFasta(text.trim()).map(record => {
+        // Headers are "ACCESSION SYMBOL description"
+        const [symbol, ...description] = record.description.split(' ');
+        return { ...record, symbol, description: description.join(' ') };
+      }));
+
+    referenceSequencesPromise = Promise.all([
+      load(REFERENCE_SEQUENCE_FILES.nucleotide),
+      load(REFERENCE_SEQUENCE_FILES.protein)
+    ]).then(([nucleotide, protein]) => {
+      if (nucleotide.length === 0 && protein.length === 0) {
+        referenceSequencesPromise = null;
+        throw new Error('No reference sequences found');
+      }
+      return { nucleotide, protein };
+    });
+  }
+  return referenceSequencesPromise;
+}
+
+function scoreResidues(a, b, type) {
+  if (type === 'protein') {
+    return BLOSUM62[a + b] ?? BLOSUM62[`${a}X`] ?? -1;
+  }
+  const scoring = ALIGNMENT_SCORING.nucleotide;
+  return a === b && a !== 'N' ? scoring.match : scoring.mismatch;
+}
+
+/**
+ * Affine-gap (Gotoh) alignment of query a against subject b, restricted to
+ * the diagonals j - i in [minDiagonal, maxDiagonal] so time and memory grow
+ * with the query length times the band, not the reference length. Local
+ * mode is Smith-Waterman; global mode aligns the whole query with free end
+ * gaps in the subject (semi-global), as a query is usually a piece of its
+ * reference. A gap of length L costs gapOpen + L * gapExtend. Coordinates
+ * in the result are 1-based.
+ */
+function alignSequences(a, b, type, mode = 'local', band = { minDiagonal: -b.length, maxDiagonal: b.length }) {
+  const { gapOpen, gapExtend } = ALIGNMENT_SCORING[type];
+  const local = mode === 'local';
+  const n = a.length;
+  const m = b.length;
+  const { minDiagonal, maxDiagonal } = band;
+  // Row i holds the band cells j = i + minDiagonal ... i + maxDiagonal, plus
+  // a guard cell at each end so neighbours outside the band read as NEG
+  const stride = maxDiagonal - minDiagonal + 3;
+  const NEG = -1e9;
+  const index = (i, j) => i * stride + (j - i - minDiagonal) + 1;
+  const inBand = (i, j) => j >= 0 && j <= m && j - i >= minDiagonal && j - i <= maxDiagonal;
+
+  // M: a[i] aligned to b[j]; E: gap in the query; F: gap in the subject
+  const size = (n + 1) * stride;
+  const M = new Int32Array(size).fill(NEG);
+  const E = new Int32Array(size).fill(NEG);
+  const F = new Int32Array(size).fill(NEG);
+  // Traceback: state the cell was reached from (0 start, 1 M, 2 E, 3 F)
+  const tM = new Uint8Array(size);
+  const tE = new Uint8Array(size);
+  const tF = new Uint8Array(size);
+
+  // Alignments may start anywhere in the subject; in global mode the
+  // query must be used from its first residue
+  for (let j = 0; j <= m; j++) {
+    if (inBand(0, j)) M[index(0, j)] = 0;
+  }
+  for (let i = 1; i <= n; i++) {
+    if (!inBand(i, 0)) continue;
+    if (local) {
+      M[index(i, 0)] = 0;
+    } else {
+      F[index(i, 0)] = -(gapOpen + i * gapExtend);
+      tF[index(i, 0)] = i === 1 ? 1 : 3;
+    }
+  }
+
+  const gapStart = gapOpen + gapExtend;
+  let best = { score: local ? 0 : NEG, i: 0, j: 0 };
+
+  // Written out with scalars: this loop runs millions of times per search
+  for (let i = 1; i <= n; i++) {
+    const residue = a[i - 1];
+    const firstJ = Math.max(1, i + minDiagonal);
+    const lastJ = Math.min(m, i + maxDiagonal);
+    for (let j = firstJ; j <= lastJ; j++) {
+      const cell = index(i, j);
+      const diag = cell - stride;
+      const left = cell - 1;
+      const up = cell - stride + 1;
+
+      let diagScore = M[diag];
+      let diagState = 1;
+      if (E[diag] > diagScore) { diagScore = E[diag]; diagState = 2; }
+      if (F[diag] > diagScore) { diagScore = F[diag]; diagState = 3; }
+      diagScore += scoreResidues(residue, b[j - 1], type);
+      if (local && diagScore <= 0) {
+        M[cell] = 0;
+        tM[cell] = 0;
+      } else {
+        M[cell] = diagScore;
+        tM[cell] = diagState;
+      }
+
+      let gapScore = M[left] - gapStart;
+      let gapState = 1;
+      if (E[left] - gapExtend > gapScore) { gapScore = E[left] - gapExtend; gapState = 2; }
+      if (F[left] - gapStart > gapScore) { gapScore = F[left] - gapStart; gapState = 3; }
+      E[cell] = gapScore;
+      tE[cell] = gapState;
+
+      gapScore = M[up] - gapStart;
+      gapState = 1;
+      if (E[up] - gapStart > gapScore) { gapScore = E[up] - gapStart; gapState = 2; }
+      if (F[up] - gapExtend > gapScore) { gapScore = F[up] - gapExtend; gapState = 3; }
+      F[cell] = gapScore;
+      tF[cell] = gapState;
+
+      if (local && M[cell] > best.score) best = { score: M[cell], i, j };
+    }
+  }
+
+  // Global mode ends at the last query residue, anywhere in the subject
+  let state = 1;
+  if (!local) {
+    for (let j = Math.max(1, n + minDiagonal); j <= Math.min(m, n + maxDiagonal); j++) {
+      const cell = index(n, j);
+      if (M[cell] > best.score) best = { score: M[cell], i: n, j, state: 1 };
+      if (F[cell] > best.score) best = { score: F[cell], i: n, j, state: 3 };
+    }
+    if (best.score <= NEG / 2) return { score: best.score, length: 0 };
+    state = best.state;
+  }
+
+  let { i, j } = best;
+  const queryChars = [];
+  const subjectChars = [];
+  while (i > 0) {
+    const cell = index(i, j);
+    if (state === 1) {
+      if (local && M[cell] === 0) break;
+      queryChars.push(a[i - 1]);
+      subjectChars.push(b[j - 1]);
+      state = tM[cell];
+      i--;
+      j--;
+      if (state === 0) break;
+    } else if (state === 2) {
+      queryChars.push('-');
+      subjectChars.push(b[j - 1]);
+      state = tE[cell];
+      j--;
+    } else {
+      queryChars.push(a[i - 1]);
+      subjectChars.push('-');
+      state = tF[cell];
+      i--;
+    }
+  }
+
+  const query = queryChars.reverse().join('');
+  const subject = subjectChars.reverse().join('');
+  let matches = 0;
+  let positives = 0;
+  let gaps = 0;
+  let midline = '';
+  for (let k = 0; k < query.length; k++) {
+    if (query[k] === '-' || subject[k] === '-') {
+      gaps++;
+      midline += ' ';
+    } else if (query[k] === subject[k]) {
+      matches++;
+      positives++;
+      midline += type === 'protein' ? query[k] : '|';
+    } else if (type === 'protein' && scoreResidues(query[k], subject[k], type) > 0) {
+      positives++;
+      midline += '+';
+    } else {
+      midline += ' ';
+    }
+  }
+
+  return {
+    score: best.score,
+    query,
+    subject,
+    midline,
+    queryStart: i + 1,
+    queryEnd: best.i,
+    subjectStart: j + 1,
+    subjectEnd: best.j,
+    matches,
+    positives,
+    gaps,
+    length: query.length,
+    identity: query.length ? (matches / query.length) * 100 : 0
+  };
+}
+
+/**
+ * k-mer prefilter: for each reference, the largest number of query k-mers
+ * that fall on one diagonal band, and the diagonals (j - i) they lie on
+ */
+function findKmerCandidates(query, references, k) {
+  const queryKmers = new Map();
+  for (let i = 0; i + k <= query.length; i++) {
+    const kmer = query.substring(i, i + k);
+    if (!queryKmers.has(kmer)) queryKmers.set(kmer, []);
+    queryKmers.get(kmer).push(i);
+  }
+
+  const bandWidth = 32;
+  const candidates = [];
+  references.forEach((reference, index) => {
+    const bands = new Map();
+    const seq = reference.sequence;
+    for (let j = 0; j + k <= seq.length; j++) {
+      const positions = queryKmers.get(seq.substring(j, j + k));
+      if (!positions) continue;
+      positions.forEach(i => {
+        const diagonal = j - i;
+        const band = Math.floor(diagonal / bandWidth);
+        const entry = bands.get(band) || { hits: 0, minDiagonal: diagonal, maxDiagonal: diagonal };
+        entry.hits++;
+        entry.minDiagonal = Math.min(entry.minDiagonal, diagonal);
+        entry.maxDiagonal = Math.max(entry.maxDiagonal, diagonal);
+        bands.set(band, entry);
+      });
+    }
+    let bestBand = null;
+    bands.forEach(entry => {
+      if (!bestBand || entry.hits > bestBand.hits) bestBand = entry;
+    });
+    if (bestBand) candidates.push({ index, ...bestBand });
+  });
+
+  return candidates.sort((x, y) => y.hits - x.hits);
+}
+
+/**
+ * Align a query against the references of one type and rank the hits.
+ * Nucleotide queries are searched on both strands. Local hits are kept by
+ * E-value; global hits have no E-value and are kept when they score above 0.
+ */
+export function searchReferences(query, references, type, options = SIMILARITY_SEARCH_DEFAULTS) {
+  if (!references || references.length === 0 || !query) return [];
+  const scoring = ALIGNMENT_SCORING[type];
+  const k = Math.min(scoring.kmer, Math.max(3, Math.floor(query.length / 3)));
+  const databaseLength = references.reduce((total, reference) => total + reference.sequence.length, 0);
+  const local = options.mode === 'local';
+
+  const strands = type === 'nucleotide'
+    ? [['plus', query], ['minus', getReverseComplement(query)]]
+    : [['plus', query]];
+
+  const hits = [];
+  strands.forEach(([strand, strandQuery]) => {
+    findKmerCandidates(strandQuery, references, k)
+      .slice(0, options.maxCandidates)
+      .forEach(candidate => {
+        const reference = references[candidate.index];
+        // Align around the seed diagonals; indels longer than the padding are not followed
+        const alignment = alignSequences(strandQuery, reference.sequence, type, options.mode, {
+          minDiagonal: candidate.minDiagonal - ALIGNMENT_BAND_PADDING,
+          maxDiagonal: candidate.maxDiagonal + ALIGNMENT_BAND_PADDING
+        });
+        if (alignment.length === 0) return;
+
+        if (strand === 'minus') {
+          // Report query coordinates on the strand the user entered
+          [alignment.queryStart, alignment.queryEnd] = [query.length - alignment.queryEnd + 1, query.length - alignment.queryStart + 1];
+        }
+
+        // Karlin-Altschul statistics only hold for local alignment scores
+        const bitScore = local ? (scoring.lambda * alignment.score - Math.log(scoring.K)) / Math.LN2 : null;
+        const evalue = local ? query.length * databaseLength * Math.pow(2, -bitScore) : null;
+        hits.push({
+          reference,
+          strand,
+          alignment,
+          bitScore,
+          evalue,
+          queryCoverage: ((alignment.queryEnd - alignment.queryStart + 1) / query.length) * 100
+        });
+      });
+  });
+
+  // Keep the better strand per reference
+  const bestByReference = new Map();
+  hits.forEach(hit => {
+    const current = bestByReference.get(hit.reference.id);
+    if (!current || hit.alignment.score > current.alignment.score) bestByReference.set(hit.reference.id, hit);
+  });
+
+  return [...bestByReference.values()]
+    .filter(hit => (local ? hit.evalue <= options.evalue : hit.alignment.score > 0))
+    .sort((x, y) => y.alignment.score - x.alignment.score)
+    .slice(0, options.maxHits);
+}
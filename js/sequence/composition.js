@@ -0,0 +1,301 @@
+/**
+ * Restriction sites, nucleotide composition, CpG islands and protein properties.
+ */
+
+import { IUPAC_NUCLEOTIDES } from './genetic-codes.js';
+
+// ============================================
+// Sequence Composition & Protein Properties
+// ============================================
+
+// Palindromic sites; `cut` is the top-strand cut offset within the site
+const RESTRICTION_ENZYMES = [
+  { name: 'AatII', site: 'GACGTC', cut: 5 },
+  { name: 'AgeI', site: 'ACCGGT', cut: 1 },
+  { name: 'AluI', site: 'AGCT', cut: 2 },
+  { name: 'ApaI', site: 'GGGCCC', cut: 5 },
+  { name: 'AscI', site: 'GGCGCGCC', cut: 2 },
+  { name: 'AvaI', site: 'CYCGRG', cut: 1 },
+  { name: 'AvrII', site: 'CCTAGG', cut: 1 },
+  { name: 'BamHI', site: 'GGATCC', cut: 1 },
+  { name: 'BglII', site: 'AGATCT', cut: 1 },
+  { name: 'ClaI', site: 'ATCGAT', cut: 2 },
+  { name: 'DpnII', site: 'GATC', cut: 0 },
+  { name: 'DraI', site: 'TTTAAA', cut: 3 },
+  { name: 'EcoRI', site: 'GAATTC', cut: 1 },
+  { name: 'EcoRV', site: 'GATATC', cut: 3 },
+  { name: 'HaeIII', site: 'GGCC', cut: 2 },
+  { name: 'HhaI', site: 'GCGC', cut: 3 },
+  { name: 'HindIII', site: 'AAGCTT', cut: 1 },
+  { name: 'HinfI', site: 'GANTC', cut: 1 },
+  { name: 'HpaI', site: 'GTTAAC', cut: 3 },
+  { name: 'KpnI', site: 'GGTACC', cut: 5 },
+  { name: 'MluI', site: 'ACGCGT', cut: 1 },
+  { name: 'MspI', site: 'CCGG', cut: 1 },
+  { name: 'NcoI', site: 'CCATGG', cut: 1 },
+  { name: 'NdeI', site: 'CATATG', cut: 2 },
+  { name: 'NheI', site: 'GCTAGC', cut: 1 },
+  { name: 'NlaIII', site: 'CATG', cut: 4 },
+  { name: 'NotI', site: 'GCGGCCGC', cut: 2 },
+  { name: 'NruI', site: 'TCGCGA', cut: 3 },
+  { name: 'PacI', site: 'TTAATTAA', cut: 5 },
+  { name: 'PstI', site: 'CTGCAG', cut: 5 },
+  { name: 'PvuII', site: 'CAGCTG', cut: 3 },
+  { name: 'RsaI', site: 'GTAC', cut: 2 },
+  { name: 'SacI', site: 'GAGCTC', cut: 5 },
+  { name: 'SacII', site: 'CCGCGG', cut: 4 },
+  { name: 'SalI', site: 'GTCGAC', cut: 1 },
+  { name: 'ScaI', site: 'AGTACT', cut: 3 },
+  { name: 'SfiI', site: 'GGCCNNNNNGGCC', cut: 8 },
+  { name: 'SmaI', site: 'CCCGGG', cut: 3 },
+  { name: 'SpeI', site: 'ACTAGT', cut: 1 },
+  { name: 'SphI', site: 'GCATGC', cut: 5 },
+  { name: 'StuI', site: 'AGGCCT', cut: 3 },
+  { name: 'TaqI', site: 'TCGA', cut: 1 },
+  { name: 'XbaI', site: 'TCTAGA', cut: 1 },
+  { name: 'XhoI', site: 'CTCGAG', cut: 1 }
+];
+
+export const CPG_ISLAND_CRITERIA = { minLength: 200, minGc: 50, minRatio: 0.6 };
+
+// Average residue masses (Da) as used by ExPASy ProtParam
+const RESIDUE_MASSES = {
+  A: 71.0788, R: 156.1875, N: 114.1038, D: 115.0886, C: 103.1388,
+  E: 129.1155, Q: 128.1307, G: 57.0519, H: 137.1411, I: 113.1594,
+  L: 113.1594, K: 128.1741, M: 131.1926, F: 147.1766, P: 97.1167,
+  S: 87.0782, T: 101.1051, W: 186.2132, Y: 163.1760, V: 99.1326,
+  U: 150.0388, O: 237.3018
+};
+const WATER_MASS = 18.01524;
+
+// EMBOSS iep pKa values
+const PKA_VALUES = {
+  nTerm: 8.6, cTerm: 3.6,
+  positive: { K: 10.8, R: 12.5, H: 6.5 },
+  negative: { D: 3.9, E: 4.1, C: 8.5, Y: 10.1 }
+};
+
+const KYTE_DOOLITTLE = {
+  A: 1.8, R: -4.5, N: -3.5, D: -3.5, C: 2.5, Q: -3.5, E: -3.5, G: -0.4, H: -3.2, I: 4.5,
+  L: 3.8, K: -3.9, M: 1.9, F: 2.8, P: -1.6, S: -0.8, T: -0.7, W: -0.9, Y: -1.3, V: 4.2
+};
+export const HYDROPATHY_DEFAULT_WINDOW = 9;
+
+/**
+ * Cut positions (1-based, after that top-strand base) of every built-in
+ * enzyme; IUPAC codes in recognition sites match any of their bases
+ */
+export function findRestrictionSites(seq) {
+  return RESTRICTION_ENZYMES.map(enzyme => {
+    const pattern = new RegExp(enzyme.site.split('').map(base => (
+      IUPAC_NUCLEOTIDES[base].length > 1 ? `[${IUPAC_NUCLEOTIDES[base]}]` : base
+    )).join(''), 'g');
+    const cuts = [];
+    let match;
+    while ((match = pattern.exec(seq)) !== null) {
+      cuts.push(match.index + enzyme.cut);
+      // Sites can overlap (e.g. GCGCGC has two HhaI sites)
+      pattern.lastIndex = match.index + 1;
+    }
+    return { ...enzyme, cuts: cuts.filter(position => position > 0 && position < seq.length) };
+  });
+}
+
+/**
+ * Fragment lengths of a linear molecule cut at the given positions
+ */
+export function getDigestFragments(length, cuts) {
+  const bounds = [0, ...[...new Set(cuts)].sort((a, b) => a - b), length];
+  return bounds.slice(1).map((end, i) => end - bounds[i]);
+}
+
+export function computeNucleotideComposition(seq) {
+  const counts = { A: 0, C: 0, G: 0, T: 0 };
+  let other = 0;
+  for (const base of seq) {
+    if (base in counts) counts[base]++;
+    else other++;
+  }
+  const length = counts.A + counts.C + counts.G + counts.T;
+
+  const dinucleotides = {};
+  let pairTotal = 0;
+  ['A', 'C', 'G', 'T'].forEach(a => ['A', 'C', 'G', 'T'].forEach(b => {
+    dinucleotides[a + b] = { count: 0, ratio: 0 };
+  }));
+  for (let i = 0; i < seq.length - 1; i++) {
+    const pair = dinucleotides[seq.substring(i, i + 2)];
+    if (pair) {
+      pair.count++;
+      pairTotal++;
+    }
+  }
+  Object.entries(dinucleotides).forEach(([pair, entry]) => {
+    const expected = (counts[pair[0]] / length) * (counts[pair[1]] / length) * pairTotal;
+    entry.ratio = expected ? entry.count / expected : 0;
+  });
+
+  const skew = (x, y) => (x + y ? (x - y) / (x + y) : 0);
+  return {
+    length,
+    other,
+    counts,
+    gc: length ? ((counts.G + counts.C) / length) * 100 : 0,
+    gcSkew: skew(counts.G, counts.C),
+    atSkew: skew(counts.A, counts.T),
+    dinucleotides
+  };
+}
+
+/**
+ * CpG islands: 200 bp windows passing the GC and CpG observed/expected
+ * criteria, merged where they overlap and re-scored as a whole
+ */
+export function findCpgIslands(seq, criteria = CPG_ISLAND_CRITERIA) {
+  const size = criteria.minLength;
+  if (seq.length < size) return [];
+
+  const regionStats = (start, end) => {
+    let c = 0;
+    let g = 0;
+    let cpg = 0;
+    for (let i = start; i < end; i++) {
+      if (seq[i] === 'C') {
+        c++;
+        if (seq[i + 1] === 'G' && i + 1 < end) cpg++;
+      } else if (seq[i] === 'G') {
+        g++;
+      }
+    }
+    const length = end - start;
+    return { gc: ((c + g) / length) * 100, ratio: c && g ? (cpg * length) / (c * g) : 0 };
+  };
+  const passes = (stats) => stats.gc > criteria.minGc && stats.ratio > criteria.minRatio;
+
+  // Running counts so each window step is O(1)
+  let c = 0;
+  let g = 0;
+  let cpg = 0;
+  const add = (i, sign) => {
+    if (seq[i] === 'C') c += sign;
+    else if (seq[i] === 'G') g += sign;
+  };
+  for (let i = 0; i < size; i++) {
+    add(i, 1);
+    if (i < size - 1 && seq[i] === 'C' && seq[i + 1] === 'G') cpg++;
+  }
+
+  const islands = [];
+  let current = null;
+  for (let start = 0; start + size <= seq.length; start++) {
+    if (start > 0) {
+      add(start - 1, -1);
+      if (seq[start - 1] === 'C' && seq[start] === 'G') cpg--;
+      add(start + size - 1, 1);
+      if (seq[start + size - 2] === 'C' && seq[start + size - 1] === 'G') cpg++;
+    }
+    const ratio = c && g ? (cpg * size) / (c * g) : 0;
+    const windowPasses = ((c + g) / size) * 100 > criteria.minGc && ratio > criteria.minRatio;
+    if (windowPasses) {
+      if (current && start <= current.end) {
+        current.end = start + size;
+      } else {
+        current = { start, end: start + size };
+        islands.push(current);
+      }
+    }
+  }
+
+  return islands
+    .map(island => ({ ...island, ...regionStats(island.start, island.end) }))
+    .filter(passes)
+    .map(island => ({
+      start: island.start + 1,
+      end: island.end,
+      length: island.end - island.start,
+      gc: island.gc,
+      ratio: island.ratio
+    }));
+}
+
+/**
+ * Net charge at a pH from the Henderson-Hasselbalch equation
+ */
+function calculateNetCharge(counts, pH) {
+  let charge = 1 / (1 + Math.pow(10, pH - PKA_VALUES.nTerm)) - 1 / (1 + Math.pow(10, PKA_VALUES.cTerm - pH));
+  Object.entries(PKA_VALUES.positive).forEach(([residue, pKa]) => {
+    charge += (counts[residue] || 0) / (1 + Math.pow(10, pH - pKa));
+  });
+  Object.entries(PKA_VALUES.negative).forEach(([residue, pKa]) => {
+    charge -= (counts[residue] || 0) / (1 + Math.pow(10, pKa - pH));
+  });
+  return charge;
+}
+
+/**
+ * MW, pI, extinction coefficients, GRAVY and composition of a protein.
+ * Residues without a defined mass (B, Z, J, X, stops) are left out.
+ */
+export function computeProteinProperties(sequence) {
+  const residues = sequence.replace(/\*$/, '').split('');
+  const counted = residues.filter(residue => residue in RESIDUE_MASSES);
+  const composition = {};
+  counted.forEach(residue => {
+    composition[residue] = (composition[residue] || 0) + 1;
+  });
+
+  const molecularWeight = counted.reduce((total, residue) => total + RESIDUE_MASSES[residue], 0)
+    + (counted.length ? WATER_MASS : 0);
+
+  // Bisection: net charge falls monotonically with pH
+  let low = 0;
+  let high = 14;
+  while (high - low > 0.001) {
+    const mid = (low + high) / 2;
+    if (calculateNetCharge(composition, mid) > 0) low = mid;
+    else high = mid;
+  }
+
+  const trp = composition.W || 0;
+  const tyr = composition.Y || 0;
+  const cys = composition.C || 0;
+  const reduced = trp * 5500 + tyr * 1490;
+  const cystines = reduced + Math.floor(cys / 2) * 125;
+
+  const hydropathic = counted.filter(residue => residue in KYTE_DOOLITTLE);
+  const gravy = hydropathic.length
+    ? hydropathic.reduce((total, residue) => total + KYTE_DOOLITTLE[residue], 0) / hydropathic.length
+    : 0;
+
+  return {
+    sequence: counted.join(''),
+    length: counted.length,
+    excluded: residues.length - counted.length,
+    composition,
+    molecularWeight,
+    isoelectricPoint: (low + high) / 2,
+    extinction: {
+      reduced,
+      cystines,
+      absorbanceReduced: molecularWeight ? reduced / molecularWeight : 0
+    },
+    gravy,
+    positive: (composition.K || 0) + (composition.R || 0),
+    negative: (composition.D || 0) + (composition.E || 0)
+  };
+}
+
+/**
+ * Sliding-window Kyte-Doolittle averages; `first` is the 1-based residue
+ * at the center of the first window
+ */
+export function computeHydropathyProfile(sequence, window = HYDROPATHY_DEFAULT_WINDOW) {
+  const size = Math.max(1, window % 2 ? window : window + 1);
+  const values = [];
+  for (let i = 0; i + size <= sequence.length; i++) {
+    let total = 0;
+    for (let j = i; j < i + size; j++) total += KYTE_DOOLITTLE[sequence[j]] || 0;
+    values.push(total / size);
+  }
+  return { window: size, first: (size + 1) / 2, values };
+}
@@ -0,0 +1,160 @@
+/**
+ * Genetic codes, translation and ORF finding.
+ */
+
+import { getReverseComplement } from './sequence-utils.js';
+
+// ============================================
+// Genetic Codes & ORF Finder
+// ============================================
+
+// NCBI translation tables: amino acids for the 64 codons in TCAG order
+// (TTT, TTC, TTA, TTG, TCT, ...) plus the codons that may act as starts
+export const GENETIC_CODES = {
+  1: {
+    name: 'Standard',
+    amino: 'FFLLSSSSYY**CC*WLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG',
+    starts: ['TTG', 'CTG', 'ATG']
+  },
+  2: {
+    name: 'Vertebrate Mitochondrial',
+    amino: 'FFLLSSSSYY**CCWWLLLLPPPPHHQQRRRRIIMMTTTTNNKKSS**VVVVAAAADDEEGGGG',
+    starts: ['ATT', 'ATC', 'ATA', 'ATG', 'GTG']
+  },
+  3: {
+    name: 'Yeast Mitochondrial',
+    amino: 'FFLLSSSSYY**CCWWTTTTPPPPHHQQRRRRIIMMTTTTNNKKSSRRVVVVAAAADDEEGGGG',
+    starts: ['ATA', 'ATG', 'GTG']
+  },
+  4: {
+    name: 'Mold, Protozoan and Coelenterate Mitochondrial',
+    amino: 'FFLLSSSSYY**CCWWLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG',
+    starts: ['TTA', 'TTG', 'CTG', 'ATT', 'ATC', 'ATA', 'ATG', 'GTG']
+  },
+  5: {
+    name: 'Invertebrate Mitochondrial',
+    amino: 'FFLLSSSSYY**CCWWLLLLPPPPHHQQRRRRIIMMTTTTNNKKSSSSVVVVAAAADDEEGGGG',
+    starts: ['TTG', 'ATT', 'ATC', 'ATA', 'ATG', 'GTG']
+  },
+  6: {
+    name: 'Ciliate, Dasycladacean and Hexamita Nuclear',
+    amino: 'FFLLSSSSYYQQCC*WLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG',
+    starts: ['ATG']
+  },
+  9: {
+    name: 'Echinoderm and Flatworm Mitochondrial',
+    amino: 'FFLLSSSSYY**CCWWLLLLPPPPHHQQRRRRIIIMTTTTNNNKSSSSVVVVAAAADDEEGGGG',
+    starts: ['ATG', 'GTG']
+  },
+  11: {
+    name: 'Bacterial, Archaeal and Plant Plastid',
+    amino: 'FFLLSSSSYY**CC*WLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG',
+    starts: ['TTG', 'CTG', 'ATT', 'ATC', 'ATA', 'ATG', 'GTG']
+  }
+};
+
+const CODON_BASE_ORDER = 'TCAG';
+
+export const IUPAC_NUCLEOTIDES = {
+  A: 'A', C: 'C', G: 'G', T: 'T', U: 'T',
+  R: 'AG', Y: 'CT', S: 'CG', W: 'AT', K: 'GT', M: 'AC',
+  B: 'CGT', D: 'AGT', H: 'ACT', V: 'ACG', N: 'ACGT'
+};
+
+// One-letter codes for ambiguous residues that still narrow to a pair
+const AMBIGUOUS_RESIDUES = { DN: 'B', EQ: 'Z', IL: 'J' };
+
+export const ORF_DEFAULT_MIN_LENGTH = 30;
+
+/**
+ * Amino acid for a codon; ambiguous codons resolve to the single residue
+ * all their expansions share, to B/Z/J, or to X
+ */
+export function translateCodon(codon, code = GENETIC_CODES[1]) {
+  const expansions = codon.split('').map(base => IUPAC_NUCLEOTIDES[base]);
+  if (expansions.some(options => !options)) return 'X';
+
+  const residues = new Set();
+  for (const a of expansions[0]) {
+    for (const b of expansions[1]) {
+      for (const c of expansions[2]) {
+        const index = 16 * CODON_BASE_ORDER.indexOf(a) + 4 * CODON_BASE_ORDER.indexOf(b) + CODON_BASE_ORDER.indexOf(c);
+        residues.add(code.amino[index]);
+      }
+    }
+  }
+  if (residues.size === 1) return [...residues][0];
+  return AMBIGUOUS_RESIDUES[[...residues].sort().join('')] || 'X';
+}
+
+export function translateSequence(seq, code = GENETIC_CODES[1]) {
+  let protein = '';
+  for (let i = 0; i + 3 <= seq.length; i += 3) {
+    protein += translateCodon(seq.substring(i, i + 3), code);
+  }
+  return protein;
+}
+
+/**
+ * Translations of frames +1..+3 and, on the reverse complement, -1..-3
+ */
+export function getSixFrames(seq, code = GENETIC_CODES[1]) {
+  const reverse = getReverseComplement(seq);
+  return [
+    ...[0, 1, 2].map(offset => ({ label: `+${offset + 1}`, protein: translateSequence(seq.substring(offset), code) })),
+    ...[0, 1, 2].map(offset => ({ label: `-${offset + 1}`, protein: translateSequence(reverse.substring(offset), code) }))
+  ];
+}
+
+/**
+ * Open reading frames in all six frames, from the first start codon after
+ * a stop through the next stop. Coordinates are 1-based on the input
+ * strand; reverse-frame ORFs have start > end. ORFs that run off the end
+ * of the sequence are returned with complete: false.
+ */
+export function findOpenReadingFrames(seq, code = GENETIC_CODES[1], options = {}) {
+  const minLength = options.minLength || ORF_DEFAULT_MIN_LENGTH;
+  const starts = options.alternativeStarts ? code.starts : ['ATG'];
+  const reverse = getReverseComplement(seq);
+  const orfs = [];
+
+  [['+', seq], ['-', reverse]].forEach(([strand, strandSeq]) => {
+    const toInput = (pos) => (strand === '+' ? pos + 1 : seq.length - pos);
+    const buildOrf = (offset, from, to, complete) => {
+      // Start codons translate as Met whatever residue they code internally
+      const protein = 'M' + translateSequence(strandSeq.substring(from + 3, to), code);
+      return {
+        frame: `${strand}${offset + 1}`,
+        start: toInput(from),
+        end: toInput(to - 1),
+        length: protein.replace(/\*$/, '').length,
+        complete,
+        protein
+      };
+    };
+
+    [0, 1, 2].forEach(offset => {
+      let orfStart = null;
+      for (let i = offset; i + 3 <= strandSeq.length; i += 3) {
+        const codon = strandSeq.substring(i, i + 3);
+        const residue = translateCodon(codon, code);
+        if (orfStart === null) {
+          if (starts.includes(codon)) orfStart = i;
+          continue;
+        }
+        if (residue === '*') {
+          orfs.push(buildOrf(offset, orfStart, i + 3, true));
+          orfStart = null;
+        }
+      }
+      if (orfStart !== null) {
+        const end = orfStart + Math.floor((strandSeq.length - orfStart) / 3) * 3;
+        orfs.push(buildOrf(offset, orfStart, end, false));
+      }
+    });
+  });
+
+  return orfs
+    .filter(orf => orf.length >= minLength)
+    .sort((a, b) => b.length - a.length);
+}
@@ -0,0 +1,317 @@
+/**
+ * Primer design: nearest-neighbor Tm, secondary structure and pair selection.
+ */
+
+import { calculateGC, getReverseComplement } from './sequence-utils.js';
+
+// ============================================
+// Primer Design Engine
+// ============================================
+
+export const PRIMER_DEFAULTS = {
+  lengthMin: 18,
+  lengthOpt: 20,
+  lengthMax: 25,
+  tmMin: 57,
+  tmOpt: 60,
+  tmMax: 63,
+  gcMin: 40,
+  gcMax: 60,
+  productMin: 100,
+  productMax: 300,
+  naMm: 50,
+  mgMm: 1.5,
+  dntpMm: 0.2,
+  primerNm: 250,
+  maxTmDiff: 2,
+  pairCount: 5,
+  gcClamp: true,
+  // Rejection thresholds in kcal/mol (more negative = more stable structure)
+  minHairpinDg: -3,
+  minDimerDg: -9,
+  minDimerEndDg: -5,
+  minEndStabilityDg: -9,
+  // Best single primers kept per strand before pairing
+  candidateLimit: 200
+};
+
+// Rules a candidate primer or pair can fail, in the order they are checked
+export const PRIMER_REJECTION_REASONS = [
+  'ambiguous', 'gc', 'clamp', 'repeat', 'tm', 'endStability', 'hairpin', 'selfDimer',
+  'productSize', 'tmDiff', 'crossDimer'
+];
+
+// SantaLucia (1998) unified nearest-neighbor stacks: [ΔH kcal/mol, ΔS cal/(K·mol)],
+// keyed by the 5'->3' dinucleotide of either strand
+const NN_PARAMS = {
+  AA: [-7.9, -22.2], TT: [-7.9, -22.2],
+  AT: [-7.2, -20.4],
+  TA: [-7.2, -21.3],
+  CA: [-8.5, -22.7], TG: [-8.5, -22.7],
+  GT: [-8.4, -22.4], AC: [-8.4, -22.4],
+  CT: [-7.8, -21.0], AG: [-7.8, -21.0],
+  GA: [-8.2, -22.2], TC: [-8.2, -22.2],
+  CG: [-10.6, -27.2],
+  GC: [-9.8, -24.4],
+  GG: [-8.0, -19.9], CC: [-8.0, -19.9]
+};
+const NN_INIT = { GC: [0.1, -2.8], AT: [2.3, 4.1] };
+const GAS_CONSTANT = 1.987;
+
+// Hairpin loop initiation free energy (kcal/mol) by loop length
+const HAIRPIN_LOOP_DG = { 3: 3.5, 4: 3.5, 5: 3.3, 6: 4.0, 7: 4.2, 8: 4.3, 9: 4.5 };
+
+const DNA_COMPLEMENT = { A: 'T', T: 'A', C: 'G', G: 'C' };
+
+function stackDeltaG(dinucleotide) {
+  const params = NN_PARAMS[dinucleotide];
+  return params ? params[0] - (310.15 * params[1]) / 1000 : 0;
+}
+
+/**
+ * Monovalent-equivalent salt in M; Mg2+ not bound by dNTPs counts as
+ * 120·sqrt([Mg2+]) mM (von Ahsen et al., 2001)
+ */
+function getSodiumEquivalent(conditions) {
+  const freeMg = Math.max(conditions.mgMm - conditions.dntpMm, 0);
+  return (conditions.naMm + 120 * Math.sqrt(freeMg)) / 1000;
+}
+
+/**
+ * Nearest-neighbor Tm (°C) with SantaLucia salt correction, for a primer
+ * at conditions.primerNm annealing to an excess of target
+ */
+export function calculateNearestNeighborTm(seq, conditions = PRIMER_DEFAULTS) {
+  let dH = 0;
+  let dS = 0;
+  for (let i = 0; i < seq.length - 1; i++) {
+    const params = NN_PARAMS[seq.substring(i, i + 2)];
+    if (!params) continue;
+    dH += params[0];
+    dS += params[1];
+  }
+  [seq[0], seq[seq.length - 1]].forEach(base => {
+    const init = base === 'G' || base === 'C' ? NN_INIT.GC : NN_INIT.AT;
+    dH += init[0];
+    dS += init[1];
+  });
+
+  const selfComplementary = seq === getReverseComplement(seq);
+  if (selfComplementary) dS -= 1.4;
+
+  dS += 0.368 * (seq.length - 1) * Math.log(getSodiumEquivalent(conditions));
+  const strandConcentration = (conditions.primerNm * 1e-9) / (selfComplementary ? 1 : 4);
+  return (dH * 1000) / (dS + GAS_CONSTANT * Math.log(strandConcentration)) - 273.15;
+}
+
+/**
+ * ΔG37 of the 3'-terminal pentamer duplex; very negative values mean the
+ * 3' end can prime from partial matches
+ */
+function calculateEndStability(seq) {
+  const tail = seq.slice(-5);
+  let dG = 0;
+  for (let i = 0; i < tail.length - 1; i++) dG += stackDeltaG(tail.substring(i, i + 2));
+  [tail[0], tail[tail.length - 1]].forEach(base => {
+    const init = base === 'G' || base === 'C' ? NN_INIT.GC : NN_INIT.AT;
+    dG += init[0] - (310.15 * init[1]) / 1000;
+  });
+  return dG;
+}
+
+/**
+ * Most stable antiparallel duplex between two primers, as the ΔG of the
+ * best contiguous run of complementary bases. endDeltaG only counts runs
+ * that include a 3' terminal base (extendable dimers).
+ */
+export function calculateDimerDeltaG(a, b) {
+  const bReversed = b.split('').reverse().join('');
+  let best = 0;
+  let bestEnd = 0;
+
+  for (let shift = -(b.length - 1); shift < a.length; shift++) {
+    let runDg = 0;
+    let runLength = 0;
+    let runTouchesEnd = false;
+    for (let i = Math.max(0, shift); i < Math.min(a.length, shift + b.length); i++) {
+      const j = i - shift;
+      if (DNA_COMPLEMENT[a[i]] === bReversed[j]) {
+        if (runLength > 0) runDg += stackDeltaG(a.substring(i - 1, i + 1));
+        runLength++;
+        if (i === a.length - 1 || j === 0) runTouchesEnd = true;
+        best = Math.min(best, runDg);
+        if (runTouchesEnd) bestEnd = Math.min(bestEnd, runDg);
+      } else {
+        runDg = 0;
+        runLength = 0;
+        runTouchesEnd = false;
+      }
+    }
+  }
+  return { deltaG: best, endDeltaG: bestEnd };
+}
+
+/**
+ * Most stable hairpin: a stem of 3+ base pairs closing a loop of 3+ bases
+ */
+export function calculateHairpinDeltaG(seq) {
+  let best = 0;
+  for (let i = 0; i < seq.length; i++) {
+    for (let j = seq.length - 1; j - i >= 6; j--) {
+      let stemDg = 0;
+      let k = 0;
+      while (i + k < j - k - 3 && DNA_COMPLEMENT[seq[i + k]] === seq[j - k]) {
+        if (k > 0) stemDg += stackDeltaG(seq.substring(i + k - 1, i + k + 1));
+        k++;
+        const loop = (j - k + 1) - (i + k - 1) - 1;
+        if (k >= 3) {
+          best = Math.min(best, stemDg + (HAIRPIN_LOOP_DG[loop] || 4.6 + 1.75 * 0.616 * Math.log(loop / 9)));
+        }
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * Evaluate one candidate primer; returns its properties or the first
+ * rule it fails
+ */
+export function evaluatePrimer(seq, settings) {
+  if (/[^ACGT]/.test(seq)) return { rejected: 'ambiguous' };
+
+  const gc = calculateGC(seq, 1);
+  if (gc < settings.gcMin || gc > settings.gcMax) return { rejected: 'gc' };
+
+  const tail = seq.slice(-5);
+  const tailGc = (tail.match(/[GC]/g) || []).length;
+  if (tailGc > 3 || (settings.gcClamp && !/[GC]$/.test(seq))) return { rejected: 'clamp' };
+
+  if (/([ACGT])\1{4}/.test(seq) || /([ACGT]{2})\1{4}/.test(seq)) return { rejected: 'repeat' };
+
+  const tm = calculateNearestNeighborTm(seq, settings);
+  if (tm < settings.tmMin || tm > settings.tmMax) return { rejected: 'tm' };
+
+  const endStability = calculateEndStability(seq);
+  if (endStability < settings.minEndStabilityDg) return { rejected: 'endStability' };
+
+  const hairpin = calculateHairpinDeltaG(seq);
+  if (hairpin < settings.minHairpinDg) return { rejected: 'hairpin' };
+
+  const selfDimer = calculateDimerDeltaG(seq, seq);
+  if (selfDimer.deltaG < settings.minDimerDg || selfDimer.endDeltaG < settings.minDimerEndDg) {
+    return { rejected: 'selfDimer' };
+  }
+
+  const penalty = Math.abs(tm - settings.tmOpt)
+    + 0.5 * Math.abs(seq.length - settings.lengthOpt)
+    + 0.05 * Math.abs(gc - 50)
+    + 0.3 * Math.max(0, -hairpin)
+    + 0.2 * Math.max(0, -selfDimer.deltaG - 3)
+    + 0.3 * Math.max(0, -selfDimer.endDeltaG);
+
+  return {
+    seq,
+    tm,
+    gc,
+    endStability,
+    hairpin,
+    selfDimer: selfDimer.deltaG,
+    selfDimerEnd: selfDimer.endDeltaG,
+    penalty
+  };
+}
+
+/**
+ * Check design settings for contradictory ranges; returns a code for the
+ * first problem, or null
+ */
+export function validatePrimerSettings(settings) {
+  if (settings.lengthMin > settings.lengthMax) return 'lengthRange';
+  if (settings.tmMin > settings.tmMax) return 'tmRange';
+  if (settings.gcMin > settings.gcMax) return 'gcRange';
+  if (settings.productMin > settings.productMax) return 'productRange';
+  if (settings.productMin < settings.lengthMin * 2) return 'productTooShort';
+  if (getSodiumEquivalent(settings) <= 0) return 'salt';
+  if (settings.primerNm <= 0) return 'primerConcentration';
+  return null;
+}
+
+/**
+ * Scan every forward and reverse primer across the target, then pair the
+ * best candidates and rank pairs by combined penalty
+ */
+export function designPrimerPairs(seq, settings = PRIMER_DEFAULTS) {
+  const rejected = Object.fromEntries(PRIMER_REJECTION_REASONS.map(reason => [reason, 0]));
+  const forward = [];
+  const reverse = [];
+
+  for (let start = 0; start < seq.length; start++) {
+    for (let length = settings.lengthMin; length <= settings.lengthMax && start + length <= seq.length; length++) {
+      const end = start + length;
+      const site = seq.substring(start, end);
+
+      const fwd = evaluatePrimer(site, settings);
+      if (fwd.rejected) {
+        rejected[fwd.rejected]++;
+      } else {
+        forward.push({ ...fwd, start, end });
+      }
+
+      const rev = evaluatePrimer(getReverseComplement(site), settings);
+      if (rev.rejected) {
+        rejected[rev.rejected]++;
+      } else {
+        reverse.push({ ...rev, start, end });
+      }
+    }
+  }
+
+  const best = (list) => list.sort((a, b) => a.penalty - b.penalty).slice(0, settings.candidateLimit);
+  const forwardBest = best(forward);
+  const reverseBest = best(reverse);
+
+  const pairs = [];
+  let pairsChecked = 0;
+  forwardBest.forEach(fwd => {
+    reverseBest.forEach(rev => {
+      pairsChecked++;
+      const productSize = rev.end - fwd.start;
+      if (rev.start < fwd.end || productSize < settings.productMin || productSize > settings.productMax) {
+        rejected.productSize++;
+        return;
+      }
+      const tmDiff = Math.abs(fwd.tm - rev.tm);
+      if (tmDiff > settings.maxTmDiff) {
+        rejected.tmDiff++;
+        return;
+      }
+      const cross = calculateDimerDeltaG(fwd.seq, rev.seq);
+      if (cross.deltaG < settings.minDimerDg || cross.endDeltaG < settings.minDimerEndDg) {
+        rejected.crossDimer++;
+        return;
+      }
+      pairs.push({
+        forward: fwd,
+        reverse: rev,
+        productSize,
+        tmDiff,
+        crossDimer: cross.deltaG,
+        crossDimerEnd: cross.endDeltaG,
+        penalty: fwd.penalty + rev.penalty + 0.5 * tmDiff
+          + 0.2 * Math.max(0, -cross.deltaG - 3) + 0.3 * Math.max(0, -cross.endDeltaG)
+      });
+    });
+  });
+
+  pairs.sort((a, b) => a.penalty - b.penalty);
+  return {
+    pairs: pairs.slice(0, settings.pairCount),
+    stats: {
+      forwardCandidates: forward.length,
+      reverseCandidates: reverse.length,
+      pairsChecked,
+      rejected
+    }
+  };
+}
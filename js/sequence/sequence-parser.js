@@ -0,0 +1,98 @@
+/**
+ * Parsing of raw, FASTA and GenBank sequence input.
+ */
+
+export const SEQUENCE_ALPHABETS = {
+  dna: { label: 'DNA', strict: 'ACGT', iupac: 'ACGTRYSWKMBDHVN' },
+  rna: { label: 'RNA', strict: 'ACGU', iupac: 'ACGURYSWKMBDHVN' },
+  protein: { label: 'protein', strict: 'ACDEFGHIKLMNPQRSTVWY', iupac: 'ACDEFGHIKLMNPQRSTVWYBZJXUO*' }
+};
+
+/**
+ * Split pasted text into records. Recognizes multi-record FASTA, GenBank
+ * flat files (LOCUS ... ORIGIN ... //) and falls back to a single plain
+ * sequence. Whitespace and position numbers are dropped from sequences.
+ */
+export function parseSequenceInput(text) {
+  const trimmed = text.trim();
+  if (!trimmed) return { format: 'empty', records: [] };
+
+  if (/^LOCUS\s/m.test(trimmed) && /^ORIGIN/m.test(trimmed)) {
+    return { format: 'genbank', records: parseGenBank(trimmed) };
+  }
+  if (trimmed.startsWith('>')) {
+    return { format: 'fasta', records: parseFasta(trimmed) };
+  }
+  return {
+    format: 'plain',
+    records: [{ id: 'sequence', description: '', sequence: cleanSequenceText(trimmed) }]
+  };
+}
+
+function cleanSequenceText(text) {
+  return text.replace(/[\s\d]+/g, '').toUpperCase();
+}
+
+export function parseFasta(text) {
+  const records = [];
+  let current = null;
+  text.split(/\r?\n/).forEach(line => {
+    if (line.startsWith('>')) {
+      const header = line.slice(1).trim();
+      const [id, ...description] = header.split(/\s+/);
+      current = { id: id || `sequence_${records.length + 1}`, description: description.join(' '), sequence: '' };
+      records.push(current);
+    } else if (current && !line.startsWith(';')) {
+      current.sequence += cleanSequenceText(line);
+    }
+  });
+  return records;
+}
+
+function parseGenBank(text) {
+  return text.split(/^\/\/\s*$/m)
+    .filter(entry => /^LOCUS\s/m.test(entry))
+    .map((entry, i) => {
+      const locus = entry.match(/^LOCUS\s+(\S+)/m);
+      const accession = entry.match(/^VERSION\s+(\S+)/m) || entry.match(/^ACCESSION\s+(\S+)/m);
+      const definition = entry.match(/^DEFINITION\s+([\s\S]*?)\n(?=\S)/m);
+      const origin = entry.split(/^ORIGIN.*$/m)[1] || '';
+      return {
+        id: (accession && accession[1]) || (locus && locus[1]) || `sequence_${i + 1}`,
+        description: definition ? definition[1].replace(/\s+/g, ' ').trim() : '',
+        sequence: cleanSequenceText(origin)
+      };
+    });
+}
+
+/**
+ * Best-guess alphabet: nucleotide when most letters are A/C/G/T/U/N
+ * (about a quarter in typical proteins), RNA when it has U but no T
+ */
+export function detectAlphabet(seq) {
+  const nucleotides = (seq.match(/[ACGTUN]/g) || []).length;
+  if (seq.length && nucleotides / seq.length >= 0.6) {
+    return seq.includes('U') && !seq.includes('T') ? 'rna' : 'dna';
+  }
+  return 'protein';
+}
+
+/**
+ * Characters outside the alphabet's IUPAC codes, with 1-based positions
+ */
+export function findInvalidCharacters(seq, alphabet) {
+  const allowed = SEQUENCE_ALPHABETS[alphabet].iupac;
+  const invalid = [];
+  for (let i = 0; i < seq.length; i++) {
+    if (!allowed.includes(seq[i])) invalid.push({ char: seq[i], position: i + 1 });
+  }
+  return invalid;
+}
+
+export function toFasta(records, lineWidth = 60) {
+  return records.map(record => {
+    const header = `>${record.id}${record.description ? ` ${record.description}` : ''}`;
+    const lines = record.sequence.match(new RegExp(`.{1,${lineWidth}}`, 'g')) || [];
+    return [header, ...lines].join('\n');
+  }).join('\n') + '\n';
+}
@@ -0,0 +1,40 @@
+/**
+ * Basic DNA helpers: complement, GC content, Tm and formatting.
+ */
+
+import { PRIMER_DEFAULTS, calculateNearestNeighborTm } from './primer-design.js';
+
+// ============================================
+// Helper Functions for Bioinformatics
+// ============================================
+
+export function getComplement(seq) {
+  const complement = {
+    'A': 'T', 'T': 'A', 'U': 'A', 'C': 'G', 'G': 'C',
+    'R': 'Y', 'Y': 'R', 'K': 'M', 'M': 'K', 'S': 'S', 'W': 'W',
+    'B': 'V', 'V': 'B', 'D': 'H', 'H': 'D', 'N': 'N'
+  };
+  return seq.split('').map(n => complement[n] || 'N').join('');
+}
+
+export function getReverseComplement(seq) {
+  return getComplement(seq).split('').reverse().join('');
+}
+
+export function calculateTm(primer, conditions = PRIMER_DEFAULTS) {
+  return Math.round(calculateNearestNeighborTm(primer, conditions) * 10) / 10;
+}
+
+export function calculateGC(seq, precision = 0) {
+  const gc = (seq.match(/[GC]/g) || []).length;
+  const factor = 10 ** precision;
+  return Math.round((gc / seq.length) * 100 * factor) / factor;
+}
+
+export function formatSequence(seq, chunkSize = 10) {
+  const chunks = [];
+  for (let i = 0; i < seq.length; i += chunkSize) {
+    chunks.push(seq.substring(i, i + chunkSize));
+  }
+  return chunks.join(' ');
+}
@@ -0,0 +1,56 @@
+/**
+ * Application state shared between modules. Imported bindings are
+ * read-only, so modules read and assign properties of this object.
+ */
+
+export const state = {
+  databaseData: [],
+  filteredData: [],
+  currentPage: 1,
+
+  // Interface language, a key of LOCALES (set from loadLocale on start-up)
+  locale: 'en',
+
+  // Column order/visibility, sort and page size, persisted across visits
+  // (set from loadTableConfig on start-up)
+  tableConfig: null,
+
+  // Result of validating the loaded dataset (see validateDataset)
+  dataQualityReport: null,
+
+  // Last primer design run, one entry per input record, kept so a pair can
+  // be selected to show its amplicon
+  primerDesignResults: [],
+
+  // Rows ticked in the results table, by index into databaseData
+  selectedRecords: new Set(),
+
+  // Records pinned for side-by-side comparison, in pinning order
+  pinnedRecords: [],
+
+  // Open tool, and whether the URL is being applied (so it is not re-pushed)
+  activeTool: null,
+  restoringUrlState: false,
+
+  // Selected facet values per field, and how values within a field combine
+  activeFacets: {},
+  facetModes: {},
+  expandedFacets: new Set(),
+
+  // Gene symbol/alias table (gene_aliases.json) and per-row search relevance
+  geneAliases: [],
+  geneAliasIndex: new Map(),
+  searchScores: new Map(),
+
+  // Content hash and Last-Modified date of the loaded dataset, and whether
+  // the service worker has since fetched a different one
+  datasetInfo: null,
+
+  // Deferred browser install prompt, offered from the dataset info line
+  installPrompt: null,
+
+  // Records from alzheimers_data.json, before local entries are layered on,
+  // and the local entry behind each row of databaseData
+  shippedData: [],
+  localEntryByRow: new Map()
+};
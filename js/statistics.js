@@ -0,0 +1,157 @@
+/**
+ * Statistics dashboard.
+ */
+
+import { state } from './state.js';
+import { html, setHtml } from './html.js';
+import { DATASET_SCHEMA, ORDINAL_FIELD_VALUES, TE_CATEGORY_KEYS } from './schema.js';
+import { formatNumber, t } from './i18n.js';
+import { closeTool } from './tools.js';
+import { performSearch } from './results.js';
+import { getFacetValues } from './search.js';
+import { closeGeneDetail } from './gene-detail.js';
+
+// ============================================
+// Statistics Dashboard
+// ============================================
+
+const STATISTICS_TOP_LIMIT = 8;
+
+/**
+ * Count how many rows carry each value of a field, most frequent first
+ */
+function countFieldValues(rows, field, multiValued = false) {
+  const counts = new Map();
+  rows.forEach(row => {
+    getFacetValues(row, { field, multiValued }).forEach(v => counts.set(v, (counts.get(v) || 0) + 1));
+  });
+  return [...counts.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+}
+
+/**
+ * Summarize the dataset: size, TE categories, oxidative stress x
+ * angiogenesis cross-tab, and most common growth factors and biomaterials
+ */
+export function computeStatistics(rows) {
+  const stressLevels = ORDINAL_FIELD_VALUES.oxidative_stress;
+  const angiogenesisLevels = ORDINAL_FIELD_VALUES.angiogenesis;
+  const crossTab = stressLevels.map(stress => angiogenesisLevels.map(angiogenesis =>
+    rows.filter(row => row.oxidative_stress === stress && row.angiogenesis === angiogenesis).length
+  ));
+
+  return {
+    total: rows.length,
+    fieldCount: DATASET_SCHEMA.required.length,
+    categories: countFieldValues(rows, 'te_relevance'),
+    crossTab: { rows: stressLevels, columns: angiogenesisLevels, counts: crossTab },
+    growthFactors: countFieldValues(rows, 'growth_factors', true).slice(0, STATISTICS_TOP_LIMIT),
+    biomaterials: countFieldValues(rows, 'biomaterial_suggestion', true).slice(0, STATISTICS_TOP_LIMIT)
+  };
+}
+
+/**
+ * Render one clickable bar per value. Values with a category key (TE
+ * categories) are coloured, labelled with their short names like the quick
+ * filter chips, and show their share of the total; others show counts
+ * scaled to the largest.
+ */
+function renderStatisticBars(field, entries, total, categoryKeys = {}) {
+  const max = Math.max(...entries.map(([, count]) => count), 1);
+  return entries.map(([value, count]) => {
+    const category = categoryKeys[value];
+    const percent = formatNumber(count / total, { style: 'percent' });
+    const width = Math.round((category ? count / total : count / max) * 100);
+    return html`
+      <button class="stat-row" data-field="${field}" data-value="${value}" title="${t('statistics.barTitle', { value, count, percent })}">
+        <span class="stat-label">${category ? t(`category.${category}`) : value}</span>
+        <span class="progress-bar">
+          <span class="progress-fill ${category || 'generic'}" data-style="display: block; width: ${width}%"></span>
+        </span>
+        <span class="stat-value">${category ? percent : formatNumber(count)}</span>
+      </button>
+    `;
+  });
+}
+
+/**
+ * Render the overview panel and the hero/about counts
+ */
+export function renderStatistics(stats) {
+  document.getElementById('heroEntryCount').textContent = formatNumber(stats.total);
+  document.getElementById('heroFieldCount').textContent = formatNumber(stats.fieldCount);
+  document.getElementById('heroCategoryCount').textContent = formatNumber(stats.categories.length);
+  document.getElementById('aboutEntryCount').textContent = formatNumber(stats.total);
+
+  const { rows, columns, counts } = stats.crossTab;
+  const maxCell = Math.max(...counts.flat(), 1);
+
+  const crossTabRows = rows.map((stress, i) => html`
+    <tr>
+      <th scope="row">${stress}</th>
+      ${columns.map((angiogenesis, j) => {
+        const count = counts[i][j];
+        return html`
+          <td>
+            <button class="crosstab-cell" data-style="background: rgba(49, 130, 206, ${(0.08 + 0.6 * count / maxCell).toFixed(2)})"
+              data-field="oxidative_stress" data-value="${stress}" data-field2="angiogenesis" data-value2="${angiogenesis}"
+              title="${t('statistics.crosstabCell', { stress, angiogenesis, count })}">${formatNumber(count)}</button>
+          </td>
+        `;
+      })}
+    </tr>
+  `);
+
+  setHtml(document.getElementById('statsContent'), html`
+    <div class="stats-section">
+      <h4>${t('statistics.categories', { count: stats.total })}</h4>
+      ${renderStatisticBars('te_relevance', stats.categories, stats.total, TE_CATEGORY_KEYS)}
+    </div>
+    <div class="stats-section">
+      <h4>${t('statistics.crosstab')}</h4>
+      <table class="crosstab">
+        <thead>
+          <tr><th scope="col"><span class="visually-hidden">${t('statistics.crosstabCorner')}</span></th>${columns.map(c => html`<th scope="col">${c}</th>`)}</tr>
+        </thead>
+        <tbody>
+          ${crossTabRows}
+        </tbody>
+      </table>
+      <div class="crosstab-axis">${t('statistics.crosstabAxis')}</div>
+    </div>
+    <div class="stats-section">
+      <h4>${t('statistics.topGrowthFactors')}</h4>
+      ${renderStatisticBars('growth_factors', stats.growthFactors, stats.total)}
+    </div>
+    <div class="stats-section">
+      <h4>${t('statistics.topBiomaterials')}</h4>
+      ${renderStatisticBars('biomaterial_suggestion', stats.biomaterials, stats.total)}
+    </div>
+  `);
+  syncStatisticsSelection();
+}
+
+/**
+ * Mark the bars and cells whose values are currently selected as facets
+ */
+export function syncStatisticsSelection() {
+  const isSelected = (field, value) => Boolean(state.activeFacets[field] && state.activeFacets[field].has(value));
+  document.querySelectorAll('#statsContent [data-field]').forEach(el => {
+    let selected = isSelected(el.dataset.field, el.dataset.value);
+    if (el.dataset.field2) selected = selected && isSelected(el.dataset.field2, el.dataset.value2);
+    el.classList.toggle('active', selected);
+  });
+}
+
+/**
+ * Add [field, value] pairs to the facet selection and show the results
+ */
+export function applyStatisticFilter(filters) {
+  filters.forEach(([field, value]) => {
+    if (!state.activeFacets[field]) state.activeFacets[field] = new Set();
+    state.activeFacets[field].add(value);
+  });
+  if (state.activeTool) closeTool();
+  if (location.hash.startsWith('#gene/')) closeGeneDetail();
+  performSearch();
+  document.getElementById('resultsContainer').scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
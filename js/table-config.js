@@ -0,0 +1,214 @@
+/**
+ * Table configuration: sorting, column order/visibility and page size.
+ */
+
+import { state } from './state.js';
+import { html, setHtml } from './html.js';
+import { ORDINAL_FIELD_VALUES, RECORD_FIELDS, getFieldLabel } from './schema.js';
+import { t } from './i18n.js';
+import { truncateText } from './utils.js';
+import { displayResults, performSearch } from './results.js';
+import { updateUrl } from './url-state.js';
+import { compareFieldValues } from './search.js';
+import { getEvidenceBadge, renderCitationLinks } from './citations.js';
+import { getSeverityBadge, getTEBadge } from './render.js';
+
+// ============================================
+// Table Configuration: Sorting, Columns & Page Size
+// ============================================
+
+// Table columns: truncation length per field (others are shown in full)
+const COLUMN_TRUNCATE_LENGTHS = {
+  function: 50,
+  ad_mechanism: 50,
+  scaffold_strategy: 50,
+  cell_type: 40,
+  biomaterial_suggestion: 40,
+  regeneration_outcome: 50
+};
+
+export const PAGE_SIZE_OPTIONS = [10, 25, 50, 100, 'all'];
+const TABLE_CONFIG_KEY = 'teAlzheimersDb.tableConfig';
+const DEFAULT_TABLE_CONFIG = {
+  columnOrder: RECORD_FIELDS.map(f => f.field),
+  hiddenColumns: ['disease', 'oxidative_stress', 'angiogenesis', 'neural_survival', 'evidence_level', 'pmids', 'dois', 'year'],
+  sort: null,
+  pageSize: 10
+};
+
+/**
+ * Read the saved table configuration, falling back to defaults for
+ * anything missing or no longer valid
+ */
+export function loadTableConfig() {
+  const config = { ...DEFAULT_TABLE_CONFIG };
+  try {
+    const saved = JSON.parse(localStorage.getItem(TABLE_CONFIG_KEY) || 'null');
+    if (!saved) return config;
+
+    const known = DEFAULT_TABLE_CONFIG.columnOrder;
+    if (Array.isArray(saved.columnOrder)) {
+      const order = saved.columnOrder.filter(f => known.includes(f));
+      config.columnOrder = [...order, ...known.filter(f => !order.includes(f))];
+    }
+    if (Array.isArray(saved.hiddenColumns)) {
+      // Columns added since the configuration was saved keep their default visibility
+      const added = Array.isArray(saved.columnOrder) ? known.filter(f => !saved.columnOrder.includes(f)) : [];
+      config.hiddenColumns = [
+        ...saved.hiddenColumns.filter(f => known.includes(f)),
+        ...DEFAULT_TABLE_CONFIG.hiddenColumns.filter(f => added.includes(f))
+      ];
+    }
+    if (saved.sort && known.includes(saved.sort.field) && ['asc', 'desc'].includes(saved.sort.direction)) {
+      config.sort = saved.sort;
+    }
+    if (PAGE_SIZE_OPTIONS.includes(saved.pageSize)) {
+      config.pageSize = saved.pageSize;
+    }
+  } catch (error) {
+    console.warn('Ignoring saved table configuration:', error);
+  }
+  return config;
+}
+
+function saveTableConfig() {
+  try {
+    localStorage.setItem(TABLE_CONFIG_KEY, JSON.stringify(state.tableConfig));
+  } catch (error) {
+    console.warn('Could not save table configuration:', error);
+  }
+}
+
+export function getVisibleColumns() {
+  return state.tableConfig.columnOrder
+    .filter(field => !state.tableConfig.hiddenColumns.includes(field))
+    .map(field => RECORD_FIELDS.find(f => f.field === field));
+}
+
+export function getPageSize() {
+  return state.tableConfig.pageSize === 'all' ? Math.max(state.filteredData.length, 1) : state.tableConfig.pageSize;
+}
+
+/**
+ * Render a table cell value with the badge or truncation its field uses
+ */
+export function renderTableCell(field, value) {
+  if (field === 'te_relevance') return getTEBadge(value);
+  if (ORDINAL_FIELD_VALUES[field]) return getSeverityBadge(value);
+  if (field === 'evidence_level') return getEvidenceBadge(value);
+  if (field === 'pmids' || field === 'dois') return renderCitationLinks(field, value);
+  if (COLUMN_TRUNCATE_LENGTHS[field]) return truncateText(value, COLUMN_TRUNCATE_LENGTHS[field]);
+  return value || '-';
+}
+
+/**
+ * Apply the configured sort; without one, rows keep relevance/dataset order
+ */
+export function sortRows(rows) {
+  const sort = state.tableConfig.sort;
+  if (!sort) return rows;
+  const direction = sort.direction === 'asc' ? 1 : -1;
+  return [...rows].sort((a, b) => direction * compareFieldValues(sort.field, a[sort.field], b[sort.field]));
+}
+
+/**
+ * Cycle a column through ascending, descending and unsorted
+ */
+export function toggleSort(field) {
+  const sort = state.tableConfig.sort;
+  if (!sort || sort.field !== field) {
+    state.tableConfig.sort = { field, direction: 'asc' };
+  } else if (sort.direction === 'asc') {
+    state.tableConfig.sort = { field, direction: 'desc' };
+  } else {
+    state.tableConfig.sort = null;
+  }
+  saveTableConfig();
+  performSearch();
+}
+
+export function setPageSize(value) {
+  state.tableConfig.pageSize = value === 'all' ? 'all' : Number(value);
+  saveTableConfig();
+  state.currentPage = 1;
+  updateUrl();
+  if (state.filteredData.length) displayResults();
+}
+
+export function setColumnVisible(field, visible) {
+  const hidden = state.tableConfig.hiddenColumns.filter(f => f !== field);
+  if (!visible) {
+    // Always keep at least one column on screen
+    if (state.tableConfig.columnOrder.length - hidden.length <= 1) {
+      renderTableControls();
+      return;
+    }
+    hidden.push(field);
+  }
+  state.tableConfig.hiddenColumns = hidden;
+  saveTableConfig();
+  renderTableControls();
+  if (state.filteredData.length) displayResults();
+}
+
+export function moveColumn(field, offset) {
+  const order = state.tableConfig.columnOrder;
+  const from = order.indexOf(field);
+  const to = from + offset;
+  if (from === -1 || to < 0 || to >= order.length) return;
+  order.splice(to, 0, order.splice(from, 1)[0]);
+  saveTableConfig();
+  renderTableControls();
+  if (state.filteredData.length) displayResults();
+}
+
+export function resetTableConfig() {
+  state.tableConfig = {
+    ...DEFAULT_TABLE_CONFIG,
+    columnOrder: [...DEFAULT_TABLE_CONFIG.columnOrder],
+    hiddenColumns: [...DEFAULT_TABLE_CONFIG.hiddenColumns]
+  };
+  saveTableConfig();
+  renderTableControls();
+  performSearch();
+}
+
+export function toggleColumnConfig() {
+  const panel = document.getElementById('columnConfig');
+  panel.hidden = !panel.hidden;
+}
+
+/**
+ * Render the page-size selector and the column show/hide/reorder list
+ */
+export function renderTableControls() {
+  setHtml(document.getElementById('pageSizeSelect'), PAGE_SIZE_OPTIONS.map(size => html`
+    <option value="${size}" ${size === state.tableConfig.pageSize ? 'selected' : ''}>${size === 'all' ? t('table.allRows') : size}</option>
+  `));
+
+  const order = state.tableConfig.columnOrder;
+  setHtml(document.getElementById('columnConfig'), html`
+    <div class="column-config-header">
+      <span>${t('table.columnsHint')}</span>
+      <button id="resetColumnsBtn" class="facet-reset"><i class="fas fa-undo"></i> ${t('table.reset')}</button>
+    </div>
+    <ul class="column-list">
+      ${order.map((field, i) => {
+        const column = RECORD_FIELDS.find(f => f.field === field);
+        const label = getFieldLabel(field);
+        return html`
+          <li>
+            <label>
+              <input type="checkbox" data-column="${field}" ${state.tableConfig.hiddenColumns.includes(field) ? '' : 'checked'} />
+              <i class="fas ${column.icon}"></i> ${label}
+            </label>
+            <span class="column-move">
+              <button data-column="${field}" data-move="-1" title="${t('table.moveUp', { field: label })}" ${i === 0 ? 'disabled' : ''}><i class="fas fa-arrow-up"></i></button>
+              <button data-column="${field}" data-move="1" title="${t('table.moveDown', { field: label })}" ${i === order.length - 1 ? 'disabled' : ''}><i class="fas fa-arrow-down"></i></button>
+            </span>
+          </li>
+        `;
+      })}
+    </ul>
+  `);
+}
@@ -0,0 +1,1237 @@
+/**
+ * Tool panel and the bioinformatics tool UIs.
+ */
+
+import { state } from './state.js';
+import { ORDINAL_FIELD_VALUES, TE_CATEGORIES, getFieldLabel } from './schema.js';
+import { html, joinHtml, safeUrl, setHtml } from './html.js';
+import { truncateText } from './utils.js';
+import { focusHeading, isFocusable, showFieldError } from './a11y.js';
+import { focusResults } from './results.js';
+import { findRecordByKey, getGeneRouteKey } from './records.js';
+import {
+  appendFastaDownload, readSequenceRecords, renderSequenceInputControls, sequenceOutputs,
+  setSequenceOutput
+} from './sequence-input.js';
+import { updateUrl } from './url-state.js';
+import { requireConnection, updateConnectionStatus } from './offline.js';
+import { RECOMMENDER_PROFILE_FIELDS } from './recommender.js';
+import { t } from './i18n.js';
+import { NETWORK_NODE_TYPES, renderNetworkTool } from './network.js';
+import { PATHWAY_OVERLAY_FIELDS, renderPathwayMap } from './pathway.js';
+import { formatSequence, getComplement, getReverseComplement } from './sequence/sequence-utils.js';
+import { detectAlphabet, parseSequenceInput, toFasta } from './sequence/sequence-parser.js';
+import {
+  CPG_ISLAND_CRITERIA, HYDROPATHY_DEFAULT_WINDOW, computeHydropathyProfile,
+  computeNucleotideComposition, computeProteinProperties, findCpgIslands, findRestrictionSites,
+  getDigestFragments
+} from './sequence/composition.js';
+import {
+  NCBI_BLAST_MAX_QUERY_LENGTH, SIMILARITY_SEARCH_DEFAULTS, loadReferenceSequences,
+  searchReferences
+} from './sequence/alignment.js';
+import {
+  GENETIC_CODES, ORF_DEFAULT_MIN_LENGTH, findOpenReadingFrames, getSixFrames
+} from './sequence/genetic-codes.js';
+import {
+  PRIMER_DEFAULTS, designPrimerPairs, validatePrimerSettings
+} from './sequence/primer-design.js';
+
+// ============================================
+// Tool Functions
+// ============================================
+
+// Primary input of each tool, restored from and saved to the URL
+export const TOOL_INPUT_IDS = {
+  blast: 'blastSeq',
+  kegg: 'keggInput',
+  primer: 'primerSeq',
+  translate: 'transSeq',
+  complement: 'compSeq',
+  analysis: 'analysisSeq',
+  recommend: 'recommendGenes',
+  uniprot: 'uniInput',
+  chembl: 'chemblInput'
+};
+
+// Element focused before the tool panel opened; closeTool() returns focus to it
+let toolOpener = null;
+
+/**
+ * Show the tool panel in place of the results. Focus moves to the panel
+ * title when the panel opens.
+ */
+export function openToolPanel(title, content) {
+  const toolContent = document.getElementById('toolContent');
+  const opening = toolContent.hidden;
+  if (opening) toolOpener = document.activeElement;
+
+  document.getElementById('resultsContainer').hidden = true;
+  document.getElementById('geneDetail').hidden = true;
+  document.getElementById('comparisonView').hidden = true;
+  toolContent.hidden = false;
+  document.getElementById('toolTitle').textContent = title;
+  setHtml(document.getElementById('toolBody'), content);
+  if (opening) focusHeading(document.getElementById('toolTitle'));
+}
+
+/**
+ * Show tool in the tool content area; false when there is no such tool
+ */
+export function showTool(toolName) {
+  const tools = {
+    blast: {
+      title: t('tool.blast.title'),
+      content: html`
+        <div class="tool-form">
+          <label for="blastSeq">${t('tool.input.any')}</label>
+          <textarea id="blastSeq" class="sequence-input" rows="6" placeholder=">Sequence\nATCGATCGATCG..."></textarea>
+          ${renderSequenceInputControls('blastSeq')}
+          <div class="settings-grid">
+            <label>${t('tool.blast.alignment')}
+              <select id="alignMode">
+                <option value="local">${t('tool.blast.local')}</option>
+                <option value="global">${t('tool.blast.global')}</option>
+              </select>
+            </label>
+            <label>${t('tool.blast.maxHits')}
+              <input type="number" id="alignMaxHits" value="${SIMILARITY_SEARCH_DEFAULTS.maxHits}" min="1" max="50" />
+            </label>
+            <label>${t('tool.blast.evalue')}
+              <input type="number" id="alignEvalue" value="${SIMILARITY_SEARCH_DEFAULTS.evalue}" min="0" step="any" />
+            </label>
+          </div>
+          <div class="tool-actions">
+            <button data-action="runBLAST" class="action-btn"><i class="fas fa-play"></i> ${t('tool.blast.run')}</button>
+            <button data-action="openNcbiBlast" class="action-btn secondary"><i class="fas fa-external-link-alt"></i> ${t('tool.blast.openNcbi')}</button>
+          </div>
+          <p class="sequence-info">${t('tool.blast.note')}</p>
+          <div id="blastResults" class="tool-results"></div>
+        </div>
+      `
+    },
+    kegg: {
+      title: t('tool.kegg.title'),
+      content: html`
+        <div class="tool-form">
+          <div class="pathway-toolbar">
+            <h4>${t('pathway.title')}</h4>
+            <label>${t('pathway.overlay')}
+              <select id="pathwayOverlay">
+                <option value="">${t('pathway.overlayNone')}</option>
+                ${PATHWAY_OVERLAY_FIELDS.map(field => html`<option value="${field}">${getFieldLabel(field)}</option>`)}
+              </select>
+            </label>
+          </div>
+          <div id="pathwayMap"></div>
+          <div id="pathwayLegend" class="pathway-legend"></div>
+          <p class="sequence-info">${t('pathway.help')}</p>
+          <div id="pathwayGenes"></div>
+          <h4>${t('tool.kegg.lookup')}</h4>
+          <label for="keggInput">${t('tool.kegg.label')}</label>
+          <input type="text" id="keggInput" placeholder="${t('tool.kegg.placeholder')}" />
+          <div class="tool-actions">
+            <button data-action="openKEGG" class="action-btn" data-requires-network><i class="fas fa-external-link-alt"></i> ${t('tool.kegg.open')}</button>
+          </div>
+          <p class="offline-note"><i class="fas fa-plane"></i> ${t('tool.opensOnline', { service: 'KEGG' })}</p>
+          <div id="keggResults" class="tool-results"></div>
+        </div>
+      `,
+      init: () => renderPathwayMap()
+    },
+    primer: {
+      title: t('tool.primer.title'),
+      content: html`
+        <div class="tool-form">
+          <label for="primerSeq">${t('tool.input.target')}</label>
+          <textarea id="primerSeq" class="sequence-input" rows="6" placeholder=">Sequence\nATCGATCGATCG..."></textarea>
+          ${renderSequenceInputControls('primerSeq')}
+          <details class="tool-settings">
+            <summary><i class="fas fa-sliders-h"></i> ${t('tool.primer.settings')}</summary>
+            <div class="settings-grid">
+              <label>${t('tool.primer.length')}
+                <span class="setting-inputs">
+                  <input type="number" id="primerLenMin" value="${PRIMER_DEFAULTS.lengthMin}" min="12" max="40" />
+                  <input type="number" id="primerLenOpt" value="${PRIMER_DEFAULTS.lengthOpt}" min="12" max="40" />
+                  <input type="number" id="primerLenMax" value="${PRIMER_DEFAULTS.lengthMax}" min="12" max="40" />
+                </span>
+              </label>
+              <label>${t('tool.primer.tm')}
+                <span class="setting-inputs">
+                  <input type="number" id="primerTmMin" value="${PRIMER_DEFAULTS.tmMin}" step="0.5" />
+                  <input type="number" id="primerTmOpt" value="${PRIMER_DEFAULTS.tmOpt}" step="0.5" />
+                  <input type="number" id="primerTmMax" value="${PRIMER_DEFAULTS.tmMax}" step="0.5" />
+                </span>
+              </label>
+              <label>${t('tool.primer.gc')}
+                <span class="setting-inputs">
+                  <input type="number" id="primerGcMin" value="${PRIMER_DEFAULTS.gcMin}" min="0" max="100" />
+                  <input type="number" id="primerGcMax" value="${PRIMER_DEFAULTS.gcMax}" min="0" max="100" />
+                </span>
+              </label>
+              <label>${t('tool.primer.product')}
+                <span class="setting-inputs">
+                  <input type="number" id="productMin" value="${PRIMER_DEFAULTS.productMin}" min="40" />
+                  <input type="number" id="productMax" value="${PRIMER_DEFAULTS.productMax}" min="40" />
+                </span>
+              </label>
+              <label>${t('tool.primer.salts')}
+                <span class="setting-inputs">
+                  <input type="number" id="primerNa" value="${PRIMER_DEFAULTS.naMm}" min="0" step="1" />
+                  <input type="number" id="primerMg" value="${PRIMER_DEFAULTS.mgMm}" min="0" step="0.1" />
+                  <input type="number" id="primerDntp" value="${PRIMER_DEFAULTS.dntpMm}" min="0" step="0.1" />
+                </span>
+              </label>
+              <label>${t('tool.primer.concentration')}
+                <span class="setting-inputs">
+                  <input type="number" id="primerConc" value="${PRIMER_DEFAULTS.primerNm}" min="1" />
+                  <input type="number" id="primerMaxTmDiff" value="${PRIMER_DEFAULTS.maxTmDiff}" min="0" step="0.5" />
+                </span>
+              </label>
+              <label>${t('tool.primer.pairs')}
+                <span class="setting-inputs">
+                  <input type="number" id="primerCount" value="${PRIMER_DEFAULTS.pairCount}" min="1" max="50" />
+                </span>
+              </label>
+              <label class="setting-checkbox">
+                <input type="checkbox" id="primerGcClamp" ${PRIMER_DEFAULTS.gcClamp ? 'checked' : ''} /> ${t('tool.primer.gcClamp')}
+              </label>
+            </div>
+          </details>
+          <div class="tool-actions">
+            <button data-action="designPrimers" class="action-btn"><i class="fas fa-magic"></i> ${t('tool.primer.design')}</button>
+          </div>
+          <div id="primerResults" class="tool-results"></div>
+        </div>
+      `
+    },
+    translate: {
+      title: t('tool.translate.title'),
+      content: html`
+        <div class="tool-form">
+          <label for="transSeq">${t('tool.input.dna')}</label>
+          <textarea id="transSeq" class="sequence-input" rows="6" placeholder=">Sequence\nATCGATCGATCG..."></textarea>
+          ${renderSequenceInputControls('transSeq')}
+          <div class="settings-grid">
+            <label>${t('tool.translate.geneticCode')}
+              <select id="geneticCode">
+                ${Object.entries(GENETIC_CODES).map(([id, code]) =>
+                  html`<option value="${id}">${id}. ${code.name}</option>`)}
+              </select>
+            </label>
+            <label>${t('tool.translate.orfMinLength')}
+              <input type="number" id="orfMinLength" value="${ORF_DEFAULT_MIN_LENGTH}" min="1" />
+            </label>
+            <label class="setting-checkbox">
+              <input type="checkbox" id="orfAltStarts" /> ${t('tool.translate.altStarts')}
+            </label>
+          </div>
+          <div class="tool-actions">
+            <button data-action="transcribeDNA" class="action-btn"><i class="fas fa-arrow-right"></i> ${t('tool.translate.transcribe')}</button>
+            <button data-action="translateDNA" class="action-btn"><i class="fas fa-arrow-right"></i> ${t('tool.translate.sixFrame')}</button>
+            <button data-action="findORFs" class="action-btn"><i class="fas fa-search"></i> ${t('tool.translate.findOrfs')}</button>
+          </div>
+          <div id="transResults" class="tool-results"></div>
+        </div>
+      `
+    },
+    complement: {
+      title: t('tool.complement.title'),
+      content: html`
+        <div class="tool-form">
+          <label for="compSeq">${t('tool.input.dna')}</label>
+          <textarea id="compSeq" class="sequence-input" rows="6" placeholder=">Sequence\nATCGATCGATCG..."></textarea>
+          ${renderSequenceInputControls('compSeq')}
+          <div class="tool-actions">
+            <button data-action="complementDNA" class="action-btn"><i class="fas fa-sync"></i> ${t('tool.complement.complement')}</button>
+            <button data-action="reverseComplementDNA" class="action-btn"><i class="fas fa-sync-alt"></i> ${t('tool.complement.reverse')}</button>
+          </div>
+          <div id="compResults" class="tool-results"></div>
+        </div>
+      `
+    },
+    recommend: {
+      title: t('tool.recommend.title'),
+      content: html`
+        <div class="tool-form">
+          <label for="recommendGenes">${t('tool.recommend.genes')}</label>
+          <textarea id="recommendGenes" rows="2" placeholder="APOE, TREM2, PSEN1"></textarea>
+          <label for="recommendMechanisms">${t('tool.recommend.mechanisms')}</label>
+          <input type="text" id="recommendMechanisms" placeholder="amyloid, tau, neuroinflammation" />
+          <p class="sequence-info">${t('tool.recommend.note')}</p>
+          <div class="settings-grid">
+            ${RECOMMENDER_PROFILE_FIELDS.map(field => html`
+              <label>${getFieldLabel(field)}
+                <select id="recommend_${field}" data-profile-field="${field}">
+                  <option value="">${t('tool.recommend.any')}</option>
+                  ${ORDINAL_FIELD_VALUES[field].map(value => html`<option value="${value}">${t('tool.recommend.orWorse', { value })}</option>`)}
+                </select>
+              </label>
+            `)}
+            <label>${getFieldLabel('te_relevance')}
+              <select id="recommend_te_relevance">
+                <option value="">${t('tool.recommend.any')}</option>
+                ${TE_CATEGORIES.map(value => html`<option value="${value}">${value}</option>`)}
+              </select>
+            </label>
+          </div>
+          <div class="tool-actions">
+            <button data-action="runRecommender" class="action-btn"><i class="fas fa-lightbulb"></i> ${t('tool.recommend.run')}</button>
+          </div>
+          <div id="recommendResults" class="tool-results"></div>
+        </div>
+      `
+    },
+    network: {
+      title: t('tool.network.title'),
+      content: html`
+        <div class="tool-form">
+          <div class="network-toolbar">
+            <div class="network-types">
+              ${NETWORK_NODE_TYPES.map(type => html`
+                <label class="network-type">
+                  <input type="checkbox" data-network-type="${type.type}" checked />
+                  <span class="network-swatch" data-style="background: ${type.color}"></span> ${t(`network.type.${type.type}`)}
+                </label>
+              `)}
+            </div>
+            <label class="network-scope">
+              <input type="checkbox" id="networkScope" /> ${t('tool.network.scope')}
+            </label>
+          </div>
+          <div class="network-frame">
+            <div id="networkGraph"></div>
+            <div class="network-zoom">
+              <button type="button" data-network-zoom="in" title="${t('tool.network.zoomIn')}"><i class="fas fa-plus"></i></button>
+              <button type="button" data-network-zoom="out" title="${t('tool.network.zoomOut')}"><i class="fas fa-minus"></i></button>
+              <button type="button" data-network-zoom="reset" title="${t('tool.network.resetView')}"><i class="fas fa-expand"></i></button>
+            </div>
+          </div>
+          <p class="sequence-info">${t('tool.network.help')}</p>
+          <div id="networkSelection"></div>
+          <div class="tool-actions">
+            <button type="button" class="action-btn secondary" data-network-export="svg"><i class="fas fa-file-code"></i> ${t('tool.network.exportSvg')}</button>
+            <button type="button" class="action-btn secondary" data-network-export="png"><i class="fas fa-file-image"></i> ${t('tool.network.exportPng')}</button>
+          </div>
+        </div>
+      `,
+      init: () => renderNetworkTool()
+    },
+    analysis: {
+      title: t('tool.analysis.title'),
+      content: html`
+        <div class="tool-form">
+          <label for="analysisSeq">${t('tool.input.analysis')}</label>
+          <textarea id="analysisSeq" class="sequence-input" rows="6" placeholder=">Sequence\nATCGATCGATCG..."></textarea>
+          ${renderSequenceInputControls('analysisSeq')}
+          <div class="settings-grid">
+            <label>${t('tool.analysis.enzymes')}
+              <select id="enzymeFilter">
+                <option value="cutters">${t('tool.analysis.cutters')}</option>
+                <option value="unique">${t('tool.analysis.unique')}</option>
+                <option value="all">${t('tool.analysis.allEnzymes')}</option>
+              </select>
+            </label>
+            <label>${t('tool.analysis.hydropathyWindow')}
+              <input type="number" id="hydropathyWindow" value="${HYDROPATHY_DEFAULT_WINDOW}" min="3" max="31" step="2" />
+            </label>
+          </div>
+          <div class="tool-actions">
+            <button data-action="analyzeRestrictionSites" class="action-btn"><i class="fas fa-cut"></i> ${t('tool.analysis.restrictionMap')}</button>
+            <button data-action="analyzeComposition" class="action-btn"><i class="fas fa-chart-bar"></i> ${t('tool.analysis.composition')}</button>
+            <button data-action="analyzeProtein" class="action-btn"><i class="fas fa-atom"></i> ${t('tool.analysis.protein')}</button>
+          </div>
+          <div id="analysisResults" class="tool-results"></div>
+        </div>
+      `
+    },
+    uniprot: {
+      title: t('tool.uniprot.title'),
+      content: html`
+        <div class="tool-form">
+          <label for="uniInput">${t('tool.uniprot.label')}</label>
+          <input type="text" id="uniInput" placeholder="${t('tool.uniprot.placeholder')}" />
+          <div class="tool-actions">
+            <button data-action="openUniProt" class="action-btn" data-requires-network><i class="fas fa-search"></i> ${t('tool.uniprot.search')}</button>
+          </div>
+          <p class="offline-note"><i class="fas fa-plane"></i> ${t('tool.opensOnline', { service: 'UniProt' })}</p>
+          <div id="uniResults"></div>
+        </div>
+      `
+    },
+    chembl: {
+      title: t('tool.chembl.title'),
+      content: html`
+        <div class="tool-form">
+          <label for="chemblInput">${t('tool.chembl.label')}</label>
+          <input type="text" id="chemblInput" placeholder="${t('tool.chembl.placeholder')}" />
+          <div class="tool-actions">
+            <button data-action="openChEMBL" class="action-btn" data-requires-network><i class="fas fa-search"></i> ${t('tool.chembl.search')}</button>
+          </div>
+          <p class="offline-note"><i class="fas fa-plane"></i> ${t('tool.opensOnline', { service: 'ChEMBL' })}</p>
+          <div id="chemblResults"></div>
+        </div>
+      `
+    }
+  };
+
+  const tool = tools[toolName];
+  if (tool) {
+    openToolPanel(tool.title, tool.content);
+    // Switching tools in an open panel also announces the new one
+    focusHeading(document.getElementById('toolTitle'));
+    state.activeTool = toolName;
+    if (tool.init) tool.init();
+    updateConnectionStatus();
+    updateUrl();
+  }
+  return Boolean(tool);
+}
+
+/**
+ * Close tool and show results, returning focus to where it was before
+ * the panel opened (or to the results)
+ */
+export function closeTool() {
+  const toolContent = document.getElementById('toolContent');
+  const hadFocus = toolContent.contains(document.activeElement);
+  toolContent.hidden = true;
+  document.getElementById('resultsContainer').hidden = false;
+  state.activeTool = null;
+  updateUrl();
+  if (hadFocus) {
+    if (isFocusable(toolOpener)) {
+      toolOpener.focus();
+    } else {
+      focusResults();
+    }
+  }
+  toolOpener = null;
+}
+
+// ============================================
+// Bioinformatics Tool Implementations
+// ============================================
+
+export async function runBLAST() {
+  const records = readSequenceRecords('blastSeq', 'blastResults', { alphabet: 'any' });
+  if (!records) return;
+  if (records.some(record => record.sequence.length > SIMILARITY_SEARCH_DEFAULTS.maxQueryLength)) {
+    showFieldError(document.getElementById('blastSeq'),
+      t('tool.blast.tooLong', { max: SIMILARITY_SEARCH_DEFAULTS.maxQueryLength }));
+    return;
+  }
+
+  const container = document.getElementById('blastResults');
+  setHtml(container, html`
+    <div class="loading-spinner">
+      <i class="fas fa-spinner fa-spin"></i>
+      <p>${t('tool.blast.searching')}</p>
+    </div>
+  `);
+
+  let references;
+  try {
+    references = await loadReferenceSequences();
+  } catch (error) {
+    console.warn('Reference sequences unavailable:', error);
+    setHtml(container, html`
+      <div class="alert alert-error">
+        <i class="fas fa-exclamation-circle"></i>
+        ${t('tool.blast.referencesUnavailable')}
+        <a href="#" class="alert-link" data-ncbi-blast>${t('tool.blast.useNcbi')}</a>
+      </div>
+    `);
+    return;
+  }
+
+  const options = {
+    ...SIMILARITY_SEARCH_DEFAULTS,
+    mode: document.getElementById('alignMode').value,
+    maxHits: parseInt(document.getElementById('alignMaxHits').value, 10) || SIMILARITY_SEARCH_DEFAULTS.maxHits,
+    evalue: parseFloat(document.getElementById('alignEvalue').value)
+  };
+  if (!Number.isFinite(options.evalue)) options.evalue = SIMILARITY_SEARCH_DEFAULTS.evalue;
+
+  // Let the spinner paint before the alignment work blocks the page
+  await new Promise(resolve => setTimeout(resolve, 0));
+
+  setHtml(container, records.map(record => {
+    const type = record.alphabet === 'protein' ? 'protein' : 'nucleotide';
+    const query = type === 'nucleotide' ? record.sequence.replace(/U/g, 'T') : record.sequence;
+    const hits = searchReferences(query, references[type], type, options);
+    return renderSimilarityHits(record, hits, type, options, records.length > 1);
+  }));
+}
+
+/**
+ * Previous BLAST behavior: hand the query to NCBI. Long queries do not fit
+ * in a URL, so those open the empty search form to paste into.
+ */
+export function openNcbiBlast() {
+  const input = document.getElementById('blastSeq').value.trim();
+  if (!input) {
+    showFieldError(document.getElementById('blastSeq'), t('sequence.enter'));
+    return;
+  }
+  if (!requireConnection('NCBI BLAST', 'blastResults')) return;
+  const { records } = parseSequenceInput(input);
+  const program = records.length && detectAlphabet(records[0].sequence) === 'protein' ? 'blastp' : 'blastn';
+  const query = encodeURIComponent(toFasta(records));
+  const fitsInUrl = query.length <= NCBI_BLAST_MAX_QUERY_LENGTH;
+  const blastURL = fitsInUrl
+    ? `https://blast.ncbi.nlm.nih.gov/Blast.cgi?CMD=Put&QUERY=${query}&DATABASE=nr&PROGRAM=${program}`
+    : `https://blast.ncbi.nlm.nih.gov/Blast.cgi?PAGE_TYPE=BlastSearch&PROGRAM=${program}`;
+  setHtml(document.getElementById('blastResults'), html`
+    <div class="alert alert-info">
+      <i class="fas fa-info-circle"></i> 
+      ${t(fitsInUrl ? 'tool.blast.opening' : 'tool.blast.tooLongForLink')}
+      <a href="${safeUrl(blastURL)}" target="_blank" rel="noopener" class="alert-link">${t('tool.notRedirected')}</a>
+    </div>
+  `);
+  window.open(blastURL, '_blank');
+}
+
+function renderSimilarityHits(record, hits, type, options, showRecord) {
+  const recordLabel = showRecord && html` &middot; ${record.id}`;
+  const local = options.mode === 'local';
+
+  if (hits.length === 0) {
+    return html`
+      <div class="sequence-result">
+        <h4><i class="fas fa-search"></i> ${t('tool.blast.noHits')}${recordLabel}</h4>
+        <div class="sequence-info">${local
+          ? t('tool.blast.noHitsLocal', { evalue: String(options.evalue) })
+          : t('tool.blast.noHitsGlobal')}</div>
+      </div>
+    `;
+  }
+
+  const rows = hits.map((hit, i) => {
+    const symbol = hit.reference.symbol;
+    const record = symbol && findRecordByKey(symbol);
+    const name = record
+      ? html`<a href="#gene/${encodeURIComponent(getGeneRouteKey(record))}">${symbol}</a>`
+      : symbol || '';
+    return html`
+      <tr>
+        <td>${i + 1}</td>
+        <td><strong>${name}</strong> <span class="hit-accession">${hit.reference.id}</span></td>
+        <td>${hit.alignment.score}</td>
+        <td>${local ? hit.bitScore.toFixed(1) : '–'}</td>
+        <td>${local ? formatEvalue(hit.evalue) : '–'}</td>
+        <td>${hit.alignment.identity.toFixed(1)}%</td>
+        <td>${hit.queryCoverage.toFixed(0)}%</td>
+        <td>${type === 'nucleotide' ? t(`tool.blast.strand.${hit.strand}`) : '–'}</td>
+      </tr>
+    `;
+  });
+
+  const alignments = hits.map((hit, i) => html`
+    <details class="hit-alignment" ${i === 0 ? 'open' : ''}>
+      <summary>#${i + 1} ${hit.reference.id} ${hit.reference.description}</summary>
+      <div class="sequence-info">
+        ${local
+          ? t('tool.blast.scoreLocal', { score: hit.alignment.score, bits: hit.bitScore.toFixed(1), evalue: formatEvalue(hit.evalue) })
+          : t('tool.blast.scoreGlobal', { score: hit.alignment.score })} &middot;
+        ${t('tool.blast.identities', { matches: hit.alignment.matches, length: hit.alignment.length, percent: hit.alignment.identity.toFixed(0) })}
+        ${type === 'protein' && html`&middot; ${t('tool.blast.positives', { positives: hit.alignment.positives, length: hit.alignment.length })}`}
+        &middot; ${t('tool.blast.gaps', { gaps: hit.alignment.gaps, length: hit.alignment.length })}
+      </div>
+      <pre class="alignment-view">${renderPairwiseAlignment(hit)}</pre>
+    </details>
+  `);
+
+  return html`
+    <div class="sequence-result">
+      <h4><i class="fas fa-search"></i> ${t('tool.blast.hits', { count: hits.length })}${recordLabel}</h4>
+      <div class="sequence-info">${t(`tool.blast.summary.${options.mode}`, { references: t(`tool.blast.references.${type}`) })}</div>
+      <table class="orf-table hit-table">
+        <thead><tr>
+          <th>#</th><th>${t('tool.blast.column.reference')}</th><th>${t('tool.blast.column.score')}</th>
+          <th>${t('tool.blast.column.bits')}</th><th>${t('tool.blast.column.evalue')}</th><th>${t('tool.blast.column.identity')}</th>
+          <th>${t('tool.blast.column.queryCover')}</th><th>${t('tool.blast.column.strand')}</th>
+        </tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+      ${alignments}
+    </div>
+  `;
+}
+
+function formatEvalue(evalue) {
+  if (evalue === 0) return '0';
+  return evalue < 0.001 ? evalue.toExponential(1) : evalue.toPrecision(2);
+}
+
+/**
+ * BLAST-style text alignment in 60-column blocks with coordinates
+ */
+function renderPairwiseAlignment(hit) {
+  const { query, subject, midline, queryStart, queryEnd, subjectStart } = hit.alignment;
+  // Minus-strand hits align the reverse complement, so query positions count down
+  const queryStep = hit.strand === 'minus' ? -1 : 1;
+  const lines = [];
+  let q = hit.strand === 'minus' ? queryEnd : queryStart;
+  let sPos = subjectStart;
+
+  for (let i = 0; i < query.length; i += 60) {
+    const qChunk = query.substring(i, i + 60);
+    const sChunk = subject.substring(i, i + 60);
+    const qEnd = q + queryStep * (qChunk.replace(/-/g, '').length - 1);
+    const sEnd = sPos + sChunk.replace(/-/g, '').length - 1;
+    lines.push(
+      `Query  ${String(q).padEnd(7)}${qChunk}  ${qEnd}`,
+      `       ${' '.repeat(7)}${midline.substring(i, i + 60)}`,
+      `Sbjct  ${String(sPos).padEnd(7)}${sChunk}  ${sEnd}`,
+      ''
+    );
+    q = qEnd + queryStep;
+    sPos = sEnd + 1;
+  }
+  return lines.join('\n');
+}
+
+export function openKEGG() {
+  const keggId = document.getElementById('keggInput').value.trim();
+  if (!keggId) {
+    showFieldError(document.getElementById('keggInput'), t('tool.kegg.enter'));
+    return;
+  }
+  if (!requireConnection('KEGG', 'keggResults')) return;
+  // Entry IDs (hsa:10458, map05010) open directly; gene symbols are searched in hsa
+  const isEntryId = /^[a-z]+:\S+$|^[a-z]{2,4}\d{5}$/i.test(keggId);
+  const keggURL = isEntryId
+    ? `https://www.genome.jp/dbget-bin/www_bget?${keggId}`
+    : `https://www.genome.jp/dbget-bin/www_bfind_sub?mode=bfind&max_hit=1000&dbkey=hsa&keywords=${encodeURIComponent(keggId)}`;
+  setHtml(document.getElementById('keggResults'), html`
+    <div class="alert alert-info">
+      <i class="fas fa-info-circle"></i> 
+      ${t('tool.kegg.opening')}
+      <a href="${safeUrl(keggURL)}" target="_blank" rel="noopener" class="alert-link">${t('tool.kegg.view')}</a>
+    </div>
+  `);
+  window.open(keggURL, '_blank');
+}
+
+export function designPrimers() {
+  const records = readSequenceRecords('primerSeq', 'primerResults', { alphabet: 'dna' });
+  if (!records) return;
+
+  const settings = readPrimerSettings();
+  const settingsError = validatePrimerSettings(settings);
+  if (settingsError) {
+    document.querySelector('.tool-settings').open = true;
+    setHtml(document.getElementById('primerResults'), html`
+      <div class="alert alert-error" role="alert">
+        <i class="fas fa-exclamation-circle"></i> ${t(`tool.primer.error.${settingsError}`)}
+      </div>
+    `);
+    return;
+  }
+
+  state.primerDesignResults = records.map(record => ({
+    record,
+    selected: 0,
+    ...(record.sequence.length < settings.productMin
+      ? { tooShort: true, pairs: [] }
+      : designPrimerPairs(record.sequence, settings))
+  }));
+  renderPrimerResults(state.primerDesignResults);
+
+  const output = [];
+  state.primerDesignResults.forEach(({ record, pairs }) => {
+    pairs.forEach((pair, i) => {
+      [['F', pair.forward], ['R', pair.reverse]].forEach(([direction, primer]) => {
+        output.push({
+          id: `${record.id}_pair${i + 1}_${direction}`,
+          description: `Tm=${primer.tm.toFixed(1)} GC=${primer.gc.toFixed(0)}% product=${pair.productSize}bp`,
+          sequence: primer.seq
+        });
+      });
+    });
+  });
+  setSequenceOutput('primerResults', output, 'primers.fasta');
+}
+
+/**
+ * Read the design settings form, falling back to defaults for blank fields
+ */
+function readPrimerSettings() {
+  const number = (id, fallback) => {
+    const value = parseFloat(document.getElementById(id).value);
+    return Number.isFinite(value) ? value : fallback;
+  };
+  const d = PRIMER_DEFAULTS;
+  return {
+    ...d,
+    lengthMin: number('primerLenMin', d.lengthMin),
+    lengthOpt: number('primerLenOpt', d.lengthOpt),
+    lengthMax: number('primerLenMax', d.lengthMax),
+    tmMin: number('primerTmMin', d.tmMin),
+    tmOpt: number('primerTmOpt', d.tmOpt),
+    tmMax: number('primerTmMax', d.tmMax),
+    gcMin: number('primerGcMin', d.gcMin),
+    gcMax: number('primerGcMax', d.gcMax),
+    productMin: number('productMin', d.productMin),
+    productMax: number('productMax', d.productMax),
+    naMm: number('primerNa', d.naMm),
+    mgMm: number('primerMg', d.mgMm),
+    dntpMm: number('primerDntp', d.dntpMm),
+    primerNm: number('primerConc', d.primerNm),
+    maxTmDiff: number('primerMaxTmDiff', d.maxTmDiff),
+    pairCount: Math.round(number('primerCount', d.pairCount)),
+    gcClamp: document.getElementById('primerGcClamp').checked
+  };
+}
+
+export function renderPrimerResults(results) {
+  setHtml(document.getElementById('primerResults'), results
+    .map((result, recordIndex) => renderPrimerRecord(result, recordIndex, results.length > 1)));
+  if (sequenceOutputs.primerResults) appendFastaDownload('primerResults');
+}
+
+function renderPrimerRecord(result, recordIndex, showRecord) {
+  const { record, pairs, stats, selected } = result;
+  const recordHeading = showRecord ? html`<h4 class="record-heading"><i class="fas fa-dna"></i> ${record.id}</h4>` : '';
+
+  if (result.tooShort) {
+    return html`
+      <div class="primer-results">
+        ${recordHeading}
+        <p class="sequence-info">${t('tool.primer.tooShort', { length: record.sequence.length })}</p>
+      </div>
+    `;
+  }
+
+  if (pairs.length === 0) {
+    const reasons = Object.entries(stats.rejected)
+      .filter(([, count]) => count > 0)
+      .sort((a, b) => b[1] - a[1])
+      .map(([reason, count]) => html`<li>${t(`tool.primer.rejected.${reason}`)}: ${count}</li>`);
+    return html`
+      <div class="primer-results">
+        ${recordHeading}
+        <h4><i class="fas fa-times-circle"></i> ${t('tool.primer.noPairs')}</h4>
+        <p class="sequence-info">${t('tool.primer.noPairsChecked', {
+          forward: stats.forwardCandidates, reverse: stats.reverseCandidates, pairs: stats.pairsChecked
+        })}</p>
+        <ul class="primer-rejections">${reasons}</ul>
+        <p class="sequence-info">${t('tool.primer.widen')}</p>
+      </div>
+    `;
+  }
+
+  const primerCard = (label, primer) => html`
+    <div class="primer-card">
+      <div class="primer-header">
+        <span class="primer-label">${label}</span>
+        <span class="primer-tm">${t('tool.primer.cardTm', { tm: primer.tm.toFixed(1) })}</span>
+      </div>
+      <div class="primer-seq">5'-${primer.seq}-3'</div>
+      <div class="primer-info">
+        ${primer.start + 1}–${primer.end} | ${t('tool.primer.cardInfo', {
+          length: primer.seq.length,
+          gc: primer.gc.toFixed(0),
+          endStability: primer.endStability.toFixed(1),
+          hairpin: primer.hairpin.toFixed(1),
+          selfDimer: primer.selfDimer.toFixed(1),
+          selfDimerEnd: primer.selfDimerEnd.toFixed(1)
+        })}
+      </div>
+    </div>
+  `;
+
+  return html`
+    <div class="primer-results">
+      ${recordHeading}
+      <h4><i class="fas fa-check-circle"></i> ${t('tool.primer.ranked', { count: pairs.length })}</h4>
+      <p class="sequence-info">${t('tool.primer.scanned', {
+        forward: stats.forwardCandidates, reverse: stats.reverseCandidates, pairs: stats.pairsChecked
+      })}</p>
+      ${pairs.map((pair, i) => html`
+      <div class="primer-pair ${i === selected ? 'selected' : ''}" data-primer-pair="${recordIndex}:${i}">
+        <div class="primer-pair-header">
+          <span class="primer-rank">#${i + 1}</span>
+          <span>${t('tool.primer.pairProduct', { size: pair.productSize })}</span>
+          <span>${t('tool.primer.pairTmDiff', { difference: pair.tmDiff.toFixed(1) })}</span>
+          <span>${t('tool.primer.pairCrossDimer', { deltaG: pair.crossDimer.toFixed(1), endDeltaG: pair.crossDimerEnd.toFixed(1) })}</span>
+          <span class="primer-penalty">${t('tool.primer.pairPenalty', { penalty: pair.penalty.toFixed(2) })}</span>
+        </div>
+        ${primerCard(t('tool.primer.forwardPrimer'), pair.forward)}
+        ${primerCard(t('tool.primer.reversePrimer'), pair.reverse)}
+      </div>
+      `)}
+      <h4><i class="fas fa-map"></i> ${t('tool.primer.amplicon', { number: selected + 1 })}</h4>
+      <div class="sequence-box amplicon-map">${renderAmpliconMap(record.sequence, pairs[selected])}</div>
+      <div class="sequence-info">
+        <span class="primer-fwd">${t('tool.primer.legend.forward')}</span>
+        <span class="amplicon">${t('tool.primer.legend.amplicon')}</span>
+        <span class="primer-rev">${t('tool.primer.legend.reverse')}</span>
+        &middot; ${t('tool.primer.selectPair')}
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Target sequence in numbered 60-base lines with the primers and amplicon marked
+ */
+function renderAmpliconMap(seq, pair) {
+  const regionClass = (i) => {
+    if (i >= pair.forward.start && i < pair.forward.end) return 'primer-fwd';
+    if (i >= pair.reverse.start && i < pair.reverse.end) return 'primer-rev';
+    if (i >= pair.forward.end && i < pair.reverse.start) return 'amplicon';
+    return '';
+  };
+
+  const lines = [];
+  for (let lineStart = 0; lineStart < seq.length; lineStart += 60) {
+    // Runs of bases sharing a region, each in one span
+    const runs = [];
+    for (let i = lineStart; i < Math.min(lineStart + 60, seq.length); i++) {
+      const cls = regionClass(i);
+      const base = (i > lineStart && (i - lineStart) % 10 === 0 ? ' ' : '') + seq[i];
+      const run = runs[runs.length - 1];
+      if (run && run.cls === cls) {
+        run.text += base;
+      } else {
+        runs.push({ cls, text: base });
+      }
+    }
+    lines.push(html`<span class="map-position">${String(lineStart + 1).padStart(6, ' ')}</span> ${runs.map(({ cls, text }) => (
+      cls ? html`<span class="${cls}">${text}</span>` : text
+    ))}`);
+  }
+  return joinHtml(lines, '\n');
+}
+
+export function transcribeDNA() {
+  const records = readSequenceRecords('transSeq', 'transResults', { alphabet: 'nucleotide' });
+  if (!records) return;
+
+  const output = records.map(record => ({ ...record, sequence: record.sequence.replace(/T/g, 'U') }));
+  setHtml(document.getElementById('transResults'), output.map(record => html`
+    <div class="sequence-result">
+      <h4><i class="fas fa-arrow-right"></i> ${t('tool.translate.rna')}${records.length > 1 ? html` &middot; ${record.id}` : ''}</h4>
+      <div class="sequence-box rna">${formatSequence(record.sequence)}</div>
+      <div class="sequence-info">${t('tool.translate.rnaLength', { length: record.sequence.length })}</div>
+    </div>
+  `));
+  setSequenceOutput('transResults', output, 'transcribed.fasta');
+}
+
+function getSelectedGeneticCode() {
+  return GENETIC_CODES[document.getElementById('geneticCode').value] || GENETIC_CODES[1];
+}
+
+/**
+ * Protein sequence with start and stop residues marked
+ */
+function formatProtein(protein) {
+  return [...formatSequence(protein)].map(residue => (
+    residue === '*' ? html`<span class="stop-codon">*</span>`
+      : residue === 'M' ? html`<span class="start-codon">M</span>` : residue
+  ));
+}
+
+export function translateDNA() {
+  const records = readSequenceRecords('transSeq', 'transResults', { alphabet: 'nucleotide' });
+  if (!records) return;
+  const code = getSelectedGeneticCode();
+
+  const output = [];
+  const results = records.map(record => {
+    const seq = record.sequence.replace(/U/g, 'T');
+    return html`
+      <div class="sequence-result">
+        <h4><i class="fas fa-arrow-right"></i> ${t('tool.translate.sixFrame')}${records.length > 1 ? html` &middot; ${record.id}` : ''}</h4>
+        <div class="sequence-info">${t('tool.translate.framesInfo', { code: code.name, length: seq.length })}</div>
+        ${getSixFrames(seq, code).map(frame => {
+          output.push({ id: `${record.id}_frame${frame.label}`, description: code.name, sequence: frame.protein });
+          return html`
+            <div class="frame-label">
+              ${t('tool.translate.frame', { frame: frame.label })} <span>(${frame.protein.length} aa)</span>
+              ${renderAnalyzeOutputButton('transResults', output.length - 1)}
+            </div>
+            <div class="sequence-box protein">${formatProtein(frame.protein)}</div>
+          `;
+        })}
+      </div>
+    `;
+  });
+
+  setHtml(document.getElementById('transResults'), html`
+    ${results}
+    <div class="sequence-info">${t('tool.translate.legend')}</div>
+  `);
+  setSequenceOutput('transResults', output, 'six_frame_translation.fasta');
+}
+
+export function findORFs() {
+  const records = readSequenceRecords('transSeq', 'transResults', { alphabet: 'nucleotide' });
+  if (!records) return;
+  const code = getSelectedGeneticCode();
+  const minLength = parseInt(document.getElementById('orfMinLength').value, 10) || 1;
+  const options = { minLength, alternativeStarts: document.getElementById('orfAltStarts').checked };
+
+  const output = [];
+  const results = records.map(record => {
+    const orfs = findOpenReadingFrames(record.sequence.replace(/U/g, 'T'), code, options);
+    const recordLabel = records.length > 1 ? html` &middot; ${record.id}` : '';
+
+    if (orfs.length === 0) {
+      return html`
+        <div class="sequence-result">
+          <h4><i class="fas fa-search"></i> ${t('tool.translate.noOrfs')}${recordLabel}</h4>
+          <div class="sequence-info">${t('tool.translate.noOrfsInfo', { length: minLength, code: code.name })}</div>
+        </div>
+      `;
+    }
+
+    const rows = orfs.map((orf, i) => {
+      output.push({
+        id: `${record.id}_orf${i + 1}`,
+        description: `frame=${orf.frame} ${orf.start}..${orf.end}${orf.complete ? '' : ' partial'}`,
+        sequence: orf.protein
+      });
+      return html`
+        <tr>
+          <td>${i + 1}</td>
+          <td>${orf.frame}</td>
+          <td>${orf.start}</td>
+          <td>${orf.end}</td>
+          <td>${orf.length}${!orf.complete && html` <span class="orf-partial" title="${t('tool.translate.partialTitle')}">${t('tool.translate.partial')}</span>`}</td>
+          <td>
+            <details>
+              <summary>${truncateText(orf.protein, 24)}</summary>
+              <div class="sequence-box protein">${formatProtein(orf.protein)}</div>
+            </details>
+          </td>
+          <td>${renderAnalyzeOutputButton('transResults', output.length - 1)}</td>
+        </tr>
+      `;
+    });
+
+    return html`
+      <div class="sequence-result">
+        <h4><i class="fas fa-search"></i> ${t('tool.translate.orfs', { count: orfs.length })}${recordLabel}</h4>
+        <div class="sequence-info">${t('tool.translate.orfsInfo', { code: code.name, length: minLength })}</div>
+        <table class="orf-table">
+          <thead><tr>
+            <th>#</th><th>${t('tool.translate.column.frame')}</th><th>${t('tool.translate.column.start')}</th>
+            <th>${t('tool.translate.column.end')}</th><th>${t('tool.translate.column.length')}</th>
+            <th>${t('tool.translate.column.protein')}</th><th></th>
+          </tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+    `;
+  });
+
+  setHtml(document.getElementById('transResults'), results);
+  setSequenceOutput('transResults', output, 'orfs.fasta');
+}
+
+export function complementDNA() {
+  showComplementResults(t('tool.complement.complementResult'), 'fa-sync', getComplement, 'complement.fasta');
+}
+
+export function reverseComplementDNA() {
+  showComplementResults(t('tool.complement.reverse'), 'fa-sync-alt', getReverseComplement, 'reverse_complement.fasta');
+}
+
+/**
+ * Shared body of the complement tools; RNA records stay RNA
+ */
+function showComplementResults(title, icon, transform, filename) {
+  const records = readSequenceRecords('compSeq', 'compResults', { alphabet: 'nucleotide' });
+  if (!records) return;
+
+  const output = records.map(record => {
+    const result = transform(record.sequence);
+    return { ...record, sequence: record.alphabet === 'rna' ? result.replace(/T/g, 'U') : result };
+  });
+  setHtml(document.getElementById('compResults'), output.map(record => html`
+    <div class="sequence-result">
+      <h4><i class="fas ${icon}"></i> ${title}${records.length > 1 ? html` &middot; ${record.id}` : ''}</h4>
+      <div class="sequence-box">${formatSequence(record.sequence)}</div>
+    </div>
+  `));
+  setSequenceOutput('compResults', output, filename);
+}
+
+/**
+ * Button that opens one FASTA output record in the protein properties tool
+ */
+function renderAnalyzeOutputButton(resultsId, index) {
+  return html`<button type="button" class="link-btn" data-analyze-output="${resultsId}:${index}"><i class="fas fa-atom"></i> ${t('tool.analysis.analyzeOutput')}</button>`;
+}
+
+export function analyzeRestrictionSites() {
+  const records = readSequenceRecords('analysisSeq', 'analysisResults', { alphabet: 'nucleotide' });
+  if (!records) return;
+  const filter = document.getElementById('enzymeFilter').value;
+
+  setHtml(document.getElementById('analysisResults'), records.map(record => {
+    const seq = record.sequence.replace(/U/g, 'T');
+    const digest = findRestrictionSites(seq);
+    const shown = digest.filter(enzyme => (
+      filter === 'all' || (filter === 'unique' ? enzyme.cuts.length === 1 : enzyme.cuts.length > 0)
+    ));
+    const cutting = shown.filter(enzyme => enzyme.cuts.length > 0);
+
+    const rows = shown.map(enzyme => html`
+      <tr class="${enzyme.cuts.length ? '' : 'non-cutter'}">
+        <td><strong>${enzyme.name}</strong></td>
+        <td class="mono">${formatRecognitionSite(enzyme)}</td>
+        <td>${enzyme.cuts.length}</td>
+        <td>${enzyme.cuts.join(', ') || '–'}</td>
+        <td>${enzyme.cuts.length ? getDigestFragments(seq.length, enzyme.cuts).join(', ') : '–'}</td>
+      </tr>
+    `);
+
+    return html`
+      <div class="sequence-result">
+        <h4><i class="fas fa-cut"></i> ${t('tool.analysis.restrictionMap')}${records.length > 1 ? html` &middot; ${record.id}` : ''}</h4>
+        <div class="sequence-info">${t('tool.analysis.restrictionInfo', {
+          length: seq.length, cutting: digest.filter(enzyme => enzyme.cuts.length).length, total: digest.length
+        })}</div>
+        ${cutting.length ? renderRestrictionMap(seq.length, cutting) : ''}
+        ${rows.length ? html`
+          <table class="orf-table">
+            <thead><tr>
+              <th>${t('tool.analysis.column.enzyme')}</th><th>${t('tool.analysis.column.site')}</th>
+              <th>${t('tool.analysis.column.cuts')}</th><th>${t('tool.analysis.column.positions')}</th>
+              <th>${t('tool.analysis.column.fragments')}</th>
+            </tr></thead>
+            <tbody>${rows}</tbody>
+          </table>
+        ` : html`<p class="sequence-info">${t('tool.analysis.noEnzymes')}</p>`}
+      </div>
+    `;
+  }));
+}
+
+function formatRecognitionSite(enzyme) {
+  return `${enzyme.site.slice(0, enzyme.cut)}^${enzyme.site.slice(enzyme.cut)}`;
+}
+
+/**
+ * Linear SVG map with a tick and label per cut; labels are stacked on
+ * rows so neighbors do not overlap
+ */
+function renderRestrictionMap(length, enzymes) {
+  const width = 720;
+  const margin = 30;
+  const rowHeight = 14;
+  const scale = (position) => margin + (position / length) * (width - 2 * margin);
+
+  const cuts = enzymes
+    .flatMap(enzyme => enzyme.cuts.map(position => ({ name: enzyme.name, position, x: scale(position) })))
+    .sort((a, b) => a.x - b.x);
+  const rowEnds = [];
+  cuts.forEach(cut => {
+    const labelWidth = cut.name.length * 6.5 + 6;
+    let row = rowEnds.findIndex(end => end < cut.x);
+    if (row === -1) row = rowEnds.length;
+    rowEnds[row] = cut.x + labelWidth;
+    cut.row = row;
+  });
+
+  const axisY = 20 + Math.max(rowEnds.length, 1) * rowHeight;
+  const height = axisY + 30;
+  const marks = cuts.map(cut => {
+    const labelY = axisY - 8 - cut.row * rowHeight;
+    return html`
+      <line x1="${cut.x}" y1="${labelY + 2}" x2="${cut.x}" y2="${axisY + 6}" class="map-cut" />
+      <text x="${cut.x + 2}" y="${labelY}" class="map-label">${cut.name}<title>${t('tool.analysis.cutsAfter', { enzyme: cut.name, position: cut.position })}</title></text>
+    `;
+  });
+
+  return html`
+    <svg class="restriction-map" viewBox="0 0 ${width} ${height}" role="img" aria-label="${t('tool.analysis.restrictionMapLabel')}">
+      <line x1="${margin}" y1="${axisY}" x2="${width - margin}" y2="${axisY}" class="map-axis" />
+      ${marks}
+      <text x="${margin}" y="${axisY + 22}" class="map-label">1</text>
+      <text x="${width - margin}" y="${axisY + 22}" class="map-label" text-anchor="end">${length}</text>
+    </svg>
+  `;
+}
+
+export function analyzeComposition() {
+  const records = readSequenceRecords('analysisSeq', 'analysisResults', { alphabet: 'nucleotide' });
+  if (!records) return;
+
+  setHtml(document.getElementById('analysisResults'), records.map(record => {
+    const seq = record.sequence.replace(/U/g, 'T');
+    const composition = computeNucleotideComposition(seq);
+    const islands = findCpgIslands(seq);
+    const label = (base) => (record.alphabet === 'rna' && base === 'T' ? 'U' : base);
+
+    const baseRows = ['A', 'C', 'G', 'T'].map(base => html`
+      <tr><td><strong>${label(base)}</strong></td><td>${composition.counts[base]}</td>
+        <td>${formatPercent(composition.counts[base], composition.length)}</td></tr>
+    `);
+    const dinucleotideRows = ['A', 'C', 'G', 'T'].map(first => html`
+      <tr>
+        <th>${label(first)}</th>
+        ${['A', 'C', 'G', 'T'].map(second => {
+          const { count, ratio } = composition.dinucleotides[first + second];
+          return html`<td title="${t('tool.analysis.observedExpected', { ratio: ratio.toFixed(2) })}">${count} <span class="oe-ratio">(${ratio.toFixed(2)})</span></td>`;
+        })}
+      </tr>
+    `);
+    const islandRows = islands.map((island, i) => html`
+      <tr><td>${i + 1}</td><td>${island.start}</td><td>${island.end}</td><td>${island.length}</td>
+        <td>${island.gc.toFixed(1)}%</td><td>${island.ratio.toFixed(2)}</td></tr>
+    `);
+
+    return html`
+      <div class="sequence-result">
+        <h4><i class="fas fa-chart-bar"></i> ${t('tool.analysis.nucleotideComposition')}${records.length > 1 ? html` &middot; ${record.id}` : ''}</h4>
+        <div class="sequence-info">${t('tool.analysis.compositionInfo', {
+          length: composition.length,
+          gc: composition.gc.toFixed(1),
+          gcSkew: composition.gcSkew.toFixed(3),
+          atSkew: composition.atSkew.toFixed(3)
+        })}${composition.other ? html` &middot; ${t('tool.analysis.ambiguousBases', { count: composition.other })}` : ''}</div>
+        <div class="composition-grid">
+          <table class="orf-table">
+            <thead><tr><th>${t('tool.analysis.column.base')}</th><th>${t('tool.analysis.column.count')}</th><th>%</th></tr></thead>
+            <tbody>${baseRows}</tbody>
+          </table>
+          <table class="orf-table dinucleotide-table">
+            <thead><tr><th>5′ \\ 3′</th>${['A', 'C', 'G', 'T'].map(base => html`<th>${label(base)}</th>`)}</tr></thead>
+            <tbody>${dinucleotideRows}</tbody>
+          </table>
+        </div>
+        <div class="sequence-info">${t('tool.analysis.dinucleotideNote')}</div>
+        <h4><i class="fas fa-map-marker-alt"></i> ${t('tool.analysis.cpgIslands')}</h4>
+        <div class="sequence-info">${t('tool.analysis.cpgCriteria', {
+          length: CPG_ISLAND_CRITERIA.minLength, gc: CPG_ISLAND_CRITERIA.minGc, ratio: CPG_ISLAND_CRITERIA.minRatio
+        })}</div>
+        ${islands.length ? html`
+          <table class="orf-table">
+            <thead><tr>
+              <th>#</th><th>${t('tool.analysis.column.start')}</th><th>${t('tool.analysis.column.end')}</th>
+              <th>${t('tool.analysis.column.length')}</th><th>GC</th><th>CpG O/E</th>
+            </tr></thead>
+            <tbody>${islandRows}</tbody>
+          </table>
+        ` : html`<p class="sequence-info">${t('tool.analysis.noCpgIslands')}</p>`}
+      </div>
+    `;
+  }));
+}
+
+function formatPercent(count, total) {
+  return total ? `${((count / total) * 100).toFixed(1)}%` : '–';
+}
+
+export function analyzeProtein() {
+  const records = readSequenceRecords('analysisSeq', 'analysisResults', { alphabet: 'protein' });
+  if (!records) return;
+  const windowSize = parseInt(document.getElementById('hydropathyWindow').value, 10) || HYDROPATHY_DEFAULT_WINDOW;
+
+  setHtml(document.getElementById('analysisResults'), records.map(record => {
+    const recordLabel = records.length > 1 ? html` &middot; ${record.id}` : '';
+    if (detectAlphabet(record.sequence) !== 'protein') {
+      return html`
+        <div class="alert alert-error">
+          <i class="fas fa-exclamation-circle"></i>
+          ${t('tool.analysis.notProtein', { id: record.id })}
+        </div>
+      `;
+    }
+
+    const props = computeProteinProperties(record.sequence);
+    const profile = computeHydropathyProfile(props.sequence, windowSize);
+    const compositionRows = Object.entries(props.composition)
+      .sort((a, b) => b[1] - a[1])
+      .map(([residue, count]) => html`
+        <tr>
+          <td><strong>${residue}</strong></td>
+          <td>${count}</td>
+          <td>${formatPercent(count, props.length)}</td>
+          <td><div class="composition-bar" data-style="width: ${(count / props.length) * 100 * 3}%"></div></td>
+        </tr>
+      `);
+
+    return html`
+      <div class="sequence-result">
+        <h4><i class="fas fa-atom"></i> ${t('tool.analysis.protein')}${recordLabel}</h4>
+        <div class="property-grid">
+          <div><span>${t('tool.analysis.property.length')}</span><strong>${props.length} aa</strong></div>
+          <div><span>${t('tool.analysis.property.molecularWeight')}</span><strong>${(props.molecularWeight / 1000).toFixed(2)} kDa</strong></div>
+          <div><span>${t('tool.analysis.property.isoelectricPoint')}</span><strong>${props.isoelectricPoint.toFixed(2)}</strong></div>
+          <div><span>GRAVY</span><strong>${props.gravy.toFixed(3)}</strong></div>
+          <div><span>${t('tool.analysis.property.extinctionReduced')}</span><strong>${props.extinction.reduced} M⁻¹cm⁻¹</strong></div>
+          <div><span>${t('tool.analysis.property.extinctionCystines')}</span><strong>${props.extinction.cystines} M⁻¹cm⁻¹</strong></div>
+          <div><span>${t('tool.analysis.property.absorbance')}</span><strong>${props.extinction.absorbanceReduced.toFixed(3)}</strong></div>
+          <div><span>${t('tool.analysis.property.charged')}</span><strong>${props.negative} / ${props.positive}</strong></div>
+        </div>
+        <div class="sequence-info">${t('tool.analysis.proteinMethods')}${props.excluded
+          ? `; ${t('tool.analysis.excludedResidues', { count: props.excluded })}` : ''}</div>
+        <h4><i class="fas fa-water"></i> ${t('tool.analysis.hydropathy', { window: profile.window })}</h4>
+        ${profile.values.length ? renderHydropathyPlot(profile) : html`<p class="sequence-info">${t('tool.analysis.shorterThanWindow')}</p>`}
+        <h4><i class="fas fa-list-ol"></i> ${t('tool.analysis.aminoAcidComposition')}</h4>
+        <table class="orf-table composition-table">
+          <thead><tr><th>${t('tool.analysis.column.residue')}</th><th>${t('tool.analysis.column.count')}</th><th>%</th><th></th></tr></thead>
+          <tbody>${compositionRows}</tbody>
+        </table>
+      </div>
+    `;
+  }));
+}
+
+/**
+ * SVG line plot of the hydropathy profile; the dashed line marks the 1.6
+ * threshold Kyte and Doolittle used for membrane-spanning segments
+ */
+function renderHydropathyPlot(profile) {
+  const width = 720;
+  const height = 180;
+  const pad = { left: 36, right: 10, top: 10, bottom: 24 };
+  const yMax = 4.5;
+  const plotWidth = width - pad.left - pad.right;
+  const plotHeight = height - pad.top - pad.bottom;
+  const x = (position) => pad.left + ((position - profile.first) / Math.max(profile.values.length - 1, 1)) * plotWidth;
+  const y = (value) => pad.top + ((yMax - value) / (2 * yMax)) * plotHeight;
+
+  const points = profile.values.map((value, i) => `${x(profile.first + i).toFixed(1)},${y(value).toFixed(1)}`).join(' ');
+  const last = profile.first + profile.values.length - 1;
+  return html`
+    <svg class="hydropathy-plot" viewBox="0 0 ${width} ${height}" role="img" aria-label="${t('tool.analysis.hydropathyPlot')}">
+      <line x1="${pad.left}" y1="${y(0)}" x2="${width - pad.right}" y2="${y(0)}" class="plot-axis" />
+      <line x1="${pad.left}" y1="${y(1.6)}" x2="${width - pad.right}" y2="${y(1.6)}" class="plot-threshold" />
+      <line x1="${pad.left}" y1="${pad.top}" x2="${pad.left}" y2="${height - pad.bottom}" class="plot-axis" />
+      ${[4, 2, 0, -2, -4].map(value => html`<text x="${pad.left - 6}" y="${y(value) + 4}" class="map-label" text-anchor="end">${value}</text>`)}
+      <polyline points="${points}" class="plot-line" />
+      <text x="${pad.left}" y="${height - 6}" class="map-label">${profile.first}</text>
+      <text x="${width - pad.right}" y="${height - 6}" class="map-label" text-anchor="end">${last}</text>
+    </svg>
+  `;
+}
+
+export function openUniProt() {
+  const input = document.getElementById('uniInput').value.trim();
+  if (!input) {
+    showFieldError(document.getElementById('uniInput'), t('tool.uniprot.enter'));
+    return;
+  }
+  if (!requireConnection('UniProt', 'uniResults')) return;
+  const url = `https://www.uniprot.org/uniprotkb?query=${encodeURIComponent(input)}`;
+  window.open(url, '_blank');
+}
+
+export function openChEMBL() {
+  const input = document.getElementById('chemblInput').value.trim();
+  if (!input) {
+    showFieldError(document.getElementById('chemblInput'), t('tool.chembl.enter'));
+    return;
+  }
+  if (!requireConnection('ChEMBL', 'chemblResults')) return;
+  const url = `https://www.ebi.ac.uk/chembl/g/#search_results/all/query=${encodeURIComponent(input)}`;
+  window.open(url, '_blank');
+}
@@ -0,0 +1,127 @@
+/**
+ * Search, facets, page and open tool stored in the URL.
+ */
+
+import { state } from './state.js';
+import { FACET_FIELDS } from './schema.js';
+import { PAGE_SIZE_OPTIONS, getPageSize, renderTableControls } from './table-config.js';
+import { TOOL_INPUT_IDS, closeTool, showTool } from './tools.js';
+import { clearFacets } from './facets.js';
+import { displayResults, performSearch } from './results.js';
+import { SEARCHABLE_FIELDS } from './search.js';
+
+// ============================================
+// URL State
+// ============================================
+
+const URL_INPUT_MAX_LENGTH = 2000;
+
+//
+// Search state lives in the query string so views can be bookmarked and
+// shared, e.g. ?q=BDNF&facet=te_relevance:Neuroimmune+engineering&page=2&size=25
+// or ?tool=primer&input=ATGC... The #gene/<symbol> hash is left untouched.
+
+/**
+ * Encode the current search, facets, sort, page, page size and tool as URL
+ * parameters
+ */
+function serializeUrlState() {
+  const params = new URLSearchParams();
+  const query = document.getElementById('geneSearch').value.trim();
+  if (query) params.set('q', query);
+
+  FACET_FIELDS.forEach(({ field }) => {
+    (state.activeFacets[field] || new Set()).forEach(value => params.append('facet', `${field}:${value}`));
+    if (state.facetModes[field] === 'AND') params.append('mode', `${field}:AND`);
+  });
+
+  if (state.tableConfig.sort) params.set('sort', `${state.tableConfig.sort.field}:${state.tableConfig.sort.direction}`);
+  if (state.currentPage > 1) {
+    params.set('page', state.currentPage);
+    // A page number only points at the same rows with the same page size
+    params.set('size', state.tableConfig.pageSize);
+  }
+
+  if (state.activeTool) {
+    params.set('tool', state.activeTool);
+    const input = document.getElementById(TOOL_INPUT_IDS[state.activeTool]);
+    // Large pasted or uploaded sequences are left out rather than bloating the URL
+    if (input && input.value.trim() && input.value.length <= URL_INPUT_MAX_LENGTH) {
+      params.set('input', input.value.trim());
+    }
+  }
+  return params;
+}
+
+/**
+ * Record the current state in the URL, as a new history entry unless
+ * replace is set
+ */
+export function updateUrl(replace = false) {
+  if (state.restoringUrlState) return;
+  const search = serializeUrlState().toString();
+  const url = `${location.pathname}${search ? `?${search}` : ''}${location.hash}`;
+  if (url === `${location.pathname}${location.search}${location.hash}`) return;
+  if (replace) {
+    history.replaceState(null, '', url);
+  } else {
+    history.pushState(null, '', url);
+  }
+}
+
+/**
+ * Apply the state described by the URL: query, facets, sort, page, page
+ * size and tool
+ */
+export function restoreUrlState() {
+  const params = new URLSearchParams(location.search);
+  state.restoringUrlState = true;
+  try {
+    document.getElementById('geneSearch').value = params.get('q') || '';
+
+    clearFacets();
+    params.getAll('facet').forEach(entry => {
+      const separator = entry.indexOf(':');
+      const field = entry.slice(0, separator);
+      if (separator < 1 || !FACET_FIELDS.some(f => f.field === field)) return;
+      if (!state.activeFacets[field]) state.activeFacets[field] = new Set();
+      state.activeFacets[field].add(entry.slice(separator + 1));
+    });
+    params.getAll('mode').forEach(entry => {
+      const [field, mode] = entry.split(':');
+      if (mode === 'AND') state.facetModes[field] = 'AND';
+    });
+
+    // Without a valid sort the rows keep relevance order, as when the link was made
+    const [sortField, sortDirection] = (params.get('sort') || '').split(':');
+    state.tableConfig.sort = SEARCHABLE_FIELDS.includes(sortField) && ['asc', 'desc'].includes(sortDirection)
+      ? { field: sortField, direction: sortDirection }
+      : null;
+
+    const size = params.get('size');
+    const pageSize = size === 'all' ? size : Number(size);
+    if (PAGE_SIZE_OPTIONS.includes(pageSize) && pageSize !== state.tableConfig.pageSize) {
+      state.tableConfig.pageSize = pageSize;
+      renderTableControls();
+    }
+
+    performSearch();
+    const page = parseInt(params.get('page'), 10);
+    const totalPages = Math.ceil(state.filteredData.length / getPageSize());
+    if (page > 1 && page <= totalPages) {
+      state.currentPage = page;
+      displayResults();
+    }
+
+    // Every tool is restored, including those without an input (network)
+    const toolName = params.get('tool');
+    if (toolName && showTool(toolName)) {
+      const input = document.getElementById(TOOL_INPUT_IDS[toolName]);
+      if (input) input.value = params.get('input') || '';
+    } else if (state.activeTool) {
+      closeTool();
+    }
+  } finally {
+    state.restoringUrlState = false;
+  }
+}
@@ -0,0 +1,40 @@
+/**
+ * Small DOM-free helpers shared across modules.
+ */
+
+/**
+ * Short FNV-1a hash identifying a dataset version
+ */
+export function hashText(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Escape text for XML/HTML and drop characters XML cannot represent
+ */
+export function escapeXml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+export function splitListValue(value) {
+  return String(value || '').split(';').map(v => v.trim()).filter(Boolean);
+}
+
+/**
+ * Truncate text with ellipsis
+ */
+export function truncateText(text, maxLength) {
+  if (!text) return '-';
+  if (text.length <= maxLength) return text;
+  return text.substring(0, maxLength) + '...';
+}
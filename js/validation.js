@@ -0,0 +1,152 @@
+/**
+ * Dataset validation and encoding repair.
+ */
+
+import { DATASET_SCHEMA, RECORD_FIELDS, getFieldLabel } from './schema.js';
+import { getRecordKey } from './records.js';
+import { t } from './i18n.js';
+
+// ============================================
+// Dataset Validation & Encoding Repair
+// ============================================
+
+// Windows-1252 characters in the 0x80-0x9F range, mapped back to their byte
+const CP1252_BYTES = {
+  '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87,
+  'ˆ': 0x88, '‰': 0x89, 'Š': 0x8A, '‹': 0x8B, 'Œ': 0x8C, 'Ž': 0x8E, '‘': 0x91,
+  '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '˜': 0x98,
+  '™': 0x99, 'š': 0x9A, '›': 0x9B, 'œ': 0x9C, 'ž': 0x9E, 'Ÿ': 0x9F
+};
+
+// A UTF-8 lead byte read as Latin-1/Windows-1252 followed by a continuation byte
+const MOJIBAKE_PATTERN = /[\u00C2-\u00F4][\u0080-\u00BF\u0152-\u0178\u02C6\u02DC\u2013-\u2122]/;
+
+/**
+ * Undo UTF-8 text that was decoded as Windows-1252 ("Î²" -> "β", "Îµ4" ->
+ * "ε4"). Text that does not round-trip to valid UTF-8 is returned unchanged.
+ */
+function repairMojibake(text) {
+  let current = text;
+  // Data can be double-encoded, so repeat while it keeps decoding
+  for (let pass = 0; pass < 3 && MOJIBAKE_PATTERN.test(current); pass++) {
+    const bytes = [];
+    for (const ch of current) {
+      const code = ch.codePointAt(0);
+      if (code <= 0xFF) {
+        bytes.push(code);
+      } else if (CP1252_BYTES[ch] !== undefined) {
+        bytes.push(CP1252_BYTES[ch]);
+      } else {
+        return current;
+      }
+    }
+    try {
+      current = new TextDecoder('utf-8', { fatal: true }).decode(new Uint8Array(bytes));
+    } catch (error) {
+      return current;
+    }
+  }
+  return current;
+}
+
+/**
+ * Check one record against DATASET_SCHEMA, returning a cleaned copy plus
+ * the errors (record unusable), warnings and repairs found. fieldErrors
+ * holds each field's error for showing it next to a form control.
+ */
+export function validateRecord(record) {
+  const errors = [];
+  const fieldErrors = {};
+  const warnings = [];
+  const repairs = [];
+
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return { record: null, errors: [t('validation.notObject')], fieldErrors, warnings, repairs };
+  }
+
+  const clean = {};
+  RECORD_FIELDS.forEach(({ field }) => {
+    const label = getFieldLabel(field);
+    const fail = (message) => {
+      fieldErrors[field] = message;
+      errors.push(message);
+    };
+    let value = record[field];
+    const format = DATASET_SCHEMA.formats[field];
+    // Identifiers and years may come from JSON as numbers or arrays
+    if (format && (typeof value === 'number' || Array.isArray(value))) value = [].concat(value).join('; ');
+    if (value === undefined || value === null || (typeof value === 'string' && !value.trim())) {
+      if (DATASET_SCHEMA.required.includes(field)) fail(t('validation.missing', { field: label }));
+      return;
+    }
+    if (typeof value !== 'string') {
+      fail(t('validation.notText', { field: label, type: typeof value }));
+      return;
+    }
+
+    let repaired = repairMojibake(value).trim().replace(/\s+/g, ' ');
+    const allowed = DATASET_SCHEMA.enums[field];
+    if (allowed) {
+      const match = allowed.find(v => v.toLowerCase() === repaired.toLowerCase());
+      if (match) {
+        repaired = match;
+      } else {
+        fail(t('validation.notAllowed', { field: label, value: repaired, allowed: allowed.join(', ') }));
+      }
+    }
+    if (format) {
+      const items = (format.separator ? repaired.split(format.separator) : [repaired])
+        .map(item => (format.clean ? format.clean(item.trim()) : item.trim()))
+        .filter(Boolean);
+      const invalid = items.filter(item => !format.isValid(item));
+      if (invalid.length) {
+        fail(t('validation.invalidFormat', { field: label, value: invalid.join('; '), example: format.example }));
+      }
+      repaired = [...new Set(items)].join('; ');
+    }
+    if (repaired !== record[field]) repairs.push({ field, from: record[field], to: repaired });
+    clean[field] = repaired;
+  });
+
+  Object.keys(record)
+    .filter(key => !RECORD_FIELDS.some(f => f.field === key))
+    .forEach(key => warnings.push(t('validation.unknownField', { key })));
+
+  return { record: clean, errors, fieldErrors, warnings, repairs };
+}
+
+/**
+ * Validate and repair a loaded dataset. Invalid records are left out of
+ * the returned records and listed in the report with their problems.
+ */
+export function validateDataset(data) {
+  if (!Array.isArray(data)) {
+    throw new Error(t('validation.notArray'));
+  }
+
+  const records = [];
+  const report = { total: data.length, valid: 0, invalid: [], repaired: [], warnings: [] };
+  const seen = new Map();
+
+  data.forEach((raw, index) => {
+    const { record, errors, warnings, repairs } = validateRecord(raw);
+    const label = (record && record.gene_name) || (raw && raw.gene_name) || t('validation.record', { number: index + 1 });
+
+    if (record && !errors.length) {
+      const key = getRecordKey(record);
+      if (seen.has(key)) warnings.push(t('validation.duplicate', { number: seen.get(key) + 1 }));
+      seen.set(key, index);
+    }
+
+    if (errors.length) {
+      report.invalid.push({ index, gene: label, errors });
+      return;
+    }
+    if (repairs.length) report.repaired.push({ index, gene: label, repairs });
+    if (warnings.length) report.warnings.push({ index, gene: label, warnings });
+    report.valid++;
+    records.push(record);
+  });
+
+  return { records, report };
+}
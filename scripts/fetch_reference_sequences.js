@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+/**
+ * Builds the reference sequence files used by the offline sequence search:
+ * the RefSeq Select mRNA (reference_sequences.fasta) and protein
+ * (reference_proteins.fasta) of every gene symbol in gene_aliases.json.
+ *
+ * Usage: node scripts/fetch_reference_sequences.js [--email you@example.org]
+ *
+ * Uses NCBI E-utilities and needs Node 18+ for fetch. Requests are spaced
+ * to stay under NCBI's limit of three per second without an API key.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const EUTILS = 'https://eutils.ncbi.nlm.nih.gov/entrez/eutils';
+const REQUEST_INTERVAL_MS = 400;
+const OUTPUTS = [
+  { db: 'nuccore', filter: 'AND biomol_mrna[prop]', file: 'reference_sequences.fasta' },
+  { db: 'protein', filter: '', file: 'reference_proteins.fasta' }
+];
+
+const emailIndex = process.argv.indexOf('--email');
+const email = emailIndex > -1 ? process.argv[emailIndex + 1] : '';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function eutils(tool, params) {
+  const query = new URLSearchParams({ ...params, tool: 'te_alzheimers_db', ...(email ? { email } : {}) });
+  await sleep(REQUEST_INTERVAL_MS);
+  const response = await fetch(`${EUTILS}/${tool}.fcgi?${query}`);
+  if (!response.ok) throw new Error(`${tool} failed with HTTP ${response.status}`);
+  return response.text();
+}
+
+/**
+ * FASTA of the RefSeq Select entry for a gene, with the header rewritten
+ * to "ACCESSION SYMBOL description" so hits can be linked to the database
+ */
+async function fetchReference(symbol, { db, filter }) {
+  const term = `${symbol}[gene] AND "Homo sapiens"[orgn] AND refseq_select[filter] ${filter}`.trim();
+  const search = JSON.parse(await eutils('esearch', { db, term, retmax: 1, retmode: 'json' }));
+  const [id] = search.esearchresult.idlist;
+  if (!id) return null;
+
+  const fasta = await eutils('efetch', { db, id, rettype: 'fasta', retmode: 'text' });
+  const [header, ...lines] = fasta.trim().split('\n');
+  const [accession, ...description] = header.slice(1).split(' ');
+  return [`>${accession} ${symbol} ${description.join(' ')}`, ...lines].join('\n');
+}
+
+async function main() {
+  const aliases = JSON.parse(fs.readFileSync(path.join(ROOT, 'gene_aliases.json'), 'utf8'));
+  const symbols = [...new Set(aliases.map(entry => entry.symbol))].sort();
+
+  for (const output of OUTPUTS) {
+    const records = [];
+    for (const symbol of symbols) {
+      const record = await fetchReference(symbol, output);
+      if (record) {
+        records.push(record);
+      } else {
+        console.warn(`No ${output.db} RefSeq Select entry for ${symbol}`);
+      }
+    }
+    fs.writeFileSync(path.join(ROOT, output.file), records.join('\n') + '\n');
+    console.log(`Wrote ${records.length} records to ${output.file}`);
+  }
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,140 @@
+/**
+ * Service worker for offline use. The app shell, dataset and icon fonts are
+ * cached on install and served stale-while-revalidate: the cached copy is
+ * returned at once and refreshed from the network in the background.
+ * Pages are told when a refresh brings a changed dataset.
+ */
+
+const CACHE_NAME = 'te-alzheimers-db-v6';
+
+const PRECACHE_URLS = [
+  './',
+  'index.html',
+  'styles.css',
+  'tools.css',
+  'alzheimers_data.json',
+  'alzheimers_pathway.json',
+  'gene_aliases.json',
+  'manifest.webmanifest',
+  'icons/icon-192.png',
+  'icons/icon-512.png',
+  'js/citations.js',
+  'js/comparison.js',
+  'js/data.js',
+  'js/export.js',
+  'js/facets.js',
+  'js/gene-detail.js',
+  'js/html.js',
+  'js/i18n.js',
+  'js/a11y.js',
+  'js/local-entries.js',
+  'js/locales/de.js',
+  'js/locales/en.js',
+  'js/locales/es.js',
+  'js/locales/zh.js',
+  'js/main.js',
+  'js/network.js',
+  'js/offline.js',
+  'js/pathway.js',
+  'js/recommender.js',
+  'js/records.js',
+  'js/render.js',
+  'js/results.js',
+  'js/schema.js',
+  'js/search.js',
+  'js/sequence-input.js',
+  'js/sequence/alignment.js',
+  'js/sequence/composition.js',
+  'js/sequence/genetic-codes.js',
+  'js/sequence/primer-design.js',
+  'js/sequence/sequence-parser.js',
+  'js/sequence/sequence-utils.js',
+  'js/state.js',
+  'js/statistics.js',
+  'js/table-config.js',
+  'js/tools.js',
+  'js/url-state.js',
+  'js/utils.js',
+  'js/validation.js'
+];
+
+// Cached when they can be fetched; a missing file does not stop installation.
+// The reference FASTA files only exist once scripts/fetch_reference_sequences.js has run.
+const OPTIONAL_URLS = [
+  'reference_sequences.fasta',
+  'reference_proteins.fasta',
+  'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css',
+  'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/webfonts/fa-solid-900.woff2',
+  'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/webfonts/fa-regular-400.woff2',
+  'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/webfonts/fa-brands-400.woff2'
+];
+
+// Other hosts whose responses are cached (fonts and icons); API calls to
+// NCBI, UniProt etc. always go to the network
+const CACHED_HOSTS = ['cdnjs.cloudflare.com', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+
+const DATASET_FILES = ['alzheimers_data.json', 'gene_aliases.json'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE_NAME);
+    await cache.addAll(PRECACHE_URLS);
+    await Promise.allSettled(OPTIONAL_URLS.map(async url => {
+      const response = await fetch(url);
+      if (response.ok) await cache.put(url, response);
+    }));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin && !CACHED_HOSTS.includes(url.hostname)) return;
+  event.respondWith(staleWhileRevalidate(event));
+});
+
+/**
+ * Tell open pages that a dataset file changed on the server
+ */
+async function notifyDatasetUpdated(url) {
+  const clients = await self.clients.matchAll({ type: 'window' });
+  clients.forEach(client => client.postMessage({ type: 'dataset-updated', url }));
+}
+
+async function staleWhileRevalidate(event) {
+  const { request } = event;
+  const cache = await caches.open(CACHE_NAME);
+  // Every page URL (?q=..., #gene/...) is the same app shell
+  const key = request.mode === 'navigate' ? new URL('./', self.registration.scope).href : request;
+  const cached = await cache.match(key);
+  const isDataset = DATASET_FILES.some(file => new URL(request.url).pathname.endsWith(`/${file}`));
+  // Cloned before the cached response is handed to the page, which reads its body
+  const previous = isDataset && cached ? cached.clone() : null;
+
+  const refresh = fetch(request).then(async response => {
+    if (!response.ok) return response;
+    if (previous) {
+      const [before, after] = await Promise.all([previous.text(), response.clone().text()]);
+      if (before !== after) notifyDatasetUpdated(request.url);
+    }
+    await cache.put(key, response.clone());
+    return response;
+  }).catch(() => null);
+
+  if (cached) {
+    event.waitUntil(refresh);
+    return cached;
+  }
+  const response = await refresh;
+  return response || Response.error();
+}
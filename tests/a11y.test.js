@@ -0,0 +1,201 @@
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+
+import { resetState, serveLocalFiles, setupDom } from './helpers/dom.js';
+import { state } from '../js/state.js';
+import { validateDataset } from '../js/validation.js';
+import { getGeneRouteKey } from '../js/records.js';
+import { renderTableControls } from '../js/table-config.js';
+import { displayResults, handleResultsFocus, handleResultsKeydown } from '../js/results.js';
+import { renderFacetPanel } from '../js/facets.js';
+import { computeStatistics, renderStatistics } from '../js/statistics.js';
+import { renderGeneDetail } from '../js/gene-detail.js';
+import { showComparisonRoute } from '../js/comparison.js';
+import { readImportFile, showEntryForm } from '../js/local-entries.js';
+import { showDataQualityReport } from '../js/data.js';
+import { exportResults } from '../js/export.js';
+import { TOOL_INPUT_IDS, closeTool, openKEGG, showTool, transcribeDNA } from '../js/tools.js';
+import { runRecommender } from '../js/recommender.js';
+import { drawPathwayMap, loadPathway } from '../js/pathway.js';
+
+const { records, report } = validateDataset(
+  JSON.parse(readFileSync(new URL('../alzheimers_data.json', import.meta.url), 'utf8'))
+);
+const TOOLS = [...Object.keys(TOOL_INPUT_IDS), 'network'];
+
+let axe;
+
+before(async () => {
+  setupDom();
+  // axe-core reads the globals when it loads, so it is imported after setupDom()
+  ({ default: axe } = await import('axe-core'));
+  const container = document.getElementById('dynamicContent');
+  container.addEventListener('keydown', handleResultsKeydown);
+  container.addEventListener('focusin', handleResultsFocus);
+  globalThis.alert = (message) => {
+    throw new Error(`alert() called: ${message}`);
+  };
+  // Loaded up front so the KEGG panel draws its map at once
+  serveLocalFiles();
+  await loadPathway();
+});
+
+beforeEach(() => {
+  resetState(records, { dataQualityReport: report });
+  document.getElementById('resultsContainer').hidden = false;
+  document.getElementById('toolContent').hidden = true;
+});
+
+/**
+ * axe-core violations on the page, or the part of it that changed.
+ * Colour contrast needs layout, which jsdom does not do; the palette is
+ * checked by hand.
+ */
+async function checkPage(view, context = document) {
+  const results = await axe.run(context, { rules: { 'color-contrast': { enabled: false } } });
+  const violations = results.violations.map(violation =>
+    `${view}: ${violation.id} on ${violation.nodes.map(node => node.target.join(' ')).join(', ')}`);
+  assert.deepEqual(violations, []);
+}
+
+function press(key, options = {}) {
+  document.activeElement.dispatchEvent(new window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...options }));
+}
+
+test('results, facets, statistics and pagination pass the axe checks', async () => {
+  await checkPage('empty page');
+  displayResults();
+  renderFacetPanel(records);
+  renderStatistics(computeStatistics(records));
+  renderTableControls();
+  await checkPage('results');
+});
+
+test('every tool panel passes the axe checks', async () => {
+  // Only the panel: axe is slow on the full page with the network diagram
+  const panel = document.getElementById('toolContent');
+  for (const tool of TOOLS) {
+    showTool(tool);
+    await checkPage(`${tool} tool`, panel);
+  }
+  showTool('recommend');
+  document.getElementById('recommendGenes').value = 'APOE, APP';
+  runRecommender();
+  await checkPage('recommendations', panel);
+  showTool('kegg');
+  document.getElementById('pathwayOverlay').value = 'angiogenesis';
+  drawPathwayMap();
+  await checkPage('pathway map with overlay', panel);
+});
+
+test('detail, comparison, entry form, import and reports pass the axe checks', async () => {
+  renderGeneDetail(records[0]);
+  await checkPage('gene detail');
+
+  showComparisonRoute(records.slice(0, 3).map(row => encodeURIComponent(getGeneRouteKey(row))).join(','));
+  await checkPage('comparison');
+
+  showEntryForm();
+  document.getElementById('entryForm').dispatchEvent(new window.Event('submit', { cancelable: true }));
+  const geneName = document.getElementById('entry_gene_name');
+  assert.equal(geneName.getAttribute('aria-invalid'), 'true');
+  assert.equal(document.activeElement, geneName);
+  await checkPage('entry form with errors');
+
+  await readImportFile({ name: 'import.json', text: async () => JSON.stringify(records.slice(0, 3)) });
+  await checkPage('import preview');
+
+  showDataQualityReport();
+  await checkPage('data quality report');
+});
+
+test('result counts are announced and pagination uses real buttons', () => {
+  displayResults();
+  assert.match(document.getElementById('liveRegion').textContent, /^Showing 1-10 of 100 results/);
+  const pagination = document.getElementById('pagination');
+  assert.equal(pagination.querySelector('[aria-current="page"]').textContent.trim(), '1');
+  assert.equal(pagination.querySelectorAll('span[disabled], span.page-btn').length, 0);
+  assert.ok(pagination.querySelector('.page-gap[aria-hidden="true"]'));
+});
+
+test('arrow keys move through the results grid with one tab stop', () => {
+  displayResults();
+  const table = document.querySelector('.data-table');
+  assert.equal(table.getAttribute('role'), 'grid');
+  assert.equal(table.querySelectorAll('[tabindex="0"]').length, 1);
+
+  table.querySelector('[tabindex="0"]').focus();
+  assert.ok(document.activeElement.matches('.page-select'));
+  press('ArrowDown');
+  assert.ok(document.activeElement.matches('.row-select'));
+  press('ArrowRight');
+  assert.ok(document.activeElement.matches('.pin-btn'));
+  press('ArrowRight');
+  const cell = document.activeElement;
+  assert.ok(cell.matches('td'));
+  assert.equal(table.querySelectorAll('[tabindex="0"]').length, 1);
+  press('End');
+  assert.equal(document.activeElement, cell.parentElement.lastElementChild);
+  press('Home', { ctrlKey: true });
+  assert.ok(document.activeElement.matches('.page-select'));
+
+  // Space selects the focused row; the grid keeps its place when re-rendered
+  press('ArrowDown');
+  press('ArrowRight');
+  press('ArrowRight');
+  press(' ');
+  assert.equal(document.querySelector('#dynamicContent tbody .row-select').checked, true);
+  displayResults();
+  assert.equal(document.activeElement, document.querySelector('#dynamicContent tbody tr').cells[1]);
+  assert.equal(document.querySelector('#dynamicContent tbody tr').getAttribute('aria-selected'), 'false');
+
+  const clicks = [];
+  document.getElementById('dynamicContent').addEventListener('click', (e) => clicks.push(e.target), { once: true });
+  press('Enter');
+  assert.equal(clicks[0], document.activeElement);
+});
+
+test('tool panel takes focus and returns it on closeTool()', () => {
+  const opener = document.getElementById('blastMenuBtn');
+  opener.focus();
+  showTool('blast');
+  assert.equal(document.activeElement, document.getElementById('toolTitle'));
+  assert.equal(document.getElementById('toolContent').getAttribute('role'), 'region');
+  closeTool();
+  assert.equal(document.activeElement, opener);
+
+  // Opened without a focused opener (e.g. from the URL), focus goes to the results
+  state.filteredData = [];
+  displayResults();
+  document.activeElement.blur();
+  showTool('kegg');
+  closeTool();
+  assert.equal(document.activeElement, document.getElementById('resultsHeading'));
+
+  state.filteredData = records;
+  displayResults();
+  document.activeElement.blur();
+  showTool('kegg');
+  closeTool();
+  assert.equal(document.activeElement, document.querySelector('.data-table [tabindex="0"]'));
+});
+
+test('invalid input is reported inline instead of with alert()', () => {
+  showTool('kegg');
+  openKEGG();
+  const keggInput = document.getElementById('keggInput');
+  assert.equal(keggInput.getAttribute('aria-invalid'), 'true');
+  assert.equal(document.getElementById(keggInput.getAttribute('aria-describedby')).textContent, 'Please enter a KEGG ID.');
+  assert.equal(document.activeElement, keggInput);
+
+  showTool('translate');
+  transcribeDNA();
+  assert.equal(document.getElementById('transSeq').getAttribute('aria-invalid'), 'true');
+
+  state.selectedRecords = new Set();
+  exportResults('csv', 'selected');
+  const notice = document.getElementById('notice');
+  assert.equal(notice.hidden, false);
+  assert.match(notice.textContent, /No rows selected/);
+});
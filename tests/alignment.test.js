@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync } from 'fs';
+
+import { serveLocalFiles } from './helpers/dom.js';
+import { SIMILARITY_SEARCH_DEFAULTS, loadReferenceSequences, searchReferences } from '../js/sequence/alignment.js';
+import { getReverseComplement } from '../js/sequence/sequence-utils.js';
+
+/**
+ * Reproducible pseudo-random sequence over an alphabet
+ */
+function randomSequence(length, alphabet, seed) {
+  let state = seed;
+  let sequence = '';
+  for (let i = 0; i < length; i++) {
+    state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+    sequence += alphabet[(state >>> 24) % alphabet.length];
+  }
+  return sequence;
+}
+
+const references = [1, 2, 3].map(seed => ({
+  id: `NM_00000${seed}`,
+  symbol: `GENE${seed}`,
+  description: '',
+  sequence: randomSequence(3000, 'ACGT', seed)
+}));
+const target = references[1].sequence;
+const search = (query, options = {}) => searchReferences(query, references, 'nucleotide', { ...SIMILARITY_SEARCH_DEFAULTS, ...options });
+
+test('global mode aligns a query that is part of a longer reference', () => {
+  const [hit] = search(target.substring(1200, 1500), { mode: 'global', evalue: 1e-300 });
+  assert.equal(hit.reference.symbol, 'GENE2');
+  assert.equal(hit.alignment.score, 600);
+  assert.equal(hit.alignment.identity, 100);
+  assert.deepEqual([hit.alignment.subjectStart, hit.alignment.subjectEnd], [1201, 1500]);
+  assert.equal(hit.evalue, null);
+  assert.equal(hit.bitScore, null);
+});
+
+test('local mode follows indels and reports the minus strand', () => {
+  const query = target.substring(500, 650) + 'GAT' + target.substring(650, 800);
+  const [hit] = search(query);
+  assert.equal(hit.reference.symbol, 'GENE2');
+  assert.equal(hit.alignment.gaps, 3);
+  assert.deepEqual([hit.alignment.subjectStart, hit.alignment.subjectEnd], [501, 800]);
+  assert.ok(hit.evalue < 1e-100);
+
+  const [minus] = search(getReverseComplement(target.substring(2000, 2200)));
+  assert.equal(minus.strand, 'minus');
+  assert.deepEqual([minus.alignment.queryStart, minus.alignment.queryEnd], [1, 200]);
+  assert.deepEqual([minus.alignment.subjectStart, minus.alignment.subjectEnd], [2001, 2200]);
+});
+
+test('unrelated queries have no hits in either mode', () => {
+  const query = randomSequence(300, 'ACGT', 99);
+  assert.deepEqual(search(query, { evalue: 1e-10 }), []);
+  assert.deepEqual(search(query, { mode: 'global' }), []);
+});
+
+test('long queries against long references stay within the seed band', () => {
+  const reference = { id: 'NM_LONG', symbol: 'LONG', description: '', sequence: randomSequence(8000, 'ACGT', 7) };
+  const query = reference.sequence.substring(1000, 1000 + SIMILARITY_SEARCH_DEFAULTS.maxQueryLength);
+  ['local', 'global'].forEach(mode => {
+    const [hit] = searchReferences(query, [reference], 'nucleotide', { ...SIMILARITY_SEARCH_DEFAULTS, mode });
+    assert.equal(hit.alignment.length, query.length, mode);
+    assert.equal(hit.alignment.subjectStart, 1001, mode);
+  });
+});
+
+test('protein queries are scored with BLOSUM62', () => {
+  const proteins = [{ id: 'NP_1', symbol: 'PROT', description: '', sequence: randomSequence(600, 'ACDEFGHIKLMNPQRSTVWY', 5) }];
+  const [hit] = searchReferences(proteins[0].sequence.substring(100, 220), proteins, 'protein');
+  assert.equal(hit.alignment.identity, 100);
+  assert.deepEqual([hit.alignment.subjectStart, hit.alignment.subjectEnd], [101, 220]);
+});
+
+test('the bundled reference sequences find a known gene', {
+  skip: !existsSync(new URL('../reference_sequences.fasta', import.meta.url)) &&
+    'reference_sequences.fasta has not been generated (scripts/fetch_reference_sequences.js)'
+}, async () => {
+  serveLocalFiles();
+  const { nucleotide } = await loadReferenceSequences();
+  const apoe = nucleotide.find(reference => reference.symbol === 'APOE');
+  assert.ok(apoe, 'APOE is in the references');
+  const [hit] = searchReferences(apoe.sequence.substring(200, 500), nucleotide, 'nucleotide');
+  assert.equal(hit.reference.symbol, 'APOE');
+});
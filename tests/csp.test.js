@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'crypto';
+import { readdirSync, readFileSync } from 'fs';
+
+import { setupDom } from './helpers/dom.js';
+import { HTML_REPORT_STYLES } from '../js/export.js';
+import { COMPARISON_REPORT_STYLES } from '../js/comparison.js';
+
+const root = new URL('../', import.meta.url);
+const read = path => readFileSync(new URL(path, root), 'utf8');
+const sources = readdirSync(new URL('js/', root), { recursive: true })
+  .filter(file => file.endsWith('.js'))
+  .map(file => ({ file: `js/${file}`, text: read(`js/${file}`) }));
+
+function getPolicy() {
+  const meta = setupDom().document.querySelector('meta[http-equiv="Content-Security-Policy"]');
+  assert.ok(meta, 'index.html declares a Content-Security-Policy');
+  return Object.fromEntries(meta.content.split(';').map(part => {
+    const [name, ...values] = part.trim().split(/\s+/);
+    return [name, values];
+  }));
+}
+
+test('policy allows no inline script, eval or inline styles', () => {
+  const policy = getPolicy();
+  assert.deepEqual(policy['script-src'], ["'self'"]);
+  assert.deepEqual(policy['object-src'], ["'none'"]);
+  Object.values(policy).flat().forEach(value => {
+    assert.ok(!["'unsafe-inline'", "'unsafe-eval'", "'unsafe-hashes'"].includes(value), value);
+  });
+});
+
+test('printable report stylesheets match their style-src hashes', () => {
+  const hashes = getPolicy()['style-src'].filter(value => value.startsWith("'sha256-"));
+  const expected = [HTML_REPORT_STYLES, COMPARISON_REPORT_STYLES]
+    .map(styles => `'sha256-${createHash('sha256').update(styles).digest('base64')}'`);
+  assert.deepEqual(hashes.sort(), expected.sort());
+});
+
+test('index.html has no inline scripts, handlers or style attributes', () => {
+  const { document } = setupDom();
+  document.querySelectorAll('script').forEach(script => {
+    assert.ok(script.src, 'scripts are loaded from files');
+    assert.equal(script.textContent.trim(), '');
+  });
+  assert.equal(document.querySelectorAll('style, [style]').length, 0);
+  document.querySelectorAll('*').forEach(element => {
+    [...element.attributes].forEach(({ name }) => assert.ok(!name.startsWith('on'), `${name} on <${element.tagName}>`));
+  });
+});
+
+test('modules only write markup through js/html.js', () => {
+  sources.filter(({ file }) => file !== 'js/html.js').forEach(({ file, text }) => {
+    assert.doesNotMatch(text, /\.(innerHTML|outerHTML)\s*=|insertAdjacentHTML/, file);
+    assert.doesNotMatch(text, /\sstyle="/, `${file}: use data-style`);
+    assert.doesNotMatch(text, /\son[a-z]+="/, `${file}: use data-action`);
+  });
+  // The printable report windows are the only documents written directly
+  const writers = sources.filter(({ text }) => text.includes('document.write(')).map(({ file }) => file);
+  assert.deepEqual(writers, ['js/export.js']);
+});
@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+
+import { RECORD_FIELDS, getFieldLabel } from '../js/schema.js';
+import { formatDelimitedField, removeFormulaGuard, toDelimitedText } from '../js/export.js';
+import { collectCitations, toBibtex, toRis } from '../js/citations.js';
+import { escapeXml } from '../js/utils.js';
+
+const records = JSON.parse(readFileSync(new URL('./fixtures/records.json', import.meta.url), 'utf8'));
+
+const awkward = {
+  ...records[0],
+  function: 'Lipid transport, "cholesterol" carrier',
+  ad_mechanism: 'Amyloid-β accumulation\nTau spread',
+  pmids: '31474234',
+  year: 2019
+};
+
+test('CSV fields are quoted only when they need it', () => {
+  assert.equal(formatDelimitedField('VEGF; BDNF', ','), 'VEGF; BDNF');
+  assert.equal(formatDelimitedField('a, b', ','), '"a, b"');
+  assert.equal(formatDelimitedField('say "hi"', ','), '"say ""hi"""');
+  assert.equal(formatDelimitedField('two\r\nlines', ','), '"two\r\nlines"');
+  assert.equal(formatDelimitedField(undefined, ','), '');
+  assert.equal(formatDelimitedField(0, ','), '0');
+});
+
+test('TSV fields flatten tabs and line breaks instead of quoting', () => {
+  assert.equal(formatDelimitedField('a\tb\r\nc', '\t'), 'a b c');
+  assert.equal(formatDelimitedField('say "hi", ok', '\t'), 'say "hi", ok');
+});
+
+test('values that spreadsheets would run as formulas are exported as text', () => {
+  assert.equal(formatDelimitedField('=HYPERLINK("http://x","y")', ','), '"\'=HYPERLINK(""http://x"",""y"")"');
+  assert.equal(formatDelimitedField('@SUM(A1:A9)', ','), "'@SUM(A1:A9)");
+  assert.equal(formatDelimitedField('+1', '\t'), "'+1");
+  assert.equal(formatDelimitedField('-2+3', '\t'), "'-2+3");
+  assert.equal(formatDelimitedField('\t=1+1', '\t'), "' =1+1");
+  assert.equal(formatDelimitedField('\r=1+1', ','), '"\'\r=1+1"');
+  assert.equal(formatDelimitedField('Amyloid-β', ','), 'Amyloid-β');
+
+  const [, row] = toDelimitedText([{ ...records[0], function: '=cmd|\' /C calc\'!A0' }], ',').split('\r\n');
+  assert.ok(row.includes(",'=cmd|' /C calc'!A0,"));
+  // Imports drop the apostrophe again
+  assert.equal(removeFormulaGuard("'=cmd|' /C calc'!A0"), "=cmd|' /C calc'!A0");
+  assert.equal(removeFormulaGuard("'quoted'"), "'quoted'");
+});
+
+test('CSV export has a header row and one CRLF-separated line per record', () => {
+  const csv = toDelimitedText(records, ',');
+  const lines = csv.split('\r\n');
+  assert.equal(lines.length, records.length + 1);
+  assert.equal(lines[0], RECORD_FIELDS.map(f => getFieldLabel(f.field)).join(','));
+  assert.ok(lines[1].startsWith('Apolipoprotein E,APOE ε4,'));
+});
+
+test('CSV export keeps commas, quotes and newlines inside one field', () => {
+  const [, row] = toDelimitedText([awkward], ',').split('\r\n');
+  assert.ok(row.includes(',"Lipid transport, ""cholesterol"" carrier",'));
+  assert.ok(row.includes(',"Amyloid-β accumulation\nTau spread",'));
+  assert.ok(row.endsWith(',31474234,,2019'));
+});
+
+test('XML/HTML escaping drops control characters', () => {
+  assert.equal(escapeXml('<b>"A&B"</b>'), '&lt;b&gt;&quot;A&amp;B&quot;&lt;/b&gt;');
+  assert.equal(escapeXml('tab\tok\u0001'), 'tab\tok');
+  assert.equal(escapeXml(null), '');
+});
+
+test('RIS and BibTeX citations escape their values', () => {
+  const citations = collectCitations([awkward]);
+  assert.equal(citations.length, 1);
+  Object.assign(citations[0], { title: 'Tau & {amyloid}\nin 50% of_cases', authors: ['Doe JQ'] });
+
+  const ris = toRis(citations);
+  assert.ok(ris.includes('TI  - Tau & {amyloid} in 50% of_cases\r\n'));
+  assert.ok(ris.includes('AN  - PMID:31474234\r\n'));
+  assert.ok(ris.endsWith('ER  - \r\n'));
+
+  const bibtex = toBibtex(citations);
+  assert.ok(bibtex.startsWith('@article{pmid31474234,\n'));
+  assert.ok(bibtex.includes('  title = {Tau \\& \\{amyloid\\} in 50\\% of\\_cases},'));
+  assert.ok(bibtex.includes('  author = {Doe, JQ},'));
+  assert.ok(bibtex.includes('  year = {2019},'));
+});
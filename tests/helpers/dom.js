@@ -0,0 +1,87 @@
+import { readFileSync } from 'fs';
+import { JSDOM } from 'jsdom';
+
+import { state } from '../../js/state.js';
+import { loadTableConfig } from '../../js/table-config.js';
+
+const PAGE = readFileSync(new URL('../../index.html', import.meta.url), 'utf8');
+
+// Elements that come with index.html itself (hero images, the module script)
+let pageElements = new WeakSet();
+
+/**
+ * Load index.html into jsdom and expose its window as the globals the
+ * modules use. Scripts and stylesheets are not loaded.
+ */
+export function setupDom() {
+  const dom = new JSDOM(PAGE, { url: 'http://localhost/' });
+  const { window } = dom;
+  window.HTMLElement.prototype.scrollIntoView = () => {};
+  window.open = () => null;
+  pageElements = new WeakSet(window.document.querySelectorAll('*'));
+
+  const globals = {
+    window, document: window.document, navigator: window.navigator, location: window.location,
+    history: window.history, localStorage: window.localStorage, Event: window.Event,
+    DOMParser: window.DOMParser, XMLSerializer: window.XMLSerializer, alert: () => {}
+  };
+  Object.entries(globals).forEach(([name, value]) => {
+    Object.defineProperty(globalThis, name, { value, configurable: true, writable: true });
+  });
+  return window;
+}
+
+/**
+ * Show rows as the whole dataset with nothing filtered, selected, pinned
+ * or edited locally; overrides are applied on top. Call after setupDom().
+ */
+export function resetState(rows, overrides = {}) {
+  Object.assign(state, {
+    databaseData: rows,
+    filteredData: rows,
+    currentPage: 1,
+    tableConfig: loadTableConfig(),
+    selectedRecords: new Set(),
+    pinnedRecords: [],
+    localEntryByRow: new Map(),
+    activeFacets: {},
+    facetModes: {},
+    ...overrides
+  });
+}
+
+/**
+ * Problems that would let rendered markup run script: script-capable
+ * elements, on* handler attributes and javascript: URLs. Elements that
+ * are part of index.html are skipped.
+ */
+export function findUnsafeMarkup(root) {
+  const problems = [];
+  const rendered = [...root.querySelectorAll('*')].filter(element => !pageElements.has(element));
+  rendered.filter(element => element.matches('script, img, iframe, object, embed')).forEach(element => {
+    problems.push(`<${element.tagName.toLowerCase()}> element`);
+  });
+  rendered.forEach(element => {
+    [...element.attributes].forEach(({ name, value }) => {
+      if (name.startsWith('on')) problems.push(`${name} attribute on <${element.tagName.toLowerCase()}>`);
+      if (['href', 'src', 'action', 'xlink:href'].includes(name) && /^\s*javascript:/i.test(value)) {
+        problems.push(`javascript: URL in ${name}`);
+      }
+    });
+  });
+  return problems;
+}
+
+/**
+ * Answer fetch() with the files of the repository, as the page would get
+ * them from the server; a missing file is a 404
+ */
+export function serveLocalFiles() {
+  globalThis.fetch = async (url) => {
+    try {
+      return new Response(readFileSync(new URL(`../../${url}`, import.meta.url), 'utf8'));
+    } catch {
+      return new Response('', { status: 404 });
+    }
+  };
+}
@@ -0,0 +1,63 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { setupDom } from './helpers/dom.js';
+import { escapeHtml, html, isSafeHtml, joinHtml, safeUrl, setHtml, toFragment } from '../js/html.js';
+
+before(() => setupDom());
+
+test('escapeHtml escapes markup and both quote styles', () => {
+  assert.equal(escapeHtml(`<a href="x" title='y'>&</a>`),
+    '&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;&amp;&lt;/a&gt;');
+  assert.equal(escapeHtml(42), '42');
+});
+
+test('html`` escapes values but keeps nested html`` output', () => {
+  const name = '<b>APOE</b>';
+  const badge = html`<span class="badge">${name}</span>`;
+  assert.ok(isSafeHtml(badge));
+  assert.equal(String(badge), '<span class="badge">&lt;b&gt;APOE&lt;/b&gt;</span>');
+  assert.equal(String(html`<td>${badge}</td>`), `<td>${badge}</td>`);
+  assert.equal(String(html`<li title="${'" onclick="x'}"></li>`), '<li title="&quot; onclick=&quot;x"></li>');
+});
+
+test('arrays are concatenated and empty values render nothing', () => {
+  const items = ['a', '<b>'].map(value => html`<li>${value}</li>`);
+  assert.equal(String(html`<ul>${items}</ul>`), '<ul><li>a</li><li>&lt;b&gt;</li></ul>');
+  assert.equal(String(html`${null}${undefined}${false}${0}`), '0');
+  assert.equal(String(joinHtml(['x', '<y>'], html`<br>`)), 'x<br>&lt;y&gt;');
+});
+
+test('safeUrl only lets http(s), mailto and relative URLs through', () => {
+  assert.equal(safeUrl('https://doi.org/10.1000/1'), 'https://doi.org/10.1000/1');
+  assert.equal(safeUrl('mailto:a@b.org'), 'mailto:a@b.org');
+  assert.equal(safeUrl('#gene/APOE'), '#gene/APOE');
+  assert.equal(safeUrl('data/file.json'), 'data/file.json');
+  assert.equal(safeUrl(' javascript:alert(1)'), '#');
+  assert.equal(safeUrl('JaVaScRiPt:alert(1)'), '#');
+  assert.equal(safeUrl('data:text/html,<script>'), '#');
+  // Characters the URL parser strips before reading the scheme
+  ['java\tscript:alert(1)', 'java\nscript:alert(1)', '\x01javascript:alert(1)'].forEach(url => {
+    assert.equal(safeUrl(url), '#', JSON.stringify(url));
+  });
+  assert.equal(safeUrl('https://[bad'), '#', 'unparseable URLs');
+  assert.equal(safeUrl(null), '');
+});
+
+test('setHtml inserts plain strings as text and applies data-style', () => {
+  const element = document.createElement('div');
+  setHtml(element, '<img src=x onerror=alert(1)>');
+  assert.equal(element.children.length, 0);
+  assert.equal(element.textContent, '<img src=x onerror=alert(1)>');
+
+  setHtml(element, html`<span data-style="width: 40%">bar</span>`);
+  const span = element.querySelector('span');
+  assert.equal(span.style.width, '40%');
+  assert.equal(span.hasAttribute('data-style'), false);
+});
+
+test('toFragment parses markup for append and replaceWith', () => {
+  const list = document.createElement('ul');
+  list.append(toFragment(html`<li data-style="color: red">${'<i>'}</li>`));
+  assert.equal(list.innerHTML, '<li style="color: red;">&lt;i&gt;</li>');
+});
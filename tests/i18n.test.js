@@ -0,0 +1,216 @@
+import { test, before, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdirSync, readFileSync } from 'fs';
+
+import { setupDom } from './helpers/dom.js';
+import { state } from '../js/state.js';
+import { LOCALES, formatFileDate, formatNumber, setLocale, t, translatePage } from '../js/i18n.js';
+import { en } from '../js/locales/en.js';
+import { toDelimitedText } from '../js/export.js';
+import { PRIMER_DEFAULTS, PRIMER_REJECTION_REASONS, validatePrimerSettings } from '../js/sequence/primer-design.js';
+
+const root = new URL('../', import.meta.url);
+const read = path => readFileSync(new URL(path, root), 'utf8');
+const records = JSON.parse(readFileSync(new URL('./fixtures/records.json', import.meta.url), 'utf8'));
+
+// Messages that are the same in English: brand names, units and loan words
+const SAME_AS_ENGLISH = {
+  es: [
+    'field.biomaterial_suggestion.short', 'category.neurovascular', 'export.xlsx', 'local.added',
+    'dataQuality.original', 'network.type.gene', 'tool.blast.local', 'tool.blast.column.bits', 'tool.primer.salts',
+    'tool.analysis.column.base'
+  ],
+  de: [
+    'field.biomaterial_suggestion.short', 'field.pmids.short', 'field.dois', 'export.xlsx', 'comparison.status',
+    'dataQuality.original', 'sequence.alphabet.dna', 'sequence.alphabet.rna', 'tool.blast.alignment',
+    'tool.blast.column.bits', 'tool.blast.strand.plus', 'tool.blast.strand.minus', 'tool.primer.salts',
+    'tool.translate.column.protein'
+  ],
+  zh: ['sequence.alphabet.dna', 'sequence.alphabet.rna']
+};
+
+// Words in markup that are not translated: units and brand names
+const UNTRANSLATED_WORDS = ['aa', 'cm', 'UniProt'];
+// Sample input shown as a placeholder, in the language of the data
+const SAMPLE_INPUTS = ['>Sequence\\nATCGATCGATCG...', 'amyloid, tau, neuroinflammation'];
+const TEXT_ATTRIBUTES = /\b(?:title|placeholder|aria-label|alt)="([^"]*)"/g;
+
+/**
+ * Literal parts of the html`` templates in a module, with each ${…} hole
+ * replaced by \u0000
+ */
+function getTemplateParts(source) {
+  const parts = [];
+  // From after an opening backtick; returns the index after the closing one
+  const readTemplate = (i, tagged) => {
+    let text = '';
+    while (i < source.length && source[i] !== '`') {
+      if (source[i] === '\\') {
+        text += source.slice(i, i + 2);
+        i += 2;
+      } else if (source.startsWith('${', i)) {
+        text += '\u0000';
+        i = readExpression(i + 2);
+      } else {
+        text += source[i++];
+      }
+    }
+    if (tagged) parts.push(text);
+    return i + 1;
+  };
+  // From inside a ${…} hole; returns the index after it
+  const readExpression = (i) => {
+    for (let depth = 1; i < source.length;) {
+      const ch = source[i];
+      if (ch === '`') {
+        i = readTemplate(i + 1, source.slice(0, i).endsWith('html'));
+      } else if (ch === "'" || ch === '"') {
+        i = source.indexOf(ch, i + 1) + 1;
+      } else {
+        if (ch === '{') depth++;
+        if (ch === '}' && --depth === 0) return i + 1;
+        i++;
+      }
+    }
+    return i;
+  };
+  for (let i = source.indexOf('html`'); i !== -1; i = source.indexOf('html`', i)) {
+    i = readTemplate(i + 5, true);
+  }
+  return parts;
+}
+
+/**
+ * Text and text attributes of a template part that are written in English
+ * instead of coming from t()
+ */
+function getUntranslatedText(part) {
+  const attributes = [...part.matchAll(TEXT_ATTRIBUTES)].map(match => match[1]);
+  // Parts that only add attributes to a tag, e.g. html`role="alert"`
+  const text = /^[^<>]*="/.test(part) ? '' : part.replace(/<(?:[^>"]|"[^"]*")*>/g, '\u0000');
+  return [text, ...attributes]
+    .flatMap(value => value.replace(/&\w+;/g, ' ').split('\u0000'))
+    .map(fragment => fragment.replace(/\s+/g, ' ').trim())
+    .filter(fragment => !SAMPLE_INPUTS.includes(fragment) &&
+      (fragment.match(/[A-Za-z]*[a-z]{2}[A-Za-z]*/g) || []).some(word => !UNTRANSLATED_WORDS.includes(word)));
+}
+
+const placeholders = message => [...new Set(
+  (typeof message === 'string' ? [message] : Object.values(message)).join(' ').match(/\{\w+\}/g)
+)].sort();
+
+before(() => {
+  setupDom();
+});
+
+afterEach(() => {
+  state.locale = 'en';
+});
+
+test('every catalog has the same keys and placeholders as English', () => {
+  for (const [locale, { messages }] of Object.entries(LOCALES)) {
+    assert.deepEqual(Object.keys(en).filter(key => !(key in messages)), [], `${locale} is missing messages`);
+    assert.deepEqual(Object.keys(messages).filter(key => !(key in en)), [], `${locale} has unknown messages`);
+    Object.entries(messages).forEach(([key, message]) => {
+      if (typeof message !== 'string') assert.ok('other' in message, `${locale} ${key} has no "other" form`);
+      assert.deepEqual(placeholders(message), placeholders(en[key]), `${locale} ${key} placeholders`);
+    });
+  }
+});
+
+test('translated catalogs have no untranslated English messages', () => {
+  Object.entries(SAME_AS_ENGLISH).forEach(([locale, allowed]) => {
+    const untranslated = Object.entries(LOCALES[locale].messages)
+      .filter(([key, message]) => JSON.stringify(message) === JSON.stringify(en[key]))
+      .map(([key]) => key);
+    assert.deepEqual(untranslated, allowed, locale);
+  });
+});
+
+test('every message used by the page and the modules exists', () => {
+  const used = [...read('index.html').matchAll(/data-i18n(?:-[a-z-]+)?="([^"]+)"/g)].map(match => match[1]);
+  readdirSync(new URL('js/', root), { recursive: true })
+    .filter(file => file.endsWith('.js') && !file.startsWith('locales'))
+    .forEach(file => {
+      used.push(...[...read(`js/${file}`).matchAll(/\bt\(\s*'([^']+)'/g)].map(match => match[1]));
+    });
+  assert.deepEqual(used.filter(key => !(key in en)), []);
+});
+
+test('modules write no English text of their own', () => {
+  readdirSync(new URL('js/', root), { recursive: true })
+    .filter(file => file.endsWith('.js') && !file.startsWith('locales'))
+    .forEach(file => {
+      const source = read(`js/${file}`);
+      assert.deepEqual(getTemplateParts(source).flatMap(getUntranslatedText), [], `js/${file} markup`);
+      // Messages handed back to the caller are codes, e.g. validatePrimerSettings
+      assert.deepEqual(source.match(/return\s+'[^']*[a-z]{2,} [a-z]{2,}[^']*'/g), null, `js/${file} returned text`);
+    });
+});
+
+test('codes returned by the primer designer have messages', () => {
+  const d = PRIMER_DEFAULTS;
+  const errors = [
+    { lengthMin: d.lengthMax + 1 }, { tmMin: d.tmMax + 1 }, { gcMin: d.gcMax + 1 },
+    { productMin: d.productMax + 1 }, { productMin: d.lengthMin }, { naMm: 0, mgMm: 0 }, { primerNm: 0 }
+  ].map(settings => validatePrimerSettings({ ...d, ...settings }));
+  assert.equal(new Set(errors).size, errors.length, 'each problem has its own code');
+  const keys = [
+    ...errors.map(code => `tool.primer.error.${code}`),
+    ...PRIMER_REJECTION_REASONS.map(reason => `tool.primer.rejected.${reason}`)
+  ];
+  assert.deepEqual(keys.filter(key => !(key in en)), []);
+});
+
+test('the English catalog matches the text of index.html', () => {
+  // Text and attributes of the translated elements, ignoring line wrapping
+  const snapshot = () => [...document.querySelectorAll('[data-i18n], [data-i18n-title], [data-i18n-placeholder], [data-i18n-aria-label], [data-i18n-alt]')]
+    .map(element => [element.textContent, ...['title', 'placeholder', 'aria-label', 'alt'].map(name => element.getAttribute(name))]
+      .map(value => value && value.replace(/\s+/g, ' ').trim()));
+  const before = snapshot();
+  translatePage();
+  assert.deepEqual(snapshot(), before);
+  assert.equal(document.documentElement.lang, 'en');
+});
+
+test('messages fill placeholders, choose plurals and fall back to the key', () => {
+  assert.equal(t('pagination.page', { page: 3 }), 'Page 3');
+  assert.equal(t('import.done', { count: 1 }), 'Imported 1 entry.');
+  assert.equal(t('import.done', { count: 1200 }), 'Imported 1,200 entries.');
+  assert.equal(t('search.invalid'), 'Invalid search: {message}');
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    assert.equal(t('no.such.message'), 'no.such.message');
+  } finally {
+    console.warn = warn;
+  }
+
+  state.locale = 'de';
+  assert.equal(t('import.done', { count: 1200 }), '1.200 Einträge importiert.');
+  state.locale = 'zh';
+  assert.equal(t('import.done', { count: 1 }), '已导入 1 个条目。');
+});
+
+test('numbers and file dates follow the locale', () => {
+  const date = new Date(2024, 2, 5);
+  assert.equal(formatNumber(1234.5), '1,234.5');
+  assert.equal(formatFileDate(date), '03-05-2024');
+  state.locale = 'de';
+  assert.equal(formatNumber(1234.5), '1.234,5');
+  assert.equal(formatFileDate(date), '05-03-2024');
+});
+
+test('switching language translates the page and exports', () => {
+  try {
+    setLocale('de');
+    assert.equal(document.documentElement.lang, 'de');
+    assert.equal(document.querySelector('[data-i18n="search.button"]').textContent, 'Suchen');
+    assert.equal(document.getElementById('geneSearch').placeholder, t('search.placeholder'));
+    assert.ok(toDelimitedText(records, ',').startsWith('Genname,Variante,'));
+    assert.equal(localStorage.getItem('teAlzheimersDb.locale'), 'de');
+  } finally {
+    setLocale('en');
+  }
+  assert.equal(document.querySelector('[data-i18n="search.button"]').textContent, 'Search');
+});
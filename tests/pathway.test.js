@@ -0,0 +1,127 @@
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+
+import { resetState, serveLocalFiles, setupDom } from './helpers/dom.js';
+import { state } from '../js/state.js';
+import { TE_CATEGORY_KEYS } from '../js/schema.js';
+import { validateDataset } from '../js/validation.js';
+import { getGeneSymbol } from '../js/records.js';
+import { showTool } from '../js/tools.js';
+import { drawPathwayMap, filterByPathwayGene, getHighestSeverity, loadPathway, matchPathwayGenes } from '../js/pathway.js';
+
+const pathway = JSON.parse(readFileSync(new URL('../alzheimers_pathway.json', import.meta.url), 'utf8'));
+const { records } = validateDataset(
+  JSON.parse(readFileSync(new URL('../alzheimers_data.json', import.meta.url), 'utf8'))
+);
+const EDGE_TYPES = ['activation', 'inhibition', 'binding', 'expression', 'indirect'];
+
+before(async () => {
+  setupDom();
+  serveLocalFiles();
+  state.geneAliases = JSON.parse(readFileSync(new URL('../gene_aliases.json', import.meta.url), 'utf8'));
+  await loadPathway();
+});
+
+beforeEach(() => {
+  resetState(records);
+  document.getElementById('geneSearch').value = '';
+});
+
+/**
+ * Boxes of the drawn gene and process nodes, by their label
+ */
+function getNodeBoxes() {
+  return [...document.querySelectorAll('.pathway-gene > rect:not(.pathway-severity), .pathway-process > rect')].map(rect => {
+    const [x, y, width, height] = ['x', 'y', 'width', 'height'].map(name => Number(rect.getAttribute(name)));
+    return { label: rect.parentNode.querySelector('text').textContent, x, y, width, height };
+  });
+}
+
+test('the pathway file is consistent', () => {
+  const ids = [...pathway.nodes, ...pathway.groups].map(item => item.id);
+  assert.equal(new Set(ids).size, ids.length, 'ids are unique');
+  const compartments = new Set(pathway.compartments.map(compartment => compartment.id));
+  pathway.nodes.forEach(node => {
+    assert.ok(compartments.has(node.compartment), `${node.id} compartment`);
+    assert.ok(node.type === 'gene' ? node.symbol : node.label, `${node.id} has a name`);
+  });
+  pathway.groups.forEach(group => group.nodes.forEach(id => assert.ok(ids.includes(id), `${group.id} member ${id}`)));
+  pathway.edges.forEach(edge => {
+    assert.ok(ids.includes(edge.from) && ids.includes(edge.to), `edge ${edge.from} -> ${edge.to}`);
+    assert.ok(EDGE_TYPES.includes(edge.type), `edge type ${edge.type}`);
+  });
+});
+
+test('nodes are drawn inside the canvas without overlapping', () => {
+  showTool('kegg');
+  const boxes = getNodeBoxes();
+  assert.equal(boxes.length, pathway.nodes.filter(node => node.type !== 'compound').length);
+  boxes.forEach((box, i) => {
+    assert.ok(box.x >= 0 && box.y >= 0 && box.x + box.width <= pathway.width && box.y + box.height <= pathway.height,
+      `${box.label} is inside the canvas`);
+    boxes.slice(i + 1).forEach(other => {
+      const overlaps = box.x < other.x + other.width && other.x < box.x + box.width &&
+        box.y < other.y + other.height && other.y < box.y + box.height;
+      assert.ok(!overlaps, `${box.label} overlaps ${other.label}`);
+    });
+  });
+});
+
+test('gene nodes are matched to records by symbol with their most common category', () => {
+  const matches = matchPathwayGenes(pathway.nodes, records);
+  assert.ok(matches.has('APOE'));
+  assert.ok(!matches.has('AKT1'));
+  const apoe = matches.get('APOE');
+  assert.deepEqual(apoe.records, records.filter(row => getGeneSymbol(row) === 'APOE'));
+  assert.equal(apoe.category, apoe.records[0].te_relevance);
+
+  const rows = [
+    { gene_name: 'Apolipoprotein E (APOE)', te_relevance: 'Metabolic tissue engineering' },
+    { gene_name: 'Apolipoprotein E (APOE)', te_relevance: 'Neural tissue engineering' }
+  ];
+  const tie = matchPathwayGenes([{ type: 'gene', symbol: getGeneSymbol(rows[0]) }], rows);
+  assert.equal([...tie.values()][0].category, 'Neural tissue engineering');
+});
+
+test('the overlay takes the most severe value among the records', () => {
+  const rows = [{ oxidative_stress: 'High' }, { oxidative_stress: 'Very high' }, { oxidative_stress: 'Moderate' }];
+  assert.deepEqual(getHighestSeverity(rows, 'oxidative_stress'), { value: 'Very high', rank: 3 });
+  assert.equal(getHighestSeverity([{ oxidative_stress: '' }], 'oxidative_stress'), null);
+});
+
+test('database genes are highlighted by category, with severity rings when overlaid', () => {
+  showTool('kegg');
+  const map = document.querySelector('#pathwayMap svg');
+  const matches = matchPathwayGenes(pathway.nodes, records);
+  assert.equal(map.getAttribute('role'), 'img');
+  assert.equal(map.querySelectorAll('.pathway-gene.in-database').length, matches.size);
+  assert.ok(map.querySelector('[data-pathway-gene="APOE"]').classList.contains(TE_CATEGORY_KEYS[matches.get('APOE').category]));
+  const akt1 = [...map.querySelectorAll('.pathway-gene')].find(node => node.querySelector('text').textContent === 'AKT1');
+  assert.ok(!akt1.classList.contains('in-database'));
+  assert.equal(document.querySelectorAll('#pathwayGenes button[data-pathway-gene]').length, matches.size);
+  assert.equal(map.querySelectorAll('.pathway-severity').length, 0);
+
+  document.getElementById('pathwayOverlay').value = 'oxidative_stress';
+  drawPathwayMap();
+  const rings = document.querySelectorAll('#pathwayMap .pathway-severity');
+  assert.ok(rings.length > 0);
+  const apoe = getHighestSeverity(matches.get('APOE').records, 'oxidative_stress');
+  assert.ok(document.querySelector(`[data-pathway-gene="APOE"] .pathway-severity.severity-${apoe.rank}`));
+  assert.equal(document.querySelectorAll('#pathwayLegend .pathway-swatch.ring').length, 3);
+});
+
+test('choosing a gene shows its records in the results', () => {
+  showTool('kegg');
+  filterByPathwayGene('APOE');
+  assert.equal(state.activeTool, null);
+  assert.equal(document.getElementById('toolContent').hidden, true);
+  assert.deepEqual(state.filteredData, matchPathwayGenes(pathway.nodes, records).get('APOE').records);
+
+  // Records of one gene under different names are all shown
+  const apoe = records.find(row => getGeneSymbol(row) === 'APOE');
+  const renamed = { ...apoe, gene_name: 'ApoE', variant: 'APOE ε2' };
+  state.databaseData = [...records, renamed];
+  filterByPathwayGene('APOE');
+  assert.deepEqual(state.filteredData.slice().sort((a, b) => a.gene_name.localeCompare(b.gene_name)), [renamed, apoe]);
+});
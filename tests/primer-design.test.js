@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+
+import { calculateGC, getReverseComplement } from '../js/sequence/sequence-utils.js';
+import { parseSequenceInput } from '../js/sequence/sequence-parser.js';
+import {
+  PRIMER_DEFAULTS, calculateDimerDeltaG, calculateHairpinDeltaG, calculateNearestNeighborTm,
+  designPrimerPairs, evaluatePrimer, validatePrimerSettings
+} from '../js/sequence/primer-design.js';
+
+const [template] = parseSequenceInput(
+  readFileSync(new URL('./fixtures/template.fasta', import.meta.url), 'utf8')
+).records;
+
+test('nearest-neighbor Tm follows salt and primer concentration', () => {
+  const primer = 'GTAAAACGACGGCCAGT';
+  const tm = calculateNearestNeighborTm(primer);
+  assert.ok(Math.abs(tm - 57.9) < 0.05, `Tm ${tm}`);
+  assert.ok(calculateNearestNeighborTm(primer, { ...PRIMER_DEFAULTS, mgMm: 3 }) > tm);
+  assert.ok(calculateNearestNeighborTm(primer, { ...PRIMER_DEFAULTS, primerNm: 50 }) < tm);
+});
+
+test('secondary structure energies', () => {
+  assert.ok(calculateHairpinDeltaG('GCGCGCAAAAGCGCGC') < -3);
+  assert.equal(calculateHairpinDeltaG('AAAAAAAAAA'), 0);
+  const dimer = calculateDimerDeltaG('GAATTCGAATTC', 'GAATTCGAATTC');
+  assert.ok(dimer.deltaG < -9);
+  assert.equal(dimer.endDeltaG, dimer.deltaG);
+  assert.deepEqual(calculateDimerDeltaG('AAAAAA', 'AAAAAA'), { deltaG: 0, endDeltaG: 0 });
+});
+
+test('candidate primers are rejected by the first rule they fail', () => {
+  assert.deepEqual(evaluatePrimer('ACGTNACGTACGTACGTACG', PRIMER_DEFAULTS), { rejected: 'ambiguous' });
+  assert.deepEqual(evaluatePrimer('ATATATATATATATATATAT', PRIMER_DEFAULTS), { rejected: 'gc' });
+  assert.deepEqual(evaluatePrimer('AAAAAAGCGCGCGATCGATC', PRIMER_DEFAULTS), { rejected: 'repeat' });
+  assert.deepEqual(evaluatePrimer('ACTGACTGACTGACTGACTA', PRIMER_DEFAULTS), { rejected: 'clamp' });
+
+  const accepted = evaluatePrimer('GCGGTTCCCCTCAAATTATC', PRIMER_DEFAULTS);
+  assert.equal(accepted.rejected, undefined);
+  assert.equal(accepted.gc, 50);
+});
+
+test('contradictory settings are reported', () => {
+  assert.equal(validatePrimerSettings(PRIMER_DEFAULTS), null);
+  assert.equal(validatePrimerSettings({ ...PRIMER_DEFAULTS, tmMin: 70 }), 'tmRange');
+  assert.equal(validatePrimerSettings({ ...PRIMER_DEFAULTS, productMin: 20 }), 'productTooShort');
+  assert.equal(validatePrimerSettings({ ...PRIMER_DEFAULTS, naMm: 0, mgMm: 0 }), 'salt');
+});
+
+test('designed pairs bind the template and respect every setting', () => {
+  const { pairs, stats } = designPrimerPairs(template.sequence, PRIMER_DEFAULTS);
+  assert.equal(pairs.length, PRIMER_DEFAULTS.pairCount);
+  assert.ok(stats.forwardCandidates > 0 && stats.reverseCandidates > 0);
+
+  pairs.forEach(({ forward, reverse, productSize, tmDiff }) => {
+    assert.equal(template.sequence.substring(forward.start, forward.end), forward.seq);
+    assert.equal(getReverseComplement(template.sequence.substring(reverse.start, reverse.end)), reverse.seq);
+    assert.equal(productSize, reverse.end - forward.start);
+    assert.ok(productSize >= PRIMER_DEFAULTS.productMin && productSize <= PRIMER_DEFAULTS.productMax);
+    assert.ok(tmDiff <= PRIMER_DEFAULTS.maxTmDiff);
+    [forward, reverse].forEach(primer => {
+      assert.ok(primer.seq.length >= PRIMER_DEFAULTS.lengthMin && primer.seq.length <= PRIMER_DEFAULTS.lengthMax);
+      assert.ok(primer.tm >= PRIMER_DEFAULTS.tmMin && primer.tm <= PRIMER_DEFAULTS.tmMax);
+      const gc = calculateGC(primer.seq, 1);
+      assert.ok(gc >= PRIMER_DEFAULTS.gcMin && gc <= PRIMER_DEFAULTS.gcMax);
+      assert.match(primer.seq, /[GC]$/);
+    });
+  });
+
+  const penalties = pairs.map(pair => pair.penalty);
+  assert.deepEqual(penalties, [...penalties].sort((a, b) => a - b));
+});
+
+test('no pairs when the product range cannot fit in the template', () => {
+  const settings = { ...PRIMER_DEFAULTS, productMin: 500, productMax: 600 };
+  const { pairs, stats } = designPrimerPairs(template.sequence, settings);
+  assert.deepEqual(pairs, []);
+  assert.equal(stats.rejected.productSize, stats.pairsChecked);
+});
@@ -0,0 +1,37 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+
+import { resetState, setupDom } from './helpers/dom.js';
+import { findRecordByKey, getGeneRouteKey } from '../js/records.js';
+import { handleRoute } from '../js/gene-detail.js';
+
+const records = JSON.parse(readFileSync(new URL('./fixtures/records.json', import.meta.url), 'utf8'));
+
+before(() => setupDom());
+
+test('a local entry adding a variant of a shipped gene gets its own route', () => {
+  const [shipped] = records;
+  const added = { ...shipped, variant: 'APOE ε2' };
+  resetState([...records, added], {
+    localEntryByRow: new Map([[added, {
+      id: 'local:test',
+      baseKey: null,
+      history: [{ record: added, action: 'added', savedAt: '2024-03-05T10:00:00.000Z' }]
+    }]])
+  });
+
+  assert.equal(getGeneRouteKey(records[1]), 'PSEN1', 'genes with one record keep the symbol');
+  assert.equal(getGeneRouteKey(shipped), 'Apolipoprotein E|APOE ε4');
+  assert.equal(getGeneRouteKey(added), 'Apolipoprotein E|APOE ε2');
+  assert.equal(findRecordByKey(getGeneRouteKey(added)), added);
+  assert.equal(findRecordByKey(getGeneRouteKey(shipped)), shipped);
+  assert.equal(findRecordByKey('apolipoprotein e|apoe ε2'), added, 'record keys match case-insensitively');
+  assert.equal(findRecordByKey('Apolipoprotein E'), shipped, 'older gene-name links still open');
+
+  location.hash = `#gene/${encodeURIComponent(getGeneRouteKey(added))}`;
+  handleRoute();
+  const detail = document.getElementById('geneDetail');
+  assert.match(detail.textContent, /APOE ε2/);
+  assert.ok(detail.querySelector('.local-history'), 'the history of the local entry is shown');
+});
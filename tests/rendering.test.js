@@ -0,0 +1,135 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+
+import { findUnsafeMarkup, resetState, setupDom } from './helpers/dom.js';
+import { state } from '../js/state.js';
+import { RECORD_FIELDS } from '../js/schema.js';
+import { getGeneRouteKey } from '../js/records.js';
+import { validateDataset } from '../js/validation.js';
+import { renderTableControls } from '../js/table-config.js';
+import { displayResults } from '../js/results.js';
+import { renderFacetPanel } from '../js/facets.js';
+import { computeStatistics, renderStatistics } from '../js/statistics.js';
+import { renderGeneDetail } from '../js/gene-detail.js';
+import { buildComparisonReport, renderComparisonTray, showComparisonRoute } from '../js/comparison.js';
+import { readImportFile, showEntryForm } from '../js/local-entries.js';
+import { showDataQualityReport } from '../js/data.js';
+import { renderDatasetInfo } from '../js/offline.js';
+import { showError } from '../js/render.js';
+import { renderCitationLinks } from '../js/citations.js';
+import { buildHtmlReport } from '../js/export.js';
+import { html, setHtml } from '../js/html.js';
+import {
+  analyzeComposition, analyzeProtein, complementDNA, findORFs, showTool, transcribeDNA, translateDNA
+} from '../js/tools.js';
+import { runRecommender } from '../js/recommender.js';
+
+const records = JSON.parse(readFileSync(new URL('./fixtures/records.json', import.meta.url), 'utf8'));
+
+const PAYLOADS = [
+  '<img src=x onerror=alert(1)>',
+  '"><script>alert(2)</script>',
+  '\' onmouseover=\'alert(3)',
+  '<a href="javascript:alert(4)">x</a>'
+];
+// FASTA ids end at the first space
+const SEQUENCE_ID = '"><img/src=x/onerror=alert(5)>';
+
+// Every field of every record carries a payload; citations are javascript: URLs
+const hostile = records.map((record, i) => {
+  const payload = PAYLOADS[i % PAYLOADS.length];
+  const row = Object.fromEntries(RECORD_FIELDS.map(({ field }) => [field, `${record[field] || ''} ${payload}`]));
+  return { ...row, pmids: 'javascript:alert(6)', dois: 'javascript:alert(7)' };
+});
+
+function assertSafe(root = document.body) {
+  assert.deepEqual(findUnsafeMarkup(root), []);
+}
+
+beforeEach(() => {
+  setupDom();
+  resetState(hostile, { selectedRecords: new Set([0]) });
+});
+
+test('results table, pagination, facets, statistics and table controls', () => {
+  displayResults();
+  renderFacetPanel(hostile);
+  renderStatistics(computeStatistics(hostile));
+  renderTableControls();
+  assertSafe();
+  assert.ok(document.getElementById('dynamicContent').textContent.includes(PAYLOADS[0]));
+});
+
+test('gene detail view, including citation links', () => {
+  hostile.forEach(row => {
+    renderGeneDetail(row);
+    assertSafe();
+  });
+  assert.ok(document.getElementById('geneDetailBody').textContent.includes('javascript:alert(7)'));
+});
+
+test('comparison view, pin tray and printable reports', () => {
+  showComparisonRoute(hostile.slice(0, 4).map(row => encodeURIComponent(getGeneRouteKey(row))).join(','));
+  renderComparisonTray();
+  assert.equal(state.pinnedRecords.length, 4);
+  assertSafe();
+
+  [buildComparisonReport(hostile.slice(0, 4)), buildHtmlReport(hostile, 'filtered')].forEach(report => {
+    const doc = new DOMParser().parseFromString(report, 'text/html');
+    assertSafe(doc.documentElement);
+  });
+});
+
+test('entry form, import preview and data quality report', async () => {
+  showEntryForm(hostile[1]);
+  assertSafe();
+
+  await readImportFile({ name: `${PAYLOADS[0]}.json`, text: async () => JSON.stringify([...hostile, hostile[0]]) });
+  assert.ok(document.querySelector('.import-preview'));
+  assertSafe();
+
+  // A record missing most fields is rejected and listed with its problems
+  state.dataQualityReport = validateDataset([...hostile, { gene_name: PAYLOADS[0] }]).report;
+  assert.ok(state.dataQualityReport.invalid.length);
+  showDataQualityReport();
+  assertSafe();
+});
+
+test('dataset info, error messages and citation links', () => {
+  state.datasetInfo = { version: PAYLOADS[1], lastModified: PAYLOADS[0], updateAvailable: true };
+  renderDatasetInfo();
+  showError(PAYLOADS[0], PAYLOADS[1]);
+  assertSafe();
+
+  const container = document.createElement('div');
+  setHtml(container, html`${renderCitationLinks('dois', 'javascript:alert(1); 10.1000/<b>')}`);
+  assertSafe(container);
+  assert.ok(container.querySelector('a').href.startsWith('https://doi.org/'));
+});
+
+test('recommender and sequence tools echo hostile input as text', () => {
+  showTool('recommend');
+  document.getElementById('recommendGenes').value = `${hostile[0].gene_name}, ${PAYLOADS[0]}`;
+  runRecommender();
+  assertSafe();
+
+  showTool('translate');
+  document.getElementById('transSeq').value = `>${SEQUENCE_ID}\nATGAAACCCGGGTTTTAG\n>${SEQUENCE_ID}2\nATGCCCTAA`;
+  [transcribeDNA, translateDNA, findORFs].forEach(run => {
+    run();
+    assertSafe();
+  });
+  assert.ok(document.getElementById('transResults').textContent.includes(SEQUENCE_ID));
+
+  showTool('complement');
+  document.getElementById('compSeq').value = `>${SEQUENCE_ID}\nACGT\n>${SEQUENCE_ID}\nAC<b>GT`;
+  complementDNA();
+  assertSafe();
+
+  showTool('analysis');
+  document.getElementById('analysisSeq').value = `>${SEQUENCE_ID}\nATGCGCGCGATATCG\n>${SEQUENCE_ID}2\nGGCCGGCCAATT`;
+  analyzeComposition();
+  analyzeProtein();
+  assertSafe();
+});
@@ -0,0 +1,84 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+
+import { state } from '../js/state.js';
+import {
+  QuerySyntaxError, buildGeneAliasIndex, getFacetValues, matchesFacets, searchRecords, tokenizeQuery
+} from '../js/search.js';
+
+const readFixture = (name) => JSON.parse(readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8'));
+const records = readFixture('records.json');
+const variants = (query) => searchRecords(records, query).matches.map(row => row.variant);
+
+beforeEach(() => {
+  state.geneAliases = readFixture('gene_aliases.json');
+  state.geneAliasIndex = buildGeneAliasIndex(state.geneAliases);
+  state.activeFacets = {};
+  state.facetModes = {};
+});
+
+test('an empty query returns every record unranked', () => {
+  const { matches, scores } = searchRecords(records, '');
+  assert.equal(matches.length, records.length);
+  assert.equal(scores.size, 0);
+});
+
+test('field prefixes restrict a term to their fields', () => {
+  assert.deepEqual(variants('gene:APOE'), ['APOE ε4']);
+  assert.deepEqual(variants('growth:BDNF'), ['APOE ε4', 'CLU rs11136000']);
+  assert.deepEqual(variants('oxidative:High growth:GDNF'), ['PSEN1 mutations', 'BIN1 rs744373']);
+});
+
+test('NOT, OR, phrases and wildcards', () => {
+  assert.deepEqual(variants('te:Neuroimmune -gene:CD33'), ['TREM2 R47H']);
+  assert.deepEqual(variants('APOE OR CD33'), ['APOE ε4', 'CD33 rs3865444']);
+  assert.deepEqual(variants('"iPSC-derived neurons"'), ['PSEN1 mutations']);
+  assert.deepEqual(variants('microgl*'), ['TREM2 R47H', 'CD33 rs3865444']);
+});
+
+test('aliases and misspellings find the gene', () => {
+  assert.deepEqual(variants('ApoE4'), ['APOE ε4']);
+  assert.deepEqual(variants('APOJ'), ['CLU rs11136000']);
+  assert.deepEqual(variants('Clusterinn'), ['CLU rs11136000']);
+});
+
+test('exact matches rank above fuzzy ones', () => {
+  const { matches, scores } = searchRecords(records, 'gene:APOE OR Clusterinn');
+  assert.deepEqual(matches.map(row => row.variant), ['APOE ε4', 'CLU rs11136000']);
+  assert.ok(scores.get(matches[0]).score > scores.get(matches[1]).score);
+});
+
+test('invalid queries throw QuerySyntaxError with the position', () => {
+  assert.throws(() => searchRecords(records, 'gene:('), QuerySyntaxError);
+  assert.throws(() => searchRecords(records, 'foo:bar'), /Unknown field "foo"/);
+  assert.throws(() => searchRecords(records, '"unterminated'), /Unterminated quoted phrase/);
+  assert.throws(() => searchRecords(records, 'APOE OR'), (error) => error.position === 5);
+});
+
+test('tokenizer resolves field aliases and keeps phrases whole', () => {
+  const tokens = tokenizeQuery('gene:APOE -"growth factor"');
+  assert.deepEqual(tokens.map(token => token.type), ['term', 'not', 'term']);
+  assert.deepEqual(tokens[0].fields, ['gene_name', 'variant']);
+  assert.equal(tokens[2].value, 'growth factor');
+});
+
+test('facet values combine with OR by default and AND when asked', () => {
+  state.activeFacets = { growth_factors: new Set(['BDNF', 'GDNF']) };
+  assert.deepEqual(records.filter(row => matchesFacets(row)).map(row => row.variant),
+    ['APOE ε4', 'PSEN1 mutations', 'CLU rs11136000', 'BIN1 rs744373']);
+
+  state.facetModes = { growth_factors: 'AND' };
+  assert.deepEqual(records.filter(row => matchesFacets(row)), []);
+
+  state.activeFacets = { growth_factors: new Set(['BDNF', 'VEGF']) };
+  assert.deepEqual(records.filter(row => matchesFacets(row)).map(row => row.variant),
+    ['APOE ε4', 'CLU rs11136000']);
+});
+
+test('missing facet values fall into the configured bucket', () => {
+  const facet = { field: 'evidence_level', missingValue: 'Not recorded' };
+  assert.deepEqual(getFacetValues({ evidence_level: '' }, facet), ['Not recorded']);
+  assert.deepEqual(getFacetValues({ cell_type: 'Microglia; Astrocytes' }, { field: 'cell_type', multiValued: true }),
+    ['Microglia', 'Astrocytes']);
+});
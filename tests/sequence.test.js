@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  calculateGC, calculateTm, formatSequence, getComplement, getReverseComplement
+} from '../js/sequence/sequence-utils.js';
+import { parseSequenceInput } from '../js/sequence/sequence-parser.js';
+import {
+  GENETIC_CODES, findOpenReadingFrames, getSixFrames, translateCodon, translateSequence
+} from '../js/sequence/genetic-codes.js';
+
+const CODING = 'ATGGCCATTGTAATGGGCCGCTGAAAGGGTGCCCGATAG';
+
+test('complement and reverse complement, including IUPAC codes', () => {
+  assert.equal(getComplement('ATGC'), 'TACG');
+  assert.equal(getReverseComplement('ATGC'), 'GCAT');
+  assert.equal(getComplement('RYKMBVDHN'), 'YRMKVBHDN');
+  assert.equal(getComplement('AUX'), 'TAN');
+});
+
+test('GC content, Tm and sequence formatting', () => {
+  assert.equal(calculateGC('GGCCAATT'), 50);
+  assert.equal(calculateGC('GCA', 2), 66.67);
+  assert.equal(calculateTm('GTAAAACGACGGCCAGT'), 57.9);
+  assert.ok(calculateTm('GCGCGCGCGCGCGCGCGCGC') > calculateTm('ATATATATATGCATATATAT'));
+  assert.equal(formatSequence('ACGTACGTACGTAC'), 'ACGTACGTAC GTAC');
+  assert.equal(formatSequence('ACGTACGT', 3), 'ACG TAC GT');
+});
+
+test('raw, FASTA and GenBank input is recognised and cleaned', () => {
+  assert.deepEqual(parseSequenceInput('acgt acgt\n12 nn'),
+    { format: 'plain', records: [{ id: 'sequence', description: '', sequence: 'ACGTACGTNN' }] });
+
+  const fasta = parseSequenceInput('>seq1 first\nACGT\nACGT\n>seq2\nTTTT\n');
+  assert.equal(fasta.format, 'fasta');
+  assert.deepEqual(fasta.records.map(r => [r.id, r.description, r.sequence]),
+    [['seq1', 'first', 'ACGTACGT'], ['seq2', '', 'TTTT']]);
+
+  const genbank = parseSequenceInput('LOCUS       TEST 8 bp\nORIGIN\n        1 acgtacgt\n//');
+  assert.equal(genbank.format, 'genbank');
+  assert.equal(genbank.records[0].sequence, 'ACGTACGT');
+});
+
+test('translation with the standard and vertebrate mitochondrial codes', () => {
+  assert.equal(translateSequence(CODING), 'MAIVMGR*KGAR*');
+  assert.equal(translateSequence(CODING, GENETIC_CODES[2]), 'MAIVMGRWKGAR*');
+  assert.equal(translateCodon('AGA', GENETIC_CODES[2]), '*');
+  assert.equal(translateCodon('ATA', GENETIC_CODES[2]), 'M');
+  assert.equal(translateSequence('ATGGC'), 'M');
+});
+
+test('ambiguous codons translate to the residue their expansions share', () => {
+  assert.equal(translateCodon('CTN'), 'L');
+  assert.equal(translateCodon('ATH'), 'I');
+  assert.equal(translateCodon('RAY'), 'B');
+  assert.equal(translateCodon('SAR'), 'Z');
+  assert.equal(translateCodon('NNN'), 'X');
+  assert.equal(translateCodon('A-G'), 'X');
+});
+
+test('six frames read the forward strand and its reverse complement', () => {
+  const frames = getSixFrames(CODING);
+  assert.deepEqual(frames.map(f => f.label), ['+1', '+2', '+3', '-1', '-2', '-3']);
+  assert.equal(frames[0].protein, 'MAIVMGR*KGAR*');
+  assert.equal(frames[3].protein, translateSequence(getReverseComplement(CODING)));
+});
+
+test('ORFs run from a start codon to the next stop on both strands', () => {
+  const orfs = findOpenReadingFrames('CCATGAAACCCGGGTTTTAGCC', GENETIC_CODES[1], { minLength: 3 });
+  assert.deepEqual(orfs, [
+    { frame: '+3', start: 3, end: 20, length: 5, complete: true, protein: 'MKPGF*' }
+  ]);
+
+  const reverse = findOpenReadingFrames(getReverseComplement('ATGAAACCCTAA'), GENETIC_CODES[1], { minLength: 3 });
+  assert.deepEqual(reverse.map(orf => [orf.frame, orf.start, orf.end, orf.protein]), [['-1', 12, 1, 'MKP*']]);
+});
+
+test('ORFs honour alternative starts, open ends and the minimum length', () => {
+  assert.deepEqual(findOpenReadingFrames('TTGAAACCCTAA', GENETIC_CODES[1], { minLength: 3 }), []);
+  const [alternative] = findOpenReadingFrames('TTGAAACCCTAA', GENETIC_CODES[1], { minLength: 3, alternativeStarts: true });
+  assert.equal(alternative.protein, 'MKP*');
+
+  const [open] = findOpenReadingFrames('ATGAAACCC', GENETIC_CODES[1], { minLength: 2 });
+  assert.equal(open.complete, false);
+  assert.deepEqual(findOpenReadingFrames('ATGAAACCCTAA', GENETIC_CODES[1], { minLength: 4 }), []);
+});
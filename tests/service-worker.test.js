@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import vm from 'vm';
+
+const SCRIPT = readFileSync(new URL('../sw.js', import.meta.url), 'utf8');
+const ORIGIN = 'http://localhost';
+
+/**
+ * Run sw.js against in-memory Cache Storage, a slow fetch() that answers
+ * from `server`, and one open page that collects the messages it is sent
+ */
+function loadServiceWorker(server) {
+  const stored = new Map();
+  const keyOf = key => (typeof key === 'string' ? new URL(key, `${ORIGIN}/`).href : key.url);
+  const cache = {
+    match: async key => (stored.has(keyOf(key)) ? new Response(stored.get(keyOf(key))) : undefined),
+    put: async (key, response) => stored.set(keyOf(key), await response.text())
+  };
+  const messages = [];
+  const listeners = {};
+  const self = {
+    location: new URL(`${ORIGIN}/sw.js`),
+    registration: { scope: `${ORIGIN}/` },
+    // Copied like a structured clone, out of the worker's realm
+    clients: { matchAll: async () => [{ postMessage: message => messages.push({ ...message }) }] },
+    addEventListener: (type, listener) => { listeners[type] = listener; }
+  };
+  vm.runInNewContext(SCRIPT, {
+    self,
+    caches: { open: async () => cache },
+    // The network answers after the page has read the cached copy
+    fetch: async request => {
+      await new Promise(resolve => setTimeout(resolve, 10));
+      return new Response(server[new URL(request.url).pathname]);
+    },
+    URL,
+    Response,
+    Promise
+  });
+
+  /**
+   * Dispatch a fetch event; resolves with the response the page got and
+   * the background work the worker asked to wait for
+   */
+  async function request(path) {
+    let respondWith;
+    const pending = [];
+    listeners.fetch({
+      request: new Request(`${ORIGIN}${path}`),
+      respondWith: promise => { respondWith = promise; },
+      waitUntil: promise => pending.push(promise)
+    });
+    const response = await respondWith;
+    const text = await response.text();
+    await Promise.all(pending);
+    return text;
+  }
+
+  return { stored, messages, request };
+}
+
+test('cached files are served at once and refreshed in the background', async () => {
+  const server = { '/alzheimers_data.json': '{"version":1}' };
+  const worker = loadServiceWorker(server);
+  assert.equal(await worker.request('/alzheimers_data.json'), '{"version":1}');
+  assert.deepEqual(worker.messages, []);
+
+  server['/alzheimers_data.json'] = '{"version":2}';
+  assert.equal(await worker.request('/alzheimers_data.json'), '{"version":1}');
+  assert.equal(worker.stored.get(`${ORIGIN}/alzheimers_data.json`), '{"version":2}');
+  assert.deepEqual(worker.messages, [{ type: 'dataset-updated', url: `${ORIGIN}/alzheimers_data.json` }]);
+
+  assert.equal(await worker.request('/alzheimers_data.json'), '{"version":2}');
+  assert.equal(worker.messages.length, 1, 'an unchanged dataset is not announced again');
+});
+
+test('only dataset files announce changes', async () => {
+  const server = { '/styles.css': 'a {}' };
+  const worker = loadServiceWorker(server);
+  await worker.request('/styles.css');
+  server['/styles.css'] = 'b {}';
+  assert.equal(await worker.request('/styles.css'), 'a {}');
+  assert.equal(worker.stored.get(`${ORIGIN}/styles.css`), 'b {}');
+  assert.deepEqual(worker.messages, []);
+});
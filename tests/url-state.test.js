@@ -0,0 +1,92 @@
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+
+import { resetState, serveLocalFiles, setupDom } from './helpers/dom.js';
+import { state } from '../js/state.js';
+import { TOOL_INPUT_IDS, closeTool, showTool } from '../js/tools.js';
+import { setPageSize, toggleSort } from '../js/table-config.js';
+import { restoreUrlState, updateUrl } from '../js/url-state.js';
+
+const records = JSON.parse(readFileSync(new URL('./fixtures/records.json', import.meta.url), 'utf8'));
+
+// Every tool in the Tools menu, by the id of its button (blastMenuBtn -> blast)
+let tools;
+
+before(() => {
+  setupDom();
+  serveLocalFiles();
+  tools = [...document.querySelectorAll('[id$="MenuBtn"]')].map(button => button.id.replace(/MenuBtn$/, ''));
+});
+
+beforeEach(() => {
+  // Sorting and page size changes are saved; start each test from the defaults
+  localStorage.clear();
+  resetState(records);
+  closeTool();
+  history.replaceState(null, '', '/');
+});
+
+test('every tool survives a round trip through the URL', () => {
+  assert.ok(tools.includes('network'));
+  tools.forEach(tool => {
+    showTool(tool);
+    const input = document.getElementById(TOOL_INPUT_IDS[tool]);
+    if (input) {
+      input.value = 'ATGCATGC';
+      updateUrl();
+    }
+    const search = location.search;
+    assert.equal(new URLSearchParams(search).get('tool'), tool);
+
+    closeTool();
+    history.replaceState(null, '', `/${search}`);
+    restoreUrlState();
+    assert.equal(state.activeTool, tool, `${tool} is reopened`);
+    assert.equal(document.getElementById('toolContent').hidden, false, `${tool} panel is shown`);
+    if (input) assert.equal(document.getElementById(TOOL_INPUT_IDS[tool]).value, 'ATGCATGC', `${tool} input`);
+  });
+
+  history.replaceState(null, '', '/?tool=nonexistent');
+  restoreUrlState();
+  assert.equal(state.activeTool, null, 'unknown tools close the panel');
+});
+
+test('a URL without a sort shows rows unsorted', () => {
+  history.replaceState(null, '', '/?q=APOE&sort=gene_name:desc');
+  restoreUrlState();
+  assert.deepEqual(state.tableConfig.sort, { field: 'gene_name', direction: 'desc' });
+
+  // Back to an entry from before the sort, or a link made without one
+  history.replaceState(null, '', '/?q=APOE');
+  restoreUrlState();
+  assert.equal(state.tableConfig.sort, null);
+
+  toggleSort('gene_name');
+  assert.match(location.search, /sort=gene_name%3Aasc/);
+  history.replaceState(null, '', '/?q=APOE&sort=unknown:sideways');
+  restoreUrlState();
+  assert.equal(state.tableConfig.sort, null, 'invalid sorts are dropped');
+});
+
+test('page links carry their page size', () => {
+  const [apoe] = records;
+  resetState(Array.from({ length: 30 }, (_, i) => ({ ...apoe, variant: `APOE variant ${i + 1}` })));
+  history.replaceState(null, '', '/?q=APOE');
+  restoreUrlState();
+  setPageSize('25');
+  assert.doesNotMatch(location.search, /page=/, 'changing the page size goes back to the first page');
+  state.currentPage = 2;
+  updateUrl();
+  const search = location.search;
+  assert.equal(new URLSearchParams(search).get('size'), '25');
+
+  // Opened by someone whose saved page size is 10
+  state.tableConfig.pageSize = 10;
+  history.replaceState(null, '', `/${search}`);
+  restoreUrlState();
+  assert.equal(state.tableConfig.pageSize, 25);
+  assert.equal(state.currentPage, 2);
+  assert.equal(document.getElementById('pageSizeSelect').value, '25');
+  assert.equal(document.querySelectorAll('#dynamicContent tbody tr').length, 5);
+});
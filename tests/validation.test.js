@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+
+import { validateDataset } from '../js/validation.js';
+
+const records = JSON.parse(readFileSync(new URL('./fixtures/records.json', import.meta.url), 'utf8'));
+
+test('UTF-8 text decoded as Windows-1252 is repaired on load', () => {
+  const [apoe, psen1] = records;
+  // Values as they were shipped in the original alzheimers_data.json
+  const data = [
+    { ...apoe, variant: 'APOE Îµ4', ad_mechanism: 'Amyloid-Î² accumulation' },
+    { ...psen1, function: 'Î³-secretase component', ad_mechanism: 'Increased AÃŽÂ²42 production' }
+  ];
+
+  const { records: loaded, report } = validateDataset(data);
+
+  assert.equal(report.total, 2);
+  assert.equal(report.valid, 2);
+  assert.deepEqual(report.invalid, []);
+  assert.deepEqual(report.repaired, [
+    {
+      index: 0,
+      gene: 'Apolipoprotein E',
+      repairs: [
+        { field: 'variant', from: 'APOE Îµ4', to: 'APOE ε4' },
+        { field: 'ad_mechanism', from: 'Amyloid-Î² accumulation', to: 'Amyloid-β accumulation' }
+      ]
+    },
+    {
+      index: 1,
+      gene: 'Presenilin 1',
+      repairs: [
+        { field: 'function', from: 'Î³-secretase component', to: 'γ-secretase component' },
+        { field: 'ad_mechanism', from: 'Increased AÃŽÂ²42 production', to: 'Increased Aβ42 production' }
+      ]
+    }
+  ], 'double-encoded text is decoded twice');
+  assert.deepEqual(loaded, [apoe, psen1]);
+});
+
+test('records with a value outside an enum or a missing required field are rejected', () => {
+  const [apoe, psen1, trem2] = records;
+  const data = [
+    { ...apoe, oxidative_stress: 'Extreme' },
+    { ...psen1, function: '  ' },
+    { ...trem2, gene_name: undefined },
+    'TREM2',
+    { ...records[3], oxidative_stress: 'moderate' }
+  ];
+
+  const { records: loaded, report } = validateDataset(data);
+
+  assert.equal(report.total, 5);
+  assert.equal(report.valid, 1);
+  assert.deepEqual(report.invalid, [
+    { index: 0, gene: 'Apolipoprotein E', errors: ['Oxidative Stress "Extreme" is not one of: Moderate, High, Very high'] },
+    { index: 1, gene: 'Presenilin 1', errors: ['Missing Function'] },
+    { index: 2, gene: 'Record 3', errors: ['Missing Gene Name'] },
+    { index: 3, gene: 'Record 4', errors: ['Record is not an object'] }
+  ]);
+  assert.deepEqual(report.repaired, [
+    { index: 4, gene: 'Clusterin', repairs: [{ field: 'oxidative_stress', from: 'moderate', to: 'Moderate' }] }
+  ], 'enum values are matched case-insensitively');
+  assert.deepEqual(loaded, [records[3]]);
+});
+
+test('a dataset that is not an array is refused', () => {
+  assert.throws(() => validateDataset({ records }), /Dataset must be a JSON array of records/);
+});